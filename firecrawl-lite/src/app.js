@@ -10,6 +10,16 @@ const swaggerSpecs = require('./docs/swagger');
 const { router: extractRouter, gracefulShutdown } = require('./routes/extract');
 const firecrawlRouter = require('./routes/firecrawl');
 const markitdownRouter = require('./routes/markitdown');
+const { router: jobsRouter, initializeJobService, shutdownJobService } = require('./routes/jobs');
+const cacheRouter = require('./routes/cache');
+const scrapeRouter = require('./routes/scrape');
+const convertRouter = require('./routes/convert');
+const changesRouter = require('./routes/changes');
+const { router: webhooksRouter } = require('./routes/webhooks');
+const adminRouter = require('./routes/admin');
+const { router: sessionsRouter } = require('./routes/sessions');
+const { getAuthService } = require('./services/registry');
+const { authenticate } = require('./utils/auth');
 
 class Application {
   constructor() {
@@ -86,10 +96,20 @@ class Application {
     });
     this.app.use('/api/', limiter);
 
-    // Body parsing
-    this.app.use(express.json({ limit: '10mb' }));
+    // Body parsing. /api/convert parses its JSON itself, with room for base64
+    // files of up to 50MB, and only once the API key has been checked.
+    const parseJson = express.json({ limit: '10mb' });
+    this.app.use((req, res, next) => (req.path.toLowerCase().startsWith('/api/convert') ? next() : parseJson(req, res, next)));
     this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+    // API keys, checked after body parsing since job and scrape scopes depend on the body
+    const authService = getAuthService();
+    this.app.use('/api/', authenticate(authService));
+    this.logger.info('API key authentication', {
+      enabled: authService.enabled,
+      keys: authService.keys.size
+    });
+
     // Serve static files
     this.app.use(express.static('public'));
 
@@ -143,6 +163,7 @@ class Application {
      *     tags: [Health]
      *     summary: General health check
      *     description: Check the overall health status of the API service
+     *     security: []
      *     responses:
      *       200:
      *         description: Service is healthy
@@ -169,6 +190,17 @@ class Application {
     this.app.use('/api', extractRouter);
     this.app.use('/api/firecrawl', firecrawlRouter);
     this.app.use('/api/markitdown', markitdownRouter);
+    this.app.use('/api/jobs', jobsRouter);
+    this.app.use('/api/cache', cacheRouter);
+    this.app.use('/api/scrape', scrapeRouter);
+    this.app.use('/api/convert', convertRouter);
+    this.app.use('/api/changes', changesRouter);
+    this.app.use('/api/webhooks', webhooksRouter);
+    this.app.use('/api/admin', adminRouter);
+    this.app.use('/api/sessions', sessionsRouter);
+
+    // Start job workers right away so jobs queued before a restart resume
+    initializeJobService(config.get());
 
     /**
      * @swagger
@@ -209,7 +241,16 @@ class Application {
      *                       type: object
      *                       properties:
      *                         extract: { type: string, example: "/api/extract" }
+     *                         scrape: { type: string, example: "/api/scrape" }
+     *                         convert: { type: string, example: "/api/convert" }
      *                         batch: { type: string, example: "/api/batch" }
+     *                         crawl: { type: string, example: "/api/crawl" }
+     *                         map: { type: string, example: "/api/map" }
+     *                         jobs: { type: string, example: "/api/jobs" }
+     *                         changes: { type: string, example: "/api/changes" }
+     *                         webhooks: { type: string, example: "/api/webhooks/deliveries" }
+     *                         sessions: { type: string, example: "/api/sessions" }
+     *                         usage: { type: string, example: "/api/admin/usage" }
      *                         health: { type: string, example: "/api/health" }
      *                         stats: { type: string, example: "/api/extract/stats" }
      */
@@ -224,7 +265,18 @@ class Application {
           documentation: '/docs',
           endpoints: {
             extract: '/api/extract',
+            scrape: '/api/scrape',
+            convert: '/api/convert',
             batch: '/api/batch',
+            structured: '/api/extract/structured',
+            crawl: '/api/crawl',
+            map: '/api/map',
+            jobs: '/api/jobs',
+            changes: '/api/changes',
+            webhooks: '/api/webhooks/deliveries',
+            sessions: '/api/sessions',
+            usage: '/api/admin/usage',
+            cache: '/api/cache',
             health: '/api/health',
             stats: '/api/extract/stats'
           }
@@ -319,7 +371,10 @@ class Application {
         this.logger.info('HTTP server closed');
         
         try {
-          // Shutdown crawler service
+          // Stop job workers before the browser pool they use
+          await shutdownJobService();
+          
+          // Shutdown crawler and cache services
           await gracefulShutdown();
           
           // Close logger
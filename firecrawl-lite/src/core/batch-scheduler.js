@@ -0,0 +1,151 @@
+// Runs the URLs of a batch with a fixed number in flight: as soon as one
+// finishes, the next waiting URL takes its slot. Shared by the batch methods
+// of the crawler, Firecrawl and Markitdown services.
+class BatchScheduler {
+  constructor(options = {}) {
+    this.options = {
+      concurrency: 3,
+      maxPerHost: null, // URLs of one host in flight at a time; null for no limit
+      deadline: null, // milliseconds after which no new URL is started
+      ...options
+    };
+  }
+
+  // Error for URLs that were still waiting when the deadline passed
+  static deadlineError(url, deadline) {
+    return {
+      message: `Batch deadline of ${deadline}ms passed before this URL was started`,
+      code: 'deadline_exceeded',
+      url,
+      processingTime: 0,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  // Error for URLs that were still waiting when the batch was cancelled
+  static cancelledError(url) {
+    return {
+      message: 'Batch was cancelled before this URL was started',
+      code: 'batch_cancelled',
+      url,
+      processingTime: 0,
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  getHost(url) {
+    try {
+      return new URL(url).host;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Call worker(url, index) for every URL and resolve with the results in input order.
+   *
+   * priorities: optional numbers per URL; higher starts first, ties keep input order
+   * onDeadline(url, index): result for URLs still waiting when the deadline passes.
+   *   URLs already running are left to finish within their own timeouts.
+   * signal: optional AbortSignal; once aborted, URLs still waiting get onCancel(url, index)
+   *   and running ones are left to finish, as with the deadline
+   */
+  run(urls, worker, { priorities = [], onDeadline = () => null, signal = null, onCancel = () => null } = {}) {
+    const { concurrency, maxPerHost, deadline } = this.options;
+    
+    if (urls.length === 0) {
+      return Promise.resolve([]);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const results = new Array(urls.length);
+      const activeHosts = new Map();
+      let running = 0;
+      let settled = 0;
+      let expired = false;
+      let failed = false;
+      let timer = null;
+      
+      const waiting = urls
+        .map((url, index) => ({ url, index, host: this.getHost(url), priority: priorities[index] || 0 }))
+        .sort((a, b) => b.priority - a.priority || a.index - b.index);
+      
+      const hostIsFull = (host) => maxPerHost && host && (activeHosts.get(host) || 0) >= maxPerHost;
+      
+      const finish = (item, result) => {
+        results[item.index] = result;
+        settled++;
+        
+        if (settled === urls.length) {
+          clearTimeout(timer);
+          resolve(results);
+        }
+      };
+      
+      const fail = (error) => {
+        if (!failed) {
+          failed = true;
+          clearTimeout(timer);
+          reject(error);
+        }
+      };
+      
+      const start = (item) => {
+        running++;
+        if (item.host) {
+          activeHosts.set(item.host, (activeHosts.get(item.host) || 0) + 1);
+        }
+        
+        Promise.resolve()
+          .then(() => worker(item.url, item.index))
+          .then(result => {
+            running--;
+            if (item.host) {
+              activeHosts.set(item.host, activeHosts.get(item.host) - 1);
+            }
+            
+            finish(item, result);
+            fill();
+          })
+          .catch(fail);
+      };
+      
+      // Take the first waiting URL whose host has room, as often as there are free slots
+      const fill = () => {
+        while (!expired && !failed && running < concurrency) {
+          const position = waiting.findIndex(item => !hostIsFull(item.host));
+          if (position === -1) return;
+          
+          start(waiting.splice(position, 1)[0]);
+        }
+      };
+      
+      // Settle every waiting URL with the result of settle() instead of starting it
+      const stopWaiting = (settle) => {
+        expired = true;
+        waiting.splice(0).forEach(item => {
+          Promise.resolve()
+            .then(() => settle(item.url, item.index))
+            .then(result => finish(item, result))
+            .catch(fail);
+        });
+      };
+      
+      if (deadline) {
+        timer = setTimeout(() => stopWaiting(onDeadline), deadline);
+      }
+      
+      if (signal) {
+        if (signal.aborted) {
+          stopWaiting(onCancel);
+        } else {
+          signal.addEventListener('abort', () => stopWaiting(onCancel), { once: true });
+        }
+      }
+      
+      fill();
+    });
+  }
+}
+
+module.exports = BatchScheduler;
@@ -1,18 +1,57 @@
-const { chromium } = require('playwright');
+const playwright = require('playwright');
 const EventEmitter = require('events');
 
+const { devices } = playwright;
+
+const BROWSER_TYPES = ['chromium', 'firefox', 'webkit'];
+
+// Launch flags for containers; Firefox and WebKit do not understand them
+const CHROMIUM_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-accelerated-2d-canvas',
+  '--no-first-run',
+  '--no-zygote',
+  '--disable-gpu'
+];
+
+// One pool per browser type. The default type is launched when the pool
+// initializes; the others start on first use, up to their pool size.
 class BrowserPool extends EventEmitter {
   constructor(options = {}) {
     super();
-    this.poolSize = options.poolSize || 5;
+    this.defaultType = BROWSER_TYPES.includes(options.defaultType) ? options.defaultType : 'chromium';
+    this.poolSize = options.poolSize || 5; // size of the default type's pool
     this.timeout = options.timeout || 30000;
     this.userAgent = options.userAgent || 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
     this.viewport = options.viewport || { width: 1280, height: 720 };
     this.headless = options.headless !== false;
+    this.maxDedicatedBrowsers = options.maxDedicatedBrowsers !== undefined ? options.maxDedicatedBrowsers : 2;
+    this.proxyManager = options.proxyManager || null; // rotates configured proxies across contexts
+    
+    // Pool sizes of the other types; 0 turns a type off
+    const poolSizes = { chromium: 1, firefox: 1, webkit: 1, ...options.poolSizes };
+    this.pools = {};
+    BROWSER_TYPES.forEach(type => {
+      this.pools[type] = {
+        size: type === this.defaultType ? this.poolSize : poolSizes[type] || 0,
+        browsers: [],
+        available: [],
+        launching: 0,
+        stats: {
+          requests: 0,
+          launches: 0,
+          launchFailures: 0,
+          restarts: 0,
+          dedicatedLaunches: 0
+        }
+      };
+    });
     
-    this.browsers = [];
-    this.availableBrowsers = [];
     this.busyBrowsers = new Set();
+    this.dedicatedBrowsers = new Set(); // launched for one request, closed on release
+    this.dedicatedLaunching = 0;
     this.isInitialized = false;
     this.isShuttingDown = false;
     
@@ -20,20 +59,23 @@ class BrowserPool extends EventEmitter {
       totalRequests: 0,
       activeRequests: 0,
       restarts: 0,
-      errors: 0
+      errors: 0,
+      dedicatedLaunches: 0,
+      dedicatedRejected: 0
     };
   }
 
   async initialize() {
     if (this.isInitialized) return;
     
-    console.log(`Initializing browser pool with ${this.poolSize} browsers...`);
+    const pool = this.pools[this.defaultType];
+    console.log(`Initializing browser pool with ${pool.size} ${this.defaultType} browsers...`);
     
-    for (let i = 0; i < this.poolSize; i++) {
+    for (let i = 0; i < pool.size; i++) {
       try {
-        const browser = await this.createBrowser();
-        this.browsers.push(browser);
-        this.availableBrowsers.push(browser);
+        const browser = await this.createBrowser(this.defaultType);
+        pool.browsers.push(browser);
+        pool.available.push(browser);
         console.log(`Browser ${i + 1} initialized successfully`);
       } catch (error) {
         console.error(`Failed to initialize browser ${i + 1}:`, error);
@@ -43,51 +85,140 @@ class BrowserPool extends EventEmitter {
     
     this.isInitialized = true;
     this.emit('initialized');
-    console.log(`Browser pool initialized with ${this.availableBrowsers.length} browsers`);
+    console.log(`Browser pool initialized with ${pool.available.length} browsers`);
   }
 
-  async createBrowser() {
-    const browser = await chromium.launch({
-      headless: this.headless,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--disable-gpu'
-      ]
-    });
+  async createBrowser(type = this.defaultType, launchOptions = {}) {
+    const pool = this.pools[type];
+    let browser;
+    
+    try {
+      browser = await playwright[type].launch({
+        headless: this.headless,
+        ...launchOptions,
+        ...(type === 'chromium' && { args: CHROMIUM_ARGS })
+      });
+    } catch (error) {
+      pool.stats.launchFailures++;
+      throw error;
+    }
+    
+    pool.stats.launches++;
 
     browser.on('disconnected', () => {
+      if (this.dedicatedBrowsers.has(browser)) {
+        this.dedicatedBrowsers.delete(browser);
+        return;
+      }
       this.handleBrowserDisconnect(browser);
     });
 
     return browser;
   }
 
-  async getBrowser() {
-    if (!this.isInitialized) {
-      await this.initialize();
+  typeOf(browser) {
+    return browser.browserType().name();
+  }
+
+  // Browser type a request asks for, checked against the enabled pools
+  resolveType(browserOptions = {}) {
+    const type = browserOptions.browserType || this.defaultType;
+    
+    if (!this.pools[type]) {
+      throw new Error(`Unknown browser type: ${type}`);
+    }
+    
+    if (this.pools[type].size === 0) {
+      const error = new Error(`Browser type ${type} is not enabled on this server`);
+      error.code = 'browser_type_unavailable';
+      throw error;
     }
+    
+    return type;
+  }
 
+  // headless and slowMo are launch options, so a request that asks for other
+  // values than the pool's cannot use a pooled browser
+  needsDedicatedBrowser(browserOptions = {}) {
+    return (browserOptions.headless !== undefined && browserOptions.headless !== this.headless) ||
+      browserOptions.slowMo > 0;
+  }
+
+  async getBrowser(browserOptions = {}) {
     if (this.isShuttingDown) {
       throw new Error('Browser pool is shutting down');
     }
 
+    const type = this.resolveType(browserOptions);
+    const pool = this.pools[type];
+    
+    if (this.needsDedicatedBrowser(browserOptions)) {
+      // Browsers still launching count too, so concurrent requests cannot overshoot the limit
+      if (this.dedicatedBrowsers.size + this.dedicatedLaunching >= this.maxDedicatedBrowsers) {
+        this.stats.dedicatedRejected++;
+        const error = new Error(this.maxDedicatedBrowsers === 0
+          ? 'Browsers with their own headless/slowMo settings are turned off on this server'
+          : `All ${this.maxDedicatedBrowsers} browsers for custom headless/slowMo settings are in use; retry later or use the pool's settings`);
+        error.code = 'browser_limit_reached';
+        throw error;
+      }
+      
+      this.dedicatedLaunching++;
+      let browser;
+      try {
+        browser = await this.createBrowser(type, {
+          headless: browserOptions.headless !== undefined ? browserOptions.headless : this.headless,
+          slowMo: browserOptions.slowMo || 0
+        });
+      } finally {
+        this.dedicatedLaunching--;
+      }
+      this.dedicatedBrowsers.add(browser);
+      this.stats.dedicatedLaunches++;
+      this.stats.totalRequests++;
+      pool.stats.dedicatedLaunches++;
+      pool.stats.requests++;
+      return browser;
+    }
+
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    // Pools below their size (types not used yet, browsers that failed to start) launch on demand
+    if (pool.available.length === 0 && pool.browsers.length + pool.launching < pool.size) {
+      pool.launching++;
+      try {
+        const browser = await this.createBrowser(type);
+        pool.browsers.push(browser);
+        pool.available.push(browser);
+        console.log(`Launched ${type} browser ${pool.browsers.length}/${pool.size}`);
+      } catch (error) {
+        this.stats.errors++;
+        throw new Error(`Failed to launch ${type}: ${error.message}`);
+      } finally {
+        pool.launching--;
+      }
+    }
+    
     return new Promise((resolve, reject) => {
+      // A request that timed out stops polling, so it cannot take a browser later
+      let timedOut = false;
       const timeout = setTimeout(() => {
-        reject(new Error('Timeout waiting for available browser'));
+        timedOut = true;
+        reject(new Error(`Timeout waiting for available ${type} browser`));
       }, this.timeout);
 
       const tryGetBrowser = () => {
-        if (this.availableBrowsers.length > 0) {
+        if (timedOut) return;
+        
+        if (pool.available.length > 0) {
           clearTimeout(timeout);
-          const browser = this.availableBrowsers.pop();
+          const browser = pool.available.pop();
           this.busyBrowsers.add(browser);
           this.stats.activeRequests++;
           this.stats.totalRequests++;
+          pool.stats.requests++;
           resolve(browser);
         } else {
           setTimeout(tryGetBrowser, 100);
@@ -98,60 +229,108 @@ class BrowserPool extends EventEmitter {
     });
   }
 
-  async getPage(browser) {
-    const context = await browser.newContext({
-      userAgent: this.userAgent,
+  /**
+   * Context options for the per-request browser settings: a device preset
+   * first, then userAgent, viewport, locale, timezoneId, geolocation,
+   * colorScheme, javaScriptEnabled and proxy on top of it. storageState
+   * (cookies and localStorage of a login session) is passed through.
+   *
+   * The configured user agent is a Chrome one, so Firefox and WebKit keep their
+   * own unless the request or a device preset sets one.
+   */
+  buildContextOptions(browserOptions = {}, type = this.defaultType) {
+    const { device, userAgent, viewport, locale, timezoneId, geolocation, colorScheme, javaScriptEnabled, proxy, storageState } = browserOptions;
+    const { defaultBrowserType, isMobile, ...preset } = device ? devices[device] || {} : {};
+    
+    return {
+      ...(type === 'chromium' && { userAgent: this.userAgent }),
       viewport: this.viewport,
+      ...preset,
+      // Firefox has no mobile emulation
+      ...(isMobile !== undefined && type !== 'firefox' && { isMobile }),
+      ...(userAgent && { userAgent }),
+      ...(viewport && { viewport }),
+      ...(locale && { locale }),
+      ...(timezoneId && { timezoneId }),
+      ...(geolocation && { geolocation, permissions: ['geolocation'] }),
+      ...(colorScheme && { colorScheme }),
+      ...(javaScriptEnabled !== undefined && { javaScriptEnabled }),
+      ...(proxy && { proxy }),
+      ...(storageState && { storageState }),
       ignoreHTTPSErrors: true,
       bypassCSP: true
-    });
+    };
+  }
+
+  /**
+   * Open a page in a new context. For contexts that will load url, a proxy
+   * from the proxy manager is assigned unless the request brings its own;
+   * it is returned so the caller can report how the page load went.
+   */
+  async getPage(browser, browserOptions = {}, url = null) {
+    const proxy = url && !browserOptions.proxy && this.proxyManager ? this.proxyManager.acquire(url) : null;
+    const context = await browser.newContext(this.buildContextOptions({
+      ...browserOptions,
+      ...(proxy && { proxy: proxy.settings })
+    }, this.typeOf(browser)));
 
     const page = await context.newPage();
     
+    // With a locale the browser sends the matching Accept-Language itself
     await page.setExtraHTTPHeaders({
-      'Accept-Language': 'en-US,en;q=0.9',
+      ...(!browserOptions.locale && { 'Accept-Language': 'en-US,en;q=0.9' }),
       'Accept-Encoding': 'gzip, deflate, br',
       'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
       'Connection': 'keep-alive',
       'Upgrade-Insecure-Requests': '1'
     });
 
-    return { page, context };
+    return { page, context, proxy };
   }
 
   releaseBrowser(browser) {
+    if (this.dedicatedBrowsers.has(browser)) {
+      this.dedicatedBrowsers.delete(browser);
+      browser.close().catch(error => console.error('Error closing dedicated browser:', error));
+      return;
+    }
+    
     if (this.busyBrowsers.has(browser)) {
       this.busyBrowsers.delete(browser);
       this.stats.activeRequests--;
       
       if (!this.isShuttingDown && browser.isConnected()) {
-        this.availableBrowsers.push(browser);
+        this.pools[this.typeOf(browser)].available.push(browser);
       }
     }
   }
 
   async handleBrowserDisconnect(browser) {
-    console.log('Browser disconnected, removing from pool');
+    const type = this.typeOf(browser);
+    const pool = this.pools[type];
+    
+    console.log(`${type} browser disconnected, removing from pool`);
     this.stats.errors++;
     
-    const index = this.browsers.indexOf(browser);
+    const index = pool.browsers.indexOf(browser);
     if (index > -1) {
-      this.browsers.splice(index, 1);
+      pool.browsers.splice(index, 1);
     }
     
-    const availableIndex = this.availableBrowsers.indexOf(browser);
+    const availableIndex = pool.available.indexOf(browser);
     if (availableIndex > -1) {
-      this.availableBrowsers.splice(availableIndex, 1);
+      pool.available.splice(availableIndex, 1);
     }
     
     this.busyBrowsers.delete(browser);
     
     if (!this.isShuttingDown) {
       try {
-        const newBrowser = await this.createBrowser();
-        this.browsers.push(newBrowser);
-        this.availableBrowsers.push(newBrowser);
+        const newBrowser = await this.createBrowser(type);
+        pool.browsers.push(newBrowser);
+        pool.available.push(newBrowser);
         this.stats.restarts++;
+        pool.stats.restarts++;
         console.log('Browser restarted successfully');
       } catch (error) {
         console.error('Failed to restart browser:', error);
@@ -159,6 +338,10 @@ class BrowserPool extends EventEmitter {
     }
   }
 
+  get browsers() {
+    return BROWSER_TYPES.reduce((browsers, type) => browsers.concat(this.pools[type].browsers), []);
+  }
+
   async healthCheck() {
     const healthyBrowsers = [];
     
@@ -178,11 +361,20 @@ class BrowserPool extends EventEmitter {
       }
     }
     
+    const types = {};
+    BROWSER_TYPES.filter(type => this.pools[type].browsers.length > 0).forEach(type => {
+      types[type] = {
+        total: this.pools[type].browsers.length,
+        healthy: healthyBrowsers.filter(browser => this.typeOf(browser) === type).length
+      };
+    });
+    
     return {
       total: this.browsers.length,
       healthy: healthyBrowsers.length,
-      available: this.availableBrowsers.length,
+      available: BROWSER_TYPES.reduce((count, type) => count + this.pools[type].available.length, 0),
       busy: this.busyBrowsers.size,
+      types,
       stats: this.stats
     };
   }
@@ -193,7 +385,7 @@ class BrowserPool extends EventEmitter {
     console.log('Shutting down browser pool...');
     this.isShuttingDown = true;
     
-    const closePromises = this.browsers.map(browser => {
+    const closePromises = [...this.browsers, ...this.dedicatedBrowsers].map(browser => {
       return browser.close().catch(error => {
         console.error('Error closing browser:', error);
       });
@@ -201,25 +393,46 @@ class BrowserPool extends EventEmitter {
     
     await Promise.all(closePromises);
     
-    this.browsers = [];
-    this.availableBrowsers = [];
+    BROWSER_TYPES.forEach(type => {
+      this.pools[type].browsers = [];
+      this.pools[type].available = [];
+    });
     this.busyBrowsers.clear();
+    this.dedicatedBrowsers.clear();
     
     console.log('Browser pool shutdown completed');
     this.emit('shutdown');
   }
 
   getStats() {
+    const types = {};
+    BROWSER_TYPES.forEach(type => {
+      const pool = this.pools[type];
+      types[type] = {
+        poolSize: pool.size,
+        browsers: pool.browsers.length,
+        available: pool.available.length,
+        busy: pool.browsers.filter(browser => this.busyBrowsers.has(browser)).length,
+        ...pool.stats
+      };
+    });
+    
     return {
       ...this.stats,
-      poolSize: this.poolSize,
+      defaultType: this.defaultType,
+      poolSize: this.pools[this.defaultType].size,
       totalBrowsers: this.browsers.length,
-      availableBrowsers: this.availableBrowsers.length,
+      availableBrowsers: BROWSER_TYPES.reduce((count, type) => count + this.pools[type].available.length, 0),
       busyBrowsers: this.busyBrowsers.size,
+      dedicatedBrowsers: this.dedicatedBrowsers.size,
+      maxDedicatedBrowsers: this.maxDedicatedBrowsers,
       isInitialized: this.isInitialized,
-      isShuttingDown: this.isShuttingDown
+      isShuttingDown: this.isShuttingDown,
+      types
     };
   }
 }
 
-module.exports = BrowserPool;
\ No newline at end of file
+BrowserPool.BROWSER_TYPES = BROWSER_TYPES;
+
+module.exports = BrowserPool;
@@ -0,0 +1,179 @@
+const { createClient } = require('redis');
+
+// Both cache backends store JSON-serializable entries of the form
+// { value, storedAt } and expose get / set / purge / getStats / close.
+
+// Parse sizes such as "100mb", "512kb" or a plain number of bytes
+const parseSize = (size) => {
+  if (typeof size === 'number') return size;
+
+  const units = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+  const match = String(size).toLowerCase().trim().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) return 100 * 1024 * 1024; // Default 100MB
+
+  return Math.floor(parseFloat(match[1]) * units[match[2] || 'b']);
+};
+
+// Turn a key pattern using "*" wildcards into a RegExp
+const patternToRegExp = (pattern) => {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+};
+
+// In-process LRU cache bounded by the serialized size of its entries
+class MemoryCache {
+  constructor(options = {}) {
+    this.maxSize = parseSize(options.maxSize || '100mb');
+    this.ttl = options.ttl || 3600; // seconds
+    
+    // Map keeps insertion order: the first key is the least recently used
+    this.entries = new Map();
+    this.size = 0;
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    
+    if (entry.expiresAt <= Date.now()) {
+      this.remove(key);
+      return null;
+    }
+    
+    // Move to the most recently used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    
+    return JSON.parse(entry.serialized);
+  }
+
+  async set(key, entry, ttl = this.ttl) {
+    const serialized = JSON.stringify(entry);
+    const size = Buffer.byteLength(serialized);
+    
+    // Entries larger than the whole cache are never stored
+    if (size > this.maxSize) return false;
+    
+    this.remove(key);
+    this.entries.set(key, {
+      serialized,
+      size,
+      expiresAt: Date.now() + ttl * 1000
+    });
+    this.size += size;
+    
+    while (this.size > this.maxSize) {
+      const oldestKey = this.entries.keys().next().value;
+      this.remove(oldestKey);
+      this.evictions++;
+    }
+    
+    return true;
+  }
+
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.size -= entry.size;
+      this.entries.delete(key);
+    }
+  }
+
+  async purge(pattern) {
+    const regex = patternToRegExp(pattern);
+    let removed = 0;
+    
+    for (const key of Array.from(this.entries.keys())) {
+      if (regex.test(key)) {
+        this.remove(key);
+        removed++;
+      }
+    }
+    
+    return removed;
+  }
+
+  async getStats() {
+    return {
+      entries: this.entries.size,
+      size: this.size,
+      maxSize: this.maxSize,
+      evictions: this.evictions
+    };
+  }
+
+  async close() {
+    this.entries.clear();
+    this.size = 0;
+  }
+}
+
+// Shared cache in Redis; entries expire through Redis TTLs
+class RedisCache {
+  constructor(options = {}) {
+    this.ttl = options.ttl || 3600; // seconds
+    
+    const redis = options.redis || {};
+    this.client = createClient({
+      socket: {
+        host: redis.host || 'localhost',
+        port: redis.port || 6379,
+        reconnectStrategy: (retries) => Math.min(retries * 500, 5000)
+      },
+      database: redis.db || 0,
+      ...(redis.password && { password: redis.password }),
+      // Fail fast while disconnected instead of queueing commands, so a Redis
+      // outage turns into cache misses rather than stalled requests
+      disableOfflineQueue: true
+    });
+    
+    this.client.on('error', (error) => {
+      console.error('Cache Redis error:', error.message);
+    });
+    
+    this.client.connect().catch(error => {
+      console.error('Failed to connect cache to Redis:', error.message);
+    });
+  }
+
+  async get(key) {
+    const serialized = await this.client.get(key);
+    return serialized ? JSON.parse(serialized) : null;
+  }
+
+  async set(key, entry, ttl = this.ttl) {
+    await this.client.set(key, JSON.stringify(entry), { EX: ttl });
+    return true;
+  }
+
+  async purge(pattern) {
+    let removed = 0;
+    
+    for await (const keys of this.client.scanIterator({ MATCH: pattern, COUNT: 100 })) {
+      if (keys.length > 0) {
+        removed += await this.client.del(keys);
+      }
+    }
+    
+    return removed;
+  }
+
+  async getStats() {
+    return {
+      connected: this.client.isReady
+    };
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = {
+  MemoryCache,
+  RedisCache,
+  parseSize
+};
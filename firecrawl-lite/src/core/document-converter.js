@@ -0,0 +1,622 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+const mammoth = require('mammoth');
+const MarkdownConverter = require('./converter');
+
+// Converts documents (PDF, DOCX, XLSX, PPTX, CSV) to markdown in-process, so
+// no Python/markitdown install is needed.
+
+const MIME_TYPES = {
+  'application/pdf': 'pdf',
+  'application/x-pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'text/csv': 'csv',
+  'application/csv': 'csv',
+  'text/tab-separated-values': 'csv'
+};
+
+const EXTENSIONS = {
+  '.pdf': 'pdf',
+  '.docx': 'docx',
+  '.xlsx': 'xlsx',
+  '.pptx': 'pptx',
+  '.csv': 'csv',
+  '.tsv': 'csv'
+};
+
+const DOCUMENT_TYPES = ['pdf', 'docx', 'xlsx', 'pptx', 'csv'];
+
+// pdf.js is loaded on first use; it is large and warns about missing canvas support when required
+let pdfjs = null;
+const getPdfjs = () => {
+  if (!pdfjs) {
+    pdfjs = require('pdfjs-dist/legacy/build/pdf.js');
+  }
+  return pdfjs;
+};
+
+const escapeCell = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/\s*\n\s*/g, ' ')
+  .replace(/\|/g, '\\|')
+  .trim();
+
+// Render rows as a GFM table; the first row becomes the header
+const toMarkdownTable = (rows) => {
+  const width = rows.length ? Math.max(...rows.map(row => row.length)) : 0;
+  if (width === 0) return '';
+
+  const pad = (row) => Array.from({ length: width }, (_, i) => escapeCell(row[i]));
+  const [header, ...body] = rows.map(pad);
+
+  return [
+    `| ${header.join(' | ')} |`,
+    `| ${header.map(() => '---').join(' | ')} |`,
+    ...body.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+};
+
+class DocumentConverter {
+  constructor(options = {}) {
+    this.options = {
+      maxFileSize: 50 * 1024 * 1024, // 50MB
+      maxUncompressedSize: 200 * 1024 * 1024, // all entries of a DOCX, XLSX or PPTX together
+      maxPages: 500,
+      maxRows: 5000, // per sheet
+      maxColumns: 200, // per sheet, counting only columns that hold a value
+      ...options
+    };
+    
+    this.htmlConverter = new MarkdownConverter();
+  }
+
+  // Content type wins; generic types fall back to the extension of the URL or file name
+  detectType(contentType, location) {
+    const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (MIME_TYPES[mime]) {
+      return MIME_TYPES[mime];
+    }
+    
+    if (mime && !['application/octet-stream', 'binary/octet-stream', 'application/zip', 'application/download'].includes(mime)) {
+      return null;
+    }
+    
+    let pathname = location || '';
+    try {
+      pathname = new URL(pathname).pathname;
+    } catch (error) {
+      // A plain file name
+    }
+    
+    return EXTENSIONS[path.extname(pathname).toLowerCase()] || null;
+  }
+
+  // Returns { title, markdown, metadata: { documentType, wordCount, readingTime, fileSize, ... } }
+  async convert(buffer, type) {
+    if (!DOCUMENT_TYPES.includes(type)) {
+      throw new Error(`Unsupported document type: ${type}`);
+    }
+    
+    if (buffer.length > this.options.maxFileSize) {
+      throw new Error(`Document is too large (${buffer.length} bytes, limit ${this.options.maxFileSize})`);
+    }
+    
+    let result;
+    switch (type) {
+      case 'pdf':
+        result = await this.convertPdf(buffer);
+        break;
+      case 'docx':
+        result = await this.convertDocx(buffer);
+        break;
+      case 'xlsx':
+        result = await this.convertXlsx(buffer);
+        break;
+      case 'pptx':
+        result = await this.convertPptx(buffer);
+        break;
+      default:
+        result = this.convertCsv(buffer.toString('utf8'));
+    }
+    
+    const markdown = result.markdown.replace(/\n{3,}/g, '\n\n').trim();
+    const wordCount = this.htmlConverter.countWords(markdown);
+    
+    return {
+      title: result.title || (markdown.match(/^#\s+(.+)$/m) || [null, ''])[1].trim(),
+      markdown,
+      metadata: {
+        documentType: type,
+        ...result.metadata,
+        wordCount,
+        readingTime: `${Math.ceil(wordCount / 200)} min read`,
+        fileSize: buffer.length
+      }
+    };
+  }
+
+  // PDF: text runs are grouped into lines by baseline; larger-than-body fonts
+  // become headings and runs of lines with aligned gaps become tables
+  async convertPdf(buffer) {
+    const document = await getPdfjs().getDocument({
+      data: new Uint8Array(buffer),
+      disableFontFace: true,
+      isEvalSupported: false,
+      verbosity: 0
+    }).promise;
+    
+    try {
+      const info = await document.getMetadata().catch(() => ({}));
+      const pageCount = Math.min(document.numPages, this.options.maxPages);
+      const pages = [];
+      
+      for (let number = 1; number <= pageCount; number++) {
+        const page = await document.getPage(number);
+        const content = await page.getTextContent();
+        pages.push(this.groupPdfLines(content.items));
+        page.cleanup();
+      }
+      
+      const bodySize = this.bodyFontSize(pages.flat());
+      const markdown = pages.map(lines => this.pdfLinesToMarkdown(lines, bodySize)).join('\n\n');
+      
+      return {
+        title: (info.info && info.info.Title) || null,
+        markdown,
+        metadata: {
+          pages: document.numPages,
+          truncated: document.numPages > pageCount
+        }
+      };
+    } finally {
+      await document.destroy();
+    }
+  }
+
+  groupPdfLines(items) {
+    const lines = [];
+    
+    items
+      .filter(item => item.str && item.str.trim())
+      .map(item => ({
+        text: item.str,
+        x: item.transform[4],
+        y: item.transform[5],
+        width: item.width,
+        size: Math.round(Math.hypot(item.transform[2], item.transform[3]) * 10) / 10
+      }))
+      .forEach(item => {
+        const line = lines.find(candidate => Math.abs(candidate.y - item.y) <= item.size * 0.4);
+        if (line) {
+          line.items.push(item);
+          line.size = Math.max(line.size, item.size);
+        } else {
+          lines.push({ y: item.y, size: item.size, items: [item] });
+        }
+      });
+    
+    // Top of the page first, left to right within a line; cells are split
+    // where the horizontal gap is wider than two characters
+    return lines
+      .sort((a, b) => b.y - a.y)
+      .map(line => {
+        const items = line.items.sort((a, b) => a.x - b.x);
+        const cells = [];
+        let previous = null;
+        
+        items.forEach(item => {
+          const gap = previous ? item.x - (previous.x + previous.width) : 0;
+          if (!previous || gap > line.size * 2) {
+            cells.push({ x: item.x, text: item.text });
+          } else {
+            const cell = cells[cells.length - 1];
+            cell.text += gap > line.size * 0.15 && !/\s$/.test(cell.text) ? ` ${item.text}` : item.text;
+          }
+          previous = item;
+        });
+        
+        cells.forEach(cell => { cell.text = cell.text.replace(/\s+/g, ' ').trim(); });
+        
+        return { y: line.y, size: line.size, cells, text: cells.map(cell => cell.text).join(' ') };
+      });
+  }
+
+  // Most common font size weighted by characters
+  bodyFontSize(lines) {
+    const counts = new Map();
+    lines.forEach(line => counts.set(line.size, (counts.get(line.size) || 0) + line.text.length));
+    
+    let best = 0;
+    let bestCount = -1;
+    counts.forEach((count, size) => {
+      if (count > bestCount) {
+        best = size;
+        bestCount = count;
+      }
+    });
+    
+    return best;
+  }
+
+  pdfLinesToMarkdown(lines, bodySize) {
+    const blocks = [];
+    let paragraph = [];
+    let previous = null;
+    
+    const flush = () => {
+      if (paragraph.length) {
+        blocks.push(paragraph.join(' ').replace(/(\w)- (\w)/g, '$1$2'));
+        paragraph = [];
+      }
+    };
+    
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      
+      // Two or more consecutive multi-cell lines with the same column count form a table
+      if (line.cells.length > 1) {
+        let end = i;
+        while (end + 1 < lines.length && lines[end + 1].cells.length === line.cells.length) {
+          end++;
+        }
+        
+        if (end > i) {
+          flush();
+          blocks.push(toMarkdownTable(lines.slice(i, end + 1).map(row => row.cells.map(cell => cell.text))));
+          previous = lines[end];
+          i = end;
+          continue;
+        }
+      }
+      
+      const level = this.headingLevel(line, bodySize);
+      if (level) {
+        flush();
+        blocks.push(`${'#'.repeat(level)} ${line.text}`);
+        previous = line;
+        continue;
+      }
+      
+      // A vertical gap larger than ~1.5 lines starts a new paragraph
+      if (previous && previous.y - line.y > Math.max(line.size, previous.size) * 1.8) {
+        flush();
+      }
+      
+      paragraph.push(line.text);
+      previous = line;
+    }
+    
+    flush();
+    return blocks.join('\n\n');
+  }
+
+  headingLevel(line, bodySize) {
+    if (!bodySize || line.text.length > 120) return 0;
+    
+    const ratio = line.size / bodySize;
+    if (ratio >= 1.6) return 1;
+    if (ratio >= 1.3) return 2;
+    if (ratio >= 1.15) return 3;
+    return 0;
+  }
+
+  // DOCX: mammoth maps Word styles to HTML (Heading 1 -> h1, tables, lists),
+  // which goes through the regular HTML-to-markdown converter
+  async convertDocx(buffer) {
+    // mammoth inflates the document itself, so its size is checked first
+    const zip = await this.loadZip(buffer);
+    const { value: html, messages } = await mammoth.convertToHtml({ buffer });
+    
+    const { markdown } = await this.htmlConverter.convertToMarkdown(html);
+    
+    return {
+      title: await this.readCoreTitle(zip),
+      markdown,
+      metadata: {
+        warnings: messages.filter(message => message.type === 'warning').length
+      }
+    };
+  }
+
+  // XLSX: one "## Sheet" section with a table per worksheet
+  async convertXlsx(buffer) {
+    const zip = await this.loadZip(buffer);
+    const workbook = await this.readXml(zip, 'xl/workbook.xml');
+    if (!workbook) {
+      throw new Error('Not a valid XLSX file: xl/workbook.xml is missing');
+    }
+    
+    const targets = await this.readRelationships(zip, 'xl/_rels/workbook.xml.rels', 'xl');
+    const sharedStrings = [];
+    const strings = await this.readXml(zip, 'xl/sharedStrings.xml');
+    if (strings) {
+      strings('si').each((_, si) => {
+        sharedStrings.push(strings(si).find('t').map((__, t) => strings(t).text()).get().join(''));
+      });
+    }
+    
+    const sections = [];
+    const sheets = workbook('sheet').map((_, sheet) => ({
+      name: workbook(sheet).attr('name'),
+      target: targets[workbook(sheet).attr('r:id')]
+    })).get();
+    
+    for (const sheet of sheets) {
+      const $ = sheet.target && await this.readXml(zip, sheet.target);
+      if (!$) continue;
+      
+      // Cells are kept sparse (column -> value): a single cell at XFD1048576
+      // must not turn into millions of empty ones
+      const rows = [];
+      const usedColumns = new Set();
+      $('sheetData row').slice(0, this.options.maxRows).each((_, row) => {
+        const cells = new Map();
+        $(row).find('c').each((__, c) => {
+          const cell = $(c);
+          const index = this.columnIndex(cell.attr('r'));
+          const column = index === null ? (cells.size ? Math.max(...cells.keys()) + 1 : 0) : index;
+          const type = cell.attr('t');
+          let value = cell.find('v').first().text();
+          
+          if (type === 's') {
+            value = sharedStrings[parseInt(value, 10)] || '';
+          } else if (type === 'inlineStr') {
+            value = cell.find('is t').map((___, t) => $(t).text()).get().join('');
+          } else if (type === 'b') {
+            value = value === '1' ? 'TRUE' : 'FALSE';
+          }
+          
+          if (value !== '') {
+            cells.set(column, value);
+            usedColumns.add(column);
+          }
+        });
+        if (cells.size) rows.push(cells);
+      });
+      
+      // Only columns holding a value become table columns, up to maxColumns
+      const columns = [...usedColumns].sort((a, b) => a - b).slice(0, this.options.maxColumns);
+      const nonEmpty = rows
+        .map(cells => columns.map(column => cells.get(column) || ''))
+        .filter(row => row.some(value => value !== ''));
+      sections.push(`## ${sheet.name}\n\n${nonEmpty.length ? toMarkdownTable(nonEmpty) : '*Empty sheet*'}`);
+    }
+    
+    return {
+      title: await this.readCoreTitle(zip),
+      markdown: sections.join('\n\n'),
+      metadata: {
+        sheets: sheets.map(sheet => sheet.name)
+      }
+    };
+  }
+
+  // PPTX: slides in presentation order, title as heading, text frames as
+  // paragraphs/bullets, tables as tables and speaker notes at the end
+  async convertPptx(buffer) {
+    const zip = await this.loadZip(buffer);
+    const presentation = await this.readXml(zip, 'ppt/presentation.xml');
+    if (!presentation) {
+      throw new Error('Not a valid PPTX file: ppt/presentation.xml is missing');
+    }
+    
+    const targets = await this.readRelationships(zip, 'ppt/_rels/presentation.xml.rels', 'ppt');
+    const slidePaths = presentation('p\\:sldIdLst p\\:sldId')
+      .map((_, slide) => targets[presentation(slide).attr('r:id')])
+      .get()
+      .filter(Boolean);
+    
+    const sections = [];
+    
+    for (let i = 0; i < slidePaths.length; i++) {
+      const $ = await this.readXml(zip, slidePaths[i]);
+      if (!$) continue;
+      
+      let title = '';
+      const blocks = [];
+      
+      $('p\\:cSld p\\:spTree').children().each((_, shape) => {
+        const node = $(shape);
+        
+        if (node.find('a\\:tbl').length) {
+          const rows = node.find('a\\:tr').map((__, tr) => [
+            $(tr).find('a\\:tc').map((___, tc) => this.pptxText($, $(tc)).join(' ')).get()
+          ]).get();
+          if (rows.length) blocks.push(toMarkdownTable(rows));
+          return;
+        }
+        
+        const placeholder = node.find('p\\:nvPr p\\:ph').attr('type');
+        const paragraphs = node.find('a\\:p').map((__, p) => {
+          const text = $(p).find('a\\:t').map((___, t) => $(t).text()).get().join('').trim();
+          if (!text) return null;
+          
+          const level = parseInt($(p).find('a\\:pPr').attr('lvl') || '0', 10);
+          const bulleted = placeholder === 'body' || placeholder === undefined && $(p).find('a\\:buChar, a\\:buAutoNum').length;
+          return bulleted ? `${'  '.repeat(level)}- ${text}` : text;
+        }).get();
+        
+        if (!paragraphs.length) return;
+        
+        if (!title && (placeholder === 'title' || placeholder === 'ctrTitle')) {
+          title = paragraphs.join(' ');
+        } else {
+          blocks.push(paragraphs.join('\n'));
+        }
+      });
+      
+      const notes = await this.readSlideNotes(zip, slidePaths[i]);
+      
+      sections.push([
+        `<!-- Slide ${i + 1} -->`,
+        `## ${title || `Slide ${i + 1}`}`,
+        ...blocks,
+        ...(notes ? [`### Notes\n\n${notes}`] : [])
+      ].join('\n\n'));
+    }
+    
+    return {
+      title: await this.readCoreTitle(zip),
+      markdown: sections.join('\n\n'),
+      metadata: {
+        slides: slidePaths.length
+      }
+    };
+  }
+
+  pptxText($, node) {
+    return node.find('a\\:p').map((_, p) => $(p).find('a\\:t').map((__, t) => $(t).text()).get().join('')).get()
+      .filter(text => text.trim());
+  }
+
+  async readSlideNotes(zip, slidePath) {
+    const relsPath = path.posix.join(path.posix.dirname(slidePath), '_rels', `${path.posix.basename(slidePath)}.rels`);
+    const targets = await this.readRelationships(zip, relsPath, path.posix.dirname(slidePath), 'notesSlide');
+    const notesPath = Object.values(targets)[0];
+    const $ = notesPath && await this.readXml(zip, notesPath);
+    if (!$) return null;
+    
+    // Only the body placeholder holds the notes text (others are slide image and number)
+    const text = $('p\\:sp').filter((_, shape) => $(shape).find('p\\:ph').attr('type') === 'body')
+      .map((_, shape) => this.pptxText($, $(shape)).join('\n')).get().join('\n').trim();
+    
+    return text || null;
+  }
+
+  // CSV/TSV with quoted fields; the delimiter is guessed from the first line
+  convertCsv(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+      firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+    
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+      
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(field);
+        rows.push(row);
+        row = [];
+        field = '';
+      } else {
+        field += char;
+      }
+    }
+    
+    if (field || row.length) {
+      row.push(field);
+      rows.push(row);
+    }
+    
+    const nonEmpty = rows.filter(cells => cells.some(value => value.trim() !== '')).slice(0, this.options.maxRows);
+    
+    return {
+      title: null,
+      markdown: nonEmpty.length ? toMarkdownTable(nonEmpty) : '',
+      metadata: {
+        rows: nonEmpty.length
+      }
+    };
+  }
+
+  // "AB12" -> 27
+  columnIndex(ref) {
+    const letters = (ref || '').match(/^[A-Z]+/);
+    if (!letters) return null;
+    return letters[0].split('').reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  }
+
+  /**
+   * Open a DOCX, XLSX or PPTX zip after checking how much it inflates to:
+   * first the sizes in its directory, then the bytes actually inflated, so
+   * a zip bomb with forged sizes is stopped as well. The inflated output is
+   * discarded; entries are read again when they are converted.
+   */
+  async loadZip(buffer) {
+    const zip = await JSZip.loadAsync(buffer);
+    const limit = this.options.maxUncompressedSize;
+    const files = Object.values(zip.files).filter(file => !file.dir);
+    const tooLarge = () => new Error(`Document is too large when uncompressed (limit ${limit} bytes)`);
+    
+    const declared = files.reduce((total, file) => total + ((file._data && file._data.uncompressedSize) || 0), 0);
+    if (declared > limit) {
+      throw tooLarge();
+    }
+    
+    let inflated = 0;
+    for (const file of files) {
+      await new Promise((resolve, reject) => {
+        const stream = file.internalStream('uint8array');
+        stream
+          .on('data', chunk => {
+            inflated += chunk.length;
+            if (inflated > limit) {
+              stream.pause();
+              reject(tooLarge());
+            }
+          })
+          .on('error', reject)
+          .on('end', resolve)
+          .resume();
+      });
+    }
+    
+    return zip;
+  }
+
+  async readXml(zip, name) {
+    const file = zip.file(name);
+    if (!file) return null;
+    return cheerio.load(await file.async('string'), { xml: true });
+  }
+
+  // Map relationship ids to zip paths, optionally only of one relationship type
+  async readRelationships(zip, relsPath, baseDir, type) {
+    const $ = await this.readXml(zip, relsPath);
+    const targets = {};
+    if (!$) return targets;
+    
+    $('Relationship').each((_, rel) => {
+      const node = $(rel);
+      if (type && !(node.attr('Type') || '').endsWith(`/${type}`)) return;
+      
+      const target = node.attr('Target');
+      targets[node.attr('Id')] = target.startsWith('/')
+        ? target.slice(1)
+        : path.posix.normalize(path.posix.join(baseDir, target));
+    });
+    
+    return targets;
+  }
+
+  async readCoreTitle(zip) {
+    const $ = await this.readXml(zip, 'docProps/core.xml');
+    const title = $ ? $('dc\\:title').text().trim() : '';
+    return title || null;
+  }
+}
+
+DocumentConverter.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+module.exports = DocumentConverter;
@@ -77,7 +77,7 @@ class ContentExtractor {
       if (this.options.waitTime > 0) {
         await page.waitForTimeout(this.options.waitTime);
       }
-
+      
       // Get page content
       const content = await page.content();
       const title = await page.title();
@@ -91,7 +91,7 @@ class ContentExtractor {
       if (!readableContent) {
         throw new Error('Failed to extract readable content');
       }
-
+      
       // Process content based on options
       const processedContent = this.processContent(readableContent);
       
@@ -99,6 +99,8 @@ class ContentExtractor {
         title: readableContent.title || title,
         content: processedContent.content,
         textContent: readableContent.textContent,
+        text: this.cleanText(processedContent.textContent),
+        rawHtml: content,
         length: readableContent.length,
         excerpt: readableContent.excerpt,
         byline: readableContent.byline,
@@ -112,9 +114,78 @@ class ContentExtractor {
           readingTime: this.calculateReadingTime(readableContent.textContent)
         }
       };
+    
+    } catch (error) {
+      throw new Error(`Content extraction failed: ${error.message}`);
+    }
+  }
 
+  // Same pipeline as extractContent for HTML that was not rendered in a
+  // browser (uploads, stored pages): Readability, cleanup, metadata and links
+  extractFromHtml(html, url) {
+    const dom = new JSDOM(html, { url });
+    
+    try {
+      const document = dom.window.document;
+      const metaTags = {};
+      
+      document.querySelectorAll('meta').forEach(meta => {
+        const name = meta.getAttribute('name') || meta.getAttribute('property');
+        const content = meta.getAttribute('content');
+        
+        if (name && content) {
+          metaTags[name] = content;
+        }
+      });
+      
+      const structuredData = [];
+      document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        try {
+          structuredData.push(JSON.parse(script.textContent));
+        } catch (e) {
+          // Ignore invalid JSON
+        }
+      });
+      
+      const links = Array.from(new Set(
+        Array.from(document.querySelectorAll('a[href]'))
+          .map(a => a.href)
+          .filter(href => href.startsWith('http:') || href.startsWith('https:'))
+      ));
+      
+      const readableContent = this.extractReadableContent(html, url);
+      
+      if (!readableContent) {
+        throw new Error('Failed to extract readable content');
+      }
+      
+      const processedContent = this.processContent(readableContent);
+      
+      return {
+        title: readableContent.title || document.title,
+        content: processedContent.content,
+        textContent: readableContent.textContent,
+        text: this.cleanText(processedContent.textContent),
+        rawHtml: html,
+        links,
+        length: readableContent.length,
+        excerpt: readableContent.excerpt,
+        byline: readableContent.byline,
+        dir: readableContent.dir,
+        lang: readableContent.lang,
+        metadata: {
+          ...this.buildMetadata(metaTags, structuredData),
+          url,
+          extractedAt: new Date().toISOString(),
+          wordCount: this.countWords(readableContent.textContent),
+          readingTime: this.calculateReadingTime(readableContent.textContent)
+        }
+      };
+    
     } catch (error) {
       throw new Error(`Content extraction failed: ${error.message}`);
+    } finally {
+      dom.window.close();
     }
   }
 
@@ -175,42 +246,62 @@ class ContentExtractor {
         return data;
       });
       
-      // Extract Open Graph data
-      const ogData = {};
-      Object.keys(metaTags).forEach(key => {
-        if (key.startsWith('og:')) {
-          ogData[key.replace('og:', '')] = metaTags[key];
-        }
-      });
-      
-      // Extract Twitter Card data
-      const twitterData = {};
-      Object.keys(metaTags).forEach(key => {
-        if (key.startsWith('twitter:')) {
-          twitterData[key.replace('twitter:', '')] = metaTags[key];
-        }
-      });
-      
-      return {
-        ...metaTags,
-        openGraph: ogData,
-        twitter: twitterData,
-        structuredData,
-        author: metaTags.author || ogData.author || twitterData.creator,
-        description: metaTags.description || ogData.description || twitterData.description,
-        keywords: metaTags.keywords,
-        publishedTime: metaTags['article:published_time'] || ogData.published_time,
-        modifiedTime: metaTags['article:modified_time'] || ogData.modified_time,
-        image: ogData.image || twitterData.image,
-        siteName: ogData.site_name
-      };
-      
+      return this.buildMetadata(metaTags, structuredData);
+    
     } catch (error) {
       console.error('Metadata extraction failed:', error);
       return {};
     }
   }
 
+  buildMetadata(metaTags, structuredData) {
+    // Extract Open Graph data
+    const ogData = {};
+    Object.keys(metaTags).forEach(key => {
+      if (key.startsWith('og:')) {
+        ogData[key.replace('og:', '')] = metaTags[key];
+      }
+    });
+    
+    // Extract Twitter Card data
+    const twitterData = {};
+    Object.keys(metaTags).forEach(key => {
+      if (key.startsWith('twitter:')) {
+        twitterData[key.replace('twitter:', '')] = metaTags[key];
+      }
+    });
+    
+    return {
+      ...metaTags,
+      openGraph: ogData,
+      twitter: twitterData,
+      structuredData,
+      author: metaTags.author || ogData.author || twitterData.creator,
+      description: metaTags.description || ogData.description || twitterData.description,
+      keywords: metaTags.keywords,
+      publishedTime: metaTags['article:published_time'] || ogData.published_time,
+      modifiedTime: metaTags['article:modified_time'] || ogData.modified_time,
+      image: ogData.image || twitterData.image,
+      siteName: ogData.site_name
+    };
+  }
+
+  async extractLinks(page) {
+    try {
+      // Resolve hrefs in the page so relative links come back absolute
+      const links = await page.evaluate(() => {
+        return Array.from(document.querySelectorAll('a[href]'))
+          .map(a => a.href)
+          .filter(href => href.startsWith('http:') || href.startsWith('https:'));
+      });
+      
+      return Array.from(new Set(links));
+    } catch (error) {
+      console.error('Link extraction failed:', error);
+      return [];
+    }
+  }
+
   processContent(readableContent) {
     let content = readableContent.content;
     
@@ -286,6 +377,16 @@ class ContentExtractor {
     };
   }
 
+  // Collapse the whitespace left behind by markup into plain paragraphs
+  cleanText(text) {
+    if (!text) return '';
+    return text
+      .replace(/[ \t\u00a0]+/g, ' ')
+      .replace(/ *\n */g, '\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+  }
+
   countWords(text) {
     if (!text) return 0;
     return text.trim().split(/\s+/).filter(word => word.length > 0).length;
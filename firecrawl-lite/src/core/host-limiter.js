@@ -0,0 +1,120 @@
+// Per-host politeness: caps the number of requests in flight to one host and
+// spaces out their start times, independently of the global browser pool
+class HostLimiter {
+  constructor(options = {}) {
+    this.options = {
+      maxConcurrentPerHost: 2,
+      defaultDelay: 1000, // milliseconds between requests when robots.txt sets no Crawl-delay
+      maxDelay: 30000, // upper bound for Crawl-delay values
+      ...options
+    };
+    
+    this.hosts = new Map();
+    
+    this.stats = {
+      scheduled: 0,
+      delayed: 0,
+      totalWaitTime: 0
+    };
+  }
+
+  // Run task once a slot for the host is free and its delay has passed.
+  // delay overrides the default spacing (e.g. the robots.txt Crawl-delay).
+  async schedule(host, task, delay = null) {
+    await this.acquire(host, this.resolveDelay(delay));
+    
+    try {
+      return await task();
+    } finally {
+      this.release(host);
+    }
+  }
+
+  resolveDelay(delay) {
+    if (delay === null || delay === undefined) {
+      return this.options.defaultDelay;
+    }
+    return Math.min(Math.max(delay, this.options.defaultDelay), this.options.maxDelay);
+  }
+
+  getHost(host) {
+    let state = this.hosts.get(host);
+    if (!state) {
+      state = { active: 0, queue: [], nextStart: 0 };
+      this.hosts.set(host, state);
+    }
+    return state;
+  }
+
+  async acquire(host, delay) {
+    const state = this.getHost(host);
+    const queuedAt = Date.now();
+    this.stats.scheduled++;
+    
+    if (state.active < this.options.maxConcurrentPerHost) {
+      state.active++;
+    } else {
+      // release() hands its slot straight to the next waiter
+      await new Promise(resolve => state.queue.push(resolve));
+    }
+    
+    // Reserve the next start time before waiting, so waiters keep their order
+    const now = Date.now();
+    const startAt = Math.max(now, state.nextStart);
+    state.nextStart = startAt + delay;
+    
+    if (startAt > now) {
+      this.stats.delayed++;
+      await new Promise(resolve => setTimeout(resolve, startAt - now));
+    }
+    
+    this.stats.totalWaitTime += Date.now() - queuedAt;
+  }
+
+  release(host) {
+    const state = this.hosts.get(host);
+    if (!state) return;
+    
+    const next = state.queue.shift();
+    if (next) {
+      next();
+      return;
+    }
+    
+    state.active--;
+    
+    // Forget idle hosts once their delay has passed
+    if (state.active === 0) {
+      const remaining = state.nextStart - Date.now();
+      const forget = () => {
+        if (this.hosts.get(host) === state && state.active === 0 && state.queue.length === 0) {
+          this.hosts.delete(host);
+        }
+      };
+      
+      if (remaining > 0) {
+        setTimeout(forget, remaining).unref();
+      } else {
+        forget();
+      }
+    }
+  }
+
+  getStats() {
+    const hosts = {};
+    this.hosts.forEach((state, host) => {
+      if (state.active > 0 || state.queue.length > 0) {
+        hosts[host] = { active: state.active, queued: state.queue.length };
+      }
+    });
+    
+    return {
+      ...this.stats,
+      averageWaitTime: this.stats.scheduled > 0 ? Math.round(this.stats.totalWaitTime / this.stats.scheduled) : 0,
+      maxConcurrentPerHost: this.options.maxConcurrentPerHost,
+      activeHosts: hosts
+    };
+  }
+}
+
+module.exports = HostLimiter;
@@ -0,0 +1,283 @@
+const Queue = require('bull');
+const { v4: uuidv4 } = require('uuid');
+
+// Both queue backends expose the same interface:
+//   process(handler)  handler(job, context) runs one job; context lets it store
+//                     per-item results, report progress and check cancellation
+//   add(data)         enqueue a job and return its record
+//   getJob(id)        return the job record or null
+//   cancel(id)        cancel a waiting job, or ask an active one to stop
+//   close()
+//
+// A job record looks like:
+//   { id, data, state, progress, result, error, results, createdAt, startedAt, finishedAt }
+// where state is one of waiting, active, completed, failed or cancelled.
+
+class MemoryJobQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 1;
+    this.maxFinishedJobs = options.maxFinishedJobs || 1000;
+    
+    this.jobs = new Map();
+    this.pending = [];
+    this.activeCount = 0;
+    this.handler = null;
+  }
+
+  process(handler) {
+    this.handler = handler;
+    this.drain();
+  }
+
+  async add(data) {
+    const job = {
+      id: uuidv4(),
+      data,
+      state: 'waiting',
+      progress: null,
+      result: null,
+      error: null,
+      results: [],
+      cancelRequested: false,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null
+    };
+    
+    this.jobs.set(job.id, job);
+    this.pending.push(job.id);
+    setImmediate(() => this.drain());
+    
+    return this.toRecord(job);
+  }
+
+  drain() {
+    while (this.handler && this.activeCount < this.concurrency && this.pending.length > 0) {
+      const job = this.jobs.get(this.pending.shift());
+      if (job) {
+        this.run(job);
+      }
+    }
+  }
+
+  async run(job) {
+    this.activeCount++;
+    job.state = 'active';
+    job.startedAt = new Date().toISOString();
+    
+    try {
+      job.result = await this.handler({ id: job.id, data: job.data }, this.createContext(job));
+      job.state = job.cancelRequested ? 'cancelled' : 'completed';
+    } catch (error) {
+      job.state = 'failed';
+      job.error = error.message;
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      this.activeCount--;
+      this.pruneFinishedJobs();
+      this.drain();
+    }
+  }
+
+  createContext(job) {
+    return {
+      getResults: async () => [...job.results],
+      saveResult: async (index, result) => {
+        job.results[index] = result;
+      },
+      updateProgress: async (progress) => {
+        job.progress = progress;
+      },
+      isCancelled: async () => job.cancelRequested
+    };
+  }
+
+  async getJob(id) {
+    const job = this.jobs.get(id);
+    return job ? this.toRecord(job) : null;
+  }
+
+  async cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job) return null;
+    
+    if (job.state === 'waiting') {
+      this.pending = this.pending.filter(pendingId => pendingId !== id);
+      job.state = 'cancelled';
+      job.finishedAt = new Date().toISOString();
+    } else if (job.state === 'active') {
+      job.cancelRequested = true;
+    }
+    
+    return this.toRecord(job);
+  }
+
+  pruneFinishedJobs() {
+    const finished = Array.from(this.jobs.values()).filter(job => job.finishedAt);
+    const excess = finished.length - this.maxFinishedJobs;
+    
+    // Map iteration follows insertion order, so the oldest jobs go first
+    for (let i = 0; i < excess; i++) {
+      this.jobs.delete(finished[i].id);
+    }
+  }
+
+  toRecord(job) {
+    return {
+      id: job.id,
+      data: job.data,
+      state: job.state,
+      progress: job.progress,
+      result: job.result,
+      error: job.error,
+      results: [...job.results],
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt
+    };
+  }
+
+  async close() {
+    this.handler = null;
+    this.pending = [];
+  }
+}
+
+// Redis-backed queue. Jobs, per-item results and cancellation flags live in
+// Redis, so queued jobs survive a restart and an interrupted job resumes from
+// the results it had already stored.
+class BullJobQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency || 1;
+    this.retention = options.retention || 7 * 24 * 60 * 60; // seconds
+    
+    const redis = options.redis || {};
+    this.queue = new Queue(options.name || 'firecrawl-lite-jobs', {
+      redis: {
+        host: redis.host || 'localhost',
+        port: redis.port || 6379,
+        db: redis.db || 0,
+        ...(redis.password && { password: redis.password })
+      },
+      settings: {
+        // Allow a job to be picked up again after a few restarts mid-run
+        maxStalledCount: 3
+      }
+    });
+    
+    this.queue.on('error', (error) => {
+      console.error('Job queue error:', error.message);
+    });
+  }
+
+  resultsKey(id) {
+    return this.queue.toKey(`results:${id}`);
+  }
+
+  cancelledKey(id) {
+    return this.queue.toKey(`cancelled:${id}`);
+  }
+
+  process(handler) {
+    this.queue.process(this.concurrency, (job) => {
+      return handler({ id: String(job.id), data: job.data }, this.createContext(job));
+    });
+  }
+
+  createContext(job) {
+    const id = String(job.id);
+    
+    return {
+      getResults: () => this.loadResults(id),
+      saveResult: async (index, result) => {
+        const key = this.resultsKey(id);
+        await this.queue.client.hset(key, String(index), JSON.stringify(result));
+        await this.queue.client.expire(key, this.retention);
+      },
+      updateProgress: (progress) => job.progress(progress),
+      isCancelled: () => this.isCancelled(id)
+    };
+  }
+
+  async add(data) {
+    const job = await this.queue.add(data, {
+      removeOnComplete: { age: this.retention },
+      removeOnFail: { age: this.retention }
+    });
+    
+    return this.getJob(job.id);
+  }
+
+  async getJob(id) {
+    const job = await this.queue.getJob(id);
+    if (!job) return null;
+    
+    const [bullState, cancelled, results] = await Promise.all([
+      job.getState(),
+      this.isCancelled(id),
+      this.loadResults(id)
+    ]);
+    
+    return {
+      id: String(job.id),
+      data: job.data,
+      state: this.mapState(bullState, cancelled),
+      progress: job.progress() || null,
+      result: job.returnvalue || null,
+      error: job.failedReason || null,
+      results,
+      createdAt: new Date(job.timestamp).toISOString(),
+      startedAt: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+      finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+    };
+  }
+
+  mapState(bullState, cancelled) {
+    if (cancelled && bullState !== 'failed') {
+      // An active job keeps running until it notices the flag
+      return bullState === 'active' ? 'active' : 'cancelled';
+    }
+    
+    if (bullState === 'delayed' || bullState === 'paused' || bullState === 'stuck') {
+      return 'waiting';
+    }
+    
+    return bullState;
+  }
+
+  async cancel(id) {
+    const job = await this.queue.getJob(id);
+    if (!job) return null;
+    
+    // Bull cannot stop a running processor, so cancellation is cooperative:
+    // the processor checks the flag between items, and a waiting job finishes
+    // immediately once it is picked up. The flag expires with the job's results.
+    await this.queue.client.set(this.cancelledKey(job.id), '1', 'EX', this.retention);
+    
+    return this.getJob(id);
+  }
+
+  async isCancelled(id) {
+    return (await this.queue.client.exists(this.cancelledKey(id))) === 1;
+  }
+
+  async loadResults(id) {
+    const stored = await this.queue.client.hgetall(this.resultsKey(id));
+    const results = [];
+    
+    Object.keys(stored || {}).forEach(index => {
+      results[parseInt(index, 10)] = JSON.parse(stored[index]);
+    });
+    
+    return results;
+  }
+
+  async close() {
+    await this.queue.close();
+  }
+}
+
+module.exports = {
+  MemoryJobQueue,
+  BullJobQueue
+};
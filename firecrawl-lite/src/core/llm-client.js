@@ -0,0 +1,83 @@
+const axios = require('axios');
+
+// Minimal client for OpenAI-compatible chat completion APIs (OpenAI, llama.cpp
+// server, Ollama, vLLM, LiteLLM, ...). Only POST {baseUrl}/chat/completions is used.
+class LLMClient {
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || null;
+    this.model = options.model;
+    this.temperature = options.temperature !== undefined ? options.temperature : 0;
+    this.maxTokens = options.maxTokens || 2048;
+    this.timeout = options.timeout || 120000;
+    this.jsonMode = options.jsonMode !== false;
+    
+    if (!this.baseUrl) {
+      throw new Error('LLM base URL is not configured. Please set LLM_BASE_URL in environment variables.');
+    }
+    
+    this.http = axios.create({
+      baseURL: this.baseUrl,
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` })
+      }
+    });
+  }
+
+  async chat(messages, options = {}) {
+    const body = {
+      model: options.model || this.model,
+      messages,
+      temperature: options.temperature !== undefined ? options.temperature : this.temperature,
+      max_tokens: options.maxTokens || this.maxTokens
+    };
+    
+    // Servers that do not understand response_format simply ignore it
+    if (this.jsonMode) {
+      body.response_format = { type: 'json_object' };
+    }
+    
+    try {
+      const response = await this.http.post('/chat/completions', body);
+      const choice = response.data && response.data.choices && response.data.choices[0];
+      
+      if (!choice || !choice.message) {
+        throw new Error('Response contains no choices');
+      }
+      
+      return {
+        content: choice.message.content || '',
+        model: response.data.model || body.model,
+        usage: response.data.usage || null
+      };
+    } catch (error) {
+      if (error.response) {
+        const detail = error.response.data && error.response.data.error;
+        const message = detail ? (detail.message || JSON.stringify(detail)) : error.response.statusText;
+        throw new Error(`LLM request failed with status ${error.response.status}: ${message}`);
+      }
+      throw new Error(`LLM request failed: ${error.message}`);
+    }
+  }
+
+  // Parse a JSON object out of a completion, tolerating ```json fences and surrounding prose
+  parseJson(content) {
+    const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    const text = fenced ? fenced[1] : content;
+    
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      const start = text.indexOf('{');
+      const end = text.lastIndexOf('}');
+      if (start > -1 && end > start) {
+        return JSON.parse(text.slice(start, end + 1));
+      }
+      throw new Error('LLM response is not valid JSON');
+    }
+  }
+}
+
+module.exports = LLMClient;
@@ -0,0 +1,248 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Conda installations looked for when neither condaRoot nor CONDA_EXE is set
+const CONDA_ROOTS = [
+  '/opt/anaconda3',
+  '/opt/miniconda3',
+  '/usr/local/anaconda3',
+  '/usr/local/miniconda3',
+  path.join(os.homedir(), 'anaconda3'),
+  path.join(os.homedir(), 'miniconda3')
+];
+
+// Conda environment names are used as a path segment, so nothing else gets through
+const ENV_NAME = /^[a-zA-Z0-9_-]+$/;
+
+// Grace period between SIGTERM and SIGKILL when a run is stopped
+const KILL_GRACE = 2000;
+
+// Runs the markitdown CLI as "<python> -m markitdown [args]" without a
+// shell: arguments are passed as an argv array, input bytes go to stdin, the
+// markdown is read from stdout, and at most maxWorkers processes run at a time. Each process gets its
+// own process group so a timeout also stops whatever it started.
+class MarkitdownRunner {
+  constructor(options = {}) {
+    this.options = {
+      pythonPath: null, // explicit interpreter, e.g. a venv's bin/python; wins over condaEnv
+      condaRoot: null, // conda installation; defaults to CONDA_EXE or a common location
+      condaEnv: 'py312-tools',
+      timeout: 60000,
+      maxWorkers: 2,
+      maxQueue: 50, // runs waiting for a worker; more are refused
+      maxOutputSize: 20 * 1024 * 1024, // bytes of markdown read from stdout
+      ...options
+    };
+    
+    this.condaRoot = this.options.condaRoot || this.findCondaRoot();
+    this.interpreters = new Map(); // conda env -> python path, or null when missing
+    this.active = 0;
+    this.queue = [];
+    this.processes = new Set();
+    
+    this.stats = {
+      runs: 0,
+      completed: 0,
+      failed: 0,
+      timedOut: 0,
+      rejected: 0,
+      totalWaitTime: 0
+    };
+    
+    // Resolve the default interpreter once so misconfiguration shows up at startup
+    const python = this.resolveInterpreter();
+    if (python) {
+      console.log(`Markitdown: Using interpreter ${python}`);
+    } else {
+      console.warn(`Markitdown: No Python interpreter found for conda env "${this.options.condaEnv}"; set markitdown.pythonPath or markitdown.condaRoot`);
+    }
+  }
+
+  findCondaRoot() {
+    if (process.env.CONDA_EXE) {
+      return path.dirname(path.dirname(process.env.CONDA_EXE));
+    }
+    return CONDA_ROOTS.find(root => fs.existsSync(path.join(root, 'bin', 'python'))) || null;
+  }
+
+  // Python interpreter for a conda env, resolved once per env. Returns null when
+  // it does not exist; pythonPath is used for every env when it is set.
+  resolveInterpreter(condaEnv = this.options.condaEnv) {
+    if (this.options.pythonPath) {
+      return this.options.pythonPath;
+    }
+    
+    if (!this.interpreters.has(condaEnv)) {
+      let python = null;
+      
+      if (this.condaRoot && ENV_NAME.test(condaEnv)) {
+        const candidate = condaEnv === 'base'
+          ? path.join(this.condaRoot, 'bin', 'python')
+          : path.join(this.condaRoot, 'envs', condaEnv, 'bin', 'python');
+        python = fs.existsSync(candidate) ? candidate : null;
+      }
+      
+      this.interpreters.set(condaEnv, python);
+    }
+    
+    return this.interpreters.get(condaEnv);
+  }
+
+  /**
+   * Run "python -m markitdown" with args once a worker is free, writing input
+   * (a Buffer) to its stdin when given.
+   * Resolves with { stdout, stderr }; rejects when the interpreter is missing,
+   * the queue is full, the process fails or it runs longer than timeout ms.
+   */
+  async run(args, { condaEnv, timeout, input } = {}) {
+    const python = this.resolveInterpreter(condaEnv || this.options.condaEnv);
+    
+    if (!python) {
+      throw new Error(`No Python interpreter found for conda env "${condaEnv || this.options.condaEnv}"`);
+    }
+    
+    this.stats.runs++;
+    await this.acquire();
+    
+    try {
+      return await this.execute(python, ['-m', 'markitdown', ...args], timeout || this.options.timeout, input);
+    } finally {
+      this.release();
+    }
+  }
+
+  async acquire() {
+    if (this.active < this.options.maxWorkers) {
+      this.active++;
+      return;
+    }
+    
+    if (this.queue.length >= this.options.maxQueue) {
+      this.stats.rejected++;
+      throw new Error(`Markitdown worker pool is full (${this.options.maxWorkers} running, ${this.queue.length} queued)`);
+    }
+    
+    // release() hands its worker straight to the next waiter
+    const queuedAt = Date.now();
+    await new Promise(resolve => this.queue.push(resolve));
+    this.stats.totalWaitTime += Date.now() - queuedAt;
+  }
+
+  release() {
+    const next = this.queue.shift();
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  execute(python, argv, timeout, input) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(python, argv, {
+        detached: true, // own process group, killed as a whole
+        stdio: [input ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+        env: {
+          ...process.env,
+          // The interpreter's bin directory first, as "conda activate" would
+          PATH: `${path.dirname(python)}${path.delimiter}${process.env.PATH || ''}`,
+          PYTHONIOENCODING: 'utf-8'
+        }
+      });
+      
+      this.processes.add(child);
+      
+      const stdout = [];
+      let stdoutSize = 0;
+      let stderr = '';
+      let failure = null;
+      
+      const stop = (error) => {
+        if (failure) return;
+        failure = error;
+        this.killGroup(child);
+      };
+      
+      const timer = setTimeout(() => {
+        this.stats.timedOut++;
+        stop(new Error(`Markitdown command timed out after ${timeout}ms`));
+      }, timeout);
+      
+      child.stdout.on('data', (chunk) => {
+        stdoutSize += chunk.length;
+        if (stdoutSize > this.options.maxOutputSize) {
+          stop(new Error(`Markitdown output exceeds ${this.options.maxOutputSize} bytes`));
+          return;
+        }
+        stdout.push(chunk);
+      });
+      
+      // Only the end of stderr is kept; it holds the Python traceback
+      child.stderr.on('data', (chunk) => {
+        stderr = (stderr + chunk.toString()).slice(-4096);
+      });
+      
+      child.on('error', (error) => {
+        stop(new Error(`Failed to execute markitdown: ${error.message}`));
+      });
+      
+      // A process that exits before reading everything closes the pipe; its exit code tells why
+      if (input) {
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+      }
+      
+      child.on('close', (code, signal) => {
+        clearTimeout(timer);
+        this.processes.delete(child);
+        
+        if (!failure && code !== 0) {
+          failure = new Error(`Markitdown command failed with ${signal ? `signal ${signal}` : `code ${code}`}. stderr: ${stderr.trim()}`);
+        }
+        
+        if (failure) {
+          this.stats.failed++;
+          return reject(failure);
+        }
+        
+        this.stats.completed++;
+        resolve({ stdout: Buffer.concat(stdout).toString('utf8'), stderr });
+      });
+    });
+  }
+
+  // SIGTERM to the whole process group, SIGKILL if it is still there after the grace period
+  killGroup(child) {
+    const signalGroup = (signal) => {
+      try {
+        process.kill(-child.pid, signal);
+      } catch (error) {
+        // The group is already gone
+      }
+    };
+    
+    if (!child.pid) return;
+    
+    signalGroup('SIGTERM');
+    const timer = setTimeout(() => signalGroup('SIGKILL'), KILL_GRACE);
+    timer.unref();
+  }
+
+  shutdown() {
+    this.processes.forEach(child => this.killGroup(child));
+  }
+
+  getStats() {
+    return {
+      interpreter: this.resolveInterpreter(),
+      maxWorkers: this.options.maxWorkers,
+      running: this.active,
+      queued: this.queue.length,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = MarkitdownRunner;
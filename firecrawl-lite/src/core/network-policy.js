@@ -0,0 +1,399 @@
+const axios = require('axios');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+
+// Address ranges that are never fetched unless allowCidrs opens them up
+const PRIVATE_RANGES = [
+  ['0.0.0.0', 8, 'ipv4'], // "this network"
+  ['10.0.0.0', 8, 'ipv4'], // private
+  ['100.64.0.0', 10, 'ipv4'], // carrier-grade NAT
+  ['127.0.0.0', 8, 'ipv4'], // loopback
+  ['169.254.0.0', 16, 'ipv4'], // link-local, including cloud metadata at 169.254.169.254
+  ['172.16.0.0', 12, 'ipv4'], // private
+  ['192.0.0.0', 24, 'ipv4'], // IETF protocol assignments
+  ['192.168.0.0', 16, 'ipv4'], // private
+  ['198.18.0.0', 15, 'ipv4'], // benchmarking
+  ['224.0.0.0', 4, 'ipv4'], // multicast
+  ['240.0.0.0', 4, 'ipv4'], // reserved and broadcast
+  ['::', 128, 'ipv6'], // unspecified
+  ['::1', 128, 'ipv6'], // loopback
+  ['64:ff9b::', 96, 'ipv6'], // NAT64, which reaches the IPv4 address in its last 32 bits
+  ['64:ff9b:1::', 48, 'ipv6'], // local-use NAT64
+  ['2002::', 16, 'ipv6'], // 6to4, which embeds an IPv4 address
+  ['fc00::', 7, 'ipv6'], // unique local
+  ['fe80::', 10, 'ipv6'], // link-local
+  ['ff00::', 8, 'ipv6'] // multicast
+];
+
+// Names that point at the server itself or at metadata services whatever DNS says
+const LOCAL_HOSTNAMES = ['localhost', 'metadata.google.internal'];
+
+// Schemes a page may load without touching the network
+const LOCAL_SCHEMES = ['data:', 'blob:', 'about:'];
+
+// Headers that describe one hop of the connection rather than the request or response
+const HOP_HEADERS = ['connection', 'content-length', 'host', 'keep-alive', 'transfer-encoding'];
+
+const familyOf = (address) => (net.isIP(address) === 6 ? 'ipv6' : 'ipv4');
+
+// ::ffff:7f00:1 and ::ffff:127.0.0.1 are checked as 127.0.0.1
+const unmapAddress = (address) => {
+  const dotted = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (dotted) return dotted[1];
+
+  const hex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (hex) {
+    const high = parseInt(hex[1], 16);
+    const low = parseInt(hex[2], 16);
+    return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+  }
+
+  return address;
+};
+
+// "example.com" and "*.example.com" both match example.com and its subdomains
+const matchesDomain = (hostname, domains) => domains.some(domain => {
+  const name = domain.toLowerCase().replace(/^\*\./, '');
+  return hostname === name || hostname.endsWith(`.${name}`);
+});
+
+const stripBrackets = (hostname) => hostname.replace(/^\[|\]$/g, '').toLowerCase();
+
+// Decides which hosts the server may connect to for user-supplied URLs. Every
+// address a name resolves to has to pass: private, loopback, link-local and
+// metadata ranges are refused unless allowlisted, and the deny lists always win.
+class NetworkPolicy {
+  constructor(options = {}) {
+    this.options = {
+      enabled: true,
+      blockPrivateNetworks: true,
+      allowDomains: [], // trusted hosts, fetched even when they resolve to private addresses
+      denyDomains: [],
+      allowCidrs: [], // private ranges that may be fetched, e.g. an intranet
+      denyCidrs: [],
+      requestTimeout: 30000, // for browser requests the policy fetches itself
+      ...options
+    };
+    
+    this.privateRanges = new net.BlockList();
+    PRIVATE_RANGES.forEach(([address, prefix, type]) => this.privateRanges.addSubnet(address, prefix, type));
+    
+    this.allowList = this.buildList(this.options.allowCidrs, 'allowCidrs');
+    this.denyList = this.buildList(this.options.denyCidrs, 'denyCidrs');
+    
+    // Connections made by Node (robots.txt, sitemaps, documents, webhooks) check
+    // the address they actually connect to, so DNS changes after check() do not help
+    const lookup = this.lookup.bind(this);
+    this.httpAgent = new http.Agent({ lookup });
+    this.httpsAgent = new https.Agent({ lookup });
+    
+    this.stats = {
+      checks: 0,
+      blocked: 0,
+      blockedSubrequests: 0
+    };
+  }
+
+  buildList(entries, name) {
+    const list = new net.BlockList();
+    
+    entries.forEach(entry => {
+      const [address, prefix] = String(entry).split('/');
+      const type = familyOf(address);
+      
+      if (!net.isIP(address)) {
+        console.error(`Network policy: Ignoring invalid ${name} entry "${entry}"`);
+        return;
+      }
+      
+      if (prefix === undefined) {
+        list.addAddress(address, type);
+      } else {
+        list.addSubnet(address, parseInt(prefix, 10), type);
+      }
+    });
+    
+    return list;
+  }
+
+  // Reason an address may not be connected to, or null
+  checkAddress(address, trusted = false) {
+    const ip = unmapAddress(address);
+    const type = familyOf(ip);
+    
+    if (this.denyList.check(ip, type)) {
+      return `Address ${address} is on the deny list`;
+    }
+    
+    if (trusted || !this.options.blockPrivateNetworks || this.allowList.check(ip, type)) {
+      return null;
+    }
+    
+    if (this.privateRanges.check(ip, type)) {
+      return `Address ${address} is in a private, loopback, link-local or reserved range`;
+    }
+    
+    return null;
+  }
+
+  // Checks that need no DNS: the deny list, local names and literal addresses
+  checkHostname(hostname) {
+    const host = stripBrackets(hostname);
+    
+    if (matchesDomain(host, this.options.denyDomains)) {
+      return { reason: `Host ${host} is on the deny list`, trusted: false };
+    }
+    
+    const trusted = matchesDomain(host, this.options.allowDomains);
+    
+    if (!trusted && this.options.blockPrivateNetworks && matchesDomain(host, LOCAL_HOSTNAMES)) {
+      return { reason: `Host ${host} is a local name`, trusted };
+    }
+    
+    if (net.isIP(host)) {
+      return { reason: this.checkAddress(host, trusted), trusted };
+    }
+    
+    return { reason: null, trusted };
+  }
+
+  /**
+   * Check a URL before fetching it. Resolves with { allowed: true } or
+   * { allowed: false, reason, host, address }.
+   *
+   * subrequest: the URL is loaded by a page, so data:, blob: and about: are fine
+   */
+  async check(url, { subrequest = false } = {}) {
+    let parsed;
+    
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return { allowed: false, reason: 'Invalid URL', host: null, address: null };
+    }
+    
+    if (subrequest && LOCAL_SCHEMES.includes(parsed.protocol)) {
+      return { allowed: true };
+    }
+    
+    this.stats.checks++;
+    
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+      return this.refuse(`Protocol ${parsed.protocol} is not allowed`, parsed.hostname, null, subrequest);
+    }
+    
+    if (!this.options.enabled) {
+      return { allowed: true };
+    }
+    
+    const host = stripBrackets(parsed.hostname);
+    const { reason, trusted } = this.checkHostname(host);
+    
+    if (reason) {
+      return this.refuse(reason, host, net.isIP(host) ? host : null, subrequest);
+    }
+    
+    if (net.isIP(host)) {
+      return { allowed: true };
+    }
+    
+    // A name that does not resolve cannot be checked, so it is refused
+    let addresses;
+    try {
+      addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch (error) {
+      return this.refuse(`Host ${host} could not be resolved (${error.code || error.message})`, host, null, subrequest);
+    }
+    
+    for (const { address } of addresses) {
+      const addressReason = this.checkAddress(address, trusted);
+      if (addressReason) {
+        return this.refuse(addressReason, host, address, subrequest);
+      }
+    }
+    
+    return { allowed: true };
+  }
+
+  refuse(reason, host, address, subrequest) {
+    this.stats[subrequest ? 'blockedSubrequests' : 'blocked']++;
+    return { allowed: false, reason, host, address };
+  }
+
+  // Throw the error the services report for refused URLs
+  async assert(url) {
+    const result = await this.check(url);
+    
+    if (!result.allowed) {
+      throw NetworkPolicy.blockedError(url, result);
+    }
+  }
+
+  // Proxies come from requests too. The proxy host is checked like a URL host;
+  // socks and scheme-less servers are checked as http.
+  async assertProxy(server) {
+    const url = /^[a-z][a-z0-9+.-]*:\/\//i.test(server) ? server.replace(/^[^:]+:/, 'http:') : `http://${server}`;
+    const result = await this.check(url);
+    
+    if (!result.allowed) {
+      throw NetworkPolicy.blockedError(server, { reason: `Proxy server: ${result.reason}` });
+    }
+  }
+
+  // dns.lookup replacement for the HTTP agents
+  lookup(hostname, options, callback) {
+    const { reason, trusted } = this.options.enabled ? this.checkHostname(hostname) : { reason: null, trusted: true };
+    
+    if (reason) {
+      return process.nextTick(callback, NetworkPolicy.blockedError(hostname, { reason }));
+    }
+    
+    return dns.lookup(hostname, options, (error, address, family) => {
+      if (error || !this.options.enabled) {
+        return callback(error, address, family);
+      }
+      
+      const addresses = Array.isArray(address) ? address : [{ address, family }];
+      for (const entry of addresses) {
+        const addressReason = this.checkAddress(entry.address, trusted);
+        if (addressReason) {
+          this.stats.blocked++;
+          return callback(NetworkPolicy.blockedError(hostname, { reason: addressReason }));
+        }
+      }
+      
+      return callback(null, address, family);
+    });
+  }
+
+  // axios options that route every connection and redirect through the policy.
+  // Literal addresses skip lookup(), so redirects are checked by beforeRedirect too.
+  httpOptions() {
+    return {
+      httpAgent: this.httpAgent,
+      httpsAgent: this.httpsAgent,
+      beforeRedirect: (options) => {
+        const { reason } = this.options.enabled ? this.checkHostname(options.hostname || '') : {};
+        if (reason) {
+          this.stats.blocked++;
+          throw NetworkPolicy.blockedError(options.href || options.hostname, { reason });
+        }
+      }
+    };
+  }
+
+  /**
+   * Check every request of a browser context, sub-requests included. Requests
+   * are fetched without following redirects so each hop is checked before the
+   * browser follows it. onBlocked({ url, reason, navigation }) reports refusals.
+   *
+   * The browser would resolve names again after check(), so a name could point
+   * elsewhere by the time it connects. Requests are fetched by Node through the
+   * policy's agents instead, which check the address actually connected to.
+   * proxied: the context goes through a proxy, which resolves names itself, so
+   * the browser fetches its requests through it.
+   */
+  async protect(context, { onBlocked, proxied = false } = {}) {
+    if (!this.options.enabled) return;
+    
+    await context.route('**/*', async (route) => {
+      const request = route.request();
+      const navigation = request.isNavigationRequest();
+      const block = (url, reason) => {
+        onBlocked && onBlocked({ url, reason, navigation });
+        return route.abort('blockedbyclient');
+      };
+      
+      const result = await this.check(request.url(), { subrequest: !navigation });
+      
+      if (!result.allowed) {
+        return block(request.url(), result.reason);
+      }
+      
+      let response;
+      try {
+        response = proxied ? await route.fetch({ maxRedirects: 0 }) : await this.fetchRequest(request);
+      } catch (error) {
+        if (error.code === 'url_blocked') {
+          return block(request.url(), error.reason);
+        }
+        return route.abort('failed').catch(() => {});
+      }
+      
+      const status = proxied ? response.status() : response.status;
+      const headers = proxied ? response.headers() : response.headers;
+      const location = status >= 300 && status < 400 && headers.location;
+      if (location) {
+        const target = new URL(location, request.url()).href;
+        const redirect = await this.check(target, { subrequest: !navigation });
+        
+        if (!redirect.allowed) {
+          return block(target, `Redirect from ${request.url()}: ${redirect.reason}`);
+        }
+      }
+      
+      return route.fulfill(proxied ? { response } : response);
+    });
+  }
+
+  // Fetch a browser request in Node, without following redirects, as
+  // route.fulfill() options ({ status, headers, body })
+  async fetchRequest(request) {
+    const headers = {};
+    Object.entries(await request.allHeaders()).forEach(([name, value]) => {
+      if (!name.startsWith(':') && !HOP_HEADERS.includes(name)) headers[name] = value;
+    });
+    
+    let response;
+    try {
+      response = await axios.request({
+        ...this.httpOptions(),
+        url: request.url(),
+        method: request.method(),
+        headers,
+        data: request.postDataBuffer() || undefined,
+        maxRedirects: 0,
+        timeout: this.options.requestTimeout,
+        responseType: 'arraybuffer',
+        validateStatus: () => true
+      });
+    } catch (error) {
+      // axios wraps the error the policy's lookup() failed the connection with
+      throw error.cause && error.cause.code === 'url_blocked' ? error.cause : error;
+    }
+    
+    // axios has already decompressed the body
+    const responseHeaders = {};
+    Object.entries(response.headers.toJSON()).forEach(([name, value]) => {
+      if (name === 'content-encoding' || HOP_HEADERS.includes(name)) return;
+      responseHeaders[name] = Array.isArray(value) ? value.join('\n') : String(value);
+    });
+    
+    return { status: response.status, headers: responseHeaders, body: Buffer.from(response.data) };
+  }
+
+  getStats() {
+    return {
+      enabled: this.options.enabled,
+      blockPrivateNetworks: this.options.blockPrivateNetworks,
+      allowDomains: this.options.allowDomains.length,
+      denyDomains: this.options.denyDomains.length,
+      allowCidrs: this.options.allowCidrs.length,
+      denyCidrs: this.options.denyCidrs.length,
+      ...this.stats
+    };
+  }
+
+  // Error for a refused URL; the routes answer it with 403
+  static blockedError(url, { reason }) {
+    const error = new Error(`URL blocked by network policy: ${reason}`);
+    error.code = 'url_blocked';
+    error.url = url;
+    error.reason = reason;
+    return error;
+  }
+}
+
+module.exports = NetworkPolicy;
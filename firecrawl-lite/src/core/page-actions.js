@@ -0,0 +1,198 @@
+// Runs a scripted list of page actions (click, type, scroll, ...) in order
+// before extraction. Every step reports { index, type, success, duration }
+// plus a result or error; a failing step aborts the run unless it is marked
+// optional.
+
+const ACTION_TYPES = [
+  'click',
+  'type',
+  'press',
+  'scroll',
+  'waitForSelector',
+  'wait',
+  'screenshot',
+  'executeJavascript'
+];
+
+class PageActions {
+  constructor(options = {}) {
+    this.timeout = options.timeout || 30000;
+    this.maxWait = options.maxWait || 30000;
+  }
+
+  async run(page, actions = []) {
+    const results = [];
+    
+    for (let index = 0; index < actions.length; index++) {
+      const action = actions[index];
+      const startTime = Date.now();
+      
+      try {
+        if (!ACTION_TYPES.includes(action.type)) {
+          throw new Error(`Unknown action type: ${action.type}`);
+        }
+        
+        console.log(`Running action ${index + 1}/${actions.length}: ${action.type}`);
+        const result = await this[action.type](page, action);
+        
+        results.push({
+          index,
+          type: action.type,
+          success: true,
+          duration: Date.now() - startTime,
+          ...(result !== undefined && { result })
+        });
+      } catch (error) {
+        results.push({
+          index,
+          type: action.type,
+          success: false,
+          duration: Date.now() - startTime,
+          error: error.message
+        });
+        
+        if (!action.optional) {
+          const failure = new Error(`Action ${index + 1} (${action.type}) failed: ${error.message}`);
+          failure.actions = results;
+          throw failure;
+        }
+      }
+    }
+    
+    return results;
+  }
+
+  locate(page, action) {
+    return page.locator(action.selector).first();
+  }
+
+  async click(page, action) {
+    const options = {
+      timeout: action.timeout || this.timeout,
+      button: action.button || 'left',
+      clickCount: action.clickCount || 1
+    };
+    
+    // Click every match, e.g. to expand all collapsed sections
+    if (action.all) {
+      const elements = await page.locator(action.selector).all();
+      for (const element of elements) {
+        await element.click(options);
+      }
+      return { clicked: elements.length };
+    }
+    
+    await this.locate(page, action).click(options);
+    return { clicked: 1 };
+  }
+
+  async type(page, action) {
+    const element = this.locate(page, action);
+    const timeout = action.timeout || this.timeout;
+    
+    if (action.clear !== false) {
+      await element.fill('', { timeout });
+    }
+    
+    // A delay types key by key, for inputs that react to keystrokes
+    if (action.delay) {
+      await element.pressSequentially(action.text, { delay: action.delay, timeout });
+    } else {
+      await element.fill(action.text, { timeout });
+    }
+  }
+
+  async press(page, action) {
+    if (action.selector) {
+      await this.locate(page, action).press(action.key, { timeout: action.timeout || this.timeout });
+    } else {
+      await page.keyboard.press(action.key);
+    }
+  }
+
+  async scroll(page, action) {
+    const direction = action.direction || 'down';
+    const amount = action.amount || null;
+    
+    return page.evaluate(({ selector, direction, amount }) => {
+      const target = selector ? document.querySelector(selector) : document.scrollingElement;
+      if (!target) {
+        throw new Error(`Element not found: ${selector}`);
+      }
+      
+      if (direction === 'top') {
+        target.scrollTop = 0;
+      } else if (direction === 'bottom') {
+        target.scrollTop = target.scrollHeight;
+      } else {
+        const step = amount || (selector ? target.clientHeight : window.innerHeight);
+        target.scrollTop += direction === 'up' ? -step : step;
+      }
+      
+      return { scrollTop: target.scrollTop, scrollHeight: target.scrollHeight };
+    }, { selector: action.selector || null, direction, amount });
+  }
+
+  async waitForSelector(page, action) {
+    await page.waitForSelector(action.selector, {
+      state: action.state || 'visible',
+      timeout: action.timeout || this.timeout
+    });
+  }
+
+  async wait(page, action) {
+    await page.waitForTimeout(Math.min(action.milliseconds || 1000, this.maxWait));
+  }
+
+  // "type" names the action here, so the image type is given as "format"
+  async screenshot(page, action) {
+    return this.captureScreenshot(page, {
+      fullPage: action.fullPage,
+      type: action.format,
+      quality: action.quality,
+      selector: action.selector
+    });
+  }
+
+  // Shared with the screenshot option of the crawler
+  async captureScreenshot(page, settings = {}) {
+    const type = settings.type || 'png';
+    const fullPage = settings.fullPage || false;
+    
+    const captureOptions = { type };
+    if (type === 'jpeg' && settings.quality !== undefined) {
+      captureOptions.quality = settings.quality;
+    }
+    
+    let buffer;
+    if (settings.selector) {
+      const element = await page.$(settings.selector);
+      if (!element) {
+        throw new Error(`Screenshot selector not found: ${settings.selector}`);
+      }
+      buffer = await element.screenshot(captureOptions);
+    } else {
+      buffer = await page.screenshot({ ...captureOptions, fullPage });
+    }
+    
+    return {
+      mimeType: `image/${type}`,
+      fullPage: !settings.selector && fullPage,
+      ...(settings.selector && { selector: settings.selector }),
+      data: buffer.toString('base64')
+    };
+  }
+
+  // The script is the body of a function; its (JSON-serializable) return value is reported
+  async executeJavascript(page, action) {
+    const value = await page.evaluate((script) => {
+      return Promise.resolve(new Function(script)());
+    }, action.script);
+    
+    return value === undefined ? undefined : { value };
+  }
+}
+
+PageActions.ACTION_TYPES = ACTION_TYPES;
+
+module.exports = PageActions;
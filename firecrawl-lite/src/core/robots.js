@@ -0,0 +1,249 @@
+const axios = require('axios');
+
+// RFC 9309 asks crawlers to parse at least 500 KiB of a robots.txt file
+const MAX_ROBOTS_SIZE = 500 * 1024;
+
+// Turn an Allow/Disallow path into a regular expression: "*" matches any
+// sequence of characters and a trailing "$" anchors the end of the URL
+const compilePattern = (path) => {
+  const anchored = path.endsWith('$');
+  const source = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+
+  return new RegExp(`^${source}${anchored ? '$' : ''}`);
+};
+
+// Parsed robots.txt: user-agent groups with their rules, crawl-delay and sitemaps
+class RobotsFile {
+  constructor(body = '', { allowAll = false, disallowAll = false } = {}) {
+    this.groups = [];
+    this.sitemaps = [];
+    this.allowAll = allowAll;
+    this.disallowAll = disallowAll;
+    
+    if (body) {
+      this.parse(body);
+    }
+  }
+
+  parse(body) {
+    let group = null;
+    let lastWasAgent = false;
+    
+    body.split(/\r?\n/).forEach(rawLine => {
+      const line = rawLine.replace(/#.*$/, '').trim();
+      const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+      if (!match) return;
+      
+      const field = match[1].toLowerCase();
+      const value = match[2].trim();
+      
+      if (field === 'sitemap') {
+        if (value) this.sitemaps.push(value);
+        return;
+      }
+      
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share the rules that follow them
+        if (!group || !lastWasAgent) {
+          group = { agents: [], rules: [], crawlDelay: null };
+          this.groups.push(group);
+        }
+        group.agents.push(value.toLowerCase());
+        lastWasAgent = true;
+        return;
+      }
+      
+      lastWasAgent = false;
+      if (!group) return;
+      
+      if (field === 'allow' || field === 'disallow') {
+        // An empty Disallow allows everything and adds no rule
+        if (!value) return;
+        
+        group.rules.push({
+          allow: field === 'allow',
+          path: value,
+          pattern: compilePattern(value)
+        });
+      } else if (field === 'crawl-delay') {
+        const delay = parseFloat(value);
+        if (!Number.isNaN(delay) && delay >= 0) {
+          group.crawlDelay = delay;
+        }
+      }
+    });
+  }
+
+  // Rules and crawl-delay of the most specific group for a product token, falling
+  // back to "*". Groups naming the same agent are merged.
+  getGroup(userAgent) {
+    const token = userAgent.toLowerCase();
+    
+    const select = (agent) => this.groups.filter(group => group.agents.includes(agent));
+    let groups = select(token);
+    if (groups.length === 0) {
+      groups = select('*');
+    }
+    
+    const delays = groups.map(group => group.crawlDelay).filter(delay => delay !== null);
+    
+    return {
+      rules: groups.reduce((rules, group) => rules.concat(group.rules), []),
+      crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+    };
+  }
+
+  // The longest matching rule wins; Allow wins a tie
+  check(url, userAgent) {
+    if (this.disallowAll) {
+      return { allowed: false, rule: null, crawlDelay: null };
+    }
+    
+    const { rules, crawlDelay } = this.getGroup(userAgent);
+    if (this.allowAll || rules.length === 0) {
+      return { allowed: true, rule: null, crawlDelay };
+    }
+    
+    const { pathname, search } = new URL(url);
+    const target = pathname + search;
+    
+    let matched = null;
+    rules.forEach(rule => {
+      if (!rule.pattern.test(target)) return;
+      
+      if (!matched ||
+          rule.path.length > matched.path.length ||
+          (rule.path.length === matched.path.length && rule.allow && !matched.allow)) {
+        matched = rule;
+      }
+    });
+    
+    return {
+      allowed: !matched || matched.allow,
+      rule: matched ? `${matched.allow ? 'Allow' : 'Disallow'}: ${matched.path}` : null,
+      crawlDelay
+    };
+  }
+}
+
+// Fetches robots.txt once per origin and keeps it for `ttl` milliseconds
+class RobotsCache {
+  constructor(options = {}) {
+    this.options = {
+      userAgent: 'FirecrawlLite', // product token matched against User-agent lines
+      httpUserAgent: 'Mozilla/5.0 (compatible; FirecrawlLite/1.0)',
+      timeout: 10000,
+      ttl: 60 * 60 * 1000,
+      errorTtl: 5 * 60 * 1000, // unreachable files are retried sooner
+      maxEntries: 1000,
+      httpOptions: {}, // extra axios options, e.g. the network policy's agents
+      ...options
+    };
+    
+    this.http = axios.create({
+      timeout: this.options.timeout,
+      responseType: 'text',
+      maxContentLength: MAX_ROBOTS_SIZE * 4,
+      maxRedirects: 5,
+      headers: { 'User-Agent': this.options.httpUserAgent },
+      validateStatus: () => true,
+      ...this.options.httpOptions
+    });
+    
+    this.entries = new Map();
+    
+    this.stats = {
+      fetches: 0,
+      hits: 0,
+      errors: 0
+    };
+  }
+
+  // Concurrent lookups for the same origin share a single request
+  async get(origin) {
+    const cached = this.entries.get(origin);
+    if (cached && cached.expiresAt > Date.now()) {
+      this.stats.hits++;
+      return cached.robots;
+    }
+    
+    const robots = this.fetch(origin);
+    this.set(origin, robots, this.options.ttl);
+    
+    const result = await robots;
+    if (result.unreachable) {
+      this.set(origin, robots, this.options.errorTtl);
+    }
+    return result;
+  }
+
+  set(origin, robots, ttl) {
+    this.entries.delete(origin);
+    this.entries.set(origin, { robots, expiresAt: Date.now() + ttl });
+    
+    // Maps keep insertion order, so the first key is the oldest entry
+    if (this.entries.size > this.options.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // 4xx (and endless redirects) mean there are no restrictions; 5xx and network
+  // errors mean the site is treated as fully disallowed (RFC 9309, section 2.3.1)
+  async fetch(origin) {
+    this.stats.fetches++;
+    
+    try {
+      const response = await this.http.get(`${origin}/robots.txt`);
+      
+      if (response.status >= 200 && response.status < 300) {
+        return new RobotsFile(String(response.data).slice(0, MAX_ROBOTS_SIZE));
+      }
+      
+      if (response.status >= 300 && response.status < 500) {
+        return new RobotsFile('', { allowAll: true });
+      }
+      
+      throw new Error(`robots.txt returned status ${response.status}`);
+    } catch (error) {
+      this.stats.errors++;
+      console.log(`Robots: ${origin}/robots.txt is unreachable, disallowing the site:`, error.message);
+      
+      const robots = new RobotsFile('', { disallowAll: true });
+      robots.unreachable = error.message;
+      return robots;
+    }
+  }
+
+  // Returns { allowed, rule, crawlDelay (seconds or null), userAgent }
+  async check(url, userAgent = this.options.userAgent) {
+    const robots = await this.get(new URL(url).origin);
+    const result = robots.check(url, userAgent);
+    
+    return {
+      ...result,
+      userAgent,
+      ...(robots.unreachable && { rule: `robots.txt unreachable (${robots.unreachable})` })
+    };
+  }
+
+  async getSitemaps(origin) {
+    const robots = await this.get(origin);
+    return robots.sitemaps;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      cachedOrigins: this.entries.size
+    };
+  }
+}
+
+module.exports = RobotsCache;
@@ -0,0 +1,160 @@
+const zlib = require('zlib');
+const axios = require('axios');
+const cheerio = require('cheerio');
+const RobotsCache = require('./robots');
+
+// Discovers URLs from robots.txt "Sitemap:" entries and sitemap files
+// (urlset, sitemap indexes, gzip-compressed and plain-text sitemaps)
+class SitemapReader {
+  constructor(options = {}) {
+    this.options = {
+      timeout: 15000,
+      userAgent: 'Mozilla/5.0 (compatible; FirecrawlLite/1.0)',
+      maxSitemaps: 50, // files fetched per discovery, indexes included
+      maxUrls: 50000,
+      maxSize: 50 * 1024 * 1024, // the sitemap protocol limit, uncompressed
+      httpOptions: {}, // extra axios options, e.g. the network policy's agents
+      ...options
+    };
+    
+    this.http = axios.create({
+      timeout: this.options.timeout,
+      responseType: 'arraybuffer',
+      maxContentLength: this.options.maxSize,
+      headers: { 'User-Agent': this.options.userAgent },
+      validateStatus: () => true,
+      ...this.options.httpOptions
+    });
+    
+    // Shared with the crawler when it passes its own cache, so robots.txt is fetched once
+    this.robots = this.options.robots || new RobotsCache({
+      timeout: this.options.timeout,
+      httpUserAgent: this.options.userAgent,
+      httpOptions: this.options.httpOptions
+    });
+  }
+
+  // Read every sitemap of a site. Returns { entries, sitemaps, errors, fromRobots } where
+  // entries are { url, lastmod?, priority?, changefreq? }
+  async discover(siteUrl) {
+    const origin = new URL(siteUrl).origin;
+    const robotsSitemaps = await this.getRobotsSitemaps(origin);
+    
+    // Without robots.txt entries fall back to the conventional locations
+    const roots = robotsSitemaps.length > 0
+      ? robotsSitemaps
+      : [`${origin}/sitemap.xml`, `${origin}/sitemap_index.xml`];
+    
+    const state = { entries: [], sitemaps: [], errors: [], visited: new Set() };
+    
+    for (const sitemapUrl of roots) {
+      const found = state.sitemaps.length;
+      await this.readSitemap(sitemapUrl, state, { optional: robotsSitemaps.length === 0 });
+      
+      // /sitemap_index.xml is only tried when /sitemap.xml is missing
+      if (robotsSitemaps.length === 0 && state.sitemaps.length > found) {
+        break;
+      }
+    }
+    
+    return {
+      entries: state.entries,
+      sitemaps: state.sitemaps,
+      errors: state.errors,
+      fromRobots: robotsSitemaps.length > 0
+    };
+  }
+
+  async getRobotsSitemaps(origin) {
+    const sitemaps = await this.robots.getSitemaps(origin);
+      
+    return sitemaps
+      .map(sitemap => {
+          try {
+          return new URL(sitemap, origin).href;
+          } catch (error) {
+            return null;
+          }
+        })
+        .filter(Boolean);
+  }
+
+  async readSitemap(sitemapUrl, state, { optional = false } = {}) {
+    if (state.visited.has(sitemapUrl) ||
+        state.visited.size >= this.options.maxSitemaps ||
+        state.entries.length >= this.options.maxUrls) {
+      return;
+    }
+    
+    state.visited.add(sitemapUrl);
+    
+    let body;
+    try {
+      const response = await this.http.get(sitemapUrl);
+      
+      if (response.status !== 200) {
+        // A missing conventional sitemap is normal, not an error
+        if (!optional) {
+          state.errors.push({ url: sitemapUrl, message: `Request failed with status ${response.status}` });
+        }
+        return;
+      }
+      
+      body = this.decode(Buffer.from(response.data));
+    } catch (error) {
+      state.errors.push({ url: sitemapUrl, message: error.message });
+      return;
+    }
+    
+    state.sitemaps.push(sitemapUrl);
+    
+    // Plain-text sitemaps list one URL per line
+    if (!/^\s*</.test(body)) {
+      body.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => /^https?:\/\//i.test(line))
+        .forEach(url => this.addEntry(state, { url }));
+      return;
+    }
+    
+    const $ = cheerio.load(body, { xml: true });
+    
+    // Sitemap index: follow the child sitemaps
+    const children = $('sitemapindex > sitemap > loc').map((_, loc) => $(loc).text().trim()).get();
+    for (const child of children) {
+      await this.readSitemap(child, state);
+    }
+    
+    $('urlset > url').each((_, node) => {
+      const url = $(node).children('loc').text().trim();
+      if (!url) return;
+      
+      const lastmod = $(node).children('lastmod').text().trim();
+      const priority = parseFloat($(node).children('priority').text());
+      const changefreq = $(node).children('changefreq').text().trim();
+      
+      this.addEntry(state, {
+        url,
+        ...(lastmod && { lastmod }),
+        ...(!Number.isNaN(priority) && { priority }),
+        ...(changefreq && { changefreq })
+      });
+    });
+  }
+
+  addEntry(state, entry) {
+    if (state.entries.length < this.options.maxUrls) {
+      state.entries.push(entry);
+    }
+  }
+
+  // .xml.gz files are usually served without Content-Encoding, so axios leaves them compressed
+  decode(buffer) {
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+      return zlib.gunzipSync(buffer, { maxOutputLength: this.options.maxSize }).toString('utf8');
+    }
+    return buffer.toString('utf8');
+  }
+}
+
+module.exports = SitemapReader;
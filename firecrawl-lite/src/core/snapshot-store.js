@@ -0,0 +1,190 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { createClient } = require('redis');
+const { v4: uuidv4 } = require('uuid');
+
+// Both snapshot backends keep the latest snapshot per tracking key and a feed
+// of change events (newest first, bounded by maxChanges). They expose
+// get / set / addChange / getChanges / getStats / close.
+
+// Keep feed events that match { since, url, changeStatus }
+const matchesFilter = (event, { since, url, changeStatus } = {}) => {
+  if (since && new Date(event.detectedAt) <= since) return false;
+  if (url && event.url !== url) return false;
+  if (changeStatus && !changeStatus.includes(event.changeStatus)) return false;
+  return true;
+};
+
+// Snapshots as JSON files in a local directory, the feed as JSON lines
+class FileSnapshotStore {
+  constructor(options = {}) {
+    this.directory = path.resolve(options.directory || 'data/changes');
+    this.maxChanges = options.maxChanges || 10000;
+    this.feedFile = path.join(this.directory, 'changes.jsonl');
+    this.feedLength = null;
+    this.ready = null;
+    
+    // Feed writes are chained so appends and trimming never interleave
+    this.feedLock = Promise.resolve();
+  }
+
+  async initialize() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(path.join(this.directory, 'snapshots'), { recursive: true });
+    }
+    return this.ready;
+  }
+
+  snapshotPath(key) {
+    return path.join(this.directory, 'snapshots', `${key}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.snapshotPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves half a snapshot;
+  // each write gets its own file so concurrent writes of one URL never mix
+  async set(key, snapshot) {
+    await this.initialize();
+    
+    const filePath = this.snapshotPath(key);
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(snapshot), 'utf8');
+    await fs.rename(tempPath, filePath);
+  }
+
+  async addChange(event) {
+    const write = this.feedLock.then(async () => {
+      await this.initialize();
+      await fs.appendFile(this.feedFile, JSON.stringify(event) + '\n', 'utf8');
+      
+      if (this.feedLength === null) {
+        this.feedLength = (await this.readFeed()).length;
+      } else {
+        this.feedLength++;
+      }
+      
+      // Trim in one go once the feed is 10% over its limit
+      if (this.feedLength > this.maxChanges * 1.1) {
+        const events = await this.readFeed();
+        const kept = events.slice(-this.maxChanges);
+        await fs.writeFile(this.feedFile, kept.map(item => JSON.stringify(item)).join('\n') + '\n', 'utf8');
+        this.feedLength = kept.length;
+      }
+    });
+    
+    this.feedLock = write.catch(() => {});
+    return write;
+  }
+
+  // Events in the order they were written (oldest first)
+  async readFeed() {
+    try {
+      const content = await fs.readFile(this.feedFile, 'utf8');
+      return content.split('\n').filter(Boolean).map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      }).filter(Boolean);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async getChanges(filter = {}, limit = 100) {
+    const events = await this.readFeed();
+    return events.reverse().filter(event => matchesFilter(event, filter)).slice(0, limit);
+  }
+
+  async getStats() {
+    await this.initialize();
+    const snapshots = await fs.readdir(path.join(this.directory, 'snapshots'));
+    
+    return {
+      directory: this.directory,
+      snapshots: snapshots.filter(name => name.endsWith('.json')).length,
+      changes: this.feedLength !== null ? this.feedLength : (await this.readFeed()).length
+    };
+  }
+
+  async close() {
+    await this.feedLock;
+  }
+}
+
+// Snapshots as Redis strings without expiry, the feed as a capped list
+class RedisSnapshotStore {
+  constructor(options = {}) {
+    this.prefix = options.prefix || 'firecrawl-lite:changes';
+    this.maxChanges = options.maxChanges || 10000;
+    
+    const redis = options.redis || {};
+    this.client = createClient({
+      socket: {
+        host: redis.host || 'localhost',
+        port: redis.port || 6379,
+        reconnectStrategy: (retries) => Math.min(retries * 500, 5000)
+      },
+      database: redis.db || 0,
+      ...(redis.password && { password: redis.password })
+    });
+    
+    this.client.on('error', (error) => {
+      console.error('Change tracking Redis error:', error.message);
+    });
+    
+    this.client.connect().catch(error => {
+      console.error('Failed to connect change tracking to Redis:', error.message);
+    });
+  }
+
+  async get(key) {
+    const serialized = await this.client.get(`${this.prefix}:snapshot:${key}`);
+    return serialized ? JSON.parse(serialized) : null;
+  }
+
+  async set(key, snapshot) {
+    await this.client.set(`${this.prefix}:snapshot:${key}`, JSON.stringify(snapshot));
+  }
+
+  async addChange(event) {
+    const feedKey = `${this.prefix}:feed`;
+    await this.client.lPush(feedKey, JSON.stringify(event));
+    await this.client.lTrim(feedKey, 0, this.maxChanges - 1);
+  }
+
+  async getChanges(filter = {}, limit = 100) {
+    const events = await this.client.lRange(`${this.prefix}:feed`, 0, -1);
+    return events
+      .map(serialized => JSON.parse(serialized))
+      .filter(event => matchesFilter(event, filter))
+      .slice(0, limit);
+  }
+
+  async getStats() {
+    return {
+      connected: this.client.isReady,
+      changes: await this.client.lLen(`${this.prefix}:feed`)
+    };
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = {
+  FileSnapshotStore,
+  RedisSnapshotStore
+};
@@ -0,0 +1,254 @@
+const vm = require('vm');
+const { JSDOM } = require('jsdom');
+
+// Extracts JSON from rendered HTML with a declarative schema:
+//
+//   {
+//     "fields": {
+//       "title":  { "selector": "h1" },
+//       "price":  { "selector": ".price", "type": "number", "regex": "([\\d.,]+)" },
+//       "image":  { "selector": "img.hero", "attribute": "src", "type": "url" },
+//       "sku":    { "xpath": "//span[@itemprop='sku']", "required": true },
+//       "rows":   { "selector": "table tr", "list": true, "fields": {
+//                   "name": { "selector": "td:nth-child(1)" } } }
+//     }
+//   }
+//
+// Each field reads the text of the first match (or of every match with
+// "list"), or an attribute, then applies the optional regex and coerces the
+// value to its type. Nested "fields" are evaluated relative to the match.
+//
+// Regexes come from the request, so they run in a VM context with a time
+// limit: a pattern that backtracks catastrophically fails its field instead
+// of blocking the event loop.
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'url', 'html'];
+
+const REGEX_TIMEOUT = 100; // ms for one match
+const REGEX_BUDGET = 1000; // ms for all matches of one page
+
+class StructuredExtractor {
+  constructor(options = {}) {
+    this.regexTimeout = options.regexTimeout || REGEX_TIMEOUT;
+    this.regexBudget = options.regexBudget || REGEX_BUDGET;
+    this.regexContext = vm.createContext({});
+    this.regexScript = new vm.Script('input.match(new RegExp(source, flags))');
+    this.regexDeadline = 0;
+  }
+
+  extract(html, url, schema) {
+    const dom = new JSDOM(html, { url });
+    const errors = [];
+    
+    // extract() is synchronous, so the budget cannot be shared with another page
+    this.regexDeadline = Date.now() + this.regexBudget;
+    
+    try {
+      const data = this.extractFields(dom.window.document, dom.window.document, schema.fields, '', url, errors);
+      return { data, errors };
+    } finally {
+      dom.window.close();
+    }
+  }
+
+  extractFields(document, context, fields, path, url, errors) {
+    const result = {};
+    
+    Object.keys(fields).forEach(name => {
+      const field = fields[name];
+      const fieldPath = path ? `${path}.${name}` : name;
+      result[name] = this.extractField(document, context, field, fieldPath, url, errors);
+    });
+    
+    return result;
+  }
+
+  extractField(document, context, field, path, url, errors) {
+    // Without a selector, nested fields are read from the current element
+    const nodes = field.selector || field.xpath
+      ? this.select(document, context, field)
+      : [context];
+    
+    const values = (field.list ? nodes : nodes.slice(0, 1))
+      .map((node, index) => {
+        const itemPath = field.list ? `${path}[${index}]` : path;
+        
+        if (field.fields) {
+          return this.extractFields(document, node, field.fields, itemPath, url, errors);
+        }
+        
+        return this.readValue(node, field, itemPath, url, errors);
+      })
+      .filter(value => value !== null);
+    
+    const value = field.list ? values : (values.length > 0 ? values[0] : null);
+    const isEmpty = value === null || (field.list && value.length === 0);
+    
+    if (isEmpty && field.default !== undefined) {
+      return field.default;
+    }
+    
+    if (isEmpty && field.required) {
+      errors.push({ field: path, message: 'Required field not found' });
+    }
+    
+    return value;
+  }
+
+  select(document, context, field) {
+    if (field.xpath) {
+      const snapshot = document.evaluate(
+        field.xpath,
+        context,
+        null,
+        document.defaultView.XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+        null
+      );
+      
+      const nodes = [];
+      for (let i = 0; i < snapshot.snapshotLength; i++) {
+        nodes.push(snapshot.snapshotItem(i));
+      }
+      return nodes;
+    }
+    
+    return Array.from(context.querySelectorAll(field.selector));
+  }
+
+  readValue(node, field, path, url, errors) {
+    let raw;
+    
+    if (field.attribute === 'html' || field.type === 'html') {
+      raw = node.innerHTML !== undefined ? node.innerHTML : node.textContent;
+    } else if (field.attribute) {
+      raw = node.getAttribute ? node.getAttribute(field.attribute) : null;
+    } else {
+      // Attribute and text nodes selected through XPath carry their value directly
+      raw = node.nodeType === 1 ? node.textContent : node.nodeValue;
+    }
+    
+    if (raw === null || raw === undefined) {
+      return null;
+    }
+    
+    if (field.type !== 'html') {
+      raw = raw.replace(/\s+/g, ' ').trim();
+    }
+    
+    if (field.regex) {
+      let match;
+      try {
+        match = this.matchRegex(raw, field.regex, field.flags || '');
+      } catch (error) {
+        errors.push({ field: path, message: error.message });
+        return null;
+      }
+      
+      if (!match) {
+        return null;
+      }
+      
+      const group = field.group !== undefined ? field.group : (match.length > 1 ? 1 : 0);
+      raw = match[group] !== undefined ? match[group] : null;
+      
+      if (raw === null) {
+        return null;
+      }
+    }
+    
+    try {
+      return this.coerce(raw, field.type || 'string', url);
+    } catch (error) {
+      errors.push({ field: path, message: error.message, value: raw });
+      return null;
+    }
+  }
+
+  // Match with a time limit; throws once the match or the page's budget runs out
+  matchRegex(input, source, flags) {
+    const remaining = this.regexDeadline - Date.now();
+    if (remaining <= 0) {
+      throw new Error(`Regex skipped: the page used up its ${this.regexBudget}ms regex budget`);
+    }
+    
+    const timeout = Math.min(this.regexTimeout, remaining);
+    Object.assign(this.regexContext, { input, source, flags });
+    
+    try {
+      return this.regexScript.runInContext(this.regexContext, { timeout });
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        throw new Error(`Regex timed out after ${timeout}ms`);
+      }
+      throw error;
+    } finally {
+      this.regexContext.input = null;
+    }
+  }
+
+  coerce(value, type, url) {
+    switch (type) {
+      case 'number':
+      case 'integer': {
+        const number = this.parseNumber(value);
+        if (number === null) {
+          throw new Error(`Cannot convert "${value}" to ${type}`);
+        }
+        return type === 'integer' ? Math.trunc(number) : number;
+      }
+      
+      case 'boolean': {
+        const normalized = value.toLowerCase();
+        if (['true', 'yes', '1', 'on'].includes(normalized)) return true;
+        if (['false', 'no', '0', 'off', ''].includes(normalized)) return false;
+        throw new Error(`Cannot convert "${value}" to boolean`);
+      }
+      
+      case 'date': {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+          throw new Error(`Cannot convert "${value}" to date`);
+        }
+        return date.toISOString();
+      }
+      
+      case 'url':
+        try {
+          return new URL(value, url).href;
+        } catch (error) {
+          throw new Error(`Cannot convert "${value}" to url`);
+        }
+      
+      default:
+        return value;
+    }
+  }
+
+  // Accepts "1,299.99", "1.299,99", "$ 12", "-3.5 %"
+  parseNumber(value) {
+    let cleaned = value.replace(/[^\d.,-]/g, '');
+    if (!/\d/.test(cleaned)) return null;
+    
+    const lastComma = cleaned.lastIndexOf(',');
+    const lastDot = cleaned.lastIndexOf('.');
+    
+    if (lastComma > -1 && lastDot > -1) {
+      // Whichever separator comes last is the decimal one
+      cleaned = lastComma > lastDot
+        ? cleaned.replace(/\./g, '').replace(',', '.')
+        : cleaned.replace(/,/g, '');
+    } else if (lastComma > -1) {
+      // Commas that group digits in threes are thousands separators
+      cleaned = /^-?\d{1,3}(,\d{3})+$/.test(cleaned)
+        ? cleaned.replace(/,/g, '')
+        : cleaned.replace(',', '.');
+    }
+    
+    const number = parseFloat(cleaned);
+    return isNaN(number) ? null : number;
+  }
+}
+
+StructuredExtractor.TYPES = TYPES;
+
+module.exports = StructuredExtractor;
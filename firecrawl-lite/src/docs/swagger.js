@@ -38,9 +38,42 @@ const options = {
       {
         name: 'Stats',
         description: 'Service statistics and metrics'
+      },
+      {
+        name: 'Cache',
+        description: 'Response cache statistics and purging'
+      },
+      {
+        name: 'Scrape',
+        description: 'Unified scraping with engine routing and fallback'
+      },
+      {
+        name: 'Changes',
+        description: 'Change tracking snapshots and the change feed'
+      },
+      {
+        name: 'Webhooks',
+        description: 'Webhook delivery log for batch and crawl events'
+      },
+      {
+        name: 'Sessions',
+        description: 'Login sessions for scraping pages behind a login'
+      },
+      {
+        name: 'Admin',
+        description: 'API key usage (needs a key with the admin scope)'
       }
     ],
+    // Only enforced when API keys are configured (see the "auth" config block)
+    security: [{ bearerAuth: [] }],
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'API key, sent as "Authorization: Bearer <key>"'
+        }
+      },
       schemas: {
         ExtractRequest: {
           type: 'object',
@@ -81,7 +114,84 @@ const options = {
                   type: 'string',
                   enum: ['markdown', 'html'],
                   default: 'markdown',
-                  description: 'Output format'
+                  description: 'Output format (ignored when formats is set)'
+                },
+                formats: {
+                  type: 'array',
+                  items: {
+                    type: 'string',
+                    enum: ['markdown', 'html', 'rawHtml', 'text', 'links', 'extract']
+                  },
+                  description: 'Output formats to return, each as its own field: markdown, cleaned html, raw page html, plain text, the list of links and LLM-extracted JSON (extract)',
+                  example: ['markdown', 'text', 'links']
+                },
+                screenshot: {
+                  description: 'Capture a screenshot; true uses the defaults',
+                  oneOf: [
+                    { type: 'boolean' },
+                    {
+                      type: 'object',
+                      properties: {
+                        fullPage: { type: 'boolean', default: false },
+                        type: { type: 'string', enum: ['png', 'jpeg'], default: 'png' },
+                        quality: { type: 'integer', minimum: 0, maximum: 100, description: 'JPEG quality' },
+                        selector: { type: 'string', description: 'Capture only the first element matching this CSS selector' }
+                      }
+                    }
+                  ]
+                },
+                extract: {
+                  type: 'object',
+                  description: 'LLM extraction settings, required when formats includes extract. The page markdown is sent to the configured OpenAI-compatible endpoint in chunks and the merged JSON is validated against the schema',
+                  properties: {
+                    prompt: { type: 'string', example: 'Extract the product name, price and available sizes' },
+                    schema: {
+                      type: 'object',
+                      description: 'JSON schema of the expected object',
+                      example: {
+                        type: 'object',
+                        required: ['name', 'price'],
+                        properties: {
+                          name: { type: 'string' },
+                          price: { type: 'number' },
+                          sizes: { type: 'array', items: { type: 'string' } }
+                        }
+                      }
+                    },
+                    systemPrompt: { type: 'string' }
+                  }
+                },
+                actions: {
+                  type: 'array',
+                  maxItems: 50,
+                  description: 'Page actions run in order after navigation and before extraction. A failing step aborts the request unless optional is true',
+                  items: {
+                    $ref: '#/components/schemas/PageAction'
+                  }
+                },
+                pdf: {
+                  description: 'Render the page as PDF (headless Chromium only); true uses the defaults',
+                  oneOf: [
+                    { type: 'boolean' },
+                    {
+                      type: 'object',
+                      properties: {
+                        format: { type: 'string', default: 'A4', example: 'Letter' },
+                        landscape: { type: 'boolean', default: false },
+                        printBackground: { type: 'boolean', default: true },
+                        scale: { type: 'number', minimum: 0.1, maximum: 2 },
+                        margin: {
+                          type: 'object',
+                          properties: {
+                            top: { type: 'string', example: '1cm' },
+                            right: { type: 'string' },
+                            bottom: { type: 'string' },
+                            left: { type: 'string' }
+                          }
+                        }
+                      }
+                    }
+                  ]
                 },
                 blockResources: {
                   type: 'array',
@@ -148,6 +258,32 @@ const options = {
                   description: 'Directory name where the MD file will be saved. If not provided, defaults to "extracted_YYYY-MM-DD" format',
                   pattern: '^[a-zA-Z0-9_\\-\\/]+$',
                   example: 'my_docs/extracted'
+                },
+                browser: {
+                  $ref: '#/components/schemas/BrowserOptions'
+                },
+                sessionId: {
+                  type: 'string',
+                  format: 'uuid',
+                  description: 'Render the pages logged in, with a session from POST /api/sessions'
+                },
+                maxAge: {
+                  type: 'integer',
+                  minimum: 0,
+                  description: 'Only serve a cached response younger than this many milliseconds'
+                },
+                bypassCache: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Skip the cache lookup and refresh the cached response'
+                },
+                ignoreRobots: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Skip the robots.txt check. Only honoured when the server sets politeness.allowRobotsOverride'
+                },
+                changeTracking: {
+                  $ref: '#/components/schemas/ChangeTrackingOptions'
                 }
               }
             }
@@ -160,12 +296,27 @@ const options = {
             urls: {
               type: 'array',
               items: {
-                type: 'string',
-                format: 'uri'
+                oneOf: [
+                  { type: 'string', format: 'uri' },
+                  {
+                    type: 'object',
+                    required: ['url'],
+                    properties: {
+                      url: { type: 'string', format: 'uri' },
+                      priority: {
+                        type: 'integer',
+                        minimum: -100,
+                        maximum: 100,
+                        default: 0,
+                        description: 'URLs with a higher priority are started first'
+                      }
+                    }
+                  }
+                ]
               },
               minItems: 1,
               maxItems: 50,
-              description: 'Array of URLs to extract content from',
+              description: 'URLs to extract content from, as strings or { url, priority } objects. Results keep this order.',
               example: ['https://example.com/article1', 'https://example.com/article2']
             },
             options: {
@@ -176,7 +327,13 @@ const options = {
                   minimum: 1,
                   maximum: 10,
                   default: 3,
-                  description: 'Number of concurrent requests'
+                  description: 'Number of URLs in flight; a finished URL immediately frees its slot for the next one'
+                },
+                deadline: {
+                  type: 'integer',
+                  minimum: 1000,
+                  maximum: 3600000,
+                  description: 'Milliseconds after which URLs that have not started yet fail with code deadline_exceeded'
                 },
                 includeImages: {
                   type: 'boolean',
@@ -201,6 +358,13 @@ const options = {
                   enum: ['markdown', 'html'],
                   default: 'markdown'
                 },
+                formats: {
+                  type: 'array',
+                  items: {
+                    type: 'string',
+                    enum: ['markdown', 'html', 'rawHtml', 'text', 'links', 'extract']
+                  }
+                },
                 blockResources: {
                   type: 'array',
                   items: {
@@ -228,11 +392,297 @@ const options = {
                       secure: { type: 'boolean' }
                     }
                   }
+                },
+                browser: {
+                  $ref: '#/components/schemas/BrowserOptions'
+                },
+                sessionId: {
+                  type: 'string',
+                  format: 'uuid',
+                  description: 'Render the pages logged in, with a session from POST /api/sessions'
+                },
+                ignoreRobots: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Skip the robots.txt check. Only honoured when the server sets politeness.allowRobotsOverride'
+                },
+                changeTracking: {
+                  $ref: '#/components/schemas/ChangeTrackingOptions'
+                },
+                webhook: {
+                  $ref: '#/components/schemas/WebhookOptions'
+                }
+              }
+            }
+          }
+        },
+        CrawlRequest: {
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: {
+              type: 'string',
+              format: 'uri',
+              description: 'Seed URL the crawl starts from',
+              example: 'https://docs.example.com'
+            },
+            options: {
+              type: 'object',
+              properties: {
+                limit: {
+                  type: 'integer',
+                  minimum: 1,
+                  maximum: 500,
+                  default: 10,
+                  description: 'Maximum number of pages to visit'
+                },
+                maxDepth: {
+                  type: 'integer',
+                  minimum: 0,
+                  maximum: 10,
+                  default: 2,
+                  description: 'Maximum link depth from the seed URL (0 crawls only the seed)'
+                },
+                includePaths: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Path globs a discovered URL must match to be followed',
+                  example: ['/docs/**']
+                },
+                excludePaths: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Path globs that prevent a discovered URL from being followed',
+                  example: ['/blog/**', '*.pdf']
+                },
+                sameDomain: {
+                  type: 'boolean',
+                  default: true,
+                  description: 'Only follow links on the seed URL domain'
+                },
+                allowSubdomains: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Treat subdomains of the seed domain as the same domain'
+                },
+                concurrent: {
+                  type: 'integer',
+                  minimum: 1,
+                  maximum: 10,
+                  default: 3,
+                  description: 'Number of pages rendered in parallel'
+                },
+                includeImages: {
+                  type: 'boolean',
+                  default: true
+                },
+                includeLinks: {
+                  type: 'boolean',
+                  default: true
+                },
+                timeout: {
+                  type: 'integer',
+                  minimum: 1000,
+                  maximum: 60000,
+                  default: 30000
+                },
+                saveToFile: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Save every crawled page as an MD file'
+                },
+                saveDirectory: {
+                  type: 'string',
+                  pattern: '^[a-zA-Z0-9_\\-\\/]+$'
+                },
+                browser: {
+                  $ref: '#/components/schemas/BrowserOptions'
+                },
+                sessionId: {
+                  type: 'string',
+                  format: 'uuid',
+                  description: 'Render the pages logged in, with a session from POST /api/sessions'
+                },
+                ignoreRobots: {
+                  type: 'boolean',
+                  default: false,
+                  description: 'Skip the robots.txt check. Only honoured when the server sets politeness.allowRobotsOverride'
+                },
+                changeTracking: {
+                  $ref: '#/components/schemas/ChangeTrackingOptions'
+                },
+                webhook: {
+                  $ref: '#/components/schemas/WebhookOptions'
+                }
+              }
+            }
+          }
+        },
+        CrawlResponse: {
+          type: 'object',
+          properties: {
+            success: {
+              type: 'boolean',
+              example: true
+            },
+            data: {
+              type: 'object',
+              properties: {
+                baseUrl: {
+                  type: 'string',
+                  format: 'uri'
+                },
+                pages: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      url: { type: 'string', format: 'uri' },
+                      title: { type: 'string' },
+                      markdown: { type: 'string' },
+                      metadata: { type: 'object' },
+                      depth: { type: 'integer' },
+                      extractedAt: { type: 'string', format: 'date-time' }
+                    }
+                  }
+                },
+                failed: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      url: { type: 'string' },
+                      message: { type: 'string' },
+                      depth: { type: 'integer' }
+                    }
+                  }
+                },
+                blocked: {
+                  type: 'array',
+                  description: 'Pages disallowed by robots.txt; they do not count against the limit',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      url: { type: 'string' },
+                      code: { type: 'string', example: 'blocked_by_robots' },
+                      rule: { type: 'string', example: 'Disallow: /private/' },
+                      depth: { type: 'integer' }
+                    }
+                  }
+                },
+                summary: {
+                  type: 'object',
+                  properties: {
+                    totalPages: { type: 'integer' },
+                    failedPages: { type: 'integer' },
+                    blockedPages: { type: 'integer' },
+                    changes: { type: 'object', description: 'Pages per changeStatus when changeTracking is set' },
+                    discoveredUrls: { type: 'integer' },
+                    maxDepthReached: { type: 'integer' },
+                    processingTime: { type: 'integer' }
+                  }
+                },
+                crawledAt: {
+                  type: 'string',
+                  format: 'date-time'
                 }
               }
             }
           }
         },
+        StructuredField: {
+          type: 'object',
+          description: 'One field of a structured extraction schema. Give either selector or xpath; nested fields are read relative to each match',
+          properties: {
+            selector: { type: 'string', description: 'CSS selector', example: '.price' },
+            xpath: { type: 'string', description: 'XPath expression', example: "//span[@itemprop='price']" },
+            attribute: { type: 'string', description: 'Read this attribute instead of the text; "html" returns the inner HTML', example: 'href' },
+            type: {
+              type: 'string',
+              enum: ['string', 'number', 'integer', 'boolean', 'date', 'url', 'html'],
+              default: 'string'
+            },
+            list: { type: 'boolean', default: false, description: 'Return every match as an array' },
+            regex: { type: 'string', description: 'Regular expression applied before type coercion', example: '([\\d.,]+)' },
+            flags: { type: 'string', description: 'Regex flags (i, m, s, u)' },
+            group: { type: 'integer', description: 'Capture group to keep; defaults to 1 when the regex has groups, else the whole match' },
+            required: { type: 'boolean', default: false, description: 'Report a validation error when nothing is found' },
+            default: { description: 'Value used when nothing is found' },
+            fields: {
+              type: 'object',
+              additionalProperties: { $ref: '#/components/schemas/StructuredField' }
+            }
+          }
+        },
+        StructuredExtractRequest: {
+          type: 'object',
+          required: ['schema'],
+          description: 'Provide either url or urls',
+          properties: {
+            url: { type: 'string', format: 'uri' },
+            urls: {
+              type: 'array',
+              maxItems: 50,
+              items: { type: 'string', format: 'uri' }
+            },
+            schema: {
+              type: 'object',
+              required: ['fields'],
+              properties: {
+                fields: {
+                  type: 'object',
+                  additionalProperties: { $ref: '#/components/schemas/StructuredField' }
+                }
+              }
+            },
+            options: {
+              type: 'object',
+              properties: {
+                concurrent: { type: 'integer', minimum: 1, maximum: 10, default: 3 },
+                waitForSelector: { type: 'string' },
+                timeout: { type: 'integer', default: 30000 },
+                blockResources: { type: 'array', items: { type: 'string' } },
+                headers: { type: 'object' },
+                cookies: { type: 'array', items: { type: 'object' } },
+                actions: { type: 'array', items: { $ref: '#/components/schemas/PageAction' } },
+                browser: { $ref: '#/components/schemas/BrowserOptions' },
+                sessionId: { type: 'string', format: 'uuid' },
+                maxAge: { type: 'integer' },
+                bypassCache: { type: 'boolean' },
+                ignoreRobots: { type: 'boolean' }
+              }
+            }
+          }
+        },
+        PageAction: {
+          type: 'object',
+          required: ['type'],
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['click', 'type', 'press', 'scroll', 'waitForSelector', 'wait', 'screenshot', 'executeJavascript']
+            },
+            selector: { type: 'string', description: 'CSS selector (click, type, waitForSelector; optional for press, scroll, screenshot)' },
+            text: { type: 'string', description: 'Text to enter (type)' },
+            delay: { type: 'integer', description: 'Delay between key presses in ms (type)' },
+            clear: { type: 'boolean', default: true, description: 'Clear the field first (type)' },
+            key: { type: 'string', example: 'Enter', description: 'Key to press (press)' },
+            all: { type: 'boolean', description: 'Click every matching element (click)' },
+            button: { type: 'string', enum: ['left', 'right', 'middle'] },
+            clickCount: { type: 'integer', minimum: 1, maximum: 3 },
+            direction: { type: 'string', enum: ['up', 'down', 'top', 'bottom'], default: 'down', description: 'Scroll direction (scroll)' },
+            amount: { type: 'integer', description: 'Pixels to scroll, defaults to one screen (scroll)' },
+            state: { type: 'string', enum: ['attached', 'detached', 'visible', 'hidden'], description: 'State to wait for (waitForSelector)' },
+            milliseconds: { type: 'integer', maximum: 30000, description: 'Time to wait (wait)' },
+            fullPage: { type: 'boolean', description: 'Full page capture (screenshot)' },
+            format: { type: 'string', enum: ['png', 'jpeg'], description: 'Image type (screenshot)' },
+            quality: { type: 'integer', minimum: 0, maximum: 100 },
+            script: { type: 'string', description: 'Function body run in the page; its return value is reported (executeJavascript)' },
+            timeout: { type: 'integer', description: 'Step timeout in ms' },
+            optional: { type: 'boolean', default: false, description: 'Continue when this step fails' }
+          },
+          example: { type: 'click', selector: 'button.load-more' }
+        },
         ExtractResponse: {
           type: 'object',
           properties: {
@@ -256,6 +706,67 @@ const options = {
                   type: 'string',
                   example: '# Article Title\n\nThis is the content...'
                 },
+                html: {
+                  type: 'string',
+                  description: 'Cleaned main-content HTML (formats: html)'
+                },
+                rawHtml: {
+                  type: 'string',
+                  description: 'Full page HTML after rendering (formats: rawHtml)'
+                },
+                text: {
+                  type: 'string',
+                  description: 'Plain text of the main content (formats: text)'
+                },
+                links: {
+                  type: 'array',
+                  items: { type: 'string', format: 'uri' },
+                  description: 'Absolute links found on the page (formats: links)'
+                },
+                extract: {
+                  type: 'object',
+                  description: 'JSON extracted by the LLM (formats: extract); metadata.extract reports model, chunks, token usage and schema validation'
+                },
+                actions: {
+                  type: 'array',
+                  description: 'Outcome of each page action',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      index: { type: 'integer' },
+                      type: { type: 'string' },
+                      success: { type: 'boolean' },
+                      duration: { type: 'integer' },
+                      result: { type: 'object' },
+                      error: { type: 'string' }
+                    }
+                  }
+                },
+                screenshot: {
+                  type: 'object',
+                  description: 'Base64 screenshot, or its file path when saveToFile is set',
+                  properties: {
+                    mimeType: { type: 'string', example: 'image/png' },
+                    fullPage: { type: 'boolean' },
+                    selector: { type: 'string' },
+                    data: { type: 'string', format: 'byte' },
+                    savedFilePath: { type: 'string' }
+                  }
+                },
+                changeTracking: {
+                  $ref: '#/components/schemas/ChangeTracking'
+                },
+                pdf: {
+                  type: 'object',
+                  description: 'Base64 PDF, or its file path when saveToFile is set',
+                  properties: {
+                    mimeType: { type: 'string', example: 'application/pdf' },
+                    format: { type: 'string' },
+                    landscape: { type: 'boolean' },
+                    data: { type: 'string', format: 'byte' },
+                    savedFilePath: { type: 'string' }
+                  }
+                },
                 metadata: {
                   type: 'object',
                   properties: {
@@ -271,6 +782,12 @@ const options = {
                     wordCount: { type: 'integer' },
                     readingTime: { type: 'string' },
                     processingTime: { type: 'integer' },
+                    documentType: {
+                      type: 'string',
+                      enum: ['pdf', 'docx', 'xlsx', 'pptx', 'csv'],
+                      description: 'Set when the URL was a document converted without the browser'
+                    },
+                    fileSize: { type: 'integer', description: 'Document size in bytes' },
                     markdownStats: {
                       type: 'object',
                       properties: {
@@ -321,6 +838,8 @@ const options = {
                     total: { type: 'integer' },
                     successful: { type: 'integer' },
                     failed: { type: 'integer' },
+                    blocked: { type: 'integer', description: 'URLs disallowed by robots.txt' },
+                    changes: { type: 'object', description: 'Results per changeStatus when changeTracking is set' },
                     successRate: { type: 'string' },
                     processingTime: { type: 'integer' }
                   }
@@ -414,6 +933,18 @@ const options = {
                       }
                     }
                   }
+                },
+                cache: {
+                  type: 'object',
+                  properties: {
+                    enabled: { type: 'boolean' },
+                    driver: { type: 'string', enum: ['memory', 'redis'] },
+                    hits: { type: 'integer' },
+                    misses: { type: 'integer' },
+                    bypasses: { type: 'integer' },
+                    writes: { type: 'integer' },
+                    hitRate: { type: 'number' }
+                  }
                 }
               }
             }
@@ -436,6 +967,10 @@ const options = {
                 details: {
                   type: 'string'
                 },
+                code: {
+                  type: 'string',
+                  description: 'Machine-readable reason, e.g. blocked_by_robots'
+                },
                 url: {
                   type: 'string'
                 },
@@ -451,6 +986,374 @@ const options = {
             }
           }
         },
+        ConvertRequest: {
+          type: 'object',
+          description: 'Exactly one of html or file',
+          properties: {
+            html: {
+              type: 'string',
+              description: 'HTML document to convert',
+              example: '<html><head><title>Saved page</title></head><body><article><h1>Hello</h1><p>World</p></article></body></html>'
+            },
+            file: {
+              type: 'object',
+              required: ['data'],
+              properties: {
+                data: { type: 'string', format: 'byte', description: 'Base64 encoded file content' },
+                filename: { type: 'string', example: 'report.pdf' },
+                contentType: { type: 'string', example: 'application/pdf' }
+              }
+            },
+            url: {
+              type: 'string',
+              format: 'uri',
+              description: 'Original location, used to resolve relative links and images'
+            },
+            options: {
+              type: 'object',
+              properties: {
+                formats: {
+                  type: 'array',
+                  items: { type: 'string', enum: ['markdown', 'html', 'rawHtml', 'text', 'links', 'extract'] }
+                },
+                extract: {
+                  type: 'object',
+                  description: 'LLM extraction settings (prompt, schema, systemPrompt) as for the extract endpoint'
+                }
+              }
+            }
+          }
+        },
+        BrowserOptions: {
+          type: 'object',
+          description: 'Browser context the page is rendered in (local engine only)',
+          properties: {
+            browserType: {
+              type: 'string',
+              enum: ['chromium', 'firefox', 'webkit'],
+              description: "Browser engine; the server's default type when not set. PDF rendering needs chromium"
+            },
+            headless: {
+              type: 'boolean',
+              default: true,
+              description: 'Values other than the pool setting launch a browser just for this request'
+            },
+            slowMo: {
+              type: 'integer',
+              minimum: 0,
+              maximum: 1000,
+              default: 0,
+              description: 'Delay in ms between browser operations; above 0 launches a browser just for this request'
+            },
+            device: {
+              type: 'string',
+              description: 'Playwright device preset (user agent, viewport, touch, scale factor); the other settings override it',
+              example: 'iPhone 13'
+            },
+            userAgent: { type: 'string' },
+            viewport: {
+              type: 'object',
+              properties: {
+                width: { type: 'integer', example: 1280 },
+                height: { type: 'integer', example: 720 }
+              }
+            },
+            locale: {
+              type: 'string',
+              description: 'Also sets Accept-Language and navigator.language',
+              example: 'de-DE'
+            },
+            timezoneId: {
+              type: 'string',
+              example: 'Europe/Berlin'
+            },
+            geolocation: {
+              type: 'object',
+              description: 'Reported to pages; the geolocation permission is granted',
+              properties: {
+                latitude: { type: 'number', example: 52.52 },
+                longitude: { type: 'number', example: 13.405 },
+                accuracy: { type: 'number', default: 0 }
+              }
+            },
+            colorScheme: {
+              type: 'string',
+              enum: ['light', 'dark', 'no-preference']
+            },
+            javaScriptEnabled: { type: 'boolean' },
+            proxy: {
+              type: 'object',
+              description: 'Proxy for this request; the proxy host must pass the network policy',
+              required: ['server'],
+              properties: {
+                server: { type: 'string', example: 'http://proxy.example.com:3128' },
+                username: { type: 'string' },
+                password: { type: 'string' },
+                bypass: { type: 'string', description: 'Comma-separated domains not to proxy' }
+              }
+            }
+          }
+        },
+        ChangeTrackingOptions: {
+          description: 'Compare the markdown with the last snapshot of the URL; true returns a unified diff',
+          oneOf: [
+            { type: 'boolean' },
+            {
+              type: 'object',
+              properties: {
+                diff: {
+                  type: 'string',
+                  enum: ['unified', 'words', 'none'],
+                  default: 'unified'
+                },
+                tag: {
+                  type: 'string',
+                  description: 'Keep a separate history for this tag (e.g. one per schedule)'
+                }
+              }
+            }
+          ]
+        },
+        ChangeTracking: {
+          type: 'object',
+          properties: {
+            changeStatus: {
+              type: 'string',
+              enum: ['new', 'same', 'changed', 'removed']
+            },
+            previousScrapeAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            hash: {
+              type: 'string',
+              description: 'SHA-256 of the normalized markdown'
+            },
+            previousHash: {
+              type: 'string',
+              nullable: true
+            },
+            diff: {
+              type: 'object',
+              description: 'Only when changeStatus is "changed"',
+              properties: {
+                format: { type: 'string', enum: ['unified', 'words'] },
+                text: { type: 'string', example: '--- previous\n+++ current\n@@ -1,3 +1,3 @@\n # Pricing\n-Starter: $10\n+Starter: $12' },
+                added: { type: 'integer', description: 'Added lines (unified) or words (words)' },
+                removed: { type: 'integer' },
+                truncated: { type: 'boolean', description: 'The diff took longer than diffTimeout and was skipped' }
+              }
+            }
+          }
+        },
+        ChangeEvent: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            url: { type: 'string', format: 'uri' },
+            tag: { type: 'string' },
+            changeStatus: { type: 'string', enum: ['new', 'changed', 'removed'] },
+            title: { type: 'string' },
+            hash: { type: 'string', nullable: true },
+            previousHash: { type: 'string', nullable: true },
+            previousScrapeAt: { type: 'string', format: 'date-time', nullable: true },
+            added: { type: 'integer' },
+            removed: { type: 'integer' },
+            detectedAt: { type: 'string', format: 'date-time' }
+          }
+        },
+        BatchEventStream: {
+          type: 'string',
+          description: 'Server-Sent Events. started { total, urls }; page { index, url, result } per finished URL; progress { completed, successful, failed, total } after every page; completed { summary, processedAt } or failed { error } at the end. A ": heartbeat" comment is sent every 15 seconds; if the client disconnects, URLs that have not started are cancelled',
+          example: 'id: 2\nevent: page\ndata: {"index":0,"url":"https://example.com","result":{"success":true,"data":{}}}\n\nid: 3\nevent: progress\ndata: {"completed":1,"successful":1,"failed":0,"total":2}\n\n'
+        },
+        WebhookOptions: {
+          description: 'Run in the background, answer 202 and POST the events to this URL instead of returning the results',
+          oneOf: [
+            { type: 'string', format: 'uri' },
+            {
+              type: 'object',
+              required: ['url'],
+              properties: {
+                url: { type: 'string', format: 'uri' },
+                headers: {
+                  type: 'object',
+                  additionalProperties: { type: 'string' },
+                  description: 'Sent with every delivery, e.g. an Authorization header'
+                },
+                secret: {
+                  type: 'string',
+                  minLength: 8,
+                  description: 'Sign each body with HMAC-SHA256; the X-Webhook-Signature header is "sha256=<hex digest>"'
+                },
+                events: {
+                  type: 'array',
+                  items: { type: 'string', enum: ['started', 'page', 'completed', 'failed'] },
+                  description: 'Events to send (default: all)'
+                }
+              }
+            }
+          ]
+        },
+        WebhookEvent: {
+          type: 'object',
+          description: 'Body POSTed to the webhook URL',
+          properties: {
+            id: { type: 'string', format: 'uuid', description: 'Event id, also sent as X-Webhook-Id' },
+            type: { type: 'string', example: 'batch.page', description: 'Source and event, also sent as X-Webhook-Event' },
+            event: { type: 'string', enum: ['started', 'page', 'completed', 'failed'] },
+            requestId: { type: 'string', format: 'uuid', description: 'From the 202 response of the batch or crawl' },
+            timestamp: { type: 'string', format: 'date-time' },
+            data: {
+              type: 'object',
+              description: 'started: urls (batch) or url and limit (crawl); page: url, index or depth, and the per-URL result; completed: summary; failed: error'
+            }
+          }
+        },
+        WebhookAccepted: {
+          type: 'object',
+          properties: {
+            success: { type: 'boolean', example: true },
+            data: {
+              type: 'object',
+              properties: {
+                requestId: { type: 'string', format: 'uuid' },
+                status: { type: 'string', example: 'processing' },
+                total: { type: 'integer', description: 'Number of URLs (batch)' },
+                url: { type: 'string', description: 'Start URL (crawl)' },
+                webhook: {
+                  type: 'object',
+                  properties: {
+                    url: { type: 'string' },
+                    events: { type: 'array', items: { type: 'string' } }
+                  }
+                },
+                deliveries: { type: 'string', example: '/api/webhooks/deliveries?requestId=0b6f...' }
+              }
+            }
+          }
+        },
+        WebhookDelivery: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            requestId: { type: 'string', format: 'uuid' },
+            type: { type: 'string', example: 'crawl.page' },
+            event: { type: 'string', enum: ['started', 'page', 'completed', 'failed'] },
+            url: { type: 'string', description: 'Webhook URL' },
+            pageUrl: { type: 'string', description: 'URL the event is about (page events)' },
+            owner: { type: 'string', nullable: true, description: 'Id of the API key that made the request' },
+            status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+            attempts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  attempt: { type: 'integer' },
+                  statusCode: { type: 'integer', nullable: true },
+                  error: { type: 'string', nullable: true },
+                  duration: { type: 'integer' },
+                  at: { type: 'string', format: 'date-time' }
+                }
+              }
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+            nextAttemptAt: { type: 'string', format: 'date-time', nullable: true, description: 'When a failed attempt will be retried' }
+          }
+        },
+        ApiKeyUsage: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', example: 'reporting' },
+            name: { type: 'string' },
+            source: { type: 'string', enum: ['config', 'file'] },
+            scopes: {
+              type: 'array',
+              items: { type: 'string', enum: ['local', 'firecrawl', 'markitdown', 'admin'] }
+            },
+            rateLimit: {
+              type: 'object',
+              properties: {
+                points: { type: 'integer', description: 'Requests allowed per duration', example: 60 },
+                duration: { type: 'integer', description: 'Window in seconds', example: 60 }
+              }
+            },
+            quota: {
+              type: 'object',
+              nullable: true,
+              description: 'Daily quota, reset at midnight UTC; null when the key has none',
+              properties: {
+                limit: { type: 'integer' },
+                used: { type: 'integer' },
+                remaining: { type: 'integer' },
+                resetAt: { type: 'string', format: 'date-time' }
+              }
+            },
+            usage: {
+              type: 'object',
+              description: 'Counters since the server started',
+              properties: {
+                requests: { type: 'integer' },
+                rateLimited: { type: 'integer' },
+                quotaExceeded: { type: 'integer' },
+                forbidden: { type: 'integer' },
+                byScope: {
+                  type: 'object',
+                  additionalProperties: { type: 'integer' },
+                  example: { local: 12, firecrawl: 3, markitdown: 0, admin: 1 }
+                },
+                lastUsedAt: { type: 'string', format: 'date-time', nullable: true }
+              }
+            }
+          }
+        },
+        Session: {
+          type: 'object',
+          description: 'A login session. The login script and the cookies are stored encrypted and never returned.',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            name: { type: 'string', example: 'Internal wiki' },
+            owner: { type: 'string', nullable: true, description: 'Id of the API key that created the session' },
+            loginUrl: { type: 'string', format: 'uri', example: 'https://wiki.example.com/login' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            lastLoginAt: { type: 'string', format: 'date-time' },
+            logins: { type: 'integer', description: 'Logins so far, the first one included' },
+            cookies: { type: 'integer' },
+            domains: { type: 'array', items: { type: 'string' }, example: ['wiki.example.com'] },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Earliest cookie expiry; null when the cookies end with the browser session'
+            }
+          }
+        },
+        ScrapeAttempt: {
+          type: 'object',
+          properties: {
+            engine: {
+              type: 'string',
+              enum: ['local', 'firecrawl', 'markitdown']
+            },
+            status: {
+              type: 'string',
+              enum: ['success', 'insufficient', 'failed', 'blocked_by_robots', 'url_blocked', 'skipped']
+            },
+            reason: {
+              type: 'string',
+              example: 'Markdown too short (12 < 200 characters)'
+            },
+            contentLength: {
+              type: 'integer'
+            },
+            processingTime: {
+              type: 'integer'
+            }
+          }
+        },
         ValidationError: {
           type: 'object',
           properties: {
@@ -511,6 +1414,26 @@ const options = {
             }
           }
         },
+        Unauthorized: {
+          description: 'Missing or invalid API key',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              }
+            }
+          }
+        },
+        Forbidden: {
+          description: 'The API key has no scope for this provider or endpoint',
+          content: {
+            'application/json': {
+              schema: {
+                $ref: '#/components/schemas/ErrorResponse'
+              }
+            }
+          }
+        },
         TooManyRequests: {
           description: 'Too Many Requests',
           content: {
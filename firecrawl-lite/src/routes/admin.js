@@ -0,0 +1,126 @@
+const express = require('express');
+const { getAuthService } = require('../services/registry');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/admin/usage:
+ *   get:
+ *     tags: [Admin]
+ *     summary: API key usage
+ *     description: |
+ *       Scopes, limits, today's quota and request counters of every configured API key.
+ *       Key values are never returned. Needs a key with the admin scope.
+ *     responses:
+ *       200:
+ *         description: Usage per key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     keys:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ApiKeyUsage'
+ *                     stats:
+ *                       type: object
+ *                       properties:
+ *                         enabled: { type: boolean }
+ *                         keys: { type: integer }
+ *                         unauthorized: { type: integer, description: 'Requests refused for a missing or unknown key' }
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/usage', async (req, res) => {
+  try {
+    const authService = getAuthService();
+    
+    return res.json({
+      success: true,
+      data: {
+        keys: await authService.getUsage(),
+        stats: authService.getStats()
+      }
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get API key usage',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/usage/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Usage of one API key
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Key id from the configuration or keys file
+ *     responses:
+ *       200:
+ *         description: Usage found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKeyUsage'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: No key with this id
+ */
+router.get('/usage/:id', async (req, res) => {
+  try {
+    const usage = await getAuthService().getKeyUsage(req.params.id);
+    
+    if (!usage) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'API key not found',
+          id: req.params.id
+        }
+      });
+    }
+    
+    return res.json({
+      success: true,
+      data: usage
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get API key usage',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,127 @@
+const express = require('express');
+const joi = require('joi');
+const { getCacheService } = require('../services/registry');
+
+const router = express.Router();
+
+// Validation schema for cache purge
+const purgeSchema = joi.object({
+  provider: joi.string().valid('local', 'firecrawl', 'markitdown'),
+  url: joi.string().uri()
+});
+
+/**
+ * @swagger
+ * /api/cache/stats:
+ *   get:
+ *     tags: [Cache]
+ *     summary: Get response cache statistics
+ *     description: Hit, miss and bypass counters overall and per provider, plus backend usage
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: await getCacheService().getStats()
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get cache stats',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/cache:
+ *   delete:
+ *     tags: [Cache]
+ *     summary: Purge cached responses
+ *     description: Without parameters every cached response is removed; provider and url narrow the purge down. Needs the admin scope when API keys are enabled.
+ *     parameters:
+ *       - in: query
+ *         name: provider
+ *         schema:
+ *           type: string
+ *           enum: [local, firecrawl, markitdown]
+ *       - in: query
+ *         name: url
+ *         schema:
+ *           type: string
+ *           format: uri
+ *         description: Purge entries for this URL (all option variants)
+ *     responses:
+ *       200:
+ *         description: Cache purged
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const { error, value } = purgeSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid request parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        }
+      });
+    }
+    
+    const removed = await getCacheService().purge(value);
+    
+    req.app.locals.logger && req.app.locals.logger.info('Cache purged', {
+      provider: value.provider || 'all',
+      url: value.url || 'all',
+      removed,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.json({
+      success: true,
+      data: {
+        removed,
+        provider: value.provider || null,
+        url: value.url || null,
+        purgedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    req.app.locals.logger && req.app.locals.logger.error('Unexpected error in cache purge endpoint', {
+      error: error.message,
+      stack: error.stack,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,234 @@
+const express = require('express');
+const joi = require('joi');
+const { getChangeTrackingService } = require('../services/registry');
+
+const router = express.Router();
+
+// Statuses recorded in the feed; unchanged ("same") checks are not
+const FEED_STATUSES = ['new', 'changed', 'removed'];
+
+// Validation schema for the change feed; status may be repeated (?status=changed&status=removed)
+const changesSchema = joi.object({
+  since: joi.date().iso(),
+  url: joi.string().uri(),
+  status: joi.array().items(joi.string().valid(...FEED_STATUSES)).single(),
+  limit: joi.number().integer().min(1).max(1000).default(100)
+});
+
+// Validation schema for snapshot lookup
+const snapshotSchema = joi.object({
+  url: joi.string().uri().required(),
+  tag: joi.string().max(100),
+  markdown: joi.boolean().default(true)
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: {
+    message: 'Invalid request parameters',
+    details: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }))
+  }
+});
+
+/**
+ * @swagger
+ * /api/changes:
+ *   get:
+ *     tags: [Changes]
+ *     summary: Feed of detected content changes
+ *     description: |
+ *       New, changed and removed pages detected by requests made with the changeTracking option,
+ *       newest first. Unchanged checks are not recorded in the feed.
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only changes detected after this time
+ *       - in: query
+ *         name: url
+ *         schema:
+ *           type: string
+ *           format: uri
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [new, changed, removed]
+ *         style: form
+ *         explode: true
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Change events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     changes:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ChangeEvent'
+ *                     count: { type: integer }
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { error, value } = changesSchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+    
+    const changes = await getChangeTrackingService().getChanges({
+      since: value.since,
+      url: value.url,
+      changeStatus: value.status,
+      limit: value.limit
+    });
+    
+    return res.json({
+      success: true,
+      data: {
+        changes,
+        count: changes.length
+      }
+    });
+
+  } catch (error) {
+    req.app.locals.logger && req.app.locals.logger.error('Unexpected error in changes endpoint', {
+      error: error.message,
+      stack: error.stack,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/changes/snapshot:
+ *   get:
+ *     tags: [Changes]
+ *     summary: Latest stored snapshot of a URL
+ *     description: The content hash and markdown the next tracked request will be compared with
+ *     parameters:
+ *       - in: query
+ *         name: url
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uri
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *         description: Tag the snapshot was tracked under, if any
+ *       - in: query
+ *         name: markdown
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to leave the stored markdown out
+ *     responses:
+ *       200:
+ *         description: Snapshot found
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       404:
+ *         description: The URL has not been tracked
+ */
+router.get('/snapshot', async (req, res) => {
+  try {
+    const { error, value } = snapshotSchema.validate(req.query);
+    if (error) {
+      return validationError(res, error);
+    }
+    
+    const snapshot = await getChangeTrackingService().getSnapshot(value.url, value.tag);
+    
+    if (!snapshot) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'No snapshot stored for this URL',
+          url: value.url
+        }
+      });
+    }
+    
+    const { markdown, ...details } = snapshot;
+    
+    return res.json({
+      success: true,
+      data: value.markdown ? snapshot : details
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to read snapshot',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/changes/stats:
+ *   get:
+ *     tags: [Changes]
+ *     summary: Get change tracking statistics
+ *     description: Counts of new, same, changed and removed results since startup, plus snapshot store usage
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ */
+router.get('/stats', async (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: await getChangeTrackingService().getStats()
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get change tracking stats',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
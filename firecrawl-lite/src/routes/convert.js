@@ -0,0 +1,293 @@
+const express = require('express');
+const joi = require('joi');
+const multer = require('multer');
+const { initializeCrawlerService } = require('../services/registry');
+
+const router = express.Router();
+
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024; // 50MB, same as the document converter limit
+
+// JSON bodies carry files as base64, a third larger than the file itself. The
+// app-wide JSON parser (10mb) skips this route so this one applies; the file
+// in the body is then held to MAX_UPLOAD_SIZE by its decoded size.
+const MAX_JSON_SIZE = Math.ceil(MAX_UPLOAD_SIZE * 4 / 3) + 1024 * 1024;
+
+const jsonParser = express.json({ limit: MAX_JSON_SIZE });
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 }
+});
+
+// Conversion options: the output side of the extract endpoint
+const convertOptionsSchema = joi.object({
+  formats: joi.array().items(joi.string().valid('markdown', 'html', 'rawHtml', 'text', 'links', 'extract')).min(1).unique(),
+  format: joi.string().valid('markdown', 'html').default('markdown'),
+  extract: joi.object({
+    prompt: joi.string().max(10000),
+    schema: joi.object().unknown(true),
+    systemPrompt: joi.string().max(10000)
+  }).or('prompt', 'schema').when('formats', {
+    is: joi.array().items(joi.any()).has(joi.valid('extract')).required(),
+    then: joi.required()
+  })
+}).default({});
+
+// Validation schema for multipart uploads and raw HTML bodies (the content itself is not in the body)
+const uploadSchema = joi.object({
+  url: joi.string().uri(),
+  options: convertOptionsSchema
+});
+
+// Validation schema for JSON bodies: either an HTML string or a base64 file
+const convertSchema = uploadSchema.keys({
+  html: joi.string(),
+  file: joi.object({
+    data: joi.string().base64().required(),
+    filename: joi.string().max(255),
+    contentType: joi.string().max(255)
+  })
+}).xor('html', 'file');
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: {
+    message: 'Invalid request parameters',
+    details: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }))
+  }
+});
+
+const fileTooLarge = (res, details) => res.status(413).json({
+  success: false,
+  error: {
+    message: 'File too large',
+    details
+  }
+});
+
+// Bytes a base64 string decodes to
+const decodedSize = (data) => Math.floor(data.length * 3 / 4) - (data.endsWith('==') ? 2 : data.endsWith('=') ? 1 : 0);
+
+// Parse JSON bodies and answer 413 when the body, or the base64 file in it, is over the limit
+const handleJson = (req, res, next) => {
+  jsonParser(req, res, (error) => {
+    if (error) {
+      return error.type === 'entity.too.large' ? fileTooLarge(res, error.message) : next(error);
+    }
+    
+    const file = req.body && req.body.file;
+    if (file && typeof file.data === 'string' && decodedSize(file.data) > MAX_UPLOAD_SIZE) {
+      return fileTooLarge(res, `The base64 file decodes to more than ${MAX_UPLOAD_SIZE} bytes`);
+    }
+    
+    return next();
+  });
+};
+
+// Run multer for multipart requests and turn its errors into 400/413 responses
+const handleUpload = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return fileTooLarge(res, error.message);
+    }
+    
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid file upload',
+        details: error.message
+      }
+    });
+  });
+};
+
+// Multipart fields and query parameters are strings; options arrive as JSON.
+// Unparseable values are passed on as-is and rejected by validation.
+const parseOptions = (options) => {
+  if (typeof options !== 'string') {
+    return options;
+  }
+
+  try {
+    return JSON.parse(options);
+  } catch (error) {
+    return options;
+  }
+};
+
+/**
+ * @swagger
+ * /api/convert:
+ *   post:
+ *     tags: [Extract]
+ *     summary: Convert an uploaded file or HTML to markdown
+ *     description: |
+ *       Converts content that is not fetched from a URL with the same rules as a live scrape:
+ *       HTML goes through the cleaning, Readability and Turndown pipeline, and PDF, DOCX, XLSX,
+ *       PPTX and CSV files through the document converters. Send a multipart upload (field "file"),
+ *       a JSON body with "html" or a base64 "file", or raw HTML with Content-Type text/html
+ *       (then url and options are read from the query string). With "Accept: text/markdown" the
+ *       markdown is returned as the response body and the metadata in X-* headers.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [file]
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 description: Original location, used to resolve relative links and images
+ *               options:
+ *                 type: string
+ *                 description: JSON encoded conversion options
+ *                 example: '{"formats": ["markdown", "links"]}'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ConvertRequest'
+ *         text/html:
+ *           schema:
+ *             type: string
+ *             example: "<html><body><article><h1>Title</h1><p>Text</p></article></body></html>"
+ *     parameters:
+ *       - in: query
+ *         name: url
+ *         schema:
+ *           type: string
+ *           format: uri
+ *         description: Base URL for raw HTML bodies
+ *       - in: query
+ *         name: options
+ *         schema:
+ *           type: string
+ *         description: JSON encoded conversion options for raw HTML bodies
+ *     responses:
+ *       200:
+ *         description: Content converted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ExtractResponse'
+ *           text/markdown:
+ *             schema:
+ *               type: string
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       413:
+ *         description: Uploaded file (multipart, or base64 in a JSON body) is larger than 50MB
+ *       422:
+ *         description: The content could not be converted (unsupported or corrupt file)
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/', handleJson, handleUpload, express.text({ type: ['text/html', 'application/xhtml+xml'], limit: '10mb' }), async (req, res) => {
+  try {
+    let source;
+    let params;
+    
+    if (req.file) {
+      const { error, value } = uploadSchema.validate({ url: req.body.url, options: parseOptions(req.body.options) });
+      if (error) {
+        return validationError(res, error);
+      }
+      
+      params = value;
+      source = { buffer: req.file.buffer, filename: req.file.originalname, contentType: req.file.mimetype };
+    
+    } else if (typeof req.body === 'string') {
+      const { error, value } = uploadSchema.validate({ url: req.query.url, options: parseOptions(req.query.options) });
+      if (error) {
+        return validationError(res, error);
+      }
+      
+      params = value;
+      source = { html: req.body };
+    
+    } else {
+      const { error, value } = convertSchema.validate(req.body);
+      if (error) {
+        return validationError(res, error);
+      }
+      
+      params = value;
+      source = value.html !== undefined
+        ? { html: value.html }
+        : { buffer: Buffer.from(value.file.data, 'base64'), filename: value.file.filename, contentType: value.file.contentType };
+    }
+    
+    const crawler = await initializeCrawlerService(req.app.locals.config);
+    const options = { ...params.options, url: params.url };
+    
+    req.app.locals.logger && req.app.locals.logger.info('Starting conversion', {
+      source: source.html !== undefined ? 'html' : 'file',
+      filename: source.filename,
+      size: source.html !== undefined ? source.html.length : source.buffer.length,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    const result = source.html !== undefined
+      ? await crawler.convertHtml(source.html, options)
+      : await crawler.convertFile(source.buffer, { ...options, filename: source.filename, contentType: source.contentType });
+    
+    if (!result.success) {
+      req.app.locals.logger && req.app.locals.logger.error('Conversion failed', {
+        filename: source.filename,
+        error: result.error.message
+      });
+      
+      return res.status(422).json(result);
+    }
+    
+    const { data } = result;
+    
+    req.app.locals.logger && req.app.locals.logger.info('Conversion completed', {
+      filename: source.filename,
+      title: data.title,
+      processingTime: data.metadata.processingTime
+    });
+    
+    // Plain markdown for clients that ask for it, metadata in headers
+    if (data.markdown !== undefined && req.accepts(['application/json', 'text/markdown']) === 'text/markdown') {
+      res.set({
+        'X-Title': encodeURIComponent(data.title || ''),
+        'X-Word-Count': String(data.metadata.wordCount || 0),
+        'X-Processing-Time': String(data.metadata.processingTime),
+        ...(data.metadata.documentType && { 'X-Document-Type': data.metadata.documentType })
+      });
+      return res.type('text/markdown; charset=utf-8').send(data.markdown);
+    }
+    
+    return res.json(result);
+
+  } catch (error) {
+    req.app.locals.logger && req.app.locals.logger.error('Unexpected error in convert endpoint', {
+      error: error.message,
+      stack: error.stack,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+      }
+    });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,35 @@
 const express = require('express');
 const joi = require('joi');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const path = require('path');
-const CrawlerService = require('../services/crawler.service');
+const {
+  initializeCrawlerService,
+  getCrawlerService,
+  getCacheService,
+  getChangeTrackingService,
+  getWebhookService,
+  shutdownCrawlerService,
+  shutdownMarkitdownService,
+  shutdownCacheService,
+  shutdownChangeTrackingService,
+  shutdownWebhookService
+} = require('../services/registry');
+const { webhookSchema, acceptedResponse, webhookRefused } = require('./webhooks');
+const { sessionNotFound } = require('./sessions');
+const { BatchEventStream, wantsEventStream } = require('../utils/event-stream');
+const { batchUrlSchema, deadlineSchema, splitBatchUrls } = require('../utils/batch');
+const { browserSchema } = require('../utils/browser');
+const { actionsSchema } = require('../utils/actions');
+const { ownerOf } = require('../utils/auth');
+const {
+  OUTPUT_FORMATS,
+  screenshotSchema,
+  pdfSchema,
+  llmExtractSchema,
+  changeTrackingSchema,
+  localOptionsSchema
+} = require('../utils/options');
 
 const router = express.Router();
 
@@ -15,6 +42,11 @@ const extractSchema = joi.object({
     waitForSelector: joi.string().allow(null),
     timeout: joi.number().min(1000).max(60000).default(30000),
     format: joi.string().valid('markdown', 'html').default('markdown'),
+    formats: joi.array().items(joi.string().valid(...OUTPUT_FORMATS)).min(1).unique(),
+    screenshot: screenshotSchema,
+    pdf: pdfSchema,
+    actions: actionsSchema,
+    extract: llmExtractSchema,
     blockResources: joi.array().items(joi.string().valid('stylesheet', 'image', 'media', 'font')),
     headers: joi.object(),
     cookies: joi.array().items(joi.object({
@@ -40,10 +72,8 @@ const extractSchema = joi.object({
     scrollToBottom: joi.boolean().default(true),
     maxContentLength: joi.number().min(10000).max(10000000).default(1000000),
     // Browser configuration
-    browser: joi.object({
-      headless: joi.boolean().default(true),
-      slowMo: joi.number().min(0).max(1000).default(0)
-    }),
+    browser: browserSchema,
+    sessionId: joi.string().guid(),
     // Extraction configuration
     extraction: joi.object({
       waitForSelector: joi.string().allow(null),
@@ -51,42 +81,201 @@ const extractSchema = joi.object({
       waitForContentSelectors: joi.boolean().default(true),
       scrollToBottom: joi.boolean().default(true),
       maxContentLength: joi.number().min(10000).max(10000000).default(1000000)
-    })
+    }),
+    // Response cache
+    maxAge: joi.number().min(0),
+    bypassCache: joi.boolean().default(false),
+    ignoreRobots: joi.boolean().default(false),
+    changeTracking: changeTrackingSchema
   }).default({})
 });
 
-// Initialize crawler service
-let crawlerService = null;
+// Validation schema for a structured extraction field; fields nest through "fields"
+const structuredFieldSchema = joi.object({
+  selector: joi.string().max(1000),
+  xpath: joi.string().max(1000),
+  attribute: joi.string().max(100),
+  type: joi.string().valid('string', 'number', 'integer', 'boolean', 'date', 'url', 'html').default('string'),
+  list: joi.boolean().default(false),
+  regex: joi.string().max(1000).custom((value) => {
+    new RegExp(value);
+    return value;
+  }, 'regular expression'),
+  flags: joi.string().pattern(/^[imsu]*$/),
+  group: joi.number().integer().min(0),
+  required: joi.boolean().default(false),
+  default: joi.any(),
+  fields: joi.object().pattern(joi.string(), joi.link('#structuredField')).min(1)
+})
+  .oxor('selector', 'xpath')
+  .or('selector', 'xpath', 'fields')
+  .id('structuredField');
 
-const initializeCrawlerService = async (config) => {
-  if (!crawlerService) {
-    crawlerService = new CrawlerService(config);
-    await crawlerService.initialize();
-  }
-  return crawlerService;
-};
+// Validation schema for structured extraction request
+const structuredSchema = joi.object({
+  url: joi.string().uri(),
+  urls: joi.array().items(joi.string().uri()).min(1).max(50),
+  schema: joi.object({
+    fields: joi.object().pattern(joi.string(), structuredFieldSchema).min(1).required()
+  }).required(),
+  options: joi.object({
+    concurrent: joi.number().min(1).max(10).default(3),
+    waitForSelector: joi.string().allow(null),
+    timeout: joi.number().min(1000).max(60000).default(30000),
+    blockResources: joi.array().items(joi.string().valid('stylesheet', 'image', 'media', 'font')),
+    headers: joi.object(),
+    cookies: joi.array().items(joi.object({
+      name: joi.string().required(),
+      value: joi.string().required(),
+      domain: joi.string(),
+      path: joi.string(),
+      httpOnly: joi.boolean(),
+      secure: joi.boolean()
+    })),
+    actions: actionsSchema,
+    browser: browserSchema,
+    sessionId: joi.string().guid(),
+    maxAge: joi.number().min(0),
+    bypassCache: joi.boolean().default(false),
+    ignoreRobots: joi.boolean().default(false)
+  }).default({})
+}).xor('url', 'urls');
+
+// Validation schema for site crawl request
+const crawlSchema = joi.object({
+  url: joi.string().uri().required(),
+  options: joi.object({
+    limit: joi.number().min(1).max(500).default(10),
+    maxDepth: joi.number().min(0).max(10).default(2),
+    includePaths: joi.array().items(joi.string()).default([]),
+    excludePaths: joi.array().items(joi.string()).default([]),
+    sameDomain: joi.boolean().default(true),
+    allowSubdomains: joi.boolean().default(false),
+    concurrent: joi.number().min(1).max(10).default(3),
+    includeImages: joi.boolean().default(true),
+    includeLinks: joi.boolean().default(true),
+    timeout: joi.number().min(1000).max(60000).default(30000),
+    blockResources: joi.array().items(joi.string().valid('stylesheet', 'image', 'media', 'font')),
+    headers: joi.object(),
+    cookies: joi.array().items(joi.object({
+      name: joi.string().required(),
+      value: joi.string().required(),
+      domain: joi.string(),
+      path: joi.string(),
+      httpOnly: joi.boolean(),
+      secure: joi.boolean()
+    })),
+    saveToFile: joi.boolean().default(false),
+    saveDirectory: joi.string().pattern(/^[a-zA-Z0-9_\-\/]+$/).allow('').optional(),
+    browser: browserSchema,
+    sessionId: joi.string().guid(),
+    maxAge: joi.number().min(0),
+    bypassCache: joi.boolean().default(false),
+    ignoreRobots: joi.boolean().default(false),
+    changeTracking: changeTrackingSchema,
+    webhook: webhookSchema
+  }).default({})
+});
 
-// Helper function to create a safe filename from URL
+// Validation schema for map request
+const mapSchema = joi.object({
+  url: joi.string().uri().required(),
+  options: joi.object({
+    search: joi.string().allow('').max(500),
+    limit: joi.number().integer().min(1).max(50000).default(5000),
+    ignoreSitemap: joi.boolean(),
+    sitemapOnly: joi.boolean(),
+    allowSubdomains: joi.boolean().default(false),
+    includePaths: joi.array().items(joi.string()).default([]),
+    excludePaths: joi.array().items(joi.string()).default([]),
+    timeout: joi.number().min(1000).max(60000),
+    headers: joi.object(),
+    maxAge: joi.number().min(0),
+    bypassCache: joi.boolean().default(false),
+    ignoreRobots: joi.boolean().default(false)
+  }).oxor('ignoreSitemap', 'sitemapOnly').default({})
+});
+
+// Helper function to create a safe filename from URL. A short hash of the full
+// URL keeps pages that differ only in their query string or fragment apart.
 const createSafeFilename = (url, title) => {
   try {
     const urlObj = new URL(url);
     const hostname = urlObj.hostname.replace(/\./g, '_');
     const pathname = urlObj.pathname.replace(/[\/\\?%*:|"<>]/g, '_');
+    const urlHash = crypto.createHash('sha256').update(url).digest('hex').substring(0, 8);
     
     // If title exists, use it as primary filename
     if (title) {
       const safeTitle = title.replace(/[\/\\?%*:|"<>]/g, '_').substring(0, 50);
-      return `${safeTitle}_${hostname}${pathname}`.replace(/_{2,}/g, '_').replace(/_$/, '');
+      return `${safeTitle}_${hostname}${pathname}_${urlHash}`.replace(/_{2,}/g, '_');
     }
     
     // Otherwise use URL parts
-    return `${hostname}${pathname}`.replace(/_{2,}/g, '_').replace(/_$/, '');
+    return `${hostname}${pathname}_${urlHash}`.replace(/_{2,}/g, '_');
   } catch (error) {
     // Fallback to timestamp if URL parsing fails
     return `extracted_content_${Date.now()}`;
   }
 };
 
+// Helper function to write a base64 screenshot or PDF next to the markdown file
+const CAPTURE_EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'application/pdf': '.pdf'
+};
+
+const saveCaptureFile = async (saveDir, baseName, capture) => {
+  const filePath = path.join(saveDir, baseName + CAPTURE_EXTENSIONS[capture.mimeType]);
+  await fs.writeFile(filePath, Buffer.from(capture.data, 'base64'));
+  return path.relative(process.cwd(), filePath);
+};
+
+// Compare a result with the last snapshot of its URL (see ChangeTrackingService)
+const trackChanges = (url, result, changeTracking) => getChangeTrackingService()
+  .trackResult(url, result, changeTracking === true ? {} : changeTracking);
+
+// A cached copy would compare the snapshot with an old page, so tracked pages are always fetched
+const withFreshFetch = (options) => (options.changeTracking ? { ...options, bypassCache: true } : options);
+
+// Count change statuses for batch and crawl summaries
+const summarizeChanges = (trackings) => {
+  const counts = { new: 0, same: 0, changed: 0, removed: 0 };
+  trackings.forEach(tracking => {
+    if (tracking && tracking.changeStatus) {
+      counts[tracking.changeStatus]++;
+    }
+  });
+  return counts;
+};
+
+// Pages disallowed by robots.txt or the network policy are refused rather than
+// failed; unknown sessions are 404s, failed logins 502s, disabled browser types 400s
+// and requests for a dedicated browser while all of them are in use 503s
+const FAILURE_STATUSES = {
+  browser_type_unavailable: 400,
+  browser_limit_reached: 503,
+  blocked_by_robots: 403,
+  url_blocked: 403,
+  session_not_found: 404,
+  session_expired: 502,
+  session_login_failed: 502
+};
+
+const failureStatus = (error) => FAILURE_STATUSES[error.code] || 500;
+
+// Helper function to pick the output format fields present in an extraction result
+const pickFormats = (data) => {
+  const output = {};
+  OUTPUT_FORMATS.forEach(format => {
+    if (data[format] !== undefined) {
+      output[format] = data[format];
+    }
+  });
+  return output;
+};
+
 // Helper function to get default directory name based on current date
 const getDefaultDirectory = () => {
   const now = new Date();
@@ -96,6 +285,23 @@ const getDefaultDirectory = () => {
   return `extracted_${year}-${month}-${day}`;
 };
 
+// Helper function to write an extracted page as a markdown file with front matter
+const saveMarkdownFile = async (saveDir, data) => {
+  const filename = createSafeFilename(data.url, data.title) + '.md';
+  const filePath = path.join(saveDir, filename);
+  
+  const markdownContent = `---
+title: ${data.title || 'Untitled'}
+url: ${data.url}
+extractedAt: ${data.extractedAt}
+---
+
+${data.markdown}`;
+  
+  await fs.writeFile(filePath, markdownContent, 'utf8');
+  return path.relative(process.cwd(), filePath);
+};
+
 /**
  * @swagger
  * /api/extract:
@@ -147,6 +353,8 @@ const getDefaultDirectory = () => {
  *               $ref: '#/components/schemas/ExtractResponse'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: The URL is disallowed by robots.txt (error.code "blocked_by_robots") or refused by the network policy (error.code "url_blocked")
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
  *       500:
@@ -171,13 +379,24 @@ router.post('/extract', async (req, res) => {
 
     const { url, options } = value;
     
-    // Map new options to the crawler service format
+    // A session of another API key is reported as unknown
+    if (options.sessionId) {
+      const missing = await sessionNotFound(req, options.sessionId);
+      if (missing) {
+        return res.status(404).json(missing);
+      }
+    }
+    
+    // "formats" supersedes the single "format"; saving to file and change tracking need the markdown as well
+    const requestedFormats = options.formats || [options.format];
+    const formats = (options.saveToFile || options.changeTracking) && !requestedFormats.includes('markdown')
+      ? [...requestedFormats, 'markdown']
+      : requestedFormats;
+    
+    // Map new options to the crawler service format; the crawler maps waitUntil to a Playwright load state
     const crawlerOptions = {
-      ...options,
-      // Map waitUntil to the correct format for playwright
-      waitUntil: options.waitUntil === 'networkidle0' ? 'networkidle' : 
-                 options.waitUntil === 'networkidle1' ? 'networkidle' :
-                 options.waitUntil
+      ...withFreshFetch(options),
+      formats
     };
     
     // Initialize crawler service with app config and pass extraction options
@@ -194,12 +413,18 @@ router.post('/extract', async (req, res) => {
     
     // Extract content
     const startTime = Date.now();
-    const result = await crawler.crawlUrl(url, crawlerOptions);
+    let result = await crawler.crawlUrl(url, crawlerOptions);
+    
+    if (options.changeTracking) {
+      result = await trackChanges(url, result, options.changeTracking);
+    }
+    
     const processingTime = Date.now() - startTime;
     
     if (result.success) {
       // Save to file if requested
       let savedFilePath = null;
+      const savedCaptures = {};
       if (options.saveToFile) {
         try {
           // Use default date-based directory if not specified
@@ -210,7 +435,8 @@ router.post('/extract', async (req, res) => {
           await fs.mkdir(saveDir, { recursive: true });
           
           // Create filename
-          const filename = createSafeFilename(url, result.data.title) + '.md';
+          const baseName = createSafeFilename(url, result.data.title);
+          const filename = baseName + '.md';
           const filePath = path.join(saveDir, filename);
           
           // Create markdown content with metadata header
@@ -226,6 +452,13 @@ ${result.data.markdown}`;
           await fs.writeFile(filePath, markdownContent, 'utf8');
           savedFilePath = path.relative(process.cwd(), filePath);
           
+          // Write captures next to the markdown file instead of returning them inline
+          for (const capture of ['screenshot', 'pdf']) {
+            if (result.data[capture]) {
+              savedCaptures[capture] = await saveCaptureFile(saveDir, baseName, result.data[capture]);
+            }
+          }
+          
           req.app.locals.logger && req.app.locals.logger.info('Content saved to file', {
             url,
             filePath: savedFilePath
@@ -243,7 +476,7 @@ ${result.data.markdown}`;
       req.app.locals.logger && req.app.locals.logger.info('Content extracted successfully', {
         url,
         processingTime,
-        contentLength: result.data.markdown.length,
+        contentLength: (result.data.markdown || result.data.html || result.data.text || '').length,
         savedToFile: options.saveToFile,
         savedFilePath,
         userAgent: req.get('User-Agent'),
@@ -255,7 +488,7 @@ ${result.data.markdown}`;
         data: {
           url: result.data.url,
           title: result.data.title,
-          markdown: result.data.markdown,
+          ...pickFormats(result.data),
           metadata: {
             ...result.data.metadata,
             processingTime
@@ -264,6 +497,25 @@ ${result.data.markdown}`;
         }
       };
       
+      // Report the outcome of each scripted action
+      if (result.data.actions) {
+        responseData.data.actions = result.data.actions;
+      }
+      
+      if (result.data.changeTracking) {
+        responseData.data.changeTracking = result.data.changeTracking;
+      }
+      
+      // Return captures inline, or their file path once saved
+      ['screenshot', 'pdf'].forEach(capture => {
+        if (!result.data[capture]) return;
+        
+        const { data, ...captureInfo } = result.data[capture];
+        responseData.data[capture] = savedCaptures[capture]
+          ? { ...captureInfo, savedFilePath: savedCaptures[capture] }
+          : result.data[capture];
+      });
+      
       // Add file info if saved
       if (savedFilePath) {
         responseData.data.savedToFile = true;
@@ -281,13 +533,16 @@ ${result.data.markdown}`;
         ip: req.ip
       });
       
-      return res.status(500).json({
+      return res.status(failureStatus(result.error)).json({
         success: false,
         error: {
           message: 'Failed to extract content',
           details: result.error.message,
           url,
-          processingTime: result.error.processingTime
+          processingTime: result.error.processingTime,
+          ...(result.error.code && { code: result.error.code, rule: result.error.rule, reason: result.error.reason }),
+          ...(result.error.actions && { actions: result.error.actions }),
+          ...(result.error.changeTracking && { changeTracking: result.error.changeTracking })
         }
       });
     }
@@ -343,6 +598,14 @@ ${result.data.markdown}`;
  *                         healthy: { type: integer }
  *                         available: { type: integer }
  *                         busy: { type: integer }
+ *                         types:
+ *                           type: object
+ *                           description: Total and healthy browsers per browser type in use
+ *                           additionalProperties:
+ *                             type: object
+ *                             properties:
+ *                               total: { type: integer }
+ *                               healthy: { type: integer }
  *                     testCrawl:
  *                       type: boolean
  *                     stats:
@@ -355,6 +618,7 @@ ${result.data.markdown}`;
  */
 router.get('/health', async (req, res) => {
   try {
+    const crawlerService = getCrawlerService();
     if (!crawlerService) {
       return res.status(503).json({
         success: false,
@@ -401,6 +665,7 @@ router.get('/health', async (req, res) => {
  */
 router.get('/stats', async (req, res) => {
   try {
+    const crawlerService = getCrawlerService();
     if (!crawlerService) {
       return res.status(503).json({
         success: false,
@@ -410,7 +675,10 @@ router.get('/stats', async (req, res) => {
       });
     }
     
-    const stats = crawlerService.getStats();
+    const stats = {
+      ...crawlerService.getStats(),
+      cache: await getCacheService().getStats()
+    };
     
     return res.json({
       success: true,
@@ -428,13 +696,179 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/extract/structured:
+ *   post:
+ *     tags: [Extract]
+ *     summary: Extract structured data with a selector schema
+ *     description: Render one URL (url) or several (urls) and read the fields declared in the schema with CSS selectors or XPath. Values can come from text or attributes, be post-processed with a regex and coerced to number, integer, boolean, date or url. Each page reports whether its data satisfies the schema.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/StructuredExtractRequest'
+ *           examples:
+ *             product:
+ *               summary: Product page
+ *               value:
+ *                 url: "https://shop.example.com/products/42"
+ *                 schema:
+ *                   fields:
+ *                     name: { selector: "h1" }
+ *                     price: { selector: ".price", type: "number", required: true }
+ *                     image: { selector: "img.product", attribute: "src", type: "url" }
+ *                     sku: { xpath: "//span[@itemprop='sku']" }
+ *                     specs:
+ *                       selector: "table.specs tr"
+ *                       list: true
+ *                       fields:
+ *                         label: { selector: "th" }
+ *                         value: { selector: "td" }
+ *     responses:
+ *       200:
+ *         description: Structured data extracted
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: The URL is disallowed by robots.txt (error.code "blocked_by_robots") or refused by the network policy (error.code "url_blocked")
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/extract/structured', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = structuredSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid request parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        }
+      });
+    }
+
+    const { url, urls, schema, options } = value;
+    
+    // A session of another API key is reported as unknown
+    if (options.sessionId) {
+      const missing = await sessionNotFound(req, options.sessionId);
+      if (missing) {
+        return res.status(404).json(missing);
+      }
+    }
+    
+    // Initialize crawler service
+    const crawler = await initializeCrawlerService(req.app.locals.config);
+    
+    const startTime = Date.now();
+    
+    if (urls) {
+      const result = await crawler.extractStructuredMultiple(urls, schema, options);
+      const processingTime = Date.now() - startTime;
+      
+      req.app.locals.logger && req.app.locals.logger.info('Structured batch extraction completed', {
+        urlCount: urls.length,
+        successful: result.summary.successful,
+        valid: result.summary.valid,
+        processingTime,
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
+      
+      return res.json({
+        success: true,
+        data: {
+          results: result.results,
+          summary: {
+            ...result.summary,
+            processingTime
+          },
+          processedAt: new Date().toISOString()
+        }
+      });
+    }
+    
+    const result = await crawler.extractStructured(url, schema, options);
+    const processingTime = Date.now() - startTime;
+    
+    if (!result.success) {
+      req.app.locals.logger && req.app.locals.logger.error('Structured extraction failed', {
+        url,
+        error: result.error.message,
+        processingTime,
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
+      
+      return res.status(failureStatus(result.error)).json({
+        success: false,
+        error: {
+          message: 'Failed to extract structured data',
+          details: result.error.message,
+          url,
+          processingTime,
+          ...(result.error.code && { code: result.error.code, rule: result.error.rule, reason: result.error.reason }),
+          ...(result.error.actions && { actions: result.error.actions })
+        }
+      });
+    }
+    
+    req.app.locals.logger && req.app.locals.logger.info('Structured data extracted', {
+      url,
+      valid: result.data.validation.valid,
+      errorCount: result.data.validation.errors.length,
+      processingTime,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.json({
+      success: true,
+      data: {
+        ...result.data,
+        metadata: {
+          ...result.data.metadata,
+          processingTime
+        }
+      }
+    });
+    
+  } catch (error) {
+    req.app.locals.logger && req.app.locals.logger.error('Unexpected error in structured extract endpoint', {
+      error: error.message,
+      stack: error.stack,
+      url: req.body.url,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+      }
+    });
+  }
+});
+
 /**
  * @swagger
  * /api/batch:
  *   post:
  *     tags: [Extract]
  *     summary: Extract content from multiple URLs
- *     description: Batch process multiple URLs with configurable concurrency and extract content from all of them
+ *     description: |
+ *       Batch process multiple URLs with configurable concurrency and extract content from all of them.
+ *       Send "Accept: text/event-stream" (or use /api/batch/stream) to receive each result as soon as it is ready.
  *     requestBody:
  *       required: true
  *       content:
@@ -464,35 +898,53 @@ router.get('/stats', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/BatchResponse'
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchEventStream'
+ *       202:
+ *         description: Accepted; the batch runs in the background and reports to options.webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookAccepted'
  *       400:
  *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: options.webhook points at a host the network policy refuses (error.code "url_blocked")
  *       429:
  *         $ref: '#/components/responses/TooManyRequests'
  *       500:
  *         $ref: '#/components/responses/InternalServerError'
+ * /api/batch/stream:
+ *   post:
+ *     tags: [Extract]
+ *     summary: Extract content from multiple URLs as a stream of events
+ *     description: Same as /api/batch, always answered with Server-Sent Events
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BatchRequest'
+ *     responses:
+ *       200:
+ *         description: started, page, progress and completed (or failed) events
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchEventStream'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
  */
-router.post('/batch', async (req, res) => {
+router.post(['/batch', '/batch/stream'], async (req, res) => {
   try {
     // Validation schema for batch request
     const batchSchema = joi.object({
-      urls: joi.array().items(joi.string().uri()).min(1).max(50).required(),
-      options: joi.object({
+      urls: joi.array().items(batchUrlSchema).min(1).max(50).required(),
+      options: localOptionsSchema.keys({
         concurrent: joi.number().min(1).max(10).default(3),
-        includeImages: joi.boolean().default(true),
-        includeLinks: joi.boolean().default(true),
-        waitForSelector: joi.string().allow(null),
-        timeout: joi.number().min(1000).max(60000).default(30000),
-        format: joi.string().valid('markdown', 'html').default('markdown'),
-        blockResources: joi.array().items(joi.string().valid('stylesheet', 'image', 'media', 'font')),
-        headers: joi.object(),
-        cookies: joi.array().items(joi.object({
-          name: joi.string().required(),
-          value: joi.string().required(),
-          domain: joi.string(),
-          path: joi.string(),
-          httpOnly: joi.boolean(),
-          secure: joi.boolean()
-        }))
+        deadline: deadlineSchema,
+        webhook: webhookSchema
       }).default({})
     });
     
@@ -511,36 +963,105 @@ router.post('/batch', async (req, res) => {
       });
     }
 
-    const { urls, options } = value;
+    const { options } = value;
+    const { urls, priorities } = splitBatchUrls(value.urls);
     
-    // Initialize crawler service
-    const crawler = await initializeCrawlerService(req.app.locals.config);
+    // A session of another API key is reported as unknown
+    if (options.sessionId) {
+      const missing = await sessionNotFound(req, options.sessionId);
+      if (missing) {
+        return res.status(404).json(missing);
+      }
+    }
     
-    // Process batch
-    const startTime = Date.now();
-    const result = await crawler.crawlMultipleUrls(urls, options);
-    const processingTime = Date.now() - startTime;
+    // Change tracking compares markdown, so make sure it is extracted
+    const requestedFormats = options.formats || [options.format];
+    const batchOptions = options.changeTracking && !requestedFormats.includes('markdown')
+      ? { ...withFreshFetch(options), formats: [...requestedFormats, 'markdown'] }
+      : withFreshFetch(options);
     
-    // Log batch processing
-    req.app.locals.logger && req.app.locals.logger.info('Batch processing completed', {
-      urlCount: urls.length,
-      successful: result.summary.successful,
-      failed: result.summary.failed,
-      processingTime,
-      userAgent: req.get('User-Agent'),
-      ip: req.ip
-    });
+    // Initialize crawler service
+    const crawler = await initializeCrawlerService(req.app.locals.config);
     
-    return res.json({
-      success: true,
-      data: {
+    // Process batch, sending each result to the webhook or event stream as soon as it is ready
+    const runBatch = async (webhook, stream) => {
+      const startTime = Date.now();
+      const result = await crawler.crawlMultipleUrls(urls, batchOptions, {
+        priorities,
+        signal: stream && stream.signal,
+        onResult: async (item, index) => {
+          const page = options.changeTracking ? await trackChanges(urls[index], item, options.changeTracking) : item;
+          webhook && webhook.emit('page', { index, url: urls[index], result: page });
+          stream && stream.page(index, urls[index], page);
+          return page;
+        }
+      });
+      
+      if (options.changeTracking) {
+        result.summary.changes = summarizeChanges(result.results.map(item => item.success
+          ? item.data.changeTracking
+          : item.error.changeTracking));
+      }
+      
+      const processingTime = Date.now() - startTime;
+      
+      // Log batch processing
+      req.app.locals.logger && req.app.locals.logger.info('Batch processing completed', {
+        urlCount: urls.length,
+        successful: result.summary.successful,
+        failed: result.summary.failed,
+        blocked: result.summary.blocked,
+        processingTime,
+        webhook: Boolean(webhook),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
+      
+      return {
         results: result.results,
         summary: {
           ...result.summary,
           processingTime
         },
         processedAt: new Date().toISOString()
+      };
+    };
+    
+    // With a webhook the batch runs in the background and the results are delivered as events
+    if (options.webhook) {
+      const refused = await webhookRefused(options.webhook);
+      if (refused) {
+        return res.status(403).json(refused);
+      }
+      
+      const webhook = getWebhookService().open(options.webhook, { source: 'batch', owner: ownerOf(req), urls });
+      webhook.run(async () => ({ summary: (await runBatch(webhook)).summary }));
+      
+      return res.status(202).json(acceptedResponse(webhook, { total: urls.length }));
+    }
+    
+    // Server-Sent Events: each result is written as soon as its URL is finished
+    if (wantsEventStream(req)) {
+      const stream = new BatchEventStream(res, urls.length);
+      stream.start({ urls });
+      
+      try {
+        const { summary, processedAt } = await runBatch(null, stream);
+        stream.complete({ summary, processedAt });
+      } catch (streamError) {
+        req.app.locals.logger && req.app.locals.logger.error('Streamed batch failed', {
+          error: streamError.message,
+          urlCount: urls.length,
+          provider: 'local'
+        });
+        stream.fail(streamError);
       }
+      return;
+    }
+    
+    return res.json({
+      success: true,
+      data: await runBatch()
     });
     
   } catch (error) {
@@ -563,17 +1084,393 @@ router.post('/batch', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/crawl:
+ *   post:
+ *     tags: [Extract]
+ *     summary: Recursively crawl a website
+ *     description: Start from a seed URL, follow links discovered on each rendered page and extract every page to Markdown using the local Playwright engine
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CrawlRequest'
+ *           examples:
+ *             basic:
+ *               summary: Crawl a documentation section
+ *               value:
+ *                 url: "https://docs.example.com"
+ *                 options:
+ *                   limit: 20
+ *                   maxDepth: 2
+ *                   includePaths: ["/guide/**"]
+ *                   excludePaths: ["/blog/**"]
+ *     responses:
+ *       200:
+ *         description: Crawl completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CrawlResponse'
+ *       202:
+ *         description: Accepted; the crawl runs in the background and reports to options.webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookAccepted'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: The URL or options.webhook is refused by the network policy (error.code "url_blocked")
+ *       429:
+ *         $ref: '#/components/responses/TooManyRequests'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/crawl', async (req, res) => {
+  try {
+    // Validate request
+    const { error, value } = crawlSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid request parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        }
+      });
+    }
+
+    const { url, options } = value;
+    
+    // A session of another API key is reported as unknown
+    if (options.sessionId) {
+      const missing = await sessionNotFound(req, options.sessionId);
+      if (missing) {
+        return res.status(404).json(missing);
+      }
+    }
+    
+    // Initialize crawler service
+    const crawler = await initializeCrawlerService(req.app.locals.config);
+    
+    // Crawl website, sending each visited page to the webhook as soon as it is ready
+    const runCrawl = async (webhook) => {
+      const result = await crawler.crawlWebsite(url, withFreshFetch(options), {
+        onResult: async (item, { url: pageUrl, depth }) => {
+          const page = options.changeTracking ? await trackChanges(pageUrl, item, options.changeTracking) : item;
+          webhook && webhook.emit('page', { url: pageUrl, depth, result: page });
+          return page;
+        }
+      });
+      
+      if (!result.success) {
+        req.app.locals.logger && req.app.locals.logger.error('Site crawl failed', {
+          url,
+          error: result.error.message,
+          processingTime: result.error.processingTime,
+          userAgent: req.get('User-Agent'),
+          ip: req.ip
+        });
+        return result;
+      }
+      
+      if (options.changeTracking) {
+        result.data.summary.changes = summarizeChanges([
+          ...result.data.pages.map(page => page.changeTracking),
+          ...result.data.failed.map(failure => failure.changeTracking)
+        ]);
+      }
+      
+      // Save every page to the same directory if requested
+      if (options.saveToFile) {
+        const directoryName = options.saveDirectory || getDefaultDirectory();
+        const saveDir = path.join(process.cwd(), directoryName);
+        await fs.mkdir(saveDir, { recursive: true });
+        
+        for (const page of result.data.pages) {
+          try {
+            page.savedFilePath = await saveMarkdownFile(saveDir, page);
+            page.savedToFile = true;
+          } catch (fileError) {
+            req.app.locals.logger && req.app.locals.logger.error('Failed to save crawled page', {
+              url: page.url,
+              error: fileError.message
+            });
+          }
+        }
+      }
+      
+      req.app.locals.logger && req.app.locals.logger.info('Site crawl completed', {
+        url,
+        totalPages: result.data.summary.totalPages,
+        failedPages: result.data.summary.failedPages,
+        blockedPages: result.data.summary.blockedPages,
+        processingTime: result.data.summary.processingTime,
+        saveToFile: options.saveToFile,
+        webhook: Boolean(webhook),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
+      
+      return result;
+    };
+    
+    // With a webhook the crawl runs in the background and its pages are delivered as events
+    if (options.webhook) {
+      const refused = await webhookRefused(options.webhook);
+      if (refused) {
+        return res.status(403).json(refused);
+      }
+      
+      const webhook = getWebhookService().open(options.webhook, { source: 'crawl', owner: ownerOf(req), url, limit: options.limit });
+      webhook.run(async () => {
+        const result = await runCrawl(webhook);
+        if (!result.success) {
+          throw new Error(result.error.message);
+        }
+        return { summary: result.data.summary };
+      });
+      
+      return res.status(202).json(acceptedResponse(webhook, { url }));
+    }
+    
+    const result = await runCrawl();
+    
+    if (!result.success) {
+      return res.status(failureStatus(result.error)).json({
+        success: false,
+        error: {
+          message: 'Failed to crawl website',
+          details: result.error.message,
+          url,
+          processingTime: result.error.processingTime,
+          ...(result.error.code && { code: result.error.code, reason: result.error.reason })
+        }
+      });
+    }
+    
+    return res.json({
+      success: true,
+      data: result.data
+    });
+    
+  } catch (error) {
+    req.app.locals.logger && req.app.locals.logger.error('Unexpected error in crawl endpoint', {
+      error: error.message,
+      stack: error.stack,
+      url: req.body.url,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/map:
+ *   post:
+ *     tags: [Extract]
+ *     summary: Map the URLs of a website
+ *     description: |
+ *       Lists the URLs of a site without extracting them, using the local engine. URLs come from the
+ *       sitemaps announced in robots.txt (or /sitemap.xml when there are none), including sitemap
+ *       indexes and gzip sitemaps, merged with the links on the rendered start page. URLs are
+ *       normalized and deduplicated; lastmod, priority and changefreq are returned when a sitemap lists them.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 example: "https://docs.example.com"
+ *               options:
+ *                 type: object
+ *                 properties:
+ *                   search:
+ *                     type: string
+ *                     description: Only return URLs containing this term (case-insensitive)
+ *                   limit:
+ *                     type: integer
+ *                     minimum: 1
+ *                     maximum: 50000
+ *                     default: 5000
+ *                   ignoreSitemap:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Only use the links on the start page
+ *                   sitemapOnly:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Only use sitemaps, do not render the start page
+ *                   allowSubdomains:
+ *                     type: boolean
+ *                     default: false
+ *                   includePaths:
+ *                     type: array
+ *                     items: { type: string }
+ *                   excludePaths:
+ *                     type: array
+ *                     items: { type: string }
+ *                   ignoreRobots:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Render the start page even if robots.txt disallows it (only when the server allows overrides)
+ *     responses:
+ *       200:
+ *         description: Website mapped successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     baseUrl: { type: string }
+ *                     links:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           url: { type: string, example: "https://docs.example.com/guide/install" }
+ *                           source: { type: string, enum: [sitemap, page] }
+ *                           lastmod: { type: string, example: "2025-05-01" }
+ *                           priority: { type: number, example: 0.8 }
+ *                           changefreq: { type: string, example: "weekly" }
+ *                     summary:
+ *                       type: object
+ *                       properties:
+ *                         totalLinks: { type: integer }
+ *                         totalFound: { type: integer }
+ *                         sources:
+ *                           type: object
+ *                           properties:
+ *                             sitemap: { type: integer }
+ *                             page: { type: integer }
+ *                         sitemaps:
+ *                           type: array
+ *                           items: { type: string }
+ *                         errors:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               url: { type: string }
+ *                               message: { type: string }
+ *                         processingTime: { type: integer }
+ *                     mappedAt: { type: string, format: date-time }
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: The URL is refused by the network policy (error.code "url_blocked")
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/map', async (req, res) => {
+  try {
+    const { error, value } = mapSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid request parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        }
+      });
+    }
+
+    const { url, options } = value;
+    
+    const crawler = await initializeCrawlerService(req.app.locals.config);
+    const result = await crawler.mapWebsite(url, options);
+    
+    if (!result.success) {
+      req.app.locals.logger && req.app.locals.logger.error('Website mapping failed', {
+        url,
+        error: result.error.message,
+        processingTime: result.error.processingTime,
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
+      
+      return res.status(failureStatus(result.error)).json({
+        success: false,
+        error: {
+          message: 'Failed to map website',
+          details: result.error.message,
+          url,
+          processingTime: result.error.processingTime,
+          ...(result.error.code && { code: result.error.code, reason: result.error.reason })
+        }
+      });
+    }
+    
+    req.app.locals.logger && req.app.locals.logger.info('Website mapped successfully', {
+      url,
+      totalLinks: result.data.summary.totalLinks,
+      totalFound: result.data.summary.totalFound,
+      sitemaps: result.data.summary.sitemaps.length,
+      processingTime: result.data.summary.processingTime,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.json(result);
+    
+  } catch (error) {
+    req.app.locals.logger && req.app.locals.logger.error('Unexpected error in map endpoint', {
+      error: error.message,
+      stack: error.stack,
+      url: req.body.url,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+      }
+    });
+  }
+});
+
 // Graceful shutdown handler
 const gracefulShutdown = async () => {
-  if (crawlerService) {
-    console.log('Shutting down crawler service...');
-    await crawlerService.shutdown();
-    crawlerService = null;
-  }
+  await shutdownCrawlerService();
+  shutdownMarkitdownService();
+  await shutdownCacheService();
+  await shutdownChangeTrackingService();
+  shutdownWebhookService();
 };
 
 // Export router and shutdown handler
 module.exports = {
   router,
-  gracefulShutdown
+  gracefulShutdown,
+  createSafeFilename
 };
\ No newline at end of file
@@ -2,7 +2,12 @@ const express = require('express');
 const joi = require('joi');
 const fs = require('fs').promises;
 const path = require('path');
-const FirecrawlService = require('../services/firecrawl.service');
+const { initializeFirecrawlService, getWebhookService } = require('../services/registry');
+const { webhookSchema, acceptedResponse, webhookRefused } = require('./webhooks');
+const { BatchEventStream, wantsEventStream } = require('../utils/event-stream');
+const { batchUrlSchema, deadlineSchema, splitBatchUrls } = require('../utils/batch');
+const { firecrawlOptionsSchema } = require('../utils/options');
+const { ownerOf } = require('../utils/auth');
 
 const router = express.Router();
 
@@ -19,24 +24,19 @@ const firecrawlExtractSchema = joi.object({
     screenshot: joi.boolean().default(false),
     fullPageScreenshot: joi.boolean().default(false),
     saveToFile: joi.boolean().default(false),
-    saveDirectory: joi.string().pattern(/^[a-zA-Z0-9_\-\/]+$/).allow('').optional()
+    saveDirectory: joi.string().pattern(/^[a-zA-Z0-9_\-\/]+$/).allow('').optional(),
+    maxAge: joi.number().min(0),
+    bypassCache: joi.boolean().default(false)
   }).default({})
 });
 
 // Validation schema for Firecrawl batch request
 const firecrawlBatchSchema = joi.object({
-  urls: joi.array().items(joi.string().uri()).min(1).max(25).required(), // Lower limit due to Firecrawl rate limits
-  options: joi.object({
+  urls: joi.array().items(batchUrlSchema).min(1).max(25).required(), // Lower limit due to Firecrawl rate limits
+  options: firecrawlOptionsSchema.keys({
     concurrent: joi.number().min(1).max(5).default(3), // Lower concurrency for Firecrawl
-    formats: joi.array().items(joi.string().valid('markdown', 'html')).default(['markdown']),
-    onlyMainContent: joi.boolean().default(true),
-    includeTags: joi.array().items(joi.string()).default([]),
-    excludeTags: joi.array().items(joi.string()).default(['nav', 'footer', 'header', '.sidebar']),
-    waitFor: joi.number().min(1000).max(30000).default(3000),
-    timeout: joi.number().min(5000).max(60000).default(30000),
-    screenshot: joi.boolean().default(false),
-    saveToFile: joi.boolean().default(false),
-    saveDirectory: joi.string().pattern(/^[a-zA-Z0-9_\-\/]+$/).allow('').optional()
+    deadline: deadlineSchema,
+    webhook: webhookSchema
   }).default({})
 });
 
@@ -58,6 +58,12 @@ const firecrawlCrawlSchema = joi.object({
   }).default({})
 });
 
+// Validation schema for Firecrawl crawl status query
+const firecrawlCrawlStatusSchema = joi.object({
+  skip: joi.number().integer().min(0).optional(),
+  limit: joi.number().integer().min(1).max(1000).optional()
+});
+
 // Validation schema for Firecrawl map request
 const firecrawlMapSchema = joi.object({
   url: joi.string().uri().required(),
@@ -69,19 +75,18 @@ const firecrawlMapSchema = joi.object({
   }).default({})
 });
 
-// Initialize Firecrawl service
-let firecrawlService = null;
+// Crawls started through this server, keyed by Firecrawl crawl id. Used to
+// report the save-to-file progress of a crawl alongside its Firecrawl status.
+const crawlJobs = new Map();
+const CRAWL_JOB_RETENTION = 24 * 60 * 60 * 1000; // Firecrawl keeps results for 24 hours
 
-const initializeFirecrawlService = () => {
-  if (!firecrawlService) {
-    try {
-      firecrawlService = new FirecrawlService();
-    } catch (error) {
-      console.error('Failed to initialize Firecrawl service:', error.message);
-      throw error;
+const pruneCrawlJobs = () => {
+  const cutoff = Date.now() - CRAWL_JOB_RETENTION;
+  for (const [id, job] of crawlJobs) {
+    if (new Date(job.startedAt).getTime() < cutoff) {
+      crawlJobs.delete(id);
     }
   }
-  return firecrawlService;
 };
 
 // Helper functions (reuse from extract.js)
@@ -110,6 +115,68 @@ const getDefaultDirectory = () => {
   return `firecrawl_${year}-${month}-${day}`;
 };
 
+// Helper function to write a Firecrawl page as a markdown file with front matter
+const saveMarkdownFile = async (saveDir, data) => {
+  const filename = createSafeFilename(data.url, data.title) + '.md';
+  const filePath = path.join(saveDir, filename);
+  
+  const markdownContent = `---
+title: ${data.title || 'Untitled'}
+url: ${data.url}
+provider: firecrawl
+extractedAt: ${data.extractedAt}
+---
+
+${data.markdown}`;
+  
+  await fs.writeFile(filePath, markdownContent, 'utf8');
+  return path.relative(process.cwd(), filePath);
+};
+
+// Wait for a crawl to finish in the background and save every page to disk
+const saveCrawlWhenComplete = async (firecrawl, job, logger) => {
+  job.save.status = 'waiting';
+  
+  try {
+    const result = await firecrawl.waitForCrawl(job.id);
+    if (!result.success) {
+      throw new Error(result.error.message);
+    }
+    
+    job.save.status = 'saving';
+    const saveDir = path.join(process.cwd(), job.save.directory);
+    await fs.mkdir(saveDir, { recursive: true });
+    
+    for (const page of result.data.pages) {
+      try {
+        job.save.files.push(await saveMarkdownFile(saveDir, page));
+      } catch (fileError) {
+        job.save.errors.push({ url: page.url, message: fileError.message });
+      }
+    }
+    
+    job.save.status = 'completed';
+    job.save.completedAt = new Date().toISOString();
+    
+    logger && logger.info('Firecrawl crawl saved to files', {
+      id: job.id,
+      url: job.url,
+      directory: job.save.directory,
+      savedFiles: job.save.files.length,
+      failedFiles: job.save.errors.length
+    });
+  } catch (error) {
+    job.save.status = 'failed';
+    job.save.error = error.message;
+    
+    logger && logger.error('Failed to save Firecrawl crawl', {
+      id: job.id,
+      url: job.url,
+      error: error.message
+    });
+  }
+};
+
 /**
  * @swagger
  * /api/firecrawl/extract:
@@ -153,6 +220,8 @@ const getDefaultDirectory = () => {
  *         description: Content extracted successfully
  *       400:
  *         description: Invalid request parameters
+ *       403:
+ *         description: The URL is refused by the network policy
  *       500:
  *         description: Extraction failed
  */
@@ -246,14 +315,15 @@ ${result.data.markdown}`;
         ip: req.ip
       });
       
-      return res.status(500).json({
+      return res.status(result.error.code === 'url_blocked' ? 403 : 500).json({
         success: false,
         error: {
           message: 'Failed to extract content with Firecrawl',
           details: result.error.message,
           url,
           provider: 'firecrawl',
-          processingTime: result.error.processingTime
+          processingTime: result.error.processingTime,
+          ...(result.error.code && { code: result.error.code, reason: result.error.reason })
         }
       });
     }
@@ -294,9 +364,25 @@ ${result.data.markdown}`;
  *   post:
  *     tags: [Firecrawl]
  *     summary: Extract content from multiple URLs using Firecrawl
- *     description: Batch process multiple URLs with Firecrawl API
+ *     description: |
+ *       Batch process multiple URLs with Firecrawl API.
+ *       With options.webhook the batch runs in the background: the endpoint answers 202 and
+ *       POSTs started, page and completed/failed events to the webhook (see /api/webhooks/deliveries).
+ *       Send "Accept: text/event-stream" (or use /api/firecrawl/batch/stream) to receive each result as soon as it is ready.
+ * /api/firecrawl/batch/stream:
+ *   post:
+ *     tags: [Firecrawl]
+ *     summary: Extract content from multiple URLs using Firecrawl as a stream of events
+ *     description: Same as /api/firecrawl/batch, always answered with Server-Sent Events
+ *     responses:
+ *       200:
+ *         description: started, page, progress and completed (or failed) events
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchEventStream'
  */
-router.post('/batch', async (req, res) => {
+router.post(['/batch', '/batch/stream'], async (req, res) => {
   try {
     const { error, value } = firecrawlBatchSchema.validate(req.body);
     if (error) {
@@ -312,25 +398,36 @@ router.post('/batch', async (req, res) => {
       });
     }
 
-    const { urls, options } = value;
+    const { options } = value;
+    const { urls, priorities } = splitBatchUrls(value.urls);
     
     const firecrawl = initializeFirecrawlService();
-    const result = await firecrawl.extractMultipleUrls(urls, options);
     
-    // Save files if requested
-    if (options.saveToFile) {
-      const directoryName = options.saveDirectory || getDefaultDirectory();
-      const saveDir = path.join(process.cwd(), directoryName);
-      await fs.mkdir(saveDir, { recursive: true });
+    // Process batch, sending each result to the webhook or event stream as soon as it is ready
+    const runBatch = async (webhook, stream) => {
+      const result = await firecrawl.extractMultipleUrls(urls, options, {
+        priorities,
+        signal: stream && stream.signal,
+        onResult: (item, index) => {
+          webhook && webhook.emit('page', { index, url: urls[index], result: item });
+          stream && stream.page(index, urls[index], item);
+        }
+      });
       
-      // Save each successful result to a file
-      for (const res of result.results) {
-        if (res.success && res.data) {
-          try {
-            const filename = createSafeFilename(res.data.url, res.data.title) + '.md';
-            const filePath = path.join(saveDir, filename);
-            
-            const markdownContent = `---
+      // Save files if requested
+      if (options.saveToFile) {
+        const directoryName = options.saveDirectory || getDefaultDirectory();
+        const saveDir = path.join(process.cwd(), directoryName);
+        await fs.mkdir(saveDir, { recursive: true });
+        
+        // Save each successful result to a file
+        for (const res of result.results) {
+          if (res.success && res.data) {
+            try {
+              const filename = createSafeFilename(res.data.url, res.data.title) + '.md';
+              const filePath = path.join(saveDir, filename);
+              
+              const markdownContent = `---
 title: ${res.data.title || 'Untitled'}
 url: ${res.data.url}
 provider: firecrawl
@@ -338,38 +435,406 @@ extractedAt: ${res.data.extractedAt}
 ---
 
 ${res.data.markdown}`;
-            
-            await fs.writeFile(filePath, markdownContent, 'utf8');
-            res.data.savedToFile = true;
-            res.data.savedFilePath = path.relative(process.cwd(), filePath);
-          } catch (fileError) {
-            req.app.locals.logger && req.app.locals.logger.error('Failed to save batch file', {
-              url: res.data.url,
-              error: fileError.message
-            });
+              
+              await fs.writeFile(filePath, markdownContent, 'utf8');
+              res.data.savedToFile = true;
+              res.data.savedFilePath = path.relative(process.cwd(), filePath);
+            } catch (fileError) {
+              req.app.locals.logger && req.app.locals.logger.error('Failed to save batch file', {
+                url: res.data.url,
+                error: fileError.message
+              });
+            }
           }
         }
       }
+      
+      req.app.locals.logger && req.app.locals.logger.info('Firecrawl batch processing completed', {
+        urlCount: urls.length,
+        successful: result.summary.successful,
+        failed: result.summary.failed,
+        provider: 'firecrawl',
+        saveToFile: options.saveToFile,
+        webhook: Boolean(webhook),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
+      
+      return {
+        results: result.results,
+        summary: result.summary,
+        processedAt: new Date().toISOString()
+      };
+    };
+    
+    // With a webhook the batch runs in the background and the results are delivered as events
+    if (options.webhook) {
+      const refused = await webhookRefused(options.webhook);
+      if (refused) {
+        return res.status(403).json(refused);
+      }
+      
+      const webhook = getWebhookService().open(options.webhook, { source: 'firecrawl.batch', owner: ownerOf(req), urls });
+      webhook.run(async () => ({ summary: (await runBatch(webhook)).summary }));
+      
+      return res.status(202).json(acceptedResponse(webhook, { total: urls.length }));
+    }
+    
+    // Server-Sent Events: each result is written as soon as its URL is finished
+    if (wantsEventStream(req)) {
+      const stream = new BatchEventStream(res, urls.length);
+      stream.start({ urls });
+      
+      try {
+        const { summary, processedAt } = await runBatch(null, stream);
+        stream.complete({ summary, processedAt });
+      } catch (streamError) {
+        req.app.locals.logger && req.app.locals.logger.error('Streamed batch failed', {
+          error: streamError.message,
+          urlCount: urls.length,
+          provider: 'firecrawl'
+        });
+        stream.fail(streamError);
+      }
+      return;
+    }
+    
+    return res.json({
+      success: true,
+      data: await runBatch()
+    });
+    
+  } catch (error) {
+    if (error.message.includes('API key')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Firecrawl API key not configured',
+          details: 'Please set FIRECRAWL_API_KEY in environment variables'
+        }
+      });
+    }
+    
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/firecrawl/crawl:
+ *   post:
+ *     tags: [Firecrawl]
+ *     summary: Start a website crawl using Firecrawl
+ *     description: Start an asynchronous Firecrawl crawl job and return its id immediately. Poll GET /api/firecrawl/crawl/{id} for status and pages.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 example: "https://docs.example.com"
+ *               options:
+ *                 type: object
+ *                 properties:
+ *                   limit:
+ *                     type: number
+ *                     minimum: 1
+ *                     maximum: 1000
+ *                     default: 100
+ *                   maxDepth:
+ *                     type: number
+ *                     minimum: 1
+ *                     maximum: 10
+ *                   includePaths:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   excludePaths:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   saveToFile:
+ *                     type: boolean
+ *                     default: false
+ *                     description: Save every page as an MD file once the crawl completes
+ *                   saveDirectory:
+ *                     type: string
+ *     responses:
+ *       202:
+ *         description: Crawl started
+ *       400:
+ *         description: Invalid request parameters
+ *       403:
+ *         description: The URL is refused by the network policy
+ *       500:
+ *         description: Failed to start crawl
+ */
+router.post('/crawl', async (req, res) => {
+  try {
+    const { error, value } = firecrawlCrawlSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid request parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        }
+      });
+    }
+
+    const { url, options } = value;
+    
+    const firecrawl = initializeFirecrawlService();
+    const result = await firecrawl.startCrawl(url, options);
+    
+    if (!result.success) {
+      req.app.locals.logger && req.app.locals.logger.error('Firecrawl crawl failed to start', {
+        url,
+        error: result.error.message,
+        provider: 'firecrawl',
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
+      
+      return res.status(result.error.code === 'url_blocked' ? 403 : 500).json({
+        success: false,
+        error: {
+          message: 'Failed to start crawl with Firecrawl',
+          details: result.error.message,
+          url,
+          provider: 'firecrawl',
+          ...(result.error.code && { code: result.error.code, reason: result.error.reason })
+        }
+      });
+    }
+    
+    pruneCrawlJobs();
+    
+    const job = {
+      id: result.data.id,
+      url,
+      startedAt: result.data.startedAt,
+      save: null
+    };
+    
+    if (options.saveToFile) {
+      job.save = {
+        status: 'pending',
+        directory: options.saveDirectory || getDefaultDirectory(),
+        files: [],
+        errors: []
+      };
+      saveCrawlWhenComplete(firecrawl, job, req.app.locals.logger);
     }
     
-    req.app.locals.logger && req.app.locals.logger.info('Firecrawl batch processing completed', {
-      urlCount: urls.length,
-      successful: result.summary.successful,
-      failed: result.summary.failed,
+    crawlJobs.set(job.id, job);
+    
+    req.app.locals.logger && req.app.locals.logger.info('Firecrawl crawl started', {
+      id: job.id,
+      url,
+      limit: options.limit,
       provider: 'firecrawl',
       saveToFile: options.saveToFile,
       userAgent: req.get('User-Agent'),
       ip: req.ip
     });
     
+    return res.status(202).json({
+      success: true,
+      data: {
+        ...result.data,
+        statusUrl: `${req.baseUrl}/crawl/${job.id}`,
+        saveToFile: options.saveToFile,
+        ...(job.save && { saveDirectory: job.save.directory })
+      }
+    });
+    
+  } catch (error) {
+    if (error.message.includes('API key')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Firecrawl API key not configured',
+          details: 'Please set FIRECRAWL_API_KEY in environment variables'
+        }
+      });
+    }
+    
+    req.app.locals.logger && req.app.locals.logger.error('Unexpected error in Firecrawl crawl endpoint', {
+      error: error.message,
+      stack: error.stack,
+      url: req.body.url,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/firecrawl/crawl/{id}:
+ *   get:
+ *     tags: [Firecrawl]
+ *     summary: Get Firecrawl crawl status and pages
+ *     description: Return progress and the crawled pages of a crawl job. Large crawls are paginated; pass the returned `next` value as `skip` to get the following pages.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: skip
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *     responses:
+ *       200:
+ *         description: Crawl status retrieved
+ *       400:
+ *         description: Invalid request parameters
+ *       500:
+ *         description: Failed to get crawl status
+ */
+router.get('/crawl/:id', async (req, res) => {
+  try {
+    const { error, value } = firecrawlCrawlStatusSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid request parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        }
+      });
+    }
+    
+    const { id } = req.params;
+    
+    const firecrawl = initializeFirecrawlService();
+    const result = await firecrawl.getCrawlStatus(id, value);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to get crawl status from Firecrawl',
+          details: result.error.message,
+          id,
+          provider: 'firecrawl'
+        }
+      });
+    }
+    
+    const job = crawlJobs.get(id);
+    
     return res.json({
       success: true,
       data: {
-        results: result.results,
-        summary: result.summary,
-        processedAt: new Date().toISOString()
+        ...result.data,
+        ...(job && job.save && { save: job.save })
+      }
+    });
+    
+  } catch (error) {
+    if (error.message.includes('API key')) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Firecrawl API key not configured',
+          details: 'Please set FIRECRAWL_API_KEY in environment variables'
+        }
+      });
+    }
+    
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
       }
     });
+  }
+});
+
+/**
+ * @swagger
+ * /api/firecrawl/crawl/{id}:
+ *   delete:
+ *     tags: [Firecrawl]
+ *     summary: Cancel a Firecrawl crawl
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Crawl cancelled
+ *       500:
+ *         description: Failed to cancel crawl
+ */
+router.delete('/crawl/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const firecrawl = initializeFirecrawlService();
+    const result = await firecrawl.cancelCrawl(id);
+    
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to cancel crawl with Firecrawl',
+          details: result.error.message,
+          id,
+          provider: 'firecrawl'
+        }
+      });
+    }
+    
+    req.app.locals.logger && req.app.locals.logger.info('Firecrawl crawl cancelled', {
+      id,
+      provider: 'firecrawl',
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.json({
+      success: true,
+      data: result.data
+    });
     
   } catch (error) {
     if (error.message.includes('API key')) {
@@ -508,6 +973,8 @@ router.get('/stats', async (req, res) => {
  *         description: Website mapped successfully
  *       400:
  *         description: Invalid request parameters
+ *       403:
+ *         description: The URL is refused by the network policy
  *       500:
  *         description: Mapping failed
  */
@@ -601,14 +1068,15 @@ router.post('/map', async (req, res) => {
         ip: req.ip
       });
       
-      return res.status(500).json({
+      return res.status(result.error.code === 'url_blocked' ? 403 : 500).json({
         success: false,
         error: {
           message: 'Failed to map website with Firecrawl',
           details: result.error.message,
           url,
           provider: 'firecrawl',
-          processingTime: result.error.processingTime
+          processingTime: result.error.processingTime,
+          ...(result.error.code && { code: result.error.code, reason: result.error.reason })
         }
       });
     }
@@ -0,0 +1,324 @@
+const express = require('express');
+const joi = require('joi');
+const JobService = require('../services/job.service');
+const { sessionNotFound } = require('./sessions');
+const { ownerOf, canAccess } = require('../utils/auth');
+const { localOptionsSchema, firecrawlOptionsSchema, markitdownOptionsSchema } = require('../utils/options');
+
+const router = express.Router();
+
+// Validation schema for job submission. Options are passed through to the
+// provider, so they take the same fields as the provider's batch endpoint.
+const jobSchema = joi.object({
+  provider: joi.string().valid('local', 'firecrawl', 'markitdown').default('local'),
+  urls: joi.array().items(joi.string().uri()).min(1).max(500).required(),
+  options: joi.object().default({}).when('provider', {
+    switch: [
+      { is: 'firecrawl', then: firecrawlOptionsSchema.keys({ concurrent: joi.number().min(1).max(5).default(3) }) },
+      { is: 'markitdown', then: markitdownOptionsSchema.keys({ concurrent: joi.number().min(1).max(5).default(3) }) }
+    ],
+    otherwise: localOptionsSchema.keys({ concurrent: joi.number().min(1).max(10).default(3) })
+  })
+});
+
+// Validation schema for job status query
+const jobStatusSchema = joi.object({
+  results: joi.boolean().default(true)
+});
+
+// Initialize job service
+let jobService = null;
+
+const initializeJobService = (config) => {
+  if (!jobService) {
+    jobService = new JobService(config);
+    jobService.initialize();
+  }
+  return jobService;
+};
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   post:
+ *     tags: [Jobs]
+ *     summary: Submit an asynchronous extraction job
+ *     description: Queue a list of URLs for extraction with the local, Firecrawl or Markitdown provider and return a job id immediately
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [urls]
+ *             properties:
+ *               provider:
+ *                 type: string
+ *                 enum: [local, firecrawl, markitdown]
+ *                 default: local
+ *               urls:
+ *                 type: array
+ *                 minItems: 1
+ *                 maxItems: 500
+ *                 items:
+ *                   type: string
+ *                   format: uri
+ *               options:
+ *                 type: object
+ *                 description: Provider options, as accepted by the provider's batch endpoint
+ *           examples:
+ *             local:
+ *               summary: Local Playwright batch
+ *               value:
+ *                 provider: "local"
+ *                 urls: ["https://example.com/article1", "https://example.com/article2"]
+ *                 options:
+ *                   concurrent: 3
+ *                   includeImages: false
+ *     responses:
+ *       202:
+ *         description: Job queued
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = jobSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid request parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        }
+      });
+    }
+
+    // Local jobs may render with a login session, which has to belong to the caller
+    if (value.provider === 'local' && value.options.sessionId) {
+      const missing = await sessionNotFound(req, value.options.sessionId);
+      if (missing) {
+        return res.status(404).json(missing);
+      }
+    }
+
+    const jobs = initializeJobService(req.app.locals.config);
+    const job = await jobs.submitJob({ ...value, owner: ownerOf(req) });
+
+    req.app.locals.logger && req.app.locals.logger.info('Job submitted', {
+      jobId: job.id,
+      provider: value.provider,
+      urlCount: value.urls.length,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+
+    return res.status(202).json({
+      success: true,
+      data: {
+        id: job.id,
+        state: job.state,
+        provider: job.provider,
+        progress: job.progress,
+        statusUrl: `${req.baseUrl}/${job.id}`,
+        createdAt: job.createdAt
+      }
+    });
+
+  } catch (error) {
+    req.app.locals.logger && req.app.locals.logger.error('Unexpected error in job submit endpoint', {
+      error: error.message,
+      stack: error.stack,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/stats:
+ *   get:
+ *     tags: [Jobs]
+ *     summary: Get job queue statistics
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ */
+router.get('/stats', (req, res) => {
+  const jobs = initializeJobService(req.app.locals.config);
+
+  return res.json({
+    success: true,
+    data: jobs.getStats()
+  });
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   get:
+ *     tags: [Jobs]
+ *     summary: Get job status, progress and results
+ *     description: |
+ *       Results are returned in the order the URLs were submitted; URLs not processed yet are marked as pending.
+ *       When API keys are configured, only the key that submitted the job (or an admin key) can see it.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: results
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to return only status and progress
+ *     responses:
+ *       200:
+ *         description: Job found
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { error, value } = jobStatusSchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid request parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        }
+      });
+    }
+
+    const jobs = initializeJobService(req.app.locals.config);
+    const job = await jobs.getJob(req.params.id, { includeResults: value.results });
+
+    // A job of another API key is reported as unknown
+    if (!job || !canAccess(req, job.owner)) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Job not found',
+          id: req.params.id
+        }
+      });
+    }
+
+    return res.json({
+      success: true,
+      data: job
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get job',
+        details: error.message
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}:
+ *   delete:
+ *     tags: [Jobs]
+ *     summary: Cancel a job
+ *     description: A waiting job is cancelled immediately; an active job stops after the URLs currently in flight finish. Only the key that submitted the job (or an admin key) can cancel it.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancellation accepted
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job has already finished
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const jobs = initializeJobService(req.app.locals.config);
+    const job = await jobs.getJob(req.params.id, { includeResults: false });
+    const result = job && canAccess(req, job.owner) ? await jobs.cancelJob(req.params.id) : null;
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          message: 'Job not found',
+          id: req.params.id
+        }
+      });
+    }
+
+    if (!result.cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          message: `Job has already finished with state: ${result.job.state}`,
+          id: req.params.id
+        }
+      });
+    }
+
+    req.app.locals.logger && req.app.locals.logger.info('Job cancellation requested', {
+      jobId: req.params.id,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+
+    return res.json({
+      success: true,
+      data: result.job
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to cancel job',
+        details: error.message
+      }
+    });
+  }
+});
+
+// Graceful shutdown handler
+const shutdownJobService = async () => {
+  if (jobService) {
+    await jobService.shutdown();
+    jobService = null;
+  }
+};
+
+module.exports = {
+  router,
+  initializeJobService,
+  shutdownJobService
+};
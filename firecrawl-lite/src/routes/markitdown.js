@@ -2,7 +2,12 @@ const express = require('express');
 const joi = require('joi');
 const fs = require('fs').promises;
 const path = require('path');
-const MarkitdownService = require('../services/markitdown.service');
+const { initializeMarkitdownService, getWebhookService } = require('../services/registry');
+const { webhookSchema, acceptedResponse, webhookRefused } = require('./webhooks');
+const { BatchEventStream, wantsEventStream } = require('../utils/event-stream');
+const { batchUrlSchema, deadlineSchema, splitBatchUrls } = require('../utils/batch');
+const { markitdownOptionsSchema } = require('../utils/options');
+const { ownerOf } = require('../utils/auth');
 
 const router = express.Router();
 
@@ -18,7 +23,9 @@ const markitdownExtractSchema = joi.object({
     userAgent: joi.string().max(200).optional(),
     timeout: joi.number().min(30000).max(300000).default(60000), // 30s - 5min
     saveToFile: joi.boolean().default(false),
-    saveDirectory: joi.string().pattern(/^[a-zA-Z0-9_\-\/]+$/).allow('').optional()
+    saveDirectory: joi.string().pattern(/^[a-zA-Z0-9_\-\/]+$/).allow('').optional(),
+    maxAge: joi.number().min(0),
+    bypassCache: joi.boolean().default(false)
   }).default({})
 });
 
@@ -29,18 +36,11 @@ const envCheckSchema = joi.object({
 
 // Validation schema for Markitdown batch request
 const markitdownBatchSchema = joi.object({
-  urls: joi.array().items(joi.string().uri()).min(1).max(25).required(),
-  options: joi.object({
+  urls: joi.array().items(batchUrlSchema).min(1).max(25).required(),
+  options: markitdownOptionsSchema.keys({
     concurrent: joi.number().min(1).max(5).default(3),
-    condaEnv: joi.string().pattern(/^[a-zA-Z0-9_-]+$/).default('py312-tools'),
-    extractImages: joi.boolean().default(true),
-    extractLinks: joi.boolean().default(true),
-    extractTables: joi.boolean().default(true),
-    customTimeout: joi.number().min(10).max(300).optional(),
-    userAgent: joi.string().max(200).optional(),
-    timeout: joi.number().min(30000).max(300000).default(60000),
-    saveToFile: joi.boolean().default(false),
-    saveDirectory: joi.string().pattern(/^[a-zA-Z0-9_\-\/]+$/).allow('').optional()
+    deadline: deadlineSchema,
+    webhook: webhookSchema
   }).default({})
 });
 
@@ -58,20 +58,12 @@ const markitdownMapSchema = joi.object({
     userAgent: joi.string().max(200).optional(),
     timeout: joi.number().min(30000).max(300000).default(60000),
     saveToFile: joi.boolean().default(false),
-    saveDirectory: joi.string().pattern(/^[a-zA-Z0-9_\-\/]+$/).allow('').optional()
+    saveDirectory: joi.string().pattern(/^[a-zA-Z0-9_\-\/]+$/).allow('').optional(),
+    maxAge: joi.number().min(0),
+    bypassCache: joi.boolean().default(false)
   }).default({})
 });
 
-// Initialize Markitdown service
-let markitdownService = null;
-
-const initializeMarkitdownService = (options = {}) => {
-  if (!markitdownService) {
-    markitdownService = new MarkitdownService(options);
-  }
-  return markitdownService;
-};
-
 // Helper functions (reuse from extract.js)
 const createSafeFilename = (url, title) => {
   try {
@@ -136,16 +128,18 @@ const getDefaultDirectory = () => {
  *                     type: number
  *                     minimum: 10
  *                     maximum: 300
- *                     description: "Timeout in seconds for markitdown command"
+ *                     description: "Timeout in seconds for downloading the document"
  *                   userAgent:
  *                     type: string
  *                     maxLength: 200
- *                     description: "Custom user agent string"
+ *                     description: "User-Agent header sent when downloading the document"
  *     responses:
  *       200:
  *         description: Content extracted successfully
  *       400:
  *         description: Invalid request parameters
+ *       403:
+ *         description: The URL is refused by the network policy
  *       500:
  *         description: Extraction failed
  */
@@ -244,14 +238,15 @@ ${result.data.markdown}`;
         ip: req.ip
       });
       
-      return res.status(500).json({
+      return res.status(result.error.code === 'url_blocked' ? 403 : 500).json({
         success: false,
         error: {
           message: 'Failed to extract content with Markitdown',
           details: result.error.message,
           url,
           provider: 'markitdown',
-          processingTime: result.error.processingTime
+          processingTime: result.error.processingTime,
+          ...(result.error.code && { code: result.error.code, reason: result.error.reason })
         }
       });
     }
@@ -393,9 +388,25 @@ router.post('/check-env', async (req, res) => {
  *   post:
  *     tags: [Markitdown]
  *     summary: Extract content from multiple URLs using Markitdown
- *     description: Batch process multiple URLs with Markitdown
+ *     description: |
+ *       Batch process multiple URLs with Markitdown.
+ *       With options.webhook the batch runs in the background: the endpoint answers 202 and
+ *       POSTs started, page and completed/failed events to the webhook (see /api/webhooks/deliveries).
+ *       Send "Accept: text/event-stream" (or use /api/markitdown/batch/stream) to receive each result as soon as it is ready.
+ * /api/markitdown/batch/stream:
+ *   post:
+ *     tags: [Markitdown]
+ *     summary: Extract content from multiple URLs using Markitdown as a stream of events
+ *     description: Same as /api/markitdown/batch, always answered with Server-Sent Events
+ *     responses:
+ *       200:
+ *         description: started, page, progress and completed (or failed) events
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               $ref: '#/components/schemas/BatchEventStream'
  */
-router.post('/batch', async (req, res) => {
+router.post(['/batch', '/batch/stream'], async (req, res) => {
   try {
     const { error, value } = markitdownBatchSchema.validate(req.body);
     if (error) {
@@ -411,29 +422,39 @@ router.post('/batch', async (req, res) => {
       });
     }
 
-    const { urls, options } = value;
+    const { options } = value;
+    const { urls, priorities } = splitBatchUrls(value.urls);
     
     const markitdown = initializeMarkitdownService({
       condaEnv: options.condaEnv,
       timeout: options.timeout
     });
     
-    const result = await markitdown.extractMultipleUrls(urls, options);
-    
-    // Save files if requested
-    if (options.saveToFile) {
-      const directoryName = options.saveDirectory || getDefaultDirectory();
-      const saveDir = path.join(process.cwd(), directoryName);
-      await fs.mkdir(saveDir, { recursive: true });
+    // Process batch, sending each result to the webhook or event stream as soon as it is ready
+    const runBatch = async (webhook, stream) => {
+      const result = await markitdown.extractMultipleUrls(urls, options, {
+        priorities,
+        signal: stream && stream.signal,
+        onResult: (item, index) => {
+          webhook && webhook.emit('page', { index, url: urls[index], result: item });
+          stream && stream.page(index, urls[index], item);
+        }
+      });
       
-      // Save each successful result to a file
-      for (const res of result.results) {
-        if (res.success && res.data) {
-          try {
-            const filename = createSafeFilename(res.data.url, res.data.title) + '.md';
-            const filePath = path.join(saveDir, filename);
-            
-            const markdownContent = `---
+      // Save files if requested
+      if (options.saveToFile) {
+        const directoryName = options.saveDirectory || getDefaultDirectory();
+        const saveDir = path.join(process.cwd(), directoryName);
+        await fs.mkdir(saveDir, { recursive: true });
+        
+        // Save each successful result to a file
+        for (const res of result.results) {
+          if (res.success && res.data) {
+            try {
+              const filename = createSafeFilename(res.data.url, res.data.title) + '.md';
+              const filePath = path.join(saveDir, filename);
+              
+              const markdownContent = `---
 title: ${res.data.title || 'Untitled'}
 url: ${res.data.url}
 provider: markitdown
@@ -442,37 +463,73 @@ extractedAt: ${res.data.extractedAt}
 ---
 
 ${res.data.markdown}`;
-            
-            await fs.writeFile(filePath, markdownContent, 'utf8');
-            res.data.savedToFile = true;
-            res.data.savedFilePath = path.relative(process.cwd(), filePath);
-          } catch (fileError) {
-            req.app.locals.logger && req.app.locals.logger.error('Failed to save Markitdown batch file', {
-              url: res.data.url,
-              error: fileError.message
-            });
+              
+              await fs.writeFile(filePath, markdownContent, 'utf8');
+              res.data.savedToFile = true;
+              res.data.savedFilePath = path.relative(process.cwd(), filePath);
+            } catch (fileError) {
+              req.app.locals.logger && req.app.locals.logger.error('Failed to save Markitdown batch file', {
+                url: res.data.url,
+                error: fileError.message
+              });
+            }
           }
         }
       }
+      
+      req.app.locals.logger && req.app.locals.logger.info('Markitdown batch processing completed', {
+        urlCount: urls.length,
+        successful: result.summary.successful,
+        failed: result.summary.failed,
+        provider: 'markitdown',
+        saveToFile: options.saveToFile,
+        webhook: Boolean(webhook),
+        userAgent: req.get('User-Agent'),
+        ip: req.ip
+      });
+      
+      return {
+        results: result.results,
+        summary: result.summary,
+        processedAt: new Date().toISOString()
+      };
+    };
+    
+    // With a webhook the batch runs in the background and the results are delivered as events
+    if (options.webhook) {
+      const refused = await webhookRefused(options.webhook);
+      if (refused) {
+        return res.status(403).json(refused);
+      }
+      
+      const webhook = getWebhookService().open(options.webhook, { source: 'markitdown.batch', owner: ownerOf(req), urls });
+      webhook.run(async () => ({ summary: (await runBatch(webhook)).summary }));
+      
+      return res.status(202).json(acceptedResponse(webhook, { total: urls.length }));
     }
     
-    req.app.locals.logger && req.app.locals.logger.info('Markitdown batch processing completed', {
-      urlCount: urls.length,
-      successful: result.summary.successful,
-      failed: result.summary.failed,
-      provider: 'markitdown',
-      saveToFile: options.saveToFile,
-      userAgent: req.get('User-Agent'),
-      ip: req.ip
-    });
+    // Server-Sent Events: each result is written as soon as its URL is finished
+    if (wantsEventStream(req)) {
+      const stream = new BatchEventStream(res, urls.length);
+      stream.start({ urls });
+      
+      try {
+        const { summary, processedAt } = await runBatch(null, stream);
+        stream.complete({ summary, processedAt });
+      } catch (streamError) {
+        req.app.locals.logger && req.app.locals.logger.error('Streamed batch failed', {
+          error: streamError.message,
+          urlCount: urls.length,
+          provider: 'markitdown'
+        });
+        stream.fail(streamError);
+      }
+      return;
+    }
     
     return res.json({
       success: true,
-      data: {
-        results: result.results,
-        summary: result.summary,
-        processedAt: new Date().toISOString()
-      }
+      data: await runBatch()
     });
     
   } catch (error) {
@@ -529,6 +586,8 @@ ${res.data.markdown}`;
  *         description: Website mapped successfully
  *       400:
  *         description: Invalid request parameters
+ *       403:
+ *         description: The URL is refused by the network policy
  *       500:
  *         description: Mapping failed
  */
@@ -625,14 +684,15 @@ router.post('/map', async (req, res) => {
         ip: req.ip
       });
       
-      return res.status(500).json({
+      return res.status(result.error.code === 'url_blocked' ? 403 : 500).json({
         success: false,
         error: {
           message: 'Failed to map website with Markitdown',
           details: result.error.message,
           url,
           provider: 'markitdown',
-          processingTime: result.error.processingTime
+          processingTime: result.error.processingTime,
+          ...(result.error.code && { code: result.error.code, reason: result.error.reason })
         }
       });
     }
@@ -0,0 +1,238 @@
+const express = require('express');
+const joi = require('joi');
+const ScrapeService = require('../services/scrape.service');
+const { sessionNotFound } = require('./sessions');
+const { localOptionsSchema, firecrawlOptionsSchema, markitdownOptionsSchema } = require('../utils/options');
+
+const router = express.Router();
+
+const engineSchema = joi.string().valid(...ScrapeService.ENGINES);
+
+// Validation schema for unified scrape request. Common options go to every
+// engine; engineOptions hold provider-specific fields merged on top. They are
+// checked against the provider's own option schema without its defaults, which
+// would otherwise override the common options.
+const scrapeSchema = joi.object({
+  url: joi.string().uri().required(),
+  engines: joi.alternatives().try(
+    joi.string().valid('auto'),
+    joi.array().items(engineSchema).min(1).unique()
+  ).default('auto'),
+  minContentLength: joi.number().integer().min(0).max(100000),
+  options: joi.object({
+    timeout: joi.number().min(5000).max(120000),
+    maxAge: joi.number().min(0),
+    bypassCache: joi.boolean(),
+    ignoreRobots: joi.boolean()
+  }).default({}),
+  engineOptions: joi.object({
+    local: localOptionsSchema.prefs({ noDefaults: true }),
+    firecrawl: firecrawlOptionsSchema.prefs({ noDefaults: true }),
+    markitdown: markitdownOptionsSchema.prefs({ noDefaults: true })
+  }).default({})
+});
+
+// Initialize scrape service
+let scrapeService = null;
+
+const initializeScrapeService = (config) => {
+  if (!scrapeService) {
+    scrapeService = new ScrapeService(config);
+  }
+  return scrapeService;
+};
+
+/**
+ * @swagger
+ * /api/scrape:
+ *   post:
+ *     tags: [Scrape]
+ *     summary: Scrape a URL with automatic engine fallback
+ *     description: |
+ *       Tries the local Playwright engine, Firecrawl and Markitdown in order until one returns enough markdown.
+ *       With engines "auto" the order comes from the routing rules in the "scrape" config block
+ *       (documents go to Markitdown first, JavaScript-heavy hosts to Playwright). The response names the
+ *       engine that produced the result and records why each other engine failed or was skipped.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 format: uri
+ *                 example: "https://example.com/report.pdf"
+ *               engines:
+ *                 oneOf:
+ *                   - type: string
+ *                     enum: [auto]
+ *                   - type: array
+ *                     items:
+ *                       type: string
+ *                       enum: [local, firecrawl, markitdown]
+ *                 default: auto
+ *                 description: Either "auto" or an explicit engine order
+ *               minContentLength:
+ *                 type: integer
+ *                 description: Markdown shorter than this (trimmed) counts as empty and triggers the next engine
+ *               options:
+ *                 type: object
+ *                 properties:
+ *                   timeout: { type: number }
+ *                   maxAge: { type: number }
+ *                   bypassCache: { type: boolean }
+ *                   ignoreRobots:
+ *                     type: boolean
+ *                     description: Skip the robots.txt check of the local engine (only when the server allows it)
+ *               engineOptions:
+ *                 type: object
+ *                 description: Options passed only to one engine, same fields as the options of that provider's batch endpoint
+ *                 properties:
+ *                   local: { type: object }
+ *                   firecrawl: { type: object }
+ *                   markitdown: { type: object }
+ *     responses:
+ *       200:
+ *         description: Content extracted by one of the engines
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     url: { type: string }
+ *                     title: { type: string }
+ *                     markdown: { type: string }
+ *                     engine: { type: string, example: "markitdown" }
+ *                     route: { type: string, nullable: true, example: "documents" }
+ *                     warning: { type: string }
+ *                     attempts:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ScrapeAttempt'
+ *                     metadata: { type: object }
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: The URL is disallowed by robots.txt or refused by the network policy; no other engine is tried
+ *       404:
+ *         description: engineOptions.local.sessionId names an unknown session or one of another API key
+ *       500:
+ *         description: Every engine failed
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = scrapeSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          message: 'Invalid request parameters',
+          details: error.details.map(detail => ({
+            field: detail.path.join('.'),
+            message: detail.message
+          }))
+        }
+      });
+    }
+    
+    const { url, ...scrapeOptions } = value;
+    
+    // A session of another API key is reported as unknown
+    const local = value.engineOptions.local;
+    if (local && local.sessionId) {
+      const missing = await sessionNotFound(req, local.sessionId);
+      if (missing) {
+        return res.status(404).json({
+          ...missing,
+          error: { ...missing.error, field: 'engineOptions.local.sessionId' }
+        });
+      }
+    }
+    
+    const scraper = initializeScrapeService(req.app.locals.config);
+    
+    req.app.locals.logger && req.app.locals.logger.info('Starting scrape', {
+      url,
+      engines: scrapeOptions.engines,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    const result = await scraper.scrape(url, {
+      ...scrapeOptions,
+      allowedEngines: req.apiKey ? req.apiKey.scopes : null
+    });
+    
+    if (!result.success) {
+      req.app.locals.logger && req.app.locals.logger.error('Scrape failed on every engine', {
+        url,
+        attempts: result.error.attempts
+      });
+      
+      return res.status(['blocked_by_robots', 'url_blocked'].includes(result.error.code) ? 403 : 500).json(result);
+    }
+    
+    req.app.locals.logger && req.app.locals.logger.info('Scrape completed', {
+      url,
+      engine: result.data.engine,
+      attempts: result.data.attempts.length,
+      processingTime: result.data.metadata.processingTime
+    });
+    
+    return res.json(result);
+
+  } catch (error) {
+    req.app.locals.logger && req.app.locals.logger.error('Unexpected error in scrape endpoint', {
+      error: error.message,
+      stack: error.stack,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+      }
+    });
+  }
+});
+
+/**
+ * @swagger
+ * /api/scrape/stats:
+ *   get:
+ *     tags: [Scrape]
+ *     summary: Get engine routing statistics
+ *     description: Attempts, successes, failures and fallbacks per engine with the last failure of each (URL, status and reason), plus the configured routing rules
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ */
+router.get('/stats', (req, res) => {
+  try {
+    return res.json({
+      success: true,
+      data: initializeScrapeService(req.app.locals.config).getStats()
+    });
+
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: 'Failed to get scrape stats',
+        details: error.message
+      }
+    });
+  }
+});
+
+module.exports = router;
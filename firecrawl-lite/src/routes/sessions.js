@@ -0,0 +1,439 @@
+const express = require('express');
+const joi = require('joi');
+const { initializeCrawlerService, getSessionService } = require('../services/registry');
+const { selectorSchema, actionsSchema } = require('../utils/actions');
+const { ownerOf, canAccess } = require('../utils/auth');
+
+const router = express.Router();
+
+// Validation schema for the login script: fill the fields and/or run the
+// actions on the login page, click submit, then wait for the logged-in page
+const loginSchema = joi.object({
+  url: joi.string().uri({ scheme: ['http', 'https'] }).required(),
+  fields: joi.array().items(joi.object({
+    selector: selectorSchema.required(),
+    value: joi.string().allow('').max(10000).required()
+  })).max(20),
+  actions: actionsSchema,
+  submit: selectorSchema,
+  waitForUrl: joi.string().max(2000),
+  waitForSelector: selectorSchema,
+  timeout: joi.number().min(1000).max(120000)
+}).or('fields', 'actions');
+
+// Validation schema for session creation; the check selectors tell logged-in pages from logged-out ones
+const createSchema = joi.object({
+  name: joi.string().max(200).required(),
+  login: loginSchema.required(),
+  check: joi.object({
+    loggedInSelector: selectorSchema,
+    loggedOutSelector: selectorSchema
+  }).default({})
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: {
+    message: 'Invalid request parameters',
+    details: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }))
+  }
+});
+
+const notFound = (res, id) => res.status(404).json({
+  success: false,
+  error: {
+    message: 'Session not found',
+    code: 'session_not_found',
+    id
+  }
+});
+
+// Sessions belong to the API key that created them (see canAccess)
+const canUse = (req, session) => canAccess(req, session.owner);
+
+// 404 body when options.sessionId is unknown or belongs to another API key, or null
+const sessionNotFound = async (req, sessionId) => {
+  const session = await getSessionService().get(sessionId);
+
+  return session && canUse(req, session) ? null : {
+    success: false,
+    error: {
+      message: `Session not found: ${sessionId}`,
+      code: 'session_not_found',
+      field: 'options.sessionId'
+    }
+  };
+};
+
+// 403 for logins the network policy refuses, 502 when the site did not log us in
+const loginFailed = (res, error) => res.status(error.code === 'url_blocked' ? 403 : 502).json({
+  success: false,
+  error: {
+    message: error.message,
+    code: error.code,
+    ...(error.actions && { actions: error.actions })
+  }
+});
+
+const serverError = (req, res, message, error) => {
+  req.app.locals.logger && req.app.locals.logger.error(message, {
+    error: error.message,
+    stack: error.stack,
+    userAgent: req.get('User-Agent'),
+    ip: req.ip
+  });
+
+  return res.status(500).json({
+    success: false,
+    error: {
+      message: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : 'An unexpected error occurred'
+    }
+  });
+};
+
+/**
+ * @swagger
+ * /api/sessions:
+ *   post:
+ *     tags: [Sessions]
+ *     summary: Log in and save the session
+ *     description: |
+ *       Runs the login script in a new browser context and saves the resulting cookies and
+ *       localStorage (Playwright storageState) encrypted on disk. Pass the returned id as
+ *       options.sessionId to extract, structured, batch and crawl requests to render pages logged in.
+ *       A page that answers 401, lands on the login URL or fails the check selectors marks the
+ *       session as expired: the login script runs again and the page is retried once.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, login]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 200
+ *               login:
+ *                 type: object
+ *                 required: [url]
+ *                 description: Needs fields, actions or both
+ *                 properties:
+ *                   url:
+ *                     type: string
+ *                     format: uri
+ *                   fields:
+ *                     type: array
+ *                     maxItems: 20
+ *                     items:
+ *                       type: object
+ *                       required: [selector, value]
+ *                       properties:
+ *                         selector: { type: string }
+ *                         value: { type: string }
+ *                   actions:
+ *                     type: array
+ *                     description: Run after the fields are filled
+ *                     items:
+ *                       $ref: '#/components/schemas/PageAction'
+ *                   submit:
+ *                     type: string
+ *                     description: Selector clicked last, e.g. the login button
+ *                   waitForUrl:
+ *                     type: string
+ *                     description: URL or glob pattern the login ends on
+ *                   waitForSelector:
+ *                     type: string
+ *                   timeout:
+ *                     type: integer
+ *                     minimum: 1000
+ *                     maximum: 120000
+ *               check:
+ *                 type: object
+ *                 description: Selectors that tell whether a page is logged in, checked after the login and on every page
+ *                 properties:
+ *                   loggedInSelector:
+ *                     type: string
+ *                     example: "a[href='/logout']"
+ *                   loggedOutSelector:
+ *                     type: string
+ *                     example: "form#login"
+ *           examples:
+ *             form:
+ *               summary: Login form
+ *               value:
+ *                 name: "Internal wiki"
+ *                 login:
+ *                   url: "https://wiki.example.com/login"
+ *                   fields:
+ *                     - { selector: "#username", value: "crawler" }
+ *                     - { selector: "#password", value: "secret" }
+ *                   submit: "button[type=submit]"
+ *                   waitForUrl: "https://wiki.example.com/home**"
+ *                 check:
+ *                   loggedInSelector: "a[href='/logout']"
+ *     responses:
+ *       201:
+ *         description: Logged in and saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   $ref: '#/components/schemas/Session'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       403:
+ *         description: The login URL is blocked by the network policy
+ *       502:
+ *         description: The login script failed or the page does not look logged in afterwards
+ *       500:
+ *         $ref: '#/components/responses/InternalServerError'
+ *   get:
+ *     tags: [Sessions]
+ *     summary: List sessions
+ *     description: Sessions created with the API key of the request; admin keys see every session.
+ *     responses:
+ *       200:
+ *         description: Sessions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     sessions:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Session'
+ *                     count: { type: integer }
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { error, value } = createSchema.validate(req.body);
+    if (error) {
+      return validationError(res, error);
+    }
+    
+    const crawler = await initializeCrawlerService(req.app.locals.config);
+    
+    let storageState;
+    try {
+      storageState = await crawler.runLogin(value.login, value.check);
+    } catch (loginError) {
+      return loginFailed(res, loginError);
+    }
+    
+    const session = await getSessionService().create({
+      name: value.name,
+      owner: ownerOf(req),
+      login: value.login,
+      check: value.check,
+      storageState
+    });
+    
+    req.app.locals.logger && req.app.locals.logger.info('Session created', {
+      sessionId: session.id,
+      loginUrl: session.loginUrl,
+      cookies: session.cookies,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.status(201).json({
+      success: true,
+      data: session
+    });
+
+  } catch (error) {
+    return serverError(req, res, 'Unexpected error in session create endpoint', error);
+  }
+});
+
+router.get('/', async (req, res) => {
+  try {
+    const all = !req.apiKey || req.apiKey.scopes.includes('admin');
+    const sessions = await getSessionService().list(all ? {} : { owner: req.apiKey.id });
+    
+    return res.json({
+      success: true,
+      data: {
+        sessions,
+        count: sessions.length
+      }
+    });
+
+  } catch (error) {
+    return serverError(req, res, 'Unexpected error in session list endpoint', error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}:
+ *   get:
+ *     tags: [Sessions]
+ *     summary: Get a session
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   $ref: '#/components/schemas/Session'
+ *       404:
+ *         description: Session not found
+ *   delete:
+ *     tags: [Sessions]
+ *     summary: Delete a session
+ *     description: Removes the session and its stored cookies from disk
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Session deleted
+ *       404:
+ *         description: Session not found
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const session = await getSessionService().get(req.params.id);
+    
+    if (!session || !canUse(req, session)) {
+      return notFound(res, req.params.id);
+    }
+    
+    return res.json({
+      success: true,
+      data: session
+    });
+
+  } catch (error) {
+    return serverError(req, res, 'Unexpected error in session status endpoint', error);
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  try {
+    const sessions = getSessionService();
+    const session = await sessions.get(req.params.id);
+    
+    if (!session || !canUse(req, session)) {
+      return notFound(res, req.params.id);
+    }
+    
+    await sessions.delete(session.id);
+    
+    req.app.locals.logger && req.app.locals.logger.info('Session deleted', {
+      sessionId: session.id,
+      userAgent: req.get('User-Agent'),
+      ip: req.ip
+    });
+    
+    return res.json({
+      success: true,
+      data: {
+        id: session.id,
+        deletedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    return serverError(req, res, 'Unexpected error in session delete endpoint', error);
+  }
+});
+
+/**
+ * @swagger
+ * /api/sessions/{id}/refresh:
+ *   post:
+ *     tags: [Sessions]
+ *     summary: Log in again
+ *     description: Runs the session's login script now instead of waiting for the session to expire
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Logged in again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   $ref: '#/components/schemas/Session'
+ *       403:
+ *         description: The login URL is blocked by the network policy
+ *       404:
+ *         description: Session not found
+ *       502:
+ *         description: The login script failed; the session keeps its previous state
+ */
+router.post('/:id/refresh', async (req, res) => {
+  try {
+    const sessions = getSessionService();
+    const session = await sessions.get(req.params.id);
+    
+    if (!session || !canUse(req, session)) {
+      return notFound(res, req.params.id);
+    }
+    
+    const crawler = await initializeCrawlerService(req.app.locals.config);
+    
+    let refreshed;
+    try {
+      refreshed = await sessions.refresh(session.id, (login, check) => crawler.runLogin(login, check));
+    } catch (loginError) {
+      if (loginError.code === 'session_not_found') {
+        return notFound(res, req.params.id);
+      }
+      return loginFailed(res, loginError);
+    }
+    
+    const { login, check, storageState, ...metadata } = refreshed;
+    
+    return res.json({
+      success: true,
+      data: metadata
+    });
+
+  } catch (error) {
+    return serverError(req, res, 'Unexpected error in session refresh endpoint', error);
+  }
+});
+
+module.exports = {
+  router,
+  sessionNotFound
+};
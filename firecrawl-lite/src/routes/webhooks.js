@@ -0,0 +1,206 @@
+const express = require('express');
+const joi = require('joi');
+const { getWebhookService, getNetworkPolicy } = require('../services/registry');
+const WebhookService = require('../services/webhook.service');
+const { canAccess } = require('../utils/auth');
+
+const router = express.Router();
+
+const webhookUrlSchema = joi.string().uri({ scheme: ['http', 'https'] });
+
+// The webhook option of the batch and crawl endpoints: a URL, or an object
+// with custom headers, an HMAC secret and the events to send
+const webhookSchema = joi.alternatives().try(
+  webhookUrlSchema,
+  joi.object({
+    url: webhookUrlSchema.required(),
+    headers: joi.object().pattern(joi.string(), joi.string()),
+    secret: joi.string().min(8).max(256),
+    events: joi.array().items(joi.string().valid(...WebhookService.WEBHOOK_EVENTS)).min(1).unique()
+  })
+);
+
+// Validation schema for the delivery log
+const deliveriesSchema = joi.object({
+  requestId: joi.string().guid(),
+  event: joi.string().valid(...WebhookService.WEBHOOK_EVENTS),
+  status: joi.string().valid(...WebhookService.DELIVERY_STATUSES),
+  limit: joi.number().integer().min(1).max(1000).default(100)
+});
+
+// 202 body of a batch or crawl that reports to a webhook instead of waiting
+const acceptedResponse = (webhook, details = {}) => ({
+  success: true,
+  data: {
+    requestId: webhook.requestId,
+    status: 'processing',
+    ...details,
+    webhook: webhook.toJSON(),
+    deliveries: `/api/webhooks/deliveries?requestId=${webhook.requestId}`
+  }
+});
+
+// 403 body when the network policy refuses the webhook URL, or null
+const webhookRefused = async (webhook) => {
+  const policy = await getNetworkPolicy().check(typeof webhook === 'string' ? webhook : webhook.url);
+  
+  return policy.allowed ? null : {
+    success: false,
+    error: {
+      message: `Webhook URL blocked by network policy: ${policy.reason}`,
+      code: 'url_blocked',
+      field: 'options.webhook'
+    }
+  };
+};
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: Webhook delivery log
+ *     description: |
+ *       Events sent to the webhooks of batch and crawl requests, newest first, with every delivery
+ *       attempt. Failed deliveries are retried with exponential backoff before being marked as failed.
+ *     parameters:
+ *       - in: query
+ *         name: requestId
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only events of this batch or crawl (the requestId of its 202 response)
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [started, page, completed, failed]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, failed]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 1000
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     deliveries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/WebhookDelivery'
+ *                     count: { type: integer }
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ */
+router.get('/deliveries', (req, res) => {
+  const { error, value } = deliveriesSchema.validate(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        message: 'Invalid request parameters',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      }
+    });
+  }
+
+  // Other API keys' deliveries are left out unless the key is an admin
+  const all = !req.apiKey || req.apiKey.scopes.includes('admin');
+  const deliveries = getWebhookService().getDeliveries(all ? value : { ...value, owner: req.apiKey.id });
+
+  return res.json({
+    success: true,
+    data: {
+      deliveries,
+      count: deliveries.length
+    }
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{id}:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: Get one webhook delivery
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Event id, also sent in the X-Webhook-Id header
+ *     responses:
+ *       200:
+ *         description: Delivery found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success: { type: boolean, example: true }
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Delivery not found or no longer in the log
+ */
+router.get('/deliveries/:id', (req, res) => {
+  const delivery = getWebhookService().getDelivery(req.params.id);
+
+  if (!delivery || !canAccess(req, delivery.owner)) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        message: 'Delivery not found',
+        id: req.params.id
+      }
+    });
+  }
+
+  return res.json({
+    success: true,
+    data: delivery
+  });
+});
+
+/**
+ * @swagger
+ * /api/webhooks/stats:
+ *   get:
+ *     tags: [Webhooks]
+ *     summary: Get webhook delivery statistics
+ *     responses:
+ *       200:
+ *         description: Statistics retrieved successfully
+ */
+router.get('/stats', (req, res) => {
+  return res.json({
+    success: true,
+    data: getWebhookService().getStats()
+  });
+});
+
+module.exports = {
+  router,
+  webhookSchema,
+  acceptedResponse,
+  webhookRefused
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { RateLimiterMemory } = require('rate-limiter-flexible');
+
+// "admin" is only needed for /api/admin; the others gate the providers
+const SCOPES = ['local', 'firecrawl', 'markitdown', 'admin'];
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Daily quotas reset at midnight UTC
+const currentDay = () => new Date().toISOString().slice(0, 10);
+
+const nextDay = () => {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset;
+};
+
+// API keys with scopes, a rate limit and a daily quota each. Keys come from the
+// "auth" config block, the API_KEYS environment variable and a local JSON file;
+// only their SHA-256 hashes are kept in memory.
+class AuthService {
+  constructor(config = {}) {
+    this.options = {
+      enabled: 'auto', // true, false, or "auto" to require a key once any key is configured
+      keys: [],
+      keysFile: 'data/api-keys.json',
+      defaultScopes: ['local', 'firecrawl', 'markitdown'],
+      rateLimit: { points: 60, duration: 60 }, // requests per key per duration (seconds)
+      dailyQuota: 1000, // requests per key per UTC day; 0 for no quota
+      ...config
+    };
+    
+    this.keys = new Map(); // key hash -> key record
+    this.usage = new Map(); // key id -> counters
+    this.stats = {
+      unauthorized: 0
+    };
+    
+    this.options.keys.forEach(key => this.addKey(key, 'config'));
+    this.loadKeysFile();
+    
+    this.enabled = this.options.enabled === 'auto' ? this.keys.size > 0 : Boolean(this.options.enabled);
+    
+    if (this.enabled && this.keys.size === 0) {
+      console.warn('Auth: API keys are required but none are configured; every API request will be rejected');
+    }
+  }
+
+  // The keys file holds an array of key definitions, or { keys: [...] }
+  loadKeysFile() {
+    if (!this.options.keysFile) return;
+    
+    const filePath = path.resolve(this.options.keysFile);
+    let content;
+    
+    try {
+      content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Auth: Failed to read API keys from ${filePath}:`, error.message);
+      }
+      return;
+    }
+    
+    try {
+      const parsed = JSON.parse(content);
+      const keys = Array.isArray(parsed) ? parsed : parsed.keys || [];
+      keys.forEach(key => this.addKey(key, 'file'));
+      console.log(`Auth: Loaded ${keys.length} API key(s) from ${filePath}`);
+    } catch (error) {
+      console.error(`Auth: Invalid API keys file ${filePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Register a key definition:
+   * { id, name, key or keyHash (hex SHA-256), scopes, rateLimit: { points, duration }, dailyQuota }
+   */
+  addKey(definition, source) {
+    const hash = definition.keyHash ? definition.keyHash.toLowerCase() : definition.key && hashKey(definition.key);
+    
+    if (!hash) {
+      console.error(`Auth: Ignoring API key ${definition.id || definition.name || '(unnamed)'} from ${source} without key or keyHash`);
+      return null;
+    }
+    
+    const id = definition.id || definition.name || `key-${hash.slice(0, 8)}`;
+    const scopes = (definition.scopes || this.options.defaultScopes).filter(scope => SCOPES.includes(scope));
+    const rateLimit = { ...this.options.rateLimit, ...definition.rateLimit };
+    const dailyQuota = definition.dailyQuota !== undefined ? definition.dailyQuota : this.options.dailyQuota;
+    
+    const record = {
+      id,
+      name: definition.name || id,
+      scopes,
+      rateLimit,
+      dailyQuota,
+      source,
+      rateLimiter: new RateLimiterMemory({
+        keyPrefix: `rate:${id}`,
+        points: rateLimit.points,
+        duration: rateLimit.duration
+      }),
+      quotaLimiter: dailyQuota > 0 && new RateLimiterMemory({
+        keyPrefix: `quota:${id}`,
+        points: dailyQuota,
+        duration: DAY_SECONDS
+      })
+    };
+    
+    this.keys.set(hash, record);
+    return record;
+  }
+
+  // Key record for the token of an "Authorization: Bearer" header, or null
+  authenticate(token) {
+    const record = token ? this.keys.get(hashKey(token)) : null;
+    
+    if (!record) {
+      this.stats.unauthorized++;
+    }
+    return record || null;
+  }
+
+  getUsageRecord(record) {
+    if (!this.usage.has(record.id)) {
+      this.usage.set(record.id, {
+        requests: 0,
+        rateLimited: 0,
+        quotaExceeded: 0,
+        forbidden: 0,
+        byScope: SCOPES.reduce((counts, scope) => ({ ...counts, [scope]: 0 }), {}),
+        lastUsedAt: null
+      });
+    }
+    return this.usage.get(record.id);
+  }
+
+  recordForbidden(record) {
+    this.getUsageRecord(record).forbidden++;
+  }
+
+  /**
+   * Count one request of a key against its rate limit and daily quota.
+   * Resolves with { allowed, reason, retryAfter, rateLimit, quota }; reason is
+   * "rate_limited" or "quota_exceeded" when the request is refused.
+   */
+  async consume(record, scope) {
+    const usage = this.getUsageRecord(record);
+    const result = { allowed: true, reason: null, retryAfter: null, rateLimit: null, quota: null };
+    
+    try {
+      const rate = await record.rateLimiter.consume(record.id);
+      result.rateLimit = {
+        limit: record.rateLimit.points,
+        remaining: rate.remainingPoints,
+        resetAt: new Date(Date.now() + rate.msBeforeNext)
+      };
+    } catch (rejection) {
+      if (rejection instanceof Error) throw rejection;
+      
+      usage.rateLimited++;
+      return {
+        ...result,
+        allowed: false,
+        reason: 'rate_limited',
+        retryAfter: Math.ceil(rejection.msBeforeNext / 1000),
+        rateLimit: { limit: record.rateLimit.points, remaining: 0, resetAt: new Date(Date.now() + rejection.msBeforeNext) }
+      };
+    }
+    
+    if (record.quotaLimiter) {
+      const resetAt = nextDay();
+      
+      try {
+        const quota = await record.quotaLimiter.consume(currentDay());
+        result.quota = { limit: record.dailyQuota, remaining: quota.remainingPoints, resetAt };
+      } catch (rejection) {
+        if (rejection instanceof Error) throw rejection;
+        
+        usage.quotaExceeded++;
+        return {
+          ...result,
+          allowed: false,
+          reason: 'quota_exceeded',
+          retryAfter: Math.ceil((resetAt.getTime() - Date.now()) / 1000),
+          quota: { limit: record.dailyQuota, remaining: 0, resetAt }
+        };
+      }
+    }
+    
+    usage.requests++;
+    usage.byScope[scope]++;
+    usage.lastUsedAt = new Date().toISOString();
+    
+    return result;
+  }
+
+  // Usage of one key: counters since startup and what is left of today's quota
+  async describeKey(record) {
+    let quota = null;
+    
+    if (record.quotaLimiter) {
+      const state = await record.quotaLimiter.get(currentDay());
+      const used = state ? state.consumedPoints : 0;
+      quota = {
+        limit: record.dailyQuota,
+        used: Math.min(used, record.dailyQuota),
+        remaining: Math.max(record.dailyQuota - used, 0),
+        resetAt: nextDay().toISOString()
+      };
+    }
+    
+    return {
+      id: record.id,
+      name: record.name,
+      source: record.source,
+      scopes: record.scopes,
+      rateLimit: record.rateLimit,
+      quota,
+      usage: this.getUsageRecord(record)
+    };
+  }
+
+  async getUsage() {
+    return Promise.all(Array.from(this.keys.values()).map(record => this.describeKey(record)));
+  }
+
+  async getKeyUsage(id) {
+    const record = Array.from(this.keys.values()).find(key => key.id === id);
+    return record ? this.describeKey(record) : null;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      keys: this.keys.size,
+      ...this.stats
+    };
+  }
+}
+
+AuthService.SCOPES = SCOPES;
+AuthService.hashKey = hashKey;
+
+module.exports = AuthService;
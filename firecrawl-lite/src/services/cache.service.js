@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const { MemoryCache, RedisCache } = require('../core/cache');
+const { normalizeUrl } = require('../utils/url');
+
+// Options that control how a request is run or stored but not the extracted
+// content itself; they are left out of the cache key
+const NON_OUTPUT_OPTIONS = [
+  'saveToFile',
+  'saveDirectory',
+  'concurrent',
+  'timeout',
+  'maxAge',
+  'bypassCache',
+  'limit',
+  'maxDepth',
+  'includePaths',
+  'excludePaths',
+  'sameDomain',
+  'allowSubdomains',
+  'ignoreRobots',
+  'changeTracking',
+  'webhook',
+  'deadline'
+];
+
+const hash = (value) => crypto.createHash('sha1').update(value).digest('hex');
+
+// JSON.stringify with sorted object keys, so option order does not matter
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+class CacheService {
+  constructor(config = {}) {
+    this.options = {
+      enabled: true,
+      driver: 'auto',
+      prefix: 'firecrawl-lite:cache',
+      ttl: 3600,
+      maxSize: '100mb',
+      ...config
+    };
+    
+    this.enabled = this.options.enabled !== false;
+    this.driver = this.resolveDriver();
+    this.store = this.enabled ? this.createStore() : null;
+    
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      bypasses: 0,
+      writes: 0,
+      errors: 0,
+      purged: 0,
+      byProvider: {}
+    };
+  }
+
+  // "auto" uses Redis only when a Redis server has been configured through the environment
+  resolveDriver() {
+    const { driver } = this.options;
+    
+    if (driver === 'redis' || driver === 'memory') {
+      return driver;
+    }
+    
+    return process.env.REDIS_URL || process.env.REDIS_HOST ? 'redis' : 'memory';
+  }
+
+  createStore() {
+    if (this.driver === 'redis') {
+      return new RedisCache({
+        ttl: this.options.ttl,
+        redis: this.options.redis
+      });
+    }
+    
+    return new MemoryCache({
+      ttl: this.options.ttl,
+      maxSize: this.options.maxSize
+    });
+  }
+
+  // Key layout: <prefix>:<provider>:<url hash>:<options hash>, so entries can
+  // be purged per provider or per URL with a wildcard pattern
+  buildKey(provider, url, options = {}) {
+    const outputOptions = {};
+    Object.keys(options).forEach(key => {
+      if (!NON_OUTPUT_OPTIONS.includes(key)) {
+        outputOptions[key] = options[key];
+      }
+    });
+    
+    return [
+      this.options.prefix,
+      provider,
+      hash(normalizeUrl(url) || url),
+      hash(stableStringify(outputOptions))
+    ].join(':');
+  }
+
+  /**
+   * Return a cached result for the request, or run fetch() and cache its
+   * result if it succeeded.
+   *
+   * options.maxAge (ms) only accepts cached entries younger than that;
+   * options.bypassCache skips the lookup but still refreshes the entry.
+   */
+  async wrap(provider, url, options = {}, fetch) {
+    if (!this.enabled) {
+      return fetch();
+    }
+    
+    const key = this.buildKey(provider, url, options);
+    const providerStats = this.getProviderStats(provider);
+    
+    if (options.bypassCache) {
+      this.stats.bypasses++;
+      providerStats.bypasses++;
+    } else {
+      const entry = await this.read(key);
+      const age = entry ? Date.now() - entry.storedAt : null;
+      
+      if (entry && (options.maxAge === undefined || options.maxAge === null || age <= options.maxAge)) {
+        this.stats.hits++;
+        providerStats.hits++;
+        return this.annotate(entry.value, {
+          hit: true,
+          storedAt: new Date(entry.storedAt).toISOString(),
+          age
+        });
+      }
+      
+      this.stats.misses++;
+      providerStats.misses++;
+    }
+    
+    const result = await fetch();
+    
+    if (result && result.success) {
+      await this.write(key, result);
+    }
+    
+    return this.annotate(result, { hit: false });
+  }
+
+  async read(key) {
+    try {
+      return await this.store.get(key);
+    } catch (error) {
+      this.stats.errors++;
+      console.error('Cache read failed:', error.message);
+      return null;
+    }
+  }
+
+  async write(key, value) {
+    try {
+      if (await this.store.set(key, { value, storedAt: Date.now() })) {
+        this.stats.writes++;
+      }
+    } catch (error) {
+      this.stats.errors++;
+      console.error('Cache write failed:', error.message);
+    }
+  }
+
+  // Report cache status in the result metadata without touching the stored entry
+  annotate(result, cacheInfo) {
+    if (!result || !result.success || !result.data) {
+      return result;
+    }
+    
+    return {
+      ...result,
+      data: {
+        ...result.data,
+        metadata: {
+          ...(result.data.metadata || {}),
+          cache: cacheInfo
+        }
+      }
+    };
+  }
+
+  getProviderStats(provider) {
+    if (!this.stats.byProvider[provider]) {
+      this.stats.byProvider[provider] = { hits: 0, misses: 0, bypasses: 0 };
+    }
+    return this.stats.byProvider[provider];
+  }
+
+  /**
+   * Remove cached entries. With no filter everything is purged; a provider
+   * and/or URL narrows it down.
+   */
+  async purge({ provider, url } = {}) {
+    if (!this.enabled) {
+      return 0;
+    }
+    
+    const pattern = [
+      this.options.prefix,
+      provider || '*',
+      url ? hash(normalizeUrl(url) || url) : '*',
+      '*'
+    ].join(':');
+    
+    const removed = await this.store.purge(pattern);
+    this.stats.purged += removed;
+    console.log(`Purged ${removed} cache entries matching ${pattern}`);
+    
+    return removed;
+  }
+
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    let store = {};
+    
+    if (this.store) {
+      try {
+        store = await this.store.getStats();
+      } catch (error) {
+        store = { error: error.message };
+      }
+    }
+    
+    return {
+      enabled: this.enabled,
+      driver: this.enabled ? this.driver : null,
+      ttl: this.options.ttl,
+      ...this.stats,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      store
+    };
+  }
+
+  async shutdown() {
+    if (this.store) {
+      await this.store.close();
+    }
+  }
+}
+
+module.exports = CacheService;
@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { createTwoFilesPatch, diffWords } = require('diff');
+const { FileSnapshotStore, RedisSnapshotStore } = require('../core/snapshot-store');
+const { normalizeUrl } = require('../utils/url');
+
+const CHANGE_STATUSES = ['new', 'same', 'changed', 'removed'];
+const DIFF_FORMATS = ['unified', 'words', 'none'];
+
+// HTTP statuses that mean a tracked page is gone rather than temporarily failing
+const REMOVED_STATUS_CODES = [404, 410];
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// Trailing spaces and runs of blank lines do not count as a change
+const normalizeMarkdown = (markdown) => markdown
+  .replace(/[ \t]+$/gm, '')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+class ChangeTrackingService {
+  constructor(config = {}) {
+    this.options = {
+      driver: 'auto',
+      directory: 'data/changes',
+      prefix: 'firecrawl-lite:changes',
+      maxChanges: 10000,
+      contextLines: 3,
+      diffTimeout: 5000, // ms; larger diffs are reported as truncated
+      ...config
+    };
+    
+    this.driver = this.resolveDriver();
+    this.store = this.createStore();
+    
+    this.stats = {
+      checks: 0,
+      new: 0,
+      same: 0,
+      changed: 0,
+      removed: 0,
+      errors: 0
+    };
+  }
+
+  // "auto" uses Redis only when a Redis server has been configured through the environment
+  resolveDriver() {
+    const { driver } = this.options;
+    
+    if (driver === 'redis' || driver === 'file') {
+      return driver;
+    }
+    
+    return process.env.REDIS_URL || process.env.REDIS_HOST ? 'redis' : 'file';
+  }
+
+  createStore() {
+    if (this.driver === 'redis') {
+      return new RedisSnapshotStore({
+        prefix: this.options.prefix,
+        maxChanges: this.options.maxChanges,
+        redis: this.options.redis
+      });
+    }
+    
+    return new FileSnapshotStore({
+      directory: this.options.directory,
+      maxChanges: this.options.maxChanges
+    });
+  }
+
+  // One history per normalized URL, or per URL and tag when runs should be kept apart
+  getKey(url, tag) {
+    return hash(`${normalizeUrl(url) || url}${tag ? `#${tag}` : ''}`).slice(0, 40);
+  }
+
+  /**
+   * Compare a successful extraction with the last snapshot of the URL, store
+   * it as the new snapshot and record new/changed pages in the feed.
+   *
+   * settings: { diff: 'unified' | 'words' | 'none', tag }
+   */
+  async track(url, data, { diff = 'unified', tag } = {}) {
+    const key = this.getKey(url, tag);
+    const trackedUrl = normalizeUrl(url) || url;
+    const markdown = normalizeMarkdown(data.markdown || '');
+    const contentHash = hash(markdown);
+    const now = new Date().toISOString();
+    
+    const previous = await this.store.get(key);
+    
+    // A page that comes back after being removed starts a new history
+    let changeStatus = 'changed';
+    if (!previous || previous.removed) {
+      changeStatus = 'new';
+    } else if (previous.hash === contentHash) {
+      changeStatus = 'same';
+    }
+    
+    this.stats.checks++;
+    this.stats[changeStatus]++;
+    
+    await this.store.set(key, {
+      url: trackedUrl,
+      ...(tag && { tag }),
+      title: data.title || null,
+      hash: contentHash,
+      markdown,
+      changedAt: changeStatus === 'same' ? previous.changedAt : now,
+      checkedAt: now
+    });
+    
+    const tracking = {
+      changeStatus,
+      previousScrapeAt: previous ? previous.checkedAt : null,
+      hash: contentHash,
+      previousHash: previous ? previous.hash : null,
+      ...(tag && { tag })
+    };
+    
+    if (changeStatus === 'changed' && diff !== 'none') {
+      tracking.diff = this.createDiff(previous.markdown, markdown, diff, previous.checkedAt, now);
+    }
+    
+    if (changeStatus !== 'same') {
+      await this.store.addChange({
+        id: uuidv4(),
+        url: trackedUrl,
+        ...(tag && { tag }),
+        changeStatus,
+        title: data.title || null,
+        hash: contentHash,
+        previousHash: tracking.previousHash,
+        previousScrapeAt: tracking.previousScrapeAt,
+        ...(tracking.diff && { added: tracking.diff.added, removed: tracking.diff.removed }),
+        detectedAt: now
+      });
+      console.log(`Change tracking: ${trackedUrl} is ${changeStatus}`);
+    }
+    
+    return tracking;
+  }
+
+  // A tracked page that now returns 404/410. Untracked pages are ignored and a
+  // page already marked as removed is not reported again.
+  async markRemoved(url, { tag } = {}) {
+    const key = this.getKey(url, tag);
+    const previous = await this.store.get(key);
+    
+    if (!previous) {
+      return null;
+    }
+    
+    const now = new Date().toISOString();
+    const tracking = {
+      changeStatus: 'removed',
+      previousScrapeAt: previous.checkedAt,
+      hash: null,
+      previousHash: previous.hash,
+      ...(tag && { tag })
+    };
+    
+    this.stats.checks++;
+    
+    if (previous.removed) {
+      return tracking;
+    }
+    
+    this.stats.removed++;
+    
+    await this.store.set(key, { ...previous, removed: true, changedAt: now, checkedAt: now });
+    await this.store.addChange({
+      id: uuidv4(),
+      url: previous.url,
+      ...(tag && { tag }),
+      changeStatus: 'removed',
+      title: previous.title,
+      hash: null,
+      previousHash: previous.hash,
+      previousScrapeAt: previous.checkedAt,
+      detectedAt: now
+    });
+    console.log(`Change tracking: ${previous.url} was removed`);
+    
+    return tracking;
+  }
+
+  // Attach change tracking to a crawler result: success and data.changeTracking,
+  // or error.changeTracking when a tracked page has disappeared
+  async trackResult(url, result, settings = {}) {
+    try {
+      if (result.success) {
+        const tracking = await this.track(url, result.data, settings);
+        return { ...result, data: { ...result.data, changeTracking: tracking } };
+      }
+      
+      if (REMOVED_STATUS_CODES.includes(result.error.statusCode)) {
+        const tracking = await this.markRemoved(url, settings);
+        if (tracking) {
+          return { ...result, error: { ...result.error, changeTracking: tracking } };
+        }
+      }
+      
+      return result;
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`Change tracking failed for ${url}:`, error.message);
+      
+      const tracking = { changeStatus: null, error: error.message };
+      return result.success
+        ? { ...result, data: { ...result.data, changeTracking: tracking } }
+        : result;
+    }
+  }
+
+  createDiff(before, after, format, previousDate, currentDate) {
+    const options = { timeout: this.options.diffTimeout };
+    
+    if (format === 'words') {
+      const parts = diffWords(before, after, options);
+      if (!parts) {
+        return { format, truncated: true };
+      }
+      
+      const countWords = (type) => parts
+        .filter(part => part[type])
+        .reduce((total, part) => total + part.value.split(/\s+/).filter(Boolean).length, 0);
+      
+      // Same markers as `git diff --word-diff`
+      return {
+        format,
+        text: parts.map(part => {
+          if (part.added) return `{+${part.value}+}`;
+          if (part.removed) return `[-${part.value}-]`;
+          return part.value;
+        }).join(''),
+        added: countWords('added'),
+        removed: countWords('removed')
+      };
+    }
+    
+    const patch = createTwoFilesPatch('previous', 'current', `${before}\n`, `${after}\n`, previousDate, currentDate, {
+      ...options,
+      context: this.options.contextLines
+    });
+    if (!patch) {
+      return { format: 'unified', truncated: true };
+    }
+    
+    const lines = patch.split('\n');
+    return {
+      format: 'unified',
+      text: patch,
+      added: lines.filter(line => line.startsWith('+') && !line.startsWith('+++')).length,
+      removed: lines.filter(line => line.startsWith('-') && !line.startsWith('---')).length
+    };
+  }
+
+  // Feed of new/changed/removed events, newest first
+  async getChanges({ since, url, changeStatus, limit = 100 } = {}) {
+    return this.store.getChanges({
+      ...(since && { since: new Date(since) }),
+      ...(url && { url: normalizeUrl(url) || url }),
+      ...(changeStatus && { changeStatus: [].concat(changeStatus) })
+    }, limit);
+  }
+
+  async getSnapshot(url, tag) {
+    return this.store.get(this.getKey(url, tag));
+  }
+
+  async getStats() {
+    let store = {};
+    
+    try {
+      store = await this.store.getStats();
+    } catch (error) {
+      store = { error: error.message };
+    }
+    
+    return {
+      driver: this.driver,
+      ...this.stats,
+      store
+    };
+  }
+
+  async shutdown() {
+    await this.store.close();
+  }
+}
+
+ChangeTrackingService.CHANGE_STATUSES = CHANGE_STATUSES;
+ChangeTrackingService.DIFF_FORMATS = DIFF_FORMATS;
+
+module.exports = ChangeTrackingService;
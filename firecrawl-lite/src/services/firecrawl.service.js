@@ -1,9 +1,12 @@
 const FirecrawlApp = require('@mendable/firecrawl-js').default;
+const BatchScheduler = require('../core/batch-scheduler');
 
 class FirecrawlService {
   constructor(options = {}) {
     this.apiKey = options.apiKey || process.env.FIRECRAWL_API_KEY;
     this.baseUrl = options.baseUrl || process.env.FIRECRAWL_BASE_URL || 'https://api.firecrawl.dev';
+    this.cache = options.cache || null;
+    this.networkPolicy = options.networkPolicy || null;
     
     if (!this.apiKey) {
       throw new Error('Firecrawl API key is required. Please set FIRECRAWL_API_KEY in environment variables.');
@@ -11,7 +14,7 @@ class FirecrawlService {
     
     this.client = new FirecrawlApp({
       apiKey: this.apiKey,
-      baseUrl: this.baseUrl
+      apiUrl: this.baseUrl
     });
     
     this.stats = {
@@ -23,15 +26,22 @@ class FirecrawlService {
     };
   }
 
+  // Serve from the response cache when one is configured
   async extractUrl(url, options = {}) {
+    if (!this.cache) {
+      return this.scrapeUrl(url, options);
+    }
+    
+    return this.cache.wrap('firecrawl', url, options, () => this.scrapeUrl(url, options));
+  }
+
+  async scrapeUrl(url, options = {}) {
     const startTime = Date.now();
     
     try {
       this.stats.totalRequests++;
       
-      if (!this.isValidUrl(url)) {
-        throw new Error('Invalid URL provided');
-      }
+      await this.assertUrl(url);
       
       // Prepare Firecrawl options
       const firecrawlOptions = {
@@ -86,6 +96,7 @@ class FirecrawlService {
         success: false,
         error: {
           message: error.message,
+          ...(error.code && { code: error.code, reason: error.reason }),
           url,
           processingTime,
           provider: 'firecrawl',
@@ -95,28 +106,32 @@ class FirecrawlService {
     }
   }
 
-  async extractMultipleUrls(urls, options = {}) {
+  // Keeps `concurrent` URLs in flight, higher priorities first. onResult(result, index)
+  // is awaited as each URL finishes; aborting signal cancels the URLs not started yet.
+  async extractMultipleUrls(urls, options = {}, { onResult, priorities, signal } = {}) {
     const concurrent = Math.min(options.concurrent || 3, urls.length, 10); // Firecrawl has rate limits
-    const results = [];
     
     console.log(`Firecrawl: Starting batch crawl of ${urls.length} URLs with concurrency: ${concurrent}`);
     
-    // Process URLs in batches
-    for (let i = 0; i < urls.length; i += concurrent) {
-      const batch = urls.slice(i, i + concurrent);
-      
-      console.log(`Firecrawl: Processing batch ${Math.floor(i / concurrent) + 1} (${batch.length} URLs)`);
-      
-      const batchPromises = batch.map(url => this.extractUrl(url, options));
-      const batchResults = await Promise.all(batchPromises);
-      
-      results.push(...batchResults);
-      
-      // Brief pause between batches to respect rate limits
-      if (i + concurrent < urls.length) {
-        await new Promise(resolve => setTimeout(resolve, 2000));
-      }
-    }
+    const scheduler = new BatchScheduler({
+      concurrency: concurrent,
+      deadline: options.deadline
+    });
+    
+    const handle = async (result, index) => (onResult && await onResult(result, index)) || result;
+    
+    const results = await scheduler.run(urls, async (url, index) => handle(await this.extractUrl(url, options), index), {
+      priorities,
+      onDeadline: (url, index) => handle({
+        success: false,
+        error: { ...BatchScheduler.deadlineError(url, options.deadline), provider: 'firecrawl' }
+      }, index),
+      signal,
+      onCancel: (url, index) => handle({
+        success: false,
+        error: { ...BatchScheduler.cancelledError(url), provider: 'firecrawl' }
+      }, index)
+    });
     
     const successful = results.filter(r => r.success).length;
     const failed = results.filter(r => !r.success).length;
@@ -141,24 +156,10 @@ class FirecrawlService {
     try {
       this.stats.totalRequests++;
       
-      if (!this.isValidUrl(url)) {
-        throw new Error('Invalid URL provided');
-      }
+      await this.assertUrl(url);
       
       // Prepare crawl options
-      const crawlOptions = {
-        limit: options.limit || 100,
-        scrapeOptions: {
-          formats: options.formats || ['markdown'],
-          onlyMainContent: options.onlyMainContent !== false,
-          includeTags: options.includeTags || [],
-          excludeTags: options.excludeTags || ['nav', 'footer', 'header', '.sidebar'],
-          waitFor: options.waitFor || 3000
-        },
-        ...(options.excludePaths && { excludePaths: options.excludePaths }),
-        ...(options.includePaths && { includePaths: options.includePaths }),
-        ...(options.maxDepth && { maxDepth: options.maxDepth })
-      };
+      const crawlOptions = this.buildCrawlOptions(options);
       
       console.log(`Firecrawl: Starting crawl of ${url}...`);
       const crawlResult = await this.client.crawlUrl(url, crawlOptions);
@@ -196,6 +197,7 @@ class FirecrawlService {
         success: false,
         error: {
           message: error.message,
+          ...(error.code && { code: error.code, reason: error.reason }),
           url,
           processingTime,
           provider: 'firecrawl',
@@ -205,16 +207,210 @@ class FirecrawlService {
     }
   }
 
-  async mapWebsite(url, options = {}) {
+  // Start a crawl job without waiting for it to finish; poll it with getCrawlStatus
+  async startCrawl(url, options = {}) {
     const startTime = Date.now();
     
     try {
       this.stats.totalRequests++;
       
-      if (!this.isValidUrl(url)) {
-        throw new Error('Invalid URL provided');
+      await this.assertUrl(url);
+      
+      console.log(`Firecrawl: Starting async crawl of ${url}...`);
+      const crawlResult = await this.client.asyncCrawlUrl(url, this.buildCrawlOptions(options));
+      
+      if (!crawlResult.success || !crawlResult.id) {
+        throw new Error(crawlResult.error || 'Firecrawl failed to start crawl');
+      }
+      
+      const processingTime = Date.now() - startTime;
+      this.updateStats(processingTime, true);
+      
+      console.log(`Firecrawl: Crawl ${crawlResult.id} started for ${url}`);
+      
+      return {
+        success: true,
+        data: {
+          id: crawlResult.id,
+          url,
+          status: 'scraping',
+          provider: 'firecrawl',
+          startedAt: new Date().toISOString()
+        }
+      };
+      
+    } catch (error) {
+      const processingTime = Date.now() - startTime;
+      this.updateStats(processingTime, false);
+      
+      console.error(`Firecrawl: Failed to start crawl of ${url}:`, error.message);
+      
+      return {
+        success: false,
+        error: {
+          message: error.message,
+          ...(error.code && { code: error.code, reason: error.reason }),
+          url,
+          processingTime,
+          provider: 'firecrawl',
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+  }
+
+  async getCrawlStatus(id, options = {}) {
+    try {
+      const getAllData = options.all === true;
+      const status = await this.client.checkCrawlStatus(id, getAllData, undefined, options.skip, options.limit);
+      
+      if (!status.success) {
+        throw new Error(status.error || 'Firecrawl failed to get crawl status');
+      }
+      
+      return {
+        success: true,
+        data: this.formatCrawlStatus(id, status, options.skip || 0)
+      };
+      
+    } catch (error) {
+      console.error(`Firecrawl: Failed to get status of crawl ${id}:`, error.message);
+      
+      return {
+        success: false,
+        error: {
+          message: error.message,
+          id,
+          provider: 'firecrawl',
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+  }
+
+  // Poll a crawl job until it leaves the "scraping" state and return every page
+  async waitForCrawl(id, options = {}) {
+    const pollInterval = options.pollInterval || 5000;
+    const timeout = options.timeout || 30 * 60 * 1000;
+    const deadline = Date.now() + timeout;
+    
+    while (Date.now() < deadline) {
+      const result = await this.getCrawlStatus(id, { all: true });
+      
+      if (!result.success || result.data.status !== 'scraping') {
+        return result;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+    
+    return {
+      success: false,
+      error: {
+        message: `Crawl did not finish within ${timeout}ms`,
+        id,
+        provider: 'firecrawl',
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  async cancelCrawl(id) {
+    try {
+      const result = await this.client.cancelCrawl(id);
+      
+      if (result.success === false) {
+        throw new Error(result.error || 'Firecrawl failed to cancel crawl');
       }
       
+      console.log(`Firecrawl: Crawl ${id} cancelled`);
+      
+      return {
+        success: true,
+        data: {
+          id,
+          status: result.status || 'cancelled',
+          provider: 'firecrawl',
+          cancelledAt: new Date().toISOString()
+        }
+      };
+      
+    } catch (error) {
+      console.error(`Firecrawl: Failed to cancel crawl ${id}:`, error.message);
+      
+      return {
+        success: false,
+        error: {
+          message: error.message,
+          id,
+          provider: 'firecrawl',
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+  }
+
+  buildCrawlOptions(options = {}) {
+    return {
+      limit: options.limit || 100,
+      scrapeOptions: {
+        formats: options.formats || ['markdown'],
+        onlyMainContent: options.onlyMainContent !== false,
+        includeTags: options.includeTags || [],
+        excludeTags: options.excludeTags || ['nav', 'footer', 'header', '.sidebar'],
+        waitFor: options.waitFor || 3000
+      },
+      ...(options.excludePaths && { excludePaths: options.excludePaths }),
+      ...(options.includePaths && { includePaths: options.includePaths }),
+      ...(options.maxDepth && { maxDepth: options.maxDepth })
+    };
+  }
+
+  formatCrawlStatus(id, status, skip = 0) {
+    const pages = (status.data || []).map(document => this.formatDocument(document));
+    
+    return {
+      id,
+      status: status.status,
+      completed: status.completed,
+      total: status.total,
+      creditsUsed: status.creditsUsed,
+      expiresAt: status.expiresAt,
+      pages,
+      // Firecrawl paginates large crawls; expose the next offset instead of its API URL
+      next: status.next ? skip + pages.length : null,
+      provider: 'firecrawl'
+    };
+  }
+
+  // Map a Firecrawl document onto the same page shape extractUrl returns
+  formatDocument(document) {
+    const metadata = document.metadata || {};
+    const markdown = document.markdown || '';
+    
+    return {
+      url: metadata.sourceURL || metadata.url || document.url,
+      title: metadata.title || '',
+      markdown,
+      html: document.html || '',
+      metadata: {
+        ...metadata,
+        provider: 'firecrawl',
+        wordCount: this.countWords(markdown),
+        readingTime: this.calculateReadingTime(markdown)
+      },
+      extractedAt: new Date().toISOString()
+    };
+  }
+
+  async mapWebsite(url, options = {}) {
+    const startTime = Date.now();
+    
+    try {
+      this.stats.totalRequests++;
+      
+      await this.assertUrl(url);
+      
       // Prepare map options
       const mapOptions = {
         ...(options.search && { search: options.search }),
@@ -261,6 +457,7 @@ class FirecrawlService {
         success: false,
         error: {
           message: error.message,
+          ...(error.code && { code: error.code, reason: error.reason }),
           url,
           processingTime,
           provider: 'firecrawl',
@@ -270,6 +467,17 @@ class FirecrawlService {
     }
   }
 
+  // Reject malformed URLs and URLs the network policy refuses
+  async assertUrl(url) {
+    if (!this.isValidUrl(url)) {
+      throw new Error('Invalid URL provided');
+    }
+    
+    if (this.networkPolicy) {
+      await this.networkPolicy.assert(url);
+    }
+  }
+
   isValidUrl(url) {
     try {
       const urlObj = new URL(url);
@@ -314,7 +522,7 @@ class FirecrawlService {
   async healthCheck() {
     try {
       // Test with a simple URL
-      const testResult = await this.extractUrl('https://example.com', { 
+      const testResult = await this.scrapeUrl('https://example.com', { 
         timeout: 10000,
         onlyMainContent: true 
       });
@@ -0,0 +1,239 @@
+const { MemoryJobQueue, BullJobQueue } = require('../core/job-queue');
+const {
+  initializeCrawlerService,
+  initializeFirecrawlService,
+  initializeMarkitdownService
+} = require('./registry');
+
+const PROVIDERS = ['local', 'firecrawl', 'markitdown'];
+
+class JobService {
+  constructor(config = {}) {
+    this.config = config;
+    this.queueOptions = {
+      driver: 'auto',
+      name: 'firecrawl-lite-jobs',
+      concurrency: 2,
+      retention: 7 * 24 * 60 * 60,
+      ...(config.queue || {})
+    };
+    
+    this.driver = this.resolveDriver();
+    this.queue = this.createQueue();
+    
+    this.stats = {
+      submittedJobs: 0,
+      completedJobs: 0,
+      failedJobs: 0,
+      cancelledJobs: 0
+    };
+  }
+
+  // "auto" uses Redis only when a Redis server has been configured through the environment
+  resolveDriver() {
+    const { driver } = this.queueOptions;
+    
+    if (driver === 'redis' || driver === 'memory') {
+      return driver;
+    }
+    
+    return process.env.REDIS_URL || process.env.REDIS_HOST ? 'redis' : 'memory';
+  }
+
+  createQueue() {
+    if (this.driver === 'redis') {
+      return new BullJobQueue({
+        name: this.queueOptions.name,
+        concurrency: this.queueOptions.concurrency,
+        retention: this.queueOptions.retention,
+        redis: this.queueOptions.redis || (this.config.cache && this.config.cache.redis)
+      });
+    }
+    
+    return new MemoryJobQueue({
+      concurrency: this.queueOptions.concurrency
+    });
+  }
+
+  initialize() {
+    this.queue.process((job, context) => this.processJob(job, context));
+    console.log(`Job service initialized with ${this.driver} queue`);
+  }
+
+  async submitJob({ provider = 'local', urls, options = {}, owner = null }) {
+    if (!PROVIDERS.includes(provider)) {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+    
+    const job = await this.queue.add({
+      provider,
+      urls,
+      options,
+      owner,
+      submittedAt: new Date().toISOString()
+    });
+    
+    this.stats.submittedJobs++;
+    console.log(`Job ${job.id} submitted (${provider}, ${urls.length} URLs)`);
+    
+    return this.formatJob(job);
+  }
+
+  async getJob(id, { includeResults = true } = {}) {
+    const job = await this.queue.getJob(id);
+    return job ? this.formatJob(job, includeResults) : null;
+  }
+
+  async cancelJob(id) {
+    const job = await this.queue.getJob(id);
+    if (!job) return null;
+    
+    if (['completed', 'failed', 'cancelled'].includes(job.state)) {
+      return {
+        cancelled: false,
+        job: this.formatJob(job, false)
+      };
+    }
+    
+    const cancelledJob = await this.queue.cancel(id);
+    this.stats.cancelledJobs++;
+    console.log(`Job ${id} cancellation requested`);
+    
+    return {
+      cancelled: true,
+      job: this.formatJob(cancelledJob, false)
+    };
+  }
+
+  async processJob(job, context) {
+    const { provider, urls, options } = job.data;
+    
+    if (await context.isCancelled()) {
+      return { cancelled: true, summary: this.summarize(urls, []) };
+    }
+    
+    console.log(`Job ${job.id}: processing ${urls.length} URLs with ${provider}`);
+    
+    try {
+      const extract = await this.getExtractor(provider, options);
+      
+      // Results stored before a restart are kept, so a resumed job skips them
+      const results = await context.getResults();
+      const concurrency = Math.max(1, Math.min(options.concurrent || 3, urls.length));
+      let nextIndex = 0;
+      let cancelled = false;
+      
+      const worker = async () => {
+        while (nextIndex < urls.length && !cancelled) {
+          const index = nextIndex++;
+          if (results[index]) continue;
+          
+          if (await context.isCancelled()) {
+            cancelled = true;
+            return;
+          }
+          
+          results[index] = await extract(urls[index]);
+          await context.saveResult(index, results[index]);
+          await context.updateProgress(this.summarize(urls, results));
+        }
+      };
+      
+      await Promise.all(Array.from({ length: concurrency }, worker));
+      
+      const summary = this.summarize(urls, results);
+      console.log(`Job ${job.id}: ${cancelled ? 'cancelled' : 'completed'}. Successful: ${summary.successful}, Failed: ${summary.failed}`);
+      
+      if (!cancelled) {
+        this.stats.completedJobs++;
+      }
+      
+      return { cancelled, summary };
+    
+    } catch (error) {
+      this.stats.failedJobs++;
+      console.error(`Job ${job.id} failed:`, error.message);
+      throw error;
+    }
+  }
+
+  // Return a function that extracts one URL with the requested provider
+  async getExtractor(provider, options) {
+    switch (provider) {
+      case 'firecrawl': {
+        const firecrawl = initializeFirecrawlService();
+        return (url) => firecrawl.extractUrl(url, options);
+      }
+      case 'markitdown': {
+        const markitdown = initializeMarkitdownService({
+          condaEnv: options.condaEnv,
+          timeout: options.timeout
+        });
+        return (url) => markitdown.extractUrl(url, options);
+      }
+      default: {
+        const crawler = await initializeCrawlerService(this.config);
+        return (url) => crawler.crawlUrl(url, options);
+      }
+    }
+  }
+
+  summarize(urls, results) {
+    const finished = results.filter(Boolean);
+    const successful = finished.filter(result => result.success).length;
+    const blocked = finished.filter(result => !result.success && result.error.code === 'blocked_by_robots').length;
+    
+    return {
+      total: urls.length,
+      completed: finished.length,
+      successful,
+      failed: finished.length - successful - blocked,
+      blocked,
+      percentage: Math.round(finished.length / urls.length * 100)
+    };
+  }
+
+  formatJob(job, includeResults = true) {
+    const { provider, urls, options, owner = null } = job.data;
+    
+    const formatted = {
+      id: job.id,
+      state: job.state,
+      provider,
+      owner,
+      progress: job.progress || this.summarize(urls, job.results),
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      ...(job.error && { error: job.error }),
+      options
+    };
+    
+    if (includeResults) {
+      // Keep the input order and mark URLs that have not been processed yet
+      formatted.results = urls.map((url, index) => job.results[index] || {
+        success: null,
+        pending: true,
+        url
+      });
+    }
+    
+    return formatted;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      driver: this.driver,
+      concurrency: this.queueOptions.concurrency
+    };
+  }
+
+  async shutdown() {
+    console.log('Shutting down job service...');
+    await this.queue.close();
+    console.log('Job service shutdown completed');
+  }
+}
+
+module.exports = JobService;
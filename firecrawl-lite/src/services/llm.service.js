@@ -0,0 +1,231 @@
+const LLMClient = require('../core/llm-client');
+const { validateSchema } = require('../utils/json-schema');
+
+const DEFAULT_SYSTEM_PROMPT = 'You extract structured data from the content of a web page. ' +
+  'Reply with a single JSON object and nothing else. ' +
+  'Only use information present in the content; use null for values that are not there.';
+
+class LLMService {
+  constructor(options = {}) {
+    this.options = {
+      baseUrl: null,
+      apiKey: null,
+      model: 'llama3.1',
+      temperature: 0,
+      maxTokens: 2048,
+      timeout: 120000,
+      jsonMode: true,
+      chunkSize: 12000, // characters
+      maxChunks: 10,
+      maxRetries: 1,
+      ...options
+    };
+    
+    this.client = null;
+    
+    this.stats = {
+      totalRequests: 0,
+      successfulRequests: 0,
+      failedRequests: 0,
+      completions: 0,
+      promptTokens: 0,
+      completionTokens: 0
+    };
+  }
+
+  // The client is created on first use so the service can exist without an endpoint
+  getClient() {
+    if (!this.client) {
+      this.client = new LLMClient(this.options);
+    }
+    return this.client;
+  }
+
+  /**
+   * Extract JSON from markdown with a prompt and/or JSON schema.
+   * Long documents are split into chunks; the partial results are merged and
+   * the merged object is validated against the schema.
+   */
+  async extract(markdown, { prompt, schema, systemPrompt, url } = {}) {
+    const startTime = Date.now();
+    this.stats.totalRequests++;
+    
+    try {
+      const client = this.getClient();
+      const allChunks = this.chunkMarkdown(markdown || '');
+      const chunks = allChunks.slice(0, this.options.maxChunks);
+      
+      console.log(`LLM: extracting from ${url || 'content'} in ${chunks.length} chunk(s)`);
+      
+      const partials = [];
+      const usage = { promptTokens: 0, completionTokens: 0 };
+      let model = this.options.model;
+      
+      // Chunks run one after another; local inference servers rarely handle parallel requests well
+      for (let i = 0; i < chunks.length; i++) {
+        const messages = this.buildMessages(chunks[i], i, chunks.length, { prompt, schema, systemPrompt, url });
+        const completion = await this.completeJson(client, messages);
+        
+        partials.push(completion.data);
+        model = completion.model;
+        usage.promptTokens += completion.usage.prompt_tokens || 0;
+        usage.completionTokens += completion.usage.completion_tokens || 0;
+      }
+      
+      const data = partials.reduce((merged, partial) => this.mergeValues(merged, partial, schema), null) || {};
+      const errors = schema ? validateSchema(data, schema) : [];
+      
+      this.stats.successfulRequests++;
+      this.stats.promptTokens += usage.promptTokens;
+      this.stats.completionTokens += usage.completionTokens;
+      
+      return {
+        data,
+        metadata: {
+          model,
+          chunks: chunks.length,
+          truncated: allChunks.length > chunks.length,
+          usage,
+          validation: {
+            valid: errors.length === 0,
+            errors
+          },
+          processingTime: Date.now() - startTime
+        }
+      };
+    
+    } catch (error) {
+      this.stats.failedRequests++;
+      throw new Error(`LLM extraction failed: ${error.message}`);
+    }
+  }
+
+  async completeJson(client, messages) {
+    let lastError;
+    
+    for (let attempt = 0; attempt <= this.options.maxRetries; attempt++) {
+      const completion = await client.chat(messages);
+      this.stats.completions++;
+      
+      try {
+        return {
+          data: client.parseJson(completion.content),
+          model: completion.model,
+          usage: completion.usage || {}
+        };
+      } catch (error) {
+        lastError = error;
+        console.log(`LLM: unparseable response (attempt ${attempt + 1}):`, error.message);
+      }
+    }
+    
+    throw lastError;
+  }
+
+  buildMessages(chunk, index, total, { prompt, schema, systemPrompt, url }) {
+    let system = systemPrompt || DEFAULT_SYSTEM_PROMPT;
+    if (schema) {
+      system += `\n\nThe JSON object must conform to this JSON schema:\n${JSON.stringify(schema)}`;
+    }
+    
+    const part = total > 1
+      ? `This is part ${index + 1} of ${total} of the page; extract what this part contains.\n`
+      : '';
+    
+    const user = [
+      prompt || 'Extract the data described by the schema.',
+      '',
+      url ? `Page URL: ${url}` : null,
+      `${part}Page content (markdown):`,
+      '',
+      chunk
+    ].filter(line => line !== null).join('\n');
+    
+    return [
+      { role: 'system', content: system },
+      { role: 'user', content: user }
+    ];
+  }
+
+  // Split on paragraph boundaries so chunks stay under chunkSize characters
+  chunkMarkdown(markdown) {
+    const { chunkSize } = this.options;
+    if (markdown.length <= chunkSize) {
+      return [markdown];
+    }
+    
+    const chunks = [];
+    let current = '';
+    
+    markdown.split(/\n{2,}/).forEach(paragraph => {
+      // Paragraphs longer than a whole chunk are cut hard
+      while (paragraph.length > chunkSize) {
+        if (current) {
+          chunks.push(current);
+          current = '';
+        }
+        chunks.push(paragraph.slice(0, chunkSize));
+        paragraph = paragraph.slice(chunkSize);
+      }
+      
+      if (current && current.length + paragraph.length + 2 > chunkSize) {
+        chunks.push(current);
+        current = '';
+      }
+      
+      current = current ? `${current}\n\n${paragraph}` : paragraph;
+    });
+    
+    if (current) {
+      chunks.push(current);
+    }
+    
+    return chunks;
+  }
+
+  // Merge chunk results: arrays are concatenated without duplicates, objects
+  // merged key by key, and for scalars the first non-null value wins
+  mergeValues(existing, incoming, schema = {}) {
+    if (existing === null || existing === undefined) return incoming;
+    if (incoming === null || incoming === undefined) return existing;
+    
+    if (Array.isArray(existing) && Array.isArray(incoming)) {
+      const seen = new Set(existing.map(item => JSON.stringify(item)));
+      const merged = [...existing];
+      
+      incoming.forEach(item => {
+        const key = JSON.stringify(item);
+        if (!seen.has(key)) {
+          seen.add(key);
+          merged.push(item);
+        }
+      });
+      
+      return merged;
+    }
+    
+    if (typeof existing === 'object' && typeof incoming === 'object' &&
+        !Array.isArray(existing) && !Array.isArray(incoming)) {
+      const properties = (schema && schema.properties) || {};
+      const merged = { ...existing };
+      
+      Object.keys(incoming).forEach(key => {
+        merged[key] = this.mergeValues(existing[key], incoming[key], properties[key]);
+      });
+      
+      return merged;
+    }
+    
+    return existing;
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      configured: Boolean(this.options.baseUrl),
+      model: this.options.model
+    };
+  }
+}
+
+module.exports = LLMService;
@@ -1,18 +1,40 @@
-const { spawn, exec } = require('child_process');
-const fs = require('fs').promises;
 const path = require('path');
+const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
+const BatchScheduler = require('../core/batch-scheduler');
+const MarkitdownRunner = require('../core/markitdown-runner');
+
+// Runner settings taken from the service options (the "markitdown" config block)
+const RUNNER_OPTIONS = ['pythonPath', 'condaRoot', 'condaEnv', 'timeout', 'maxWorkers', 'maxQueue', 'maxOutputSize'];
+
+// File extensions passed to markitdown as a format hint
+const EXTENSION = /^\.[a-z0-9]{1,8}$/i;
 
 class MarkitdownService {
   constructor(options = {}) {
     this.options = {
+      ...options,
       condaEnv: options.condaEnv || 'py312-tools',
       timeout: options.timeout || 60000, // 60 seconds
-      tempDir: options.tempDir || '/tmp',
       retries: options.retries || 2,
-      ...options
+      maxDocumentSize: options.maxDocumentSize || 50 * 1024 * 1024,
+      maxRedirects: options.maxRedirects !== undefined ? options.maxRedirects : 5
     };
     
+    this.cache = options.cache || null;
+    this.networkPolicy = options.networkPolicy || null;
+    this.runner = new MarkitdownRunner(this.runnerOptions());
+    
+    // Documents are downloaded here and handed to markitdown as bytes. Redirects
+    // are followed by fetchDocument() so the policy checks every hop.
+    this.http = axios.create({
+      responseType: 'arraybuffer',
+      maxContentLength: this.options.maxDocumentSize,
+      validateStatus: () => true,
+      ...(this.networkPolicy && this.networkPolicy.httpOptions()),
+      maxRedirects: 0
+    });
+    
     this.stats = {
       totalRequests: 0,
       successfulRequests: 0,
@@ -22,35 +44,39 @@ class MarkitdownService {
     };
   }
 
+  // Runner settings that are set; the others keep the runner defaults
+  runnerOptions() {
+    return RUNNER_OPTIONS
+      .filter(key => this.options[key] !== undefined && this.options[key] !== null)
+      .reduce((runnerOptions, key) => ({ ...runnerOptions, [key]: this.options[key] }), {});
+  }
+
+  // Serve from the response cache when one is configured
   async extractUrl(url, options = {}) {
+    if (!this.cache) {
+      return this.convertUrl(url, options);
+    }
+    
+    return this.cache.wrap('markitdown', url, options, () => this.convertUrl(url, options));
+  }
+
+  async convertUrl(url, options = {}) {
     const startTime = Date.now();
     const requestId = uuidv4();
     
     try {
       this.stats.totalRequests++;
       
-      if (!this.isValidUrl(url)) {
-        throw new Error('Invalid URL provided');
-      }
-      
       console.log(`Markitdown: Processing ${url} with request ID ${requestId}`);
       
-      // Create temporary file path
-      const tempFilename = `markitdown_${requestId}.md`;
-      const tempFilePath = path.join(this.options.tempDir, tempFilename);
-      
-      // Prepare markitdown command
+      const document = await this.fetchDocument(url, options);
       const condaEnv = options.condaEnv || this.options.condaEnv;
-      const additionalArgs = this.buildMarkitdownArgs(options);
-      
-      // Execute markitdown command
-      const result = await this.executeMarkitdownCommand(url, tempFilePath, condaEnv, additionalArgs);
       
-      // Read the generated markdown file
-      const markdown = await this.readMarkdownFile(tempFilePath);
-      
-      // Clean up temporary file
-      await this.cleanupTempFile(tempFilePath);
+      const { stdout: markdown } = await this.runner.run(this.buildMarkitdownArgs(options, document), {
+        condaEnv,
+        timeout: options.timeout || this.options.timeout,
+        input: document.buffer
+      });
       
       const processingTime = Date.now() - startTime;
       this.updateStats(processingTime, true);
@@ -67,6 +93,7 @@ class MarkitdownService {
             processingTime,
             provider: 'markitdown',
             condaEnv: condaEnv,
+            contentType: document.contentType,
             wordCount: this.countWords(markdown),
             readingTime: this.calculateReadingTime(markdown),
             fileSize: markdown.length
@@ -85,6 +112,7 @@ class MarkitdownService {
         success: false,
         error: {
           message: error.message,
+          ...(error.code && { code: error.code, reason: error.reason }),
           url,
           processingTime,
           provider: 'markitdown',
@@ -94,89 +122,65 @@ class MarkitdownService {
     }
   }
 
-  async executeMarkitdownCommand(url, outputPath, condaEnv, additionalArgs) {
-    return new Promise((resolve, reject) => {
-      // Build the full command with conda activation
-      const command = this.buildCommand(url, outputPath, condaEnv, additionalArgs);
-      
-      console.log(`Markitdown: Executing command: ${command}`);
-      
-      const process = exec(command, { 
-        timeout: this.options.timeout,
-        shell: '/bin/bash' // Ensure we use bash for conda commands
-      });
-      
-      let stdout = '';
-      let stderr = '';
-      
-      process.stdout.on('data', (data) => {
-        stdout += data.toString();
-      });
+  /**
+   * Download a document, following up to maxRedirects redirects. Every hop is
+   * checked against the network policy before it is requested, and connections
+   * go through the policy's agents. Resolves with { buffer, contentType, url }.
+   */
+  async fetchDocument(url, options = {}) {
+    let current = url;
+    
+    for (let redirects = 0; ; redirects++) {
+      await this.assertUrl(current);
       
-      process.stderr.on('data', (data) => {
-        stderr += data.toString();
+      const response = await this.http.get(current, {
+        timeout: options.customTimeout ? options.customTimeout * 1000 : this.options.timeout,
+        headers: options.userAgent ? { 'User-Agent': options.userAgent } : {}
       });
       
-      process.on('close', (code) => {
-        if (code === 0) {
-          resolve({ stdout, stderr });
-        } else {
-          reject(new Error(`Markitdown command failed with code ${code}. stderr: ${stderr}`));
+      const { location } = response.headers;
+      if (response.status >= 300 && response.status < 400 && location) {
+        if (redirects >= this.options.maxRedirects) {
+          throw new Error(`Too many redirects (more than ${this.options.maxRedirects})`);
         }
-      });
+        current = new URL(location, current).href;
+        continue;
+      }
       
-      process.on('error', (error) => {
-        reject(new Error(`Failed to execute markitdown command: ${error.message}`));
-      });
+      if (response.status < 200 || response.status >= 300) {
+        const error = new Error(`Download failed with status: ${response.status}`);
+        error.statusCode = response.status;
+        throw error;
+      }
       
-      // Handle timeout
-      setTimeout(() => {
-        if (!process.killed) {
-          process.kill();
-          reject(new Error(`Markitdown command timed out after ${this.options.timeout}ms`));
-        }
-      }, this.options.timeout);
-    });
+      return {
+        buffer: Buffer.from(response.data),
+        contentType: response.headers['content-type'] || null,
+        url: current
+      };
+    }
   }
 
-  buildCommand(url, outputPath, condaEnv, additionalArgs) {
-    // Use the direct conda activation approach that works
-    const shellInit = this.getShellInit();
-    
-    // Build the command string with direct activation
-    const baseCommand = `${shellInit} ${condaEnv} && markitdown "${url}" -o "${outputPath}"`;
+  // The document comes in on stdin, so its type is passed as hints
+  buildMarkitdownArgs(options, document = {}) {
+    const args = [];
     
-    if (additionalArgs.length > 0) {
-      return `${baseCommand} ${additionalArgs.join(' ')}`;
+    if (document.contentType) {
+      const [mimeType, ...params] = document.contentType.split(';').map(part => part.trim());
+      const charset = params.find(param => /^charset=/i.test(param));
+      
+      // "--flag=value" so a value starting with "-" is never read as an option
+      args.push(`--mime-type=${mimeType}`);
+      if (charset) {
+        args.push(`--charset=${charset.slice('charset='.length).replace(/"/g, '')}`);
+      }
     }
     
-    return baseCommand;
-  }
-
-  getShellInit() {
-    // Use direct conda activation path that we know works
-    if (process.env.CONDA_EXE) {
-      const condaDir = process.env.CONDA_EXE.replace('/bin/conda', '');
-      return `source ${condaDir}/bin/activate`;
+    const extension = document.url && path.extname(new URL(document.url).pathname);
+    if (extension && EXTENSION.test(extension)) {
+      args.push(`--extension=${extension.slice(1)}`);
     }
     
-    // Try common conda installation paths
-    const commonPaths = [
-      '/opt/anaconda3/bin/activate',
-      '/opt/miniconda3/bin/activate',
-      '/usr/local/anaconda3/bin/activate',
-      '/usr/local/miniconda3/bin/activate',
-      '~/anaconda3/bin/activate',
-      '~/miniconda3/bin/activate'
-    ];
-    
-    // Return the first path that might exist
-    return `source /opt/anaconda3/bin/activate`;
-  }
-
-  buildMarkitdownArgs(options) {
-    const args = [];
-    
     // Add custom options based on user preferences
     if (options.extractImages === false) {
       args.push('--ignore-images');
@@ -190,92 +194,40 @@ class MarkitdownService {
       args.push('--ignore-tables');
     }
     
-    if (options.customTimeout) {
-      args.push(`--timeout ${options.customTimeout}`);
-    }
-    
-    if (options.userAgent) {
-      args.push(`--user-agent "${options.userAgent}"`);
-    }
-    
     return args;
   }
 
-  async readMarkdownFile(filePath) {
-    try {
-      const content = await fs.readFile(filePath, 'utf8');
-      return content;
-    } catch (error) {
-      throw new Error(`Failed to read generated markdown file: ${error.message}`);
-    }
-  }
-
-  async cleanupTempFile(filePath) {
-    try {
-      await fs.unlink(filePath);
-    } catch (error) {
-      console.warn(`Failed to cleanup temp file ${filePath}:`, error.message);
-    }
-  }
-
   extractTitle(markdown) {
     // Extract title from first H1 heading
     const titleMatch = markdown.match(/^#\s+(.+)$/m);
     return titleMatch ? titleMatch[1].trim() : '';
   }
 
+  // The environment exists when its Python interpreter does
   async checkEnvironment(condaEnv) {
-    try {
-      const condaCommand = process.env.CONDA_EXE || '/opt/anaconda3/bin/conda';
-      const command = `${condaCommand} info --envs | grep "${condaEnv}"`;
-      
-      return new Promise((resolve) => {
-        exec(command, { shell: '/bin/bash' }, (error, stdout, stderr) => {
-          if (error) {
-            resolve({
-              exists: false,
-              error: error.message
-            });
-          } else {
-            const envExists = stdout.includes(condaEnv);
-            resolve({
-              exists: envExists,
-              output: stdout
-            });
-          }
-        });
-      });
-    } catch (error) {
+    const python = this.runner.resolveInterpreter(condaEnv);
+    
+    if (!python) {
       return {
         exists: false,
-        error: error.message
+        error: `No Python interpreter found for conda env "${condaEnv}"`
       };
     }
+    
+    return {
+      exists: true,
+      python
+    };
   }
 
   async checkMarkitdownInstallation(condaEnv) {
     try {
-      const shellInit = this.getShellInit();
-      const command = `${shellInit} ${condaEnv} && markitdown --version`;
-      
-      return new Promise((resolve) => {
-        exec(command, { 
-          shell: '/bin/bash',
-          timeout: 10000 
-        }, (error, stdout, stderr) => {
-          if (error) {
-            resolve({
-              installed: false,
-              error: error.message
-            });
-          } else {
-            resolve({
-              installed: true,
-              version: stdout.trim().split('\n')[0] // Take first line only
-            });
-          }
-        });
-      });
+      const { stdout } = await this.runner.run(['--version'], { condaEnv, timeout: 10000 });
+      
+      return {
+        installed: true,
+        version: stdout.trim().split('\n')[0] // Take first line only
+      };
     } catch (error) {
       return {
         installed: false,
@@ -284,6 +236,17 @@ class MarkitdownService {
     }
   }
 
+  // Reject malformed URLs and URLs the network policy refuses
+  async assertUrl(url) {
+    if (!this.isValidUrl(url)) {
+      throw new Error('Invalid URL provided');
+    }
+    
+    if (this.networkPolicy) {
+      await this.networkPolicy.assert(url);
+    }
+  }
+
   isValidUrl(url) {
     try {
       const urlObj = new URL(url);
@@ -321,32 +284,43 @@ class MarkitdownService {
       successRate: this.stats.totalRequests > 0 ? 
         (this.stats.successfulRequests / this.stats.totalRequests * 100).toFixed(2) + '%' : '0%',
       provider: 'markitdown',
-      defaultCondaEnv: this.options.condaEnv
+      defaultCondaEnv: this.options.condaEnv,
+      runner: this.runner.getStats()
     };
   }
 
-  async extractMultipleUrls(urls, options = {}) {
+  shutdown() {
+    this.runner.shutdown();
+  }
+
+  // Keeps `concurrent` URLs in flight (at most maxConcurrentPerHost per host),
+  // higher priorities first. onResult(result, index) is awaited as each URL finishes;
+  // aborting signal cancels the URLs not started yet.
+  async extractMultipleUrls(urls, options = {}, { onResult, priorities, signal } = {}) {
     const concurrent = Math.min(options.concurrent || 3, urls.length, 5);
-    const results = [];
     
     console.log(`Markitdown: Starting batch crawl of ${urls.length} URLs with concurrency: ${concurrent}`);
     
-    // Process URLs in batches
-    for (let i = 0; i < urls.length; i += concurrent) {
-      const batch = urls.slice(i, i + concurrent);
-      
-      console.log(`Markitdown: Processing batch ${Math.floor(i / concurrent) + 1} (${batch.length} URLs)`);
-      
-      const batchPromises = batch.map(url => this.extractUrl(url, options));
-      const batchResults = await Promise.all(batchPromises);
-      
-      results.push(...batchResults);
-      
-      // Brief pause between batches to avoid overwhelming the system
-      if (i + concurrent < urls.length) {
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
-    }
+    const scheduler = new BatchScheduler({
+      concurrency: concurrent,
+      maxPerHost: this.options.maxConcurrentPerHost || null,
+      deadline: options.deadline
+    });
+    
+    const handle = async (result, index) => (onResult && await onResult(result, index)) || result;
+    
+    const results = await scheduler.run(urls, async (url, index) => handle(await this.extractUrl(url, options), index), {
+      priorities,
+      onDeadline: (url, index) => handle({
+        success: false,
+        error: { ...BatchScheduler.deadlineError(url, options.deadline), provider: 'markitdown' }
+      }, index),
+      signal,
+      onCancel: (url, index) => handle({
+        success: false,
+        error: { ...BatchScheduler.cancelledError(url), provider: 'markitdown' }
+      }, index)
+    });
     
     const successful = results.filter(r => r.success).length;
     const failed = results.filter(r => !r.success).length;
@@ -371,9 +345,7 @@ class MarkitdownService {
     try {
       this.stats.totalRequests++;
       
-      if (!this.isValidUrl(url)) {
-        throw new Error('Invalid URL provided');
-      }
+      await this.assertUrl(url);
       
       console.log(`Markitdown: Mapping ${url}...`);
       
@@ -428,6 +400,7 @@ class MarkitdownService {
         success: false,
         error: {
           message: error.message,
+          ...(error.code && { code: error.code, reason: error.reason }),
           url,
           processingTime,
           provider: 'markitdown',
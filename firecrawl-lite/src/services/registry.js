@@ -0,0 +1,172 @@
+const CrawlerService = require('./crawler.service');
+const FirecrawlService = require('./firecrawl.service');
+const MarkitdownService = require('./markitdown.service');
+const CacheService = require('./cache.service');
+const ChangeTrackingService = require('./change-tracking.service');
+const WebhookService = require('./webhook.service');
+const AuthService = require('./auth.service');
+const SessionService = require('./session.service');
+const NetworkPolicy = require('../core/network-policy');
+const configManager = require('../utils/config');
+
+// Shared service instances, so the routers and the job workers all drive the
+// same browser pool and provider clients
+let crawlerService = null;
+let firecrawlService = null;
+let markitdownService = null;
+let cacheService = null;
+let changeTrackingService = null;
+let webhookService = null;
+let authService = null;
+let sessionService = null;
+let networkPolicy = null;
+
+// Response cache shared by all providers, configured from the "cache" block
+const getCacheService = () => {
+  if (!cacheService) {
+    cacheService = new CacheService(configManager.get('cache') || {});
+  }
+  return cacheService;
+};
+
+// Snapshot store for change tracking, configured from the "changeTracking" block.
+// The Redis driver reuses the connection settings of the response cache.
+const getChangeTrackingService = () => {
+  if (!changeTrackingService) {
+    changeTrackingService = new ChangeTrackingService({
+      redis: configManager.get('cache.redis'),
+      ...configManager.get('changeTracking')
+    });
+  }
+  return changeTrackingService;
+};
+
+// Which hosts user-supplied URLs may reach, configured from the "networkPolicy" block
+const getNetworkPolicy = () => {
+  if (!networkPolicy) {
+    networkPolicy = new NetworkPolicy(configManager.get('networkPolicy') || {});
+  }
+  return networkPolicy;
+};
+
+// Webhook delivery and its log, configured from the "webhooks" block
+const getWebhookService = () => {
+  if (!webhookService) {
+    webhookService = new WebhookService({
+      ...configManager.get('webhooks'),
+      networkPolicy: getNetworkPolicy()
+    });
+  }
+  return webhookService;
+};
+
+// API keys, their rate limits and usage, configured from the "auth" block
+const getAuthService = () => {
+  if (!authService) {
+    authService = new AuthService(configManager.get('auth') || {});
+  }
+  return authService;
+};
+
+// Login sessions for pages behind a login, configured from the "sessions" block
+const getSessionService = () => {
+  if (!sessionService) {
+    sessionService = new SessionService(configManager.get('sessions') || {});
+  }
+  return sessionService;
+};
+
+const initializeCrawlerService = async (config) => {
+  if (!crawlerService) {
+    crawlerService = new CrawlerService({
+      ...config,
+      cache: getCacheService(),
+      networkPolicy: getNetworkPolicy(),
+      sessions: getSessionService()
+    });
+    await crawlerService.initialize();
+  }
+  return crawlerService;
+};
+
+const getCrawlerService = () => crawlerService;
+
+const initializeFirecrawlService = () => {
+  if (!firecrawlService) {
+    try {
+      firecrawlService = new FirecrawlService({ cache: getCacheService(), networkPolicy: getNetworkPolicy() });
+    } catch (error) {
+      console.error('Failed to initialize Firecrawl service:', error.message);
+      throw error;
+    }
+  }
+  return firecrawlService;
+};
+
+// Interpreter and worker pool come from the "markitdown" block
+const initializeMarkitdownService = (options = {}) => {
+  if (!markitdownService) {
+    markitdownService = new MarkitdownService({
+      maxConcurrentPerHost: configManager.get('politeness.maxConcurrentPerHost'),
+      ...configManager.get('markitdown'),
+      ...options,
+      cache: getCacheService(),
+      networkPolicy: getNetworkPolicy()
+    });
+  }
+  return markitdownService;
+};
+
+const shutdownCrawlerService = async () => {
+  if (crawlerService) {
+    console.log('Shutting down crawler service...');
+    await crawlerService.shutdown();
+    crawlerService = null;
+  }
+};
+
+const shutdownMarkitdownService = () => {
+  if (markitdownService) {
+    markitdownService.shutdown();
+    markitdownService = null;
+  }
+};
+
+const shutdownCacheService = async () => {
+  if (cacheService) {
+    await cacheService.shutdown();
+    cacheService = null;
+  }
+};
+
+const shutdownChangeTrackingService = async () => {
+  if (changeTrackingService) {
+    await changeTrackingService.shutdown();
+    changeTrackingService = null;
+  }
+};
+
+const shutdownWebhookService = () => {
+  if (webhookService) {
+    webhookService.shutdown();
+    webhookService = null;
+  }
+};
+
+module.exports = {
+  initializeCrawlerService,
+  getCrawlerService,
+  initializeFirecrawlService,
+  initializeMarkitdownService,
+  getCacheService,
+  getChangeTrackingService,
+  getWebhookService,
+  getAuthService,
+  getSessionService,
+  getNetworkPolicy,
+  shutdownCrawlerService,
+  shutdownMarkitdownService,
+  shutdownCacheService,
+  shutdownChangeTrackingService,
+  shutdownWebhookService
+};
@@ -0,0 +1,247 @@
+const {
+  initializeCrawlerService,
+  initializeFirecrawlService,
+  initializeMarkitdownService
+} = require('./registry');
+
+const ENGINES = ['local', 'firecrawl', 'markitdown'];
+
+// Routes every request through an ordered list of engines, falling back to the
+// next one when an engine errors or returns near-empty markdown
+class ScrapeService {
+  constructor(config = {}) {
+    this.config = config;
+    this.options = {
+      engines: ENGINES,
+      minContentLength: 200,
+      routes: [],
+      ...(config.scrape || {})
+    };
+    
+    this.routes = this.options.routes.map(route => ({
+      ...route,
+      regex: route.pattern ? new RegExp(route.pattern, 'i') : null,
+      hosts: (route.hosts || []).map(host => host.toLowerCase())
+    }));
+    
+    this.stats = {
+      totalRequests: 0,
+      successfulRequests: 0,
+      failedRequests: 0,
+      fallbacks: 0,
+      engines: ENGINES.reduce((stats, engine) => {
+        stats[engine] = { attempts: 0, successes: 0, failures: 0, insufficient: 0, lastFailure: null };
+        return stats;
+      }, {})
+    };
+  }
+
+  // Decide the engine order: an explicit list wins, otherwise the first matching route, otherwise the defaults
+  resolveEngines(url, engines) {
+    if (Array.isArray(engines) && engines.length > 0) {
+      return { engines, route: null };
+    }
+    
+    let urlObj;
+    try {
+      urlObj = new URL(url);
+    } catch (error) {
+      return { engines: this.options.engines, route: null };
+    }
+    
+    const hostname = urlObj.hostname.toLowerCase().replace(/^www\./, '');
+    const route = this.routes.find(candidate => {
+      if (candidate.regex && candidate.regex.test(urlObj.pathname + urlObj.search)) return true;
+      return candidate.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`));
+    });
+    
+    return route
+      ? { engines: route.engines, route: route.name || route.pattern || route.hosts.join(',') }
+      : { engines: this.options.engines, route: null };
+  }
+
+  // allowedEngines limits the plan to the providers the caller's API key may use
+  async scrape(url, { engines = 'auto', minContentLength, options = {}, engineOptions = {}, allowedEngines = null } = {}) {
+    const startTime = Date.now();
+    const threshold = minContentLength !== undefined ? minContentLength : this.options.minContentLength;
+    const plan = this.resolveEngines(url, engines === 'auto' ? null : engines);
+    const attempts = [];
+    let best = null;
+    let blocked = null;
+    
+    this.stats.totalRequests++;
+    
+    // Engines left out by routing are reported too
+    if (plan.route) {
+      ENGINES.filter(engine => !plan.engines.includes(engine)).forEach(engine => {
+        attempts.push({ engine, status: 'skipped', reason: `Not routed for this URL (rule: ${plan.route})` });
+      });
+    }
+    
+    for (let i = 0; i < plan.engines.length; i++) {
+      const engine = plan.engines[i];
+      
+      if (allowedEngines && !allowedEngines.includes(engine)) {
+        attempts.push({ engine, status: 'skipped', reason: 'Not allowed for this API key' });
+        continue;
+      }
+      
+      if (best && best.sufficient) {
+        attempts.push({ engine, status: 'skipped', reason: `Not needed: ${best.engine} succeeded` });
+        continue;
+      }
+      
+      // A page robots.txt or the network policy refuses is not fetched through another provider either
+      if (blocked) {
+        const source = blocked.error.code === 'url_blocked' ? 'network policy' : 'robots.txt';
+        attempts.push({ engine, status: 'skipped', reason: `Blocked by ${source} (${blocked.engine})` });
+        continue;
+      }
+      
+      if (i > 0) {
+        this.stats.fallbacks++;
+      }
+      
+      const attempt = await this.runEngine(engine, url, { ...options, ...(engineOptions[engine] || {}) });
+      const engineStats = this.stats.engines[engine];
+      engineStats.attempts++;
+      
+      // Why an engine failed is logged and kept in the stats, so fallbacks to a paid provider can be traced
+      if (!attempt.result) {
+        engineStats.failures++;
+        engineStats.lastFailure = { url, status: attempt.status, reason: attempt.reason, at: new Date().toISOString() };
+        console.log(`Scrape engine ${engine} ${attempt.status} for ${url}: ${attempt.reason}`);
+        attempts.push({ engine, status: attempt.status, reason: attempt.reason, processingTime: attempt.processingTime });
+        
+        if (attempt.status === 'blocked_by_robots' || attempt.status === 'url_blocked') {
+          blocked = { engine, error: attempt.error };
+        }
+        continue;
+      }
+      
+      const contentLength = (attempt.result.data.markdown || '').trim().length;
+      const sufficient = contentLength >= threshold;
+      
+      if (sufficient) {
+        engineStats.successes++;
+        attempts.push({ engine, status: 'success', contentLength, processingTime: attempt.processingTime });
+      } else {
+        engineStats.insufficient++;
+        console.log(`Scrape engine ${engine} returned ${contentLength} characters of markdown for ${url} (minimum ${threshold})`);
+        attempts.push({
+          engine,
+          status: 'insufficient',
+          reason: `Markdown too short (${contentLength} < ${threshold} characters)`,
+          contentLength,
+          processingTime: attempt.processingTime
+        });
+      }
+      
+      // Keep the longest near-empty result in case no engine does better
+      if (!best || sufficient || contentLength > best.contentLength) {
+        best = { engine, result: attempt.result, contentLength, sufficient };
+      }
+    }
+    
+    const processingTime = Date.now() - startTime;
+    
+    if (!best) {
+      this.stats.failedRequests++;
+      return {
+        success: false,
+        error: {
+          message: blocked ? (blocked.error.code === 'url_blocked' ? blocked.error.message : 'Blocked by robots.txt') : 'All engines failed',
+          ...(blocked && { code: blocked.error.code, rule: blocked.error.rule, reason: blocked.error.reason }),
+          url,
+          attempts,
+          processingTime,
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+    
+    this.stats.successfulRequests++;
+    
+    return {
+      success: true,
+      data: {
+        ...best.result.data,
+        engine: best.engine,
+        route: plan.route,
+        ...(!best.sufficient && {
+          warning: `No engine returned at least ${threshold} characters of markdown; returning the longest result`
+        }),
+        attempts,
+        metadata: {
+          ...best.result.data.metadata,
+          engine: best.engine,
+          processingTime
+        }
+      }
+    };
+  }
+
+  async runEngine(engine, url, options) {
+    const startTime = Date.now();
+    
+    let service;
+    try {
+      service = await this.getEngine(engine);
+    } catch (error) {
+      return { status: 'skipped', reason: `Engine unavailable: ${error.message}`, processingTime: 0 };
+    }
+    
+    try {
+      const result = engine === 'local'
+        ? await service.crawlUrl(url, options)
+        : await service.extractUrl(url, options);
+      
+      const processingTime = Date.now() - startTime;
+      
+      if (!result.success) {
+        if (result.error.code === 'blocked_by_robots') {
+          return { status: 'blocked_by_robots', reason: result.error.rule || result.error.message, error: result.error, processingTime };
+        }
+        if (result.error.code === 'url_blocked') {
+          return { status: 'url_blocked', reason: result.error.reason || result.error.message, error: result.error, processingTime };
+        }
+        return { status: 'failed', reason: result.error.message, processingTime };
+      }
+      
+      return { result, processingTime };
+    } catch (error) {
+      return { status: 'failed', reason: error.message, processingTime: Date.now() - startTime };
+    }
+  }
+
+  async getEngine(engine) {
+    switch (engine) {
+      case 'local':
+        return initializeCrawlerService(this.config);
+      case 'firecrawl':
+        return initializeFirecrawlService();
+      case 'markitdown':
+        return initializeMarkitdownService();
+      default:
+        throw new Error(`Unknown engine: ${engine}`);
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      defaultEngines: this.options.engines,
+      minContentLength: this.options.minContentLength,
+      routes: this.routes.map(route => ({
+        name: route.name || null,
+        pattern: route.pattern || null,
+        hosts: route.hosts,
+        engines: route.engines
+      }))
+    };
+  }
+}
+
+ScrapeService.ENGINES = ENGINES;
+
+module.exports = ScrapeService;
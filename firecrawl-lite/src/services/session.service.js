@@ -0,0 +1,289 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const fsSync = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Session ids are file names, so nothing but a UUID gets near the disk
+const SESSION_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'firecrawl-lite:sessions';
+
+// Named login sessions for scraping pages behind a login. Each session is a
+// JSON file: its metadata in plain text, and the login script and Playwright
+// storageState (cookies and localStorage) encrypted with AES-256-GCM.
+class SessionService {
+  constructor(options = {}) {
+    this.options = {
+      directory: 'data/sessions',
+      secret: null, // encryption secret; without one a random key is kept in <directory>/session.key
+      maxAge: null, // milliseconds after which a session logs in again before it is used
+      ...options
+    };
+    
+    this.directory = path.resolve(this.options.directory);
+    this.key = null;
+    this.refreshing = new Map(); // session id -> login in progress
+    
+    this.stats = {
+      created: 0,
+      logins: 0,
+      relogins: 0,
+      failedLogins: 0,
+      expired: 0
+    };
+  }
+
+  // The key is derived from the secret, or read from (and first written to) the key file
+  loadKey() {
+    if (this.key) return this.key;
+    
+    if (this.options.secret) {
+      this.key = crypto.scryptSync(this.options.secret, KEY_SALT, 32);
+      return this.key;
+    }
+    
+    const keyFile = path.join(this.directory, 'session.key');
+    
+    try {
+      this.key = Buffer.from(fsSync.readFileSync(keyFile, 'utf8').trim(), 'hex');
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      
+      fsSync.mkdirSync(this.directory, { recursive: true });
+      this.key = crypto.randomBytes(32);
+      fsSync.writeFileSync(keyFile, this.key.toString('hex'), { mode: 0o600 });
+      console.warn(`Sessions: No SESSION_SECRET set, generated an encryption key in ${keyFile}`);
+    }
+    
+    return this.key;
+  }
+
+  encrypt(value) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.loadKey(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+  }
+
+  decrypt({ iv, tag, data }) {
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.loadKey(), Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return JSON.parse(Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8'));
+  }
+
+  sessionPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  async readRecord(id) {
+    if (!SESSION_ID.test(String(id))) return null;
+    
+    try {
+      return JSON.parse(await fs.readFile(this.sessionPath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // Write to a temporary file first so a crash never leaves half a session
+  async writeRecord(record) {
+    await fs.mkdir(this.directory, { recursive: true });
+    
+    const filePath = this.sessionPath(record.id);
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(record), { encoding: 'utf8', mode: 0o600 });
+    await fs.rename(tempPath, filePath);
+  }
+
+  // Everything about a session that may be returned to clients
+  describe(record) {
+    const { secrets, ...metadata } = record;
+    return metadata;
+  }
+
+  // Cookie count and domains are kept in plain text for listings
+  stateSummary(storageState) {
+    const cookies = storageState.cookies || [];
+    
+    return {
+      cookies: cookies.length,
+      domains: [...new Set(cookies.map(cookie => cookie.domain.replace(/^\./, '')))],
+      // Earliest expiry among the cookies that have one; null for session cookies only
+      expiresAt: cookies.reduce((earliest, cookie) => {
+        if (!(cookie.expires > 0)) return earliest;
+        const expires = new Date(cookie.expires * 1000).toISOString();
+        return earliest && earliest < expires ? earliest : expires;
+      }, null)
+    };
+  }
+
+  /**
+   * Save a new session after its first login. login is the script that logs in
+   * again when the session expires, check the selectors that tell whether a page
+   * is logged in; both are stored encrypted with the state.
+   */
+  async create({ name, owner = null, login, check = {}, storageState }) {
+    const now = new Date().toISOString();
+    const record = {
+      id: uuidv4(),
+      name,
+      owner,
+      loginUrl: login.url,
+      createdAt: now,
+      updatedAt: now,
+      lastLoginAt: now,
+      logins: 1,
+      ...this.stateSummary(storageState),
+      secrets: this.encrypt({ login, check, storageState })
+    };
+    
+    await this.writeRecord(record);
+    this.stats.created++;
+    this.stats.logins++;
+    
+    console.log(`Sessions: Created session ${record.id} (${name}) for ${login.url}`);
+    return this.describe(record);
+  }
+
+  // Metadata only, or null
+  async get(id) {
+    const record = await this.readRecord(id);
+    return record ? this.describe(record) : null;
+  }
+
+  // Metadata plus the decrypted login, check and storageState, or null
+  async load(id) {
+    const record = await this.readRecord(id);
+    if (!record) return null;
+    
+    try {
+      return { ...this.describe(record), ...this.decrypt(record.secrets) };
+    } catch (error) {
+      const failure = new Error(`Session ${id} cannot be decrypted; was the session secret changed?`);
+      failure.code = 'session_unreadable';
+      throw failure;
+    }
+  }
+
+  async list({ owner } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    
+    const sessions = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => this.get(file.slice(0, -'.json'.length)).catch(() => null)));
+    
+    return sessions
+      .filter(session => session && (owner === undefined || session.owner === owner))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  async delete(id) {
+    if (!(await this.readRecord(id))) return false;
+    
+    await fs.unlink(this.sessionPath(id));
+    console.log(`Sessions: Deleted session ${id}`);
+    return true;
+  }
+
+  // Sessions older than maxAge, or whose expiring cookies have all expired, log in before they are used
+  isStale(session) {
+    if (this.options.maxAge && Date.now() - new Date(session.lastLoginAt).getTime() > this.options.maxAge) {
+      return true;
+    }
+    
+    const expiring = (session.storageState.cookies || []).filter(cookie => cookie.expires > 0);
+    return expiring.length > 0 && expiring.every(cookie => cookie.expires * 1000 <= Date.now());
+  }
+
+  /**
+   * Log in again with runLogin(login, check), which resolves with the new
+   * storageState, and save it. Concurrent refreshes of one session share a
+   * single login, and a session that has logged in since lastLoginAt (the
+   * login the caller found expired) is not logged in again. Resolves with the
+   * refreshed session.
+   */
+  refresh(id, runLogin, { lastLoginAt } = {}) {
+    if (!this.refreshing.has(id)) {
+      const login = (async () => {
+        const session = await this.load(id);
+        if (!session) {
+          throw SessionService.notFoundError(id);
+        }
+        
+        if (lastLoginAt && session.lastLoginAt !== lastLoginAt) {
+          return session;
+        }
+        
+        let storageState;
+        try {
+          storageState = await runLogin(session.login, session.check);
+        } catch (error) {
+          this.stats.failedLogins++;
+          throw error;
+        }
+        
+        const record = await this.readRecord(id);
+        if (!record) {
+          throw SessionService.notFoundError(id);
+        }
+        
+        const now = new Date().toISOString();
+        await this.writeRecord({
+          ...record,
+          updatedAt: now,
+          lastLoginAt: now,
+          logins: record.logins + 1,
+          ...this.stateSummary(storageState),
+          secrets: this.encrypt({ login: session.login, check: session.check, storageState })
+        });
+        
+        this.stats.logins++;
+        this.stats.relogins++;
+        console.log(`Sessions: Logged in again for session ${id}`);
+        return this.load(id);
+      })();
+      
+      this.refreshing.set(id, login);
+      login.then(() => this.refreshing.delete(id), () => this.refreshing.delete(id));
+    }
+    
+    return this.refreshing.get(id);
+  }
+
+  recordExpired() {
+    this.stats.expired++;
+  }
+
+  getStats() {
+    return {
+      directory: this.directory,
+      encryptionKey: this.options.secret ? 'secret' : 'key file',
+      refreshing: this.refreshing.size,
+      ...this.stats
+    };
+  }
+
+  static notFoundError(id) {
+    const error = new Error(`Session not found: ${id}`);
+    error.code = 'session_not_found';
+    return error;
+  }
+}
+
+SessionService.SESSION_ID = SESSION_ID;
+
+module.exports = SessionService;
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+
+const WEBHOOK_EVENTS = ['started', 'page', 'completed', 'failed'];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed'];
+
+// Network errors, timeouts, 429 and 5xx are retried; any other 4xx means the
+// receiver rejected the event and resending it would not help
+const isRetryable = (statusCode) => !statusCode || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+
+// Same format as GitHub: "sha256=" followed by the hex HMAC of the raw body
+const sign = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms).unref());
+
+// The events of one batch or crawl. They are delivered one after another, so a
+// receiver always sees "started", then the pages, then "completed" or "failed".
+class WebhookChannel {
+  constructor(service, webhook, { source, owner = null, ...context }) {
+    this.service = service;
+    this.webhook = webhook;
+    this.source = source;
+    this.owner = owner;
+    this.context = context;
+    this.requestId = uuidv4();
+    this.queue = Promise.resolve();
+  }
+
+  emit(event, data = {}) {
+    if (this.webhook.events && !this.webhook.events.includes(event)) {
+      return this.queue;
+    }
+    
+    const payload = {
+      id: uuidv4(),
+      type: `${this.source}.${event}`,
+      event,
+      requestId: this.requestId,
+      timestamp: new Date().toISOString(),
+      data
+    };
+    
+    const delivery = this.service.createDelivery(this, payload);
+    this.queue = this.queue.then(() => this.service.deliver(delivery, this.webhook, payload));
+    return this.queue;
+  }
+
+  // Run a batch or crawl in the background. task resolves with the data of the
+  // "completed" event; a rejection is reported as "failed".
+  run(task) {
+    this.emit('started', this.context);
+    
+    Promise.resolve()
+      .then(() => task(this))
+      .then(
+        (data) => this.emit('completed', data),
+        (error) => {
+          console.error(`Webhook: ${this.source} ${this.requestId} failed:`, error.message);
+          return this.emit('failed', { error: error.message });
+        }
+      );
+  }
+
+  toJSON() {
+    return {
+      url: this.webhook.url,
+      events: this.webhook.events || WEBHOOK_EVENTS
+    };
+  }
+}
+
+class WebhookService {
+  constructor(config = {}) {
+    this.options = {
+      timeout: 10000,
+      maxAttempts: 5,
+      initialDelay: 1000, // ms before the first retry, doubled after every attempt
+      maxDelay: 60000,
+      maxDeliveries: 1000, // size of the delivery log
+      userAgent: 'FirecrawlLite-Webhook/1.0',
+      ...config
+    };
+    
+    // Webhook URLs are user-supplied too, so connections go through the network policy
+    this.http = axios.create({
+      timeout: this.options.timeout,
+      maxRedirects: 0,
+      validateStatus: () => true,
+      ...(this.options.networkPolicy && this.options.networkPolicy.httpOptions())
+    });
+    
+    this.deliveries = new Map();
+    this.closed = false;
+    
+    this.stats = {
+      events: 0,
+      delivered: 0,
+      failed: 0,
+      retries: 0
+    };
+  }
+
+  /**
+   * Open a channel for one batch or crawl.
+   *
+   * webhook: { url, headers, secret, events } (a plain URL string is accepted too)
+   * context: { source, owner (API key id), ...data of the "started" event }
+   */
+  open(webhook, context) {
+    const settings = typeof webhook === 'string' ? { url: webhook } : webhook;
+    return new WebhookChannel(this, settings, context);
+  }
+
+  // Log entry for an event; secrets and custom headers are never stored
+  createDelivery(channel, payload) {
+    const delivery = {
+      id: payload.id,
+      requestId: channel.requestId,
+      type: payload.type,
+      event: payload.event,
+      url: channel.webhook.url,
+      ...(payload.data.url && { pageUrl: payload.data.url }),
+      owner: channel.owner,
+      status: 'pending',
+      attempts: [],
+      createdAt: payload.timestamp,
+      deliveredAt: null,
+      nextAttemptAt: null
+    };
+    
+    this.stats.events++;
+    this.deliveries.set(delivery.id, delivery);
+    this.pruneDeliveries();
+    
+    return delivery;
+  }
+
+  // Keep the log bounded, dropping the oldest finished deliveries first
+  pruneDeliveries() {
+    for (const [id, delivery] of this.deliveries) {
+      if (this.deliveries.size <= this.options.maxDeliveries) break;
+      if (delivery.status !== 'pending') {
+        this.deliveries.delete(id);
+      }
+    }
+  }
+
+  async deliver(delivery, webhook, payload) {
+    const body = JSON.stringify(payload);
+    const headers = {
+      ...webhook.headers,
+      'Content-Type': 'application/json',
+      'User-Agent': this.options.userAgent,
+      'X-Webhook-Id': payload.id,
+      'X-Webhook-Event': payload.type,
+      ...(webhook.secret && { 'X-Webhook-Signature': sign(webhook.secret, body) })
+    };
+    
+    for (let attempt = 1; attempt <= this.options.maxAttempts; attempt++) {
+      const startTime = Date.now();
+      const record = { attempt, statusCode: null, error: null, duration: 0, at: new Date().toISOString() };
+      let blocked = false;
+      
+      try {
+        const response = await this.http.post(webhook.url, body, { headers });
+        record.statusCode = response.status;
+        if (response.status < 200 || response.status >= 300) {
+          record.error = `Receiver responded with status ${response.status}`;
+        }
+      } catch (error) {
+        record.error = error.message;
+        blocked = error.code === 'url_blocked';
+      }
+      
+      record.duration = Date.now() - startTime;
+      delivery.attempts.push(record);
+      
+      if (!record.error) {
+        delivery.status = 'delivered';
+        delivery.deliveredAt = new Date().toISOString();
+        delivery.nextAttemptAt = null;
+        this.stats.delivered++;
+        return delivery;
+      }
+      
+      if (attempt === this.options.maxAttempts || !isRetryable(record.statusCode) || blocked || this.closed) {
+        break;
+      }
+      
+      const delay = Math.min(this.options.initialDelay * 2 ** (attempt - 1), this.options.maxDelay);
+      delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      this.stats.retries++;
+      
+      await sleep(delay);
+      
+      if (this.closed) {
+        break;
+      }
+    }
+    
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    this.stats.failed++;
+    console.error(`Webhook: ${payload.type} delivery to ${webhook.url} failed after ${delivery.attempts.length} attempt(s)`);
+    
+    return delivery;
+  }
+
+  // Delivery log, newest first; owner limits it to the deliveries of one API key
+  getDeliveries({ requestId, event, status, owner, limit = 100 } = {}) {
+    return Array.from(this.deliveries.values())
+      .reverse()
+      .filter(delivery => owner === undefined || delivery.owner === owner)
+      .filter(delivery => !requestId || delivery.requestId === requestId)
+      .filter(delivery => !event || delivery.event === event)
+      .filter(delivery => !status || delivery.status === status)
+      .slice(0, limit);
+  }
+
+  getDelivery(id) {
+    return this.deliveries.get(id) || null;
+  }
+
+  getStats() {
+    const pending = Array.from(this.deliveries.values()).filter(delivery => delivery.status === 'pending').length;
+    
+    return {
+      ...this.stats,
+      pending,
+      logged: this.deliveries.size,
+      maxAttempts: this.options.maxAttempts
+    };
+  }
+
+  // Deliveries waiting for a retry give up instead of keeping the process alive
+  shutdown() {
+    this.closed = true;
+  }
+}
+
+WebhookService.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+WebhookService.DELIVERY_STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookService;
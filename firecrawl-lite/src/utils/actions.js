@@ -0,0 +1,71 @@
+// Scripted page actions (click, type, scroll, ...) as accepted by the local
+// engine endpoints and by session login scripts. PageActions runs them.
+const joi = require('joi');
+
+const selectorSchema = joi.string().max(1000);
+
+const actionSchema = joi.object({
+  type: joi.string().valid('click', 'type', 'press', 'scroll', 'waitForSelector', 'wait', 'screenshot', 'executeJavascript').required(),
+  optional: joi.boolean().default(false),
+  timeout: joi.number().min(100).max(60000)
+})
+  .when(joi.object({ type: joi.valid('click') }).unknown(), {
+    then: joi.object({
+      selector: selectorSchema.required(),
+      button: joi.string().valid('left', 'right', 'middle'),
+      clickCount: joi.number().min(1).max(3),
+      all: joi.boolean()
+    })
+  })
+  .when(joi.object({ type: joi.valid('type') }).unknown(), {
+    then: joi.object({
+      selector: selectorSchema.required(),
+      text: joi.string().allow('').max(10000).required(),
+      delay: joi.number().min(0).max(1000),
+      clear: joi.boolean()
+    })
+  })
+  .when(joi.object({ type: joi.valid('press') }).unknown(), {
+    then: joi.object({
+      key: joi.string().max(100).required(),
+      selector: selectorSchema
+    })
+  })
+  .when(joi.object({ type: joi.valid('scroll') }).unknown(), {
+    then: joi.object({
+      direction: joi.string().valid('up', 'down', 'top', 'bottom').default('down'),
+      amount: joi.number().min(1),
+      selector: selectorSchema
+    })
+  })
+  .when(joi.object({ type: joi.valid('waitForSelector') }).unknown(), {
+    then: joi.object({
+      selector: selectorSchema.required(),
+      state: joi.string().valid('attached', 'detached', 'visible', 'hidden')
+    })
+  })
+  .when(joi.object({ type: joi.valid('wait') }).unknown(), {
+    then: joi.object({
+      milliseconds: joi.number().min(0).max(30000).required()
+    })
+  })
+  .when(joi.object({ type: joi.valid('screenshot') }).unknown(), {
+    then: joi.object({
+      fullPage: joi.boolean(),
+      format: joi.string().valid('png', 'jpeg'),
+      quality: joi.number().min(0).max(100),
+      selector: selectorSchema
+    })
+  })
+  .when(joi.object({ type: joi.valid('executeJavascript') }).unknown(), {
+    then: joi.object({
+      script: joi.string().max(100000).required()
+    })
+  });
+
+const actionsSchema = joi.array().items(actionSchema).max(50);
+
+module.exports = {
+  selectorSchema,
+  actionsSchema
+};
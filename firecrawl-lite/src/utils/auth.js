@@ -0,0 +1,127 @@
+// API key middleware for /api. Requests carry "Authorization: Bearer <key>";
+// the key needs a scope for the provider the endpoint drives and is counted
+// against its own rate limit and daily quota.
+
+const ALL_PROVIDERS = ['local', 'firecrawl', 'markitdown'];
+
+// Reachable without a key so load balancers can probe the service
+const PUBLIC_PATHS = ['/api/health', '/api/extract/health'];
+
+// Scopes that give access to a request; holding any one of them is enough.
+// Unified scrapes accept any of their engines, the others are skipped.
+// Express matches routes case-insensitively, so the path is compared in lower case.
+const requiredScopes = (req) => {
+  const pathname = req.originalUrl.split('?')[0].replace(/\/+$/, '').toLowerCase();
+  const body = req.body || {};
+
+  if (pathname.startsWith('/api/admin')) return ['admin'];
+  if (req.method === 'DELETE' && pathname.startsWith('/api/cache')) return ['admin'];
+  if (pathname.startsWith('/api/firecrawl')) return ['firecrawl'];
+  if (pathname.startsWith('/api/markitdown')) return ['markitdown'];
+
+  if (req.method === 'POST' && pathname === '/api/jobs') {
+    return [ALL_PROVIDERS.includes(body.provider) ? body.provider : 'local'];
+  }
+
+  if (req.method === 'POST' && pathname === '/api/scrape') {
+    const engines = Array.isArray(body.engines) ? body.engines.filter(engine => ALL_PROVIDERS.includes(engine)) : [];
+    return engines.length > 0 ? engines : ALL_PROVIDERS;
+  }
+
+  return ['local'];
+};
+
+// Jobs, sessions and webhook deliveries belong to the API key that created them
+// and admin keys reach all of them. Without API keys configured everything is shared.
+const ownerOf = (req) => (req.apiKey ? req.apiKey.id : null);
+const canAccess = (req, owner) => !req.apiKey || req.apiKey.scopes.includes('admin') || owner === req.apiKey.id;
+
+const bearerToken = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+};
+
+const setLimitHeaders = (res, { rateLimit, quota }) => {
+  if (rateLimit) {
+    res.set({
+      'X-RateLimit-Limit': String(rateLimit.limit),
+      'X-RateLimit-Remaining': String(rateLimit.remaining),
+      'X-RateLimit-Reset': String(Math.ceil(rateLimit.resetAt.getTime() / 1000))
+    });
+  }
+
+  if (quota) {
+    res.set({
+      'X-Quota-Limit': String(quota.limit),
+      'X-Quota-Remaining': String(quota.remaining),
+      'X-Quota-Reset': String(Math.ceil(quota.resetAt.getTime() / 1000))
+    });
+  }
+};
+
+const authenticate = (authService) => async (req, res, next) => {
+  if (!authService.enabled || req.method === 'OPTIONS' || PUBLIC_PATHS.includes(req.originalUrl.split('?')[0])) {
+    return next();
+  }
+
+  const token = bearerToken(req);
+  const apiKey = authService.authenticate(token);
+
+  if (!apiKey) {
+    res.set('WWW-Authenticate', 'Bearer realm="firecrawl-lite"');
+    return res.status(401).json({
+      success: false,
+      error: {
+        message: token ? 'Invalid API key' : 'Missing API key: send "Authorization: Bearer <key>"',
+        code: 'unauthorized'
+      }
+    });
+  }
+
+  const scopes = requiredScopes(req);
+  const scope = scopes.find(candidate => apiKey.scopes.includes(candidate));
+
+  if (!scope) {
+    authService.recordForbidden(apiKey);
+    return res.status(403).json({
+      success: false,
+      error: {
+        message: 'API key is not allowed to use this endpoint',
+        code: 'forbidden',
+        requiredScopes: scopes,
+        scopes: apiKey.scopes
+      }
+    });
+  }
+
+  try {
+    const usage = await authService.consume(apiKey, scope);
+    setLimitHeaders(res, usage);
+    
+    if (!usage.allowed) {
+      res.set('Retry-After', String(usage.retryAfter));
+      return res.status(429).json({
+        success: false,
+        error: {
+          message: usage.reason === 'quota_exceeded'
+            ? 'Daily quota exceeded for this API key'
+            : 'Rate limit exceeded for this API key',
+          code: usage.reason,
+          retryAfter: usage.retryAfter
+        }
+      });
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  req.apiKey = apiKey;
+  return next();
+};
+
+module.exports = {
+  authenticate,
+  requiredScopes,
+  ownerOf,
+  canAccess
+};
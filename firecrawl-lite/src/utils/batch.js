@@ -0,0 +1,26 @@
+// Request helpers shared by the batch endpoints. A batch URL is either a plain
+// string or { url, priority }; higher priorities are started first.
+const joi = require('joi');
+
+const batchUrlSchema = joi.alternatives().try(
+  joi.string().uri(),
+  joi.object({
+    url: joi.string().uri().required(),
+    priority: joi.number().integer().min(-100).max(100).default(0)
+  })
+);
+
+// Milliseconds after which URLs that have not started yet are reported as failed
+const deadlineSchema = joi.number().integer().min(1000).max(3600000);
+
+// Split validated batch URLs into the plain URLs and their priorities
+const splitBatchUrls = (items) => ({
+  urls: items.map(item => (typeof item === 'string' ? item : item.url)),
+  priorities: items.map(item => (typeof item === 'string' ? 0 : item.priority))
+});
+
+module.exports = {
+  batchUrlSchema,
+  deadlineSchema,
+  splitBatchUrls
+};
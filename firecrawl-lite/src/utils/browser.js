@@ -0,0 +1,50 @@
+// Per-request browser settings shared by the local engine endpoints. They
+// become the options of the Playwright context the page is rendered in.
+const joi = require('joi');
+const { devices } = require('playwright');
+
+// Playwright device presets, e.g. "iPhone 13" or "Pixel 7"
+const deviceSchema = joi.string().custom((value, helpers) => (
+  devices[value] ? value : helpers.message(`"${value}" is not a Playwright device name, e.g. "iPhone 13" or "Pixel 7"`)
+), 'Playwright device');
+
+const browserSchema = joi.object({
+  // Engine; the server's default type (chromium unless configured otherwise) when not set
+  browserType: joi.string().valid('chromium', 'firefox', 'webkit'),
+  // Launch options: a request that differs from the pool gets a browser of its own
+  headless: joi.boolean().default(true),
+  slowMo: joi.number().min(0).max(1000).default(0),
+  device: deviceSchema,
+  userAgent: joi.string().max(500),
+  viewport: joi.object({
+    width: joi.number().integer().min(100).max(7680).required(),
+    height: joi.number().integer().min(100).max(4320).required()
+  }),
+  locale: joi.string().pattern(/^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8})*$/),
+  timezoneId: joi.string().max(100).custom((value, helpers) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+      return value;
+    } catch (error) {
+      return helpers.message(`"${value}" is not an IANA time zone`);
+    }
+  }, 'IANA time zone'),
+  geolocation: joi.object({
+    latitude: joi.number().min(-90).max(90).required(),
+    longitude: joi.number().min(-180).max(180).required(),
+    accuracy: joi.number().min(0).default(0)
+  }),
+  colorScheme: joi.string().valid('light', 'dark', 'no-preference'),
+  javaScriptEnabled: joi.boolean(),
+  proxy: joi.object({
+    server: joi.string().pattern(/^((https?|socks[45]):\/\/)?[^\s/:]+(:\d+)?\/?$/).required()
+      .messages({ 'string.pattern.base': '"proxy.server" must look like http://host:port or socks5://host:port' }),
+    username: joi.string().max(200),
+    password: joi.string().max(200),
+    bypass: joi.string().max(1000)
+  })
+});
+
+module.exports = {
+  browserSchema
+};
@@ -37,13 +37,19 @@ class ConfigManager {
       port: 3000,
       browser: {
         headless: true,
-        poolSize: 5,
+        defaultType: "chromium",
+        poolSize: 5, // browsers of the default type
         timeout: 30000,
         userAgent: "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
         viewport: {
           width: 1280,
           height: 720
-        }
+        },
+        poolSizes: {
+          firefox: 1,
+          webkit: 1
+        },
+        maxDedicatedBrowsers: 2 // browsers launched for requests with their own headless/slowMo
       },
       extraction: {
         waitForSelector: null,
@@ -53,6 +59,9 @@ class ConfigManager {
         maxContentLength: 1000000
       },
       cache: {
+        enabled: true,
+        driver: "auto",
+        prefix: "firecrawl-lite:cache",
         ttl: 3600,
         maxSize: "100mb",
         redis: {
@@ -62,6 +71,107 @@ class ConfigManager {
           db: 0
         }
       },
+      llm: {
+        baseUrl: null,
+        apiKey: null,
+        model: "llama3.1",
+        temperature: 0,
+        maxTokens: 2048,
+        timeout: 120000,
+        chunkSize: 12000,
+        maxChunks: 10
+      },
+      scrape: {
+        engines: ["local", "firecrawl", "markitdown"],
+        minContentLength: 200,
+        routes: [
+          {
+            name: "documents",
+            pattern: "\\.(pdf|docx?|xlsx?|pptx?)([?#]|$)",
+            engines: ["local", "markitdown", "firecrawl"]
+          },
+          {
+            name: "javascript-heavy",
+            hosts: ["x.com", "twitter.com", "instagram.com", "linkedin.com", "facebook.com"],
+            engines: ["local", "firecrawl"]
+          }
+        ]
+      },
+      politeness: {
+        respectRobots: true,
+        userAgent: "FirecrawlLite",
+        allowRobotsOverride: false,
+        robotsCacheTtl: 3600000,
+        maxConcurrentPerHost: 2,
+        defaultDelay: 1000,
+        maxDelay: 30000
+      },
+      changeTracking: {
+        driver: "auto",
+        directory: "data/changes",
+        prefix: "firecrawl-lite:changes",
+        maxChanges: 10000,
+        contextLines: 3,
+        diffTimeout: 5000
+      },
+      webhooks: {
+        timeout: 10000,
+        maxAttempts: 5,
+        initialDelay: 1000,
+        maxDelay: 60000,
+        maxDeliveries: 1000
+      },
+      auth: {
+        enabled: "auto",
+        keysFile: "data/api-keys.json",
+        keys: [],
+        defaultScopes: ["local", "firecrawl", "markitdown"],
+        rateLimit: {
+          points: 60,
+          duration: 60
+        },
+        dailyQuota: 1000
+      },
+      proxies: {
+        proxies: [],
+        file: "data/proxies.txt",
+        strategy: "round-robin",
+        maxConsecutiveFailures: 3,
+        minScore: 0.3,
+        cooldown: 60000,
+        maxCooldown: 1800000,
+        badStatusCodes: [403, 407, 429, 502, 503, 504]
+      },
+      markitdown: {
+        pythonPath: null,
+        condaRoot: null,
+        condaEnv: "py312-tools",
+        timeout: 60000,
+        maxWorkers: 2,
+        maxQueue: 50,
+        maxOutputSize: 20971520,
+        maxDocumentSize: 52428800,
+        maxRedirects: 5
+      },
+      sessions: {
+        directory: "data/sessions",
+        secret: null,
+        maxAge: null
+      },
+      networkPolicy: {
+        enabled: true,
+        blockPrivateNetworks: true,
+        allowDomains: [],
+        denyDomains: [],
+        allowCidrs: [],
+        denyCidrs: []
+      },
+      queue: {
+        driver: "auto",
+        name: "firecrawl-lite-jobs",
+        concurrency: 2,
+        retention: 604800
+      },
       rateLimit: {
         windowMs: 900000,
         max: 100,
@@ -85,6 +195,21 @@ class ConfigManager {
       this.config.browser.poolSize = parseInt(process.env.BROWSER_POOL_SIZE, 10);
     }
     
+    if (process.env.BROWSER_DEFAULT_TYPE) {
+      this.config.browser.defaultType = process.env.BROWSER_DEFAULT_TYPE;
+    }
+    
+    // Pool sizes of the non-default browser types, e.g. "firefox=2,webkit=0"
+    if (process.env.BROWSER_POOL_SIZES) {
+      this.config.browser.poolSizes = this.config.browser.poolSizes || {};
+      process.env.BROWSER_POOL_SIZES.split(',').forEach(entry => {
+        const [type, size] = entry.split('=').map(part => part.trim());
+        if (type && size !== undefined) {
+          this.config.browser.poolSizes[type] = parseInt(size, 10);
+        }
+      });
+    }
+    
     // Redis connection
     if (process.env.REDIS_URL) {
       const redisUrl = new URL(process.env.REDIS_URL);
@@ -107,6 +232,191 @@ class ConfigManager {
       this.config.cache.redis.password = process.env.REDIS_PASSWORD;
     }
     
+    // Response cache
+    if (process.env.CACHE_ENABLED) {
+      this.config.cache.enabled = process.env.CACHE_ENABLED !== 'false';
+    }
+    
+    if (process.env.CACHE_DRIVER) {
+      this.config.cache.driver = process.env.CACHE_DRIVER;
+    }
+    
+    if (process.env.CACHE_TTL) {
+      this.config.cache.ttl = parseInt(process.env.CACHE_TTL, 10);
+    }
+    
+    // LLM extraction endpoint (any OpenAI-compatible API)
+    if (process.env.LLM_BASE_URL) {
+      this.config.llm = this.config.llm || {};
+      this.config.llm.baseUrl = process.env.LLM_BASE_URL;
+    }
+    
+    if (process.env.LLM_API_KEY) {
+      this.config.llm = this.config.llm || {};
+      this.config.llm.apiKey = process.env.LLM_API_KEY;
+    }
+    
+    if (process.env.LLM_MODEL) {
+      this.config.llm = this.config.llm || {};
+      this.config.llm.model = process.env.LLM_MODEL;
+    }
+    
+    // robots.txt compliance and per-host limits
+    if (process.env.RESPECT_ROBOTS_TXT) {
+      this.config.politeness = this.config.politeness || {};
+      this.config.politeness.respectRobots = process.env.RESPECT_ROBOTS_TXT !== 'false';
+    }
+    
+    if (process.env.ROBOTS_USER_AGENT) {
+      this.config.politeness = this.config.politeness || {};
+      this.config.politeness.userAgent = process.env.ROBOTS_USER_AGENT;
+    }
+    
+    if (process.env.ALLOW_ROBOTS_OVERRIDE) {
+      this.config.politeness = this.config.politeness || {};
+      this.config.politeness.allowRobotsOverride = process.env.ALLOW_ROBOTS_OVERRIDE === 'true';
+    }
+    
+    if (process.env.MAX_CONCURRENT_PER_HOST) {
+      this.config.politeness = this.config.politeness || {};
+      this.config.politeness.maxConcurrentPerHost = parseInt(process.env.MAX_CONCURRENT_PER_HOST, 10);
+    }
+    
+    // Change tracking snapshot store
+    if (process.env.CHANGE_TRACKING_DRIVER) {
+      this.config.changeTracking = this.config.changeTracking || {};
+      this.config.changeTracking.driver = process.env.CHANGE_TRACKING_DRIVER;
+    }
+    
+    if (process.env.CHANGE_TRACKING_DIR) {
+      this.config.changeTracking = this.config.changeTracking || {};
+      this.config.changeTracking.directory = process.env.CHANGE_TRACKING_DIR;
+    }
+    
+    // Webhook delivery
+    if (process.env.WEBHOOK_TIMEOUT) {
+      this.config.webhooks = this.config.webhooks || {};
+      this.config.webhooks.timeout = parseInt(process.env.WEBHOOK_TIMEOUT, 10);
+    }
+    
+    if (process.env.WEBHOOK_MAX_ATTEMPTS) {
+      this.config.webhooks = this.config.webhooks || {};
+      this.config.webhooks.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10);
+    }
+    
+    // API key authentication
+    if (process.env.AUTH_ENABLED) {
+      this.config.auth = this.config.auth || {};
+      this.config.auth.enabled = process.env.AUTH_ENABLED === 'auto' ? 'auto' : process.env.AUTH_ENABLED === 'true';
+    }
+    
+    if (process.env.API_KEYS_FILE) {
+      this.config.auth = this.config.auth || {};
+      this.config.auth.keysFile = process.env.API_KEYS_FILE;
+    }
+    
+    // Comma-separated keys with the default scopes, plus one admin key
+    if (process.env.API_KEYS) {
+      this.config.auth = this.config.auth || {};
+      this.config.auth.keys = [
+        ...(this.config.auth.keys || []),
+        ...process.env.API_KEYS.split(',').map(key => key.trim()).filter(Boolean).map((key, index) => ({
+          id: `env-${index + 1}`,
+          key
+        }))
+      ];
+    }
+    
+    if (process.env.ADMIN_API_KEY) {
+      this.config.auth = this.config.auth || {};
+      this.config.auth.keys = [
+        ...(this.config.auth.keys || []),
+        { id: 'admin', key: process.env.ADMIN_API_KEY, scopes: ['local', 'firecrawl', 'markitdown', 'admin'] }
+      ];
+    }
+    
+    if (process.env.API_KEY_DAILY_QUOTA) {
+      this.config.auth = this.config.auth || {};
+      this.config.auth.dailyQuota = parseInt(process.env.API_KEY_DAILY_QUOTA, 10);
+    }
+    
+    // Network policy for user-supplied URLs; the lists are comma-separated
+    if (process.env.NETWORK_POLICY_ENABLED) {
+      this.config.networkPolicy = this.config.networkPolicy || {};
+      this.config.networkPolicy.enabled = process.env.NETWORK_POLICY_ENABLED === 'true';
+    }
+    
+    if (process.env.BLOCK_PRIVATE_NETWORKS) {
+      this.config.networkPolicy = this.config.networkPolicy || {};
+      this.config.networkPolicy.blockPrivateNetworks = process.env.BLOCK_PRIVATE_NETWORKS === 'true';
+    }
+    
+    [
+      ['NETWORK_ALLOW_DOMAINS', 'allowDomains'],
+      ['NETWORK_DENY_DOMAINS', 'denyDomains'],
+      ['NETWORK_ALLOW_CIDRS', 'allowCidrs'],
+      ['NETWORK_DENY_CIDRS', 'denyCidrs']
+    ].forEach(([variable, key]) => {
+      if (process.env[variable]) {
+        this.config.networkPolicy = this.config.networkPolicy || {};
+        this.config.networkPolicy[key] = process.env[variable].split(',').map(entry => entry.trim()).filter(Boolean);
+      }
+    });
+    
+    // Proxy rotation for the local engine; PROXY_LIST is comma-separated
+    if (process.env.PROXY_LIST) {
+      this.config.proxies = this.config.proxies || {};
+      this.config.proxies.proxies = process.env.PROXY_LIST.split(',').map(proxy => proxy.trim()).filter(Boolean);
+    }
+    
+    if (process.env.PROXY_FILE) {
+      this.config.proxies = this.config.proxies || {};
+      this.config.proxies.file = process.env.PROXY_FILE;
+    }
+    
+    if (process.env.PROXY_STRATEGY) {
+      this.config.proxies = this.config.proxies || {};
+      this.config.proxies.strategy = process.env.PROXY_STRATEGY;
+    }
+    
+    // Login sessions; the secret encrypts their cookies and login scripts
+    if (process.env.SESSION_SECRET) {
+      this.config.sessions = this.config.sessions || {};
+      this.config.sessions.secret = process.env.SESSION_SECRET;
+    }
+    
+    if (process.env.SESSIONS_DIR) {
+      this.config.sessions = this.config.sessions || {};
+      this.config.sessions.directory = process.env.SESSIONS_DIR;
+    }
+    
+    // Markitdown interpreter and worker pool
+    if (process.env.MARKITDOWN_PYTHON) {
+      this.config.markitdown = this.config.markitdown || {};
+      this.config.markitdown.pythonPath = process.env.MARKITDOWN_PYTHON;
+    }
+    
+    if (process.env.MARKITDOWN_CONDA_ENV) {
+      this.config.markitdown = this.config.markitdown || {};
+      this.config.markitdown.condaEnv = process.env.MARKITDOWN_CONDA_ENV;
+    }
+    
+    if (process.env.MARKITDOWN_MAX_WORKERS) {
+      this.config.markitdown = this.config.markitdown || {};
+      this.config.markitdown.maxWorkers = parseInt(process.env.MARKITDOWN_MAX_WORKERS, 10);
+    }
+    
+    // Job queue backend
+    if (process.env.QUEUE_DRIVER) {
+      this.config.queue = this.config.queue || {};
+      this.config.queue.driver = process.env.QUEUE_DRIVER;
+    }
+    
+    if (process.env.QUEUE_CONCURRENCY) {
+      this.config.queue = this.config.queue || {};
+      this.config.queue.concurrency = parseInt(process.env.QUEUE_CONCURRENCY, 10);
+    }
+    
     // Logging level
     if (process.env.LOG_LEVEL) {
       this.config.logging.level = process.env.LOG_LEVEL;
@@ -0,0 +1,94 @@
+// Server-Sent Events for the batch endpoints. "Accept: text/event-stream" or the
+// /batch/stream routes turn one JSON response into a stream of events:
+//   started   { total, urls }
+//   page      { index, url, result } as soon as a URL is finished
+//   progress  { completed, successful, failed, total } after every page
+//   completed { summary } or failed { error }, then the stream ends
+// If the client disconnects first, URLs that have not started are cancelled
+// through `signal`; the ones in flight finish and their events are dropped.
+
+const HEARTBEAT_INTERVAL = 15000;
+
+const wantsEventStream = (req) => req.path.endsWith('/stream') ||
+  (req.get('Accept') || '').includes('text/event-stream');
+
+class BatchEventStream {
+  constructor(res, total) {
+    this.res = res;
+    this.total = total;
+    this.counters = { completed: 0, successful: 0, failed: 0 };
+    this.eventId = 0;
+    this.closed = false;
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    
+    res.status(200).set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // stops nginx from buffering the stream
+    });
+    res.flushHeaders();
+    
+    // Comment lines keep proxies from dropping the connection while slow pages load
+    this.heartbeat = setInterval(() => this.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+    
+    // A connection closed before the stream ended means the client went away
+    res.on('close', () => {
+      if (!this.closed) {
+        this.controller.abort();
+      }
+      this.close();
+    });
+  }
+
+  write(chunk) {
+    if (!this.closed) {
+      this.res.write(chunk);
+    }
+  }
+
+  send(event, data) {
+    this.eventId++;
+    this.write(`id: ${this.eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  start(data = {}) {
+    this.send('started', { total: this.total, ...data });
+  }
+
+  page(index, url, result) {
+    this.counters.completed++;
+    this.counters[result.success ? 'successful' : 'failed']++;
+    
+    this.send('page', { index, url, result });
+    this.send('progress', { ...this.counters, total: this.total });
+  }
+
+  complete(data) {
+    this.send('completed', data);
+    this.end();
+  }
+
+  fail(error) {
+    this.send('failed', { error: error.message });
+    this.end();
+  }
+
+  end() {
+    if (!this.closed) {
+      this.res.end();
+    }
+    this.close();
+  }
+
+  close() {
+    this.closed = true;
+    clearInterval(this.heartbeat);
+  }
+}
+
+module.exports = {
+  BatchEventStream,
+  wantsEventStream
+};
@@ -0,0 +1,87 @@
+// Small JSON Schema validator covering the subset used for extraction schemas:
+// type (single or list), enum, const, properties, required, items,
+// additionalProperties (false), minItems / maxItems, minimum / maximum.
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+const validateSchema = (value, schema = {}, path = '') => {
+  const errors = [];
+  const at = path || '(root)';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ field: at, message: `Expected ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push({ field: at, message: `Must be one of ${JSON.stringify(schema.enum)}` });
+  }
+
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push({ field: at, message: `Must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field: at, message: `Must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field: at, message: `Must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field: at, message: `Must contain at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field: at, message: `Must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  } else if (value && typeof value === 'object') {
+    const properties = schema.properties || {};
+    
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) {
+        errors.push({ field: path ? `${path}.${key}` : key, message: 'Required property is missing' });
+      }
+    });
+    
+    Object.keys(value).forEach(key => {
+      const keyPath = path ? `${path}.${key}` : key;
+      
+      if (properties[key]) {
+        // Values the model could not find come back as null; required ones are reported above
+        if (value[key] !== null) {
+          errors.push(...validateSchema(value[key], properties[key], keyPath));
+        }
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: keyPath, message: 'Property is not allowed' });
+      }
+    });
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validateSchema
+};
@@ -0,0 +1,126 @@
+// Extraction options of the local, Firecrawl and Markitdown engines, shared by
+// their own endpoints and by the endpoints that hand options on to them.
+const joi = require('joi');
+const { browserSchema } = require('./browser');
+const { actionsSchema } = require('./actions');
+
+// Output formats accepted in the "formats" array
+const OUTPUT_FORMATS = ['markdown', 'html', 'rawHtml', 'text', 'links', 'extract'];
+
+// Validation schemas for visual captures; `true` uses the defaults
+const screenshotSchema = joi.alternatives().try(
+  joi.boolean(),
+  joi.object({
+    fullPage: joi.boolean().default(false),
+    type: joi.string().valid('png', 'jpeg').default('png'),
+    quality: joi.number().min(0).max(100),
+    selector: joi.string()
+  })
+);
+
+const pdfSchema = joi.alternatives().try(
+  joi.boolean(),
+  joi.object({
+    format: joi.string().valid('Letter', 'Legal', 'Tabloid', 'Ledger', 'A0', 'A1', 'A2', 'A3', 'A4', 'A5', 'A6').default('A4'),
+    landscape: joi.boolean().default(false),
+    printBackground: joi.boolean().default(true),
+    scale: joi.number().min(0.1).max(2),
+    margin: joi.object({
+      top: joi.alternatives().try(joi.number().min(0), joi.string()),
+      right: joi.alternatives().try(joi.number().min(0), joi.string()),
+      bottom: joi.alternatives().try(joi.number().min(0), joi.string()),
+      left: joi.alternatives().try(joi.number().min(0), joi.string())
+    })
+  })
+);
+
+// Validation schema for LLM extraction; required when formats includes "extract"
+const llmExtractSchema = joi.object({
+  prompt: joi.string().max(10000),
+  schema: joi.object(),
+  systemPrompt: joi.string().max(10000)
+}).or('prompt', 'schema')
+  .when('formats', {
+    is: joi.array().items(joi.any()).has(joi.valid('extract')).required(),
+    then: joi.required()
+  });
+
+// Validation schema for change tracking against the last snapshot; `true` returns a unified diff
+const changeTrackingSchema = joi.alternatives().try(
+  joi.boolean(),
+  joi.object({
+    diff: joi.string().valid('unified', 'words', 'none').default('unified'),
+    tag: joi.string().max(100)
+  })
+);
+
+// Options of one local engine page, as accepted by its batch endpoint
+const localOptionsSchema = joi.object({
+  includeImages: joi.boolean().default(true),
+  includeLinks: joi.boolean().default(true),
+  waitForSelector: joi.string().allow(null),
+  timeout: joi.number().min(1000).max(60000).default(30000),
+  format: joi.string().valid('markdown', 'html').default('markdown'),
+  formats: joi.array().items(joi.string().valid(...OUTPUT_FORMATS)).min(1).unique(),
+  screenshot: screenshotSchema,
+  pdf: pdfSchema,
+  actions: actionsSchema,
+  extract: llmExtractSchema,
+  blockResources: joi.array().items(joi.string().valid('stylesheet', 'image', 'media', 'font')),
+  headers: joi.object(),
+  cookies: joi.array().items(joi.object({
+    name: joi.string().required(),
+    value: joi.string().required(),
+    domain: joi.string(),
+    path: joi.string(),
+    httpOnly: joi.boolean(),
+    secure: joi.boolean()
+  })),
+  browser: browserSchema,
+  sessionId: joi.string().guid(),
+  maxAge: joi.number().min(0),
+  bypassCache: joi.boolean().default(false),
+  ignoreRobots: joi.boolean().default(false),
+  changeTracking: changeTrackingSchema
+});
+
+// Options of one Firecrawl page, as accepted by its batch endpoint
+const firecrawlOptionsSchema = joi.object({
+  formats: joi.array().items(joi.string().valid('markdown', 'html')).default(['markdown']),
+  onlyMainContent: joi.boolean().default(true),
+  includeTags: joi.array().items(joi.string()).default([]),
+  excludeTags: joi.array().items(joi.string()).default(['nav', 'footer', 'header', '.sidebar']),
+  waitFor: joi.number().min(1000).max(30000).default(3000),
+  timeout: joi.number().min(5000).max(60000).default(30000),
+  screenshot: joi.boolean().default(false),
+  saveToFile: joi.boolean().default(false),
+  saveDirectory: joi.string().pattern(/^[a-zA-Z0-9_\-\/]+$/).allow('').optional(),
+  maxAge: joi.number().min(0),
+  bypassCache: joi.boolean().default(false)
+});
+
+// Options of one Markitdown document, as accepted by its batch endpoint
+const markitdownOptionsSchema = joi.object({
+  condaEnv: joi.string().pattern(/^[a-zA-Z0-9_-]+$/).default('py312-tools'),
+  extractImages: joi.boolean().default(true),
+  extractLinks: joi.boolean().default(true),
+  extractTables: joi.boolean().default(true),
+  customTimeout: joi.number().min(10).max(300).optional(),
+  userAgent: joi.string().max(200).optional(),
+  timeout: joi.number().min(30000).max(300000).default(60000),
+  saveToFile: joi.boolean().default(false),
+  saveDirectory: joi.string().pattern(/^[a-zA-Z0-9_\-\/]+$/).allow('').optional(),
+  maxAge: joi.number().min(0),
+  bypassCache: joi.boolean().default(false)
+});
+
+module.exports = {
+  OUTPUT_FORMATS,
+  screenshotSchema,
+  pdfSchema,
+  llmExtractSchema,
+  changeTrackingSchema,
+  localOptionsSchema,
+  firecrawlOptionsSchema,
+  markitdownOptionsSchema
+};
@@ -0,0 +1,123 @@
+// URL helpers shared by the crawler, mapper and cache layers
+
+const TRACKING_PARAMS = [
+  'utm_source',
+  'utm_medium',
+  'utm_campaign',
+  'utm_term',
+  'utm_content',
+  'gclid',
+  'fbclid'
+];
+
+const isHttpUrl = (url) => {
+  try {
+    const urlObj = new URL(url);
+    return urlObj.protocol === 'http:' || urlObj.protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+// Normalize a URL so that trivially different spellings of the same page compare equal
+const normalizeUrl = (url, base) => {
+  try {
+    const urlObj = base ? new URL(url, base) : new URL(url);
+    
+    urlObj.hash = '';
+    urlObj.hostname = urlObj.hostname.toLowerCase();
+    
+    if ((urlObj.protocol === 'http:' && urlObj.port === '80') ||
+        (urlObj.protocol === 'https:' && urlObj.port === '443')) {
+      urlObj.port = '';
+    }
+    
+    TRACKING_PARAMS.forEach(param => urlObj.searchParams.delete(param));
+    urlObj.searchParams.sort();
+    
+    // Drop trailing slash except for the root path
+    if (urlObj.pathname.length > 1 && urlObj.pathname.endsWith('/')) {
+      urlObj.pathname = urlObj.pathname.replace(/\/+$/, '');
+    }
+    
+    return urlObj.href;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Compare hostnames ignoring a leading "www."
+const isSameDomain = (url, baseUrl, allowSubdomains = false) => {
+  try {
+    const host = new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+    const baseHost = new URL(baseUrl).hostname.toLowerCase().replace(/^www\./, '');
+    
+    if (host === baseHost) return true;
+    return allowSubdomains && host.endsWith(`.${baseHost}`);
+  } catch (error) {
+    return false;
+  }
+};
+
+// Convert a path glob ("/docs/**", "*.pdf") into a RegExp.
+// "**" matches across path segments, "*" within one segment, "?" a single character.
+// A trailing "/**" also matches the bare prefix, so "/docs/**" includes "/docs".
+const globToRegExp = (glob) => {
+  let pattern = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    
+    if (char === '/' && i === glob.length - 3 && glob.endsWith('/**')) {
+      pattern += '(?:/.*)?';
+      break;
+    } else if (char === '*') {
+      if (glob[i + 1] === '*') {
+        pattern += '.*';
+        i++;
+      } else {
+        pattern += '[^/]*';
+      }
+    } else if (char === '?') {
+      pattern += '.';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  // Patterns without a leading slash may match anywhere in the path
+  const prefix = glob.startsWith('/') ? '^' : '^(?:.*/)?';
+  return new RegExp(`${prefix}${pattern}$`);
+};
+
+const matchesAnyGlob = (pathname, globs = []) => {
+  return globs.some(glob => globToRegExp(glob).test(pathname));
+};
+
+// Apply includePaths / excludePaths filters to the path of a URL
+const isPathAllowed = (url, { includePaths = [], excludePaths = [] } = {}) => {
+  try {
+    const pathname = new URL(url).pathname;
+    
+    if (excludePaths.length > 0 && matchesAnyGlob(pathname, excludePaths)) {
+      return false;
+    }
+    
+    if (includePaths.length > 0 && !matchesAnyGlob(pathname, includePaths)) {
+      return false;
+    }
+    
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  isHttpUrl,
+  normalizeUrl,
+  isSameDomain,
+  globToRegExp,
+  matchesAnyGlob,
+  isPathAllowed
+};
@@ -0,0 +1,125 @@
+const express = require('express');
+const request = require('supertest');
+const AuthService = require('../src/services/auth.service');
+const { authenticate, requiredScopes } = require('../src/utils/auth');
+const { getWebhookService } = require('../src/services/registry');
+const { router: jobsRouter } = require('../src/routes/jobs');
+const { router: webhooksRouter } = require('../src/routes/webhooks');
+const cacheRouter = require('../src/routes/cache');
+
+// Firecrawl jobs fail right away without an API key, so no job reaches the network
+delete process.env.FIRECRAWL_API_KEY;
+
+const authService = new AuthService({
+  keysFile: null,
+  keys: [
+    { id: 'alice', key: 'alice-key', scopes: ['local', 'firecrawl'] },
+    { id: 'bob', key: 'bob-key', scopes: ['local', 'firecrawl'] },
+    { id: 'root', key: 'root-key', scopes: ['local', 'admin'] }
+  ]
+});
+
+const app = express();
+app.locals.config = { queue: { driver: 'memory' } };
+app.use(express.json());
+app.use('/api/', authenticate(authService));
+app.use('/api/jobs', jobsRouter);
+app.use('/api/cache', cacheRouter);
+app.use('/api/webhooks', webhooksRouter);
+app.use('/api/admin', (req, res) => res.json({ success: true }));
+
+const as = (key, test) => test.set('Authorization', `Bearer ${key}-key`);
+
+describe('requiredScopes', () => {
+  const scopesFor = (method, originalUrl, body) => requiredScopes({ method, originalUrl, body });
+
+  test('maps endpoints to the scope of their provider', () => {
+    expect(scopesFor('GET', '/api/admin/usage')).toEqual(['admin']);
+    expect(scopesFor('POST', '/api/firecrawl/extract')).toEqual(['firecrawl']);
+    expect(scopesFor('POST', '/api/markitdown/batch?x=1')).toEqual(['markitdown']);
+    expect(scopesFor('POST', '/api/extract')).toEqual(['local']);
+    expect(scopesFor('POST', '/api/jobs/', { provider: 'markitdown' })).toEqual(['markitdown']);
+    expect(scopesFor('POST', '/api/scrape', { engines: ['firecrawl', 'bogus'] })).toEqual(['firecrawl']);
+    expect(scopesFor('POST', '/api/scrape', {})).toEqual(['local', 'firecrawl', 'markitdown']);
+  });
+
+  test('compares paths case-insensitively, as Express routes them', () => {
+    expect(scopesFor('GET', '/API/Admin/usage')).toEqual(['admin']);
+    expect(scopesFor('POST', '/api/FireCrawl/extract')).toEqual(['firecrawl']);
+    expect(scopesFor('POST', '/api/Jobs', { provider: 'firecrawl' })).toEqual(['firecrawl']);
+  });
+
+  test('purging the cache needs the admin scope, reading its stats does not', () => {
+    expect(scopesFor('DELETE', '/api/cache')).toEqual(['admin']);
+    expect(scopesFor('DELETE', '/api/Cache/?provider=local')).toEqual(['admin']);
+    expect(scopesFor('GET', '/api/cache/stats')).toEqual(['local']);
+  });
+});
+
+describe('authenticate', () => {
+  test('rejects requests without a valid key', async () => {
+    const missing = await request(app).get('/api/cache/stats');
+    expect(missing.status).toBe(401);
+    expect(missing.headers['www-authenticate']).toBe('Bearer realm="firecrawl-lite"');
+
+    expect((await request(app).get('/api/cache/stats').set('Authorization', 'Bearer nope')).status).toBe(401);
+  });
+
+  test('refuses admin endpoints to keys without the admin scope, whatever the case of the path', async () => {
+    const response = await as('alice', request(app).get('/API/ADMIN/usage'));
+
+    expect(response.status).toBe(403);
+    expect(response.body.error).toMatchObject({ code: 'forbidden', requiredScopes: ['admin'] });
+    expect((await as('root', request(app).get('/api/admin/usage'))).status).toBe(200);
+  });
+
+  test('only admin keys can purge the cache', async () => {
+    expect((await as('alice', request(app).delete('/api/cache'))).status).toBe(403);
+    expect((await as('alice', request(app).get('/api/cache/stats'))).status).toBe(200);
+    expect((await as('root', request(app).delete('/api/cache?provider=local'))).status).toBe(200);
+  });
+
+  test('sets rate limit and quota headers', async () => {
+    const response = await as('alice', request(app).get('/api/cache/stats'));
+
+    expect(response.headers['x-ratelimit-limit']).toBe('60');
+    expect(response.headers['x-quota-limit']).toBe('1000');
+  });
+});
+
+describe('ownership', () => {
+  afterAll(() => getWebhookService().shutdown());
+
+  test('jobs are only visible to and cancellable by the key that submitted them, and admins', async () => {
+    const submitted = await as('alice', request(app).post('/api/jobs'))
+      .send({ provider: 'firecrawl', urls: ['https://example.com'] });
+    expect(submitted.status).toBe(202);
+    const { id } = submitted.body.data;
+
+    const own = await as('alice', request(app).get(`/api/jobs/${id}`));
+    expect(own.status).toBe(200);
+    expect(own.body.data.owner).toBe('alice');
+
+    expect((await as('bob', request(app).get(`/api/jobs/${id}`))).status).toBe(404);
+    expect((await as('bob', request(app).delete(`/api/jobs/${id}`))).status).toBe(404);
+    expect((await as('root', request(app).get(`/api/jobs/${id}`))).status).toBe(200);
+  });
+
+  test('webhook deliveries are listed for their own key only, and all of them for admins', async () => {
+    // The delivery is logged as soon as the event is emitted; nothing listens on the port
+    const channel = getWebhookService().open('http://127.0.0.1:9/hook', { source: 'batch', owner: 'alice', urls: [] });
+    channel.emit('started');
+
+    const own = await as('alice', request(app).get(`/api/webhooks/deliveries?requestId=${channel.requestId}`));
+    expect(own.body.data.count).toBe(1);
+    expect(own.body.data.deliveries[0].owner).toBe('alice');
+    const [{ id }] = own.body.data.deliveries;
+
+    const other = await as('bob', request(app).get(`/api/webhooks/deliveries?requestId=${channel.requestId}`));
+    expect(other.body.data.count).toBe(0);
+    expect((await as('bob', request(app).get(`/api/webhooks/deliveries/${id}`))).status).toBe(404);
+
+    const admin = await as('root', request(app).get(`/api/webhooks/deliveries?requestId=${channel.requestId}`));
+    expect(admin.body.data.count).toBe(1);
+  });
+});
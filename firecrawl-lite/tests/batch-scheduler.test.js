@@ -0,0 +1,164 @@
+const BatchScheduler = require('../src/core/batch-scheduler');
+const CrawlerService = require('../src/services/crawler.service');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('BatchScheduler cancellation', () => {
+  test('settles waiting URLs with onCancel once the signal aborts, letting running ones finish', async () => {
+    const controller = new AbortController();
+    const started = [];
+    const scheduler = new BatchScheduler({ concurrency: 1 });
+
+    const run = scheduler.run(['https://a.example/1', 'https://a.example/2', 'https://a.example/3'], async (url) => {
+      started.push(url);
+      if (started.length === 1) controller.abort();
+      await sleep(10);
+      return { success: true, url };
+    }, {
+      signal: controller.signal,
+      onCancel: (url) => ({ success: false, error: BatchScheduler.cancelledError(url) })
+    });
+
+    const results = await run;
+    expect(started).toEqual(['https://a.example/1']);
+    expect(results[0]).toEqual({ success: true, url: 'https://a.example/1' });
+    expect(results.slice(1).map(result => result.error.code)).toEqual(['batch_cancelled', 'batch_cancelled']);
+  });
+
+  test('starts nothing when the signal has already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const worker = jest.fn();
+
+    const results = await new BatchScheduler().run(['https://a.example/'], worker, {
+      signal: controller.signal,
+      onCancel: () => 'cancelled'
+    });
+
+    expect(worker).not.toHaveBeenCalled();
+    expect(results).toEqual(['cancelled']);
+  });
+});
+
+describe('BatchScheduler', () => {
+  // A worker that records when each URL starts and ends
+  const trackedWorker = (timeline, duration = 10) => async (url) => {
+    timeline.push(`start ${url}`);
+    await sleep(duration);
+    timeline.push(`end ${url}`);
+    return url;
+  };
+
+  const maxInFlight = (timeline, filter = () => true) => {
+    let running = 0;
+    let max = 0;
+    timeline.filter(filter).forEach(entry => {
+      running += entry.startsWith('start') ? 1 : -1;
+      max = Math.max(max, running);
+    });
+    return max;
+  };
+
+  test('never runs more URLs at once than its concurrency, and keeps the input order in the results', async () => {
+    const timeline = [];
+    const urls = Array.from({ length: 7 }, (_, index) => `https://host${index}.example/`);
+
+    const results = await new BatchScheduler({ concurrency: 3 }).run(urls, trackedWorker(timeline));
+
+    expect(results).toEqual(urls);
+    expect(maxInFlight(timeline)).toBe(3);
+  });
+
+  test('runs the URLs of one host one after another in input order while other hosts fill the free slots', async () => {
+    const timeline = [];
+    const urls = ['https://a.example/1', 'https://a.example/2', 'https://a.example/3', 'https://b.example/1'];
+
+    await new BatchScheduler({ concurrency: 3, maxPerHost: 1 }).run(urls, trackedWorker(timeline));
+
+    expect(maxInFlight(timeline, entry => entry.includes('a.example'))).toBe(1);
+    expect(timeline.filter(entry => entry.startsWith('start') && entry.includes('a.example')))
+      .toEqual(['start https://a.example/1', 'start https://a.example/2', 'start https://a.example/3']);
+    // b.example does not wait behind a.example
+    expect(timeline.slice(0, 2)).toEqual(['start https://a.example/1', 'start https://b.example/1']);
+  });
+
+  test('starts higher priorities first', async () => {
+    const timeline = [];
+    const urls = ['https://a.example/', 'https://b.example/', 'https://c.example/'];
+
+    await new BatchScheduler({ concurrency: 1 }).run(urls, trackedWorker(timeline), { priorities: [0, 5, 1] });
+
+    expect(timeline.filter(entry => entry.startsWith('start')))
+      .toEqual(['start https://b.example/', 'start https://c.example/', 'start https://a.example/']);
+  });
+
+  test('settles URLs still waiting at the deadline with onDeadline', async () => {
+    const urls = ['https://a.example/1', 'https://a.example/2'];
+
+    const results = await new BatchScheduler({ concurrency: 1, deadline: 20 }).run(urls, trackedWorker([], 50), {
+      onDeadline: (url) => ({ success: false, error: BatchScheduler.deadlineError(url, 20) })
+    });
+
+    expect(results[0]).toBe('https://a.example/1');
+    expect(results[1].error.code).toBe('deadline_exceeded');
+  });
+
+  test('rejects when a worker throws, so callers turn their errors into results', async () => {
+    const worker = async (url) => {
+      if (url.endsWith('/bad')) throw new Error('Worker crashed');
+      return url;
+    };
+
+    await expect(new BatchScheduler().run(['https://a.example/', 'https://a.example/bad'], worker))
+      .rejects.toThrow('Worker crashed');
+  });
+});
+
+describe('CrawlerService.crawlMultipleUrls', () => {
+  // A crawler whose crawlUrl is a fake task: "/fail" fails, "/throw" throws
+  const fakeCrawler = (options = {}) => {
+    const crawler = new CrawlerService({ politeness: { maxConcurrentPerHost: 1 }, ...options });
+    crawler.started = [];
+    crawler.running = 0;
+    crawler.maxRunning = 0;
+    crawler.crawlUrl = async (url) => {
+      crawler.started.push(url);
+      crawler.maxRunning = Math.max(crawler.maxRunning, ++crawler.running);
+      await sleep(5);
+      crawler.running--;
+      if (url.endsWith('/throw')) throw new Error('Browser disconnected');
+      if (url.endsWith('/fail')) return { success: false, error: { message: 'Navigation failed with status: 500', url } };
+      return { success: true, data: { url } };
+    };
+    return crawler;
+  };
+
+  test('reports a failing or throwing URL on its own and finishes the others', async () => {
+    const crawler = fakeCrawler();
+    const urls = ['https://a.example/ok', 'https://b.example/fail', 'https://c.example/throw', 'https://d.example/ok'];
+
+    const batch = await crawler.crawlMultipleUrls(urls, { concurrent: 2 });
+
+    expect(batch.results.map(result => result.success)).toEqual([true, false, false, true]);
+    expect(batch.results[2].error).toMatchObject({ message: 'Browser disconnected', url: 'https://c.example/throw' });
+    expect(batch.summary).toMatchObject({ total: 4, successful: 2, failed: 2 });
+  });
+
+  test('hands every result to onResult as it finishes and keeps what it returns', async () => {
+    const crawler = fakeCrawler();
+    const seen = [];
+
+    const batch = await crawler.crawlMultipleUrls(['https://a.example/1', 'https://a.example/2'], { concurrent: 2 }, {
+      onResult: (result, index) => {
+        seen.push(index);
+        return { ...result, tracked: true };
+      }
+    });
+
+    expect(seen).toEqual([0, 1]);
+    expect(batch.results.every(result => result.tracked)).toBe(true);
+    // maxConcurrentPerHost 1 runs the two a.example URLs one after another
+    expect(crawler.started).toEqual(['https://a.example/1', 'https://a.example/2']);
+    expect(crawler.maxRunning).toBe(1);
+  });
+});
@@ -0,0 +1,147 @@
+const BrowserPool = require('../src/core/browser-pool');
+const { stubLaunchers } = require('./helpers/fake-browser');
+
+// Stands in for a launched Playwright browser
+const fakeBrowser = () => ({
+  closed: false,
+  close: async function () { this.closed = true; },
+  isConnected: () => true,
+  browserType: () => ({ name: () => 'chromium' })
+});
+
+describe('BrowserPool dedicated browsers', () => {
+  let pool;
+  let launches;
+
+  beforeEach(() => {
+    pool = new BrowserPool({ poolSize: 1, maxDedicatedBrowsers: 2 });
+    launches = [];
+    pool.createBrowser = async (type, launchOptions) => {
+      launches.push(launchOptions);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      return fakeBrowser();
+    };
+  });
+
+  test('launches a browser with the requested headless and slowMo', async () => {
+    const browser = await pool.getBrowser({ headless: false, slowMo: 50 });
+
+    expect(launches).toEqual([{ headless: false, slowMo: 50 }]);
+    expect(pool.getStats()).toMatchObject({ dedicatedBrowsers: 1, maxDedicatedBrowsers: 2, dedicatedLaunches: 1 });
+
+    pool.releaseBrowser(browser);
+    expect(browser.closed).toBe(true);
+    expect(pool.getStats().dedicatedBrowsers).toBe(0);
+  });
+
+  test('refuses launches over the limit, counting browsers that are still starting', async () => {
+    const requests = [1, 2, 3].map(() => pool.getBrowser({ slowMo: 100 }));
+    const results = await Promise.allSettled(requests);
+
+    expect(results.map(result => result.status)).toEqual(['fulfilled', 'fulfilled', 'rejected']);
+    expect(results[2].reason.code).toBe('browser_limit_reached');
+    expect(launches).toHaveLength(2);
+    expect(pool.getStats().dedicatedRejected).toBe(1);
+
+    // A released browser frees its slot
+    pool.releaseBrowser(results[0].value);
+    await expect(pool.getBrowser({ slowMo: 100 })).resolves.toBeDefined();
+  });
+
+  test('a failed launch frees its slot', async () => {
+    pool.createBrowser = async () => {
+      throw new Error('Executable not found');
+    };
+
+    await expect(pool.getBrowser({ slowMo: 100 })).rejects.toThrow('Executable not found');
+    expect(pool.dedicatedLaunching).toBe(0);
+  });
+
+  test('maxDedicatedBrowsers 0 turns dedicated browsers off', async () => {
+    pool.maxDedicatedBrowsers = 0;
+
+    await expect(pool.getBrowser({ headless: false })).rejects.toMatchObject({ code: 'browser_limit_reached' });
+    expect(launches).toHaveLength(0);
+  });
+});
+
+describe('BrowserPool per-type pools', () => {
+  let launched;
+  let pool;
+
+  beforeEach(() => {
+    launched = stubLaunchers();
+    pool = new BrowserPool({ poolSize: 1, poolSizes: { firefox: 2, webkit: 0 }, timeout: 300 });
+  });
+
+  afterEach(async () => {
+    await pool.shutdown();
+  });
+
+  test('launches the default type at startup and the others on first use', async () => {
+    await pool.initialize();
+    expect(launched.map(browser => browser.type)).toEqual(['chromium']);
+
+    const firefox = await pool.getBrowser({ browserType: 'firefox' });
+
+    expect(firefox.type).toBe('firefox');
+    expect(launched.map(browser => browser.type)).toEqual(['chromium', 'firefox']);
+    // Only Chromium gets the container flags
+    expect(launched[0].launchOptions.args).toContain('--no-sandbox');
+    expect(launched[1].launchOptions).toEqual({ headless: true });
+  });
+
+  test('keeps the types apart: a busy type waits instead of borrowing another', async () => {
+    const chromium = await pool.getBrowser();
+    const firefox = await pool.getBrowser({ browserType: 'firefox' });
+    pool.releaseBrowser(firefox);
+
+    await expect(pool.getBrowser()).rejects.toThrow('Timeout waiting for available chromium browser');
+    expect(pool.pools.firefox.available).toEqual([firefox]);
+
+    // Released browsers go back to their own pool, and the request that timed out no longer takes them
+    pool.releaseBrowser(chromium);
+    await new Promise(resolve => setTimeout(resolve, 150));
+    expect(pool.pools.chromium.available).toEqual([chromium]);
+    await expect(pool.getBrowser({ browserType: 'firefox' })).resolves.toBe(firefox);
+  });
+
+  test('launches no more browsers of a type than its pool size, counting launches in progress', async () => {
+    const requests = [1, 2, 3].map(() => pool.getBrowser({ browserType: 'firefox' }));
+    const [first, second] = await Promise.all(requests.slice(0, 2));
+
+    expect(launched.filter(browser => browser.type === 'firefox')).toHaveLength(2);
+    expect(first).not.toBe(second);
+
+    // The third request gets the first browser released
+    pool.releaseBrowser(second);
+    await expect(requests[2]).resolves.toBe(second);
+    expect(launched.filter(browser => browser.type === 'firefox')).toHaveLength(2);
+  });
+
+  test('refuses types that are turned off or unknown without launching', async () => {
+    await expect(pool.getBrowser({ browserType: 'webkit' })).rejects.toMatchObject({ code: 'browser_type_unavailable' });
+    await expect(pool.getBrowser({ browserType: 'opera' })).rejects.toThrow('Unknown browser type: opera');
+    expect(launched.filter(browser => browser.type !== 'chromium')).toHaveLength(0);
+  });
+
+  test('reports sizes, use and launch failures per type', async () => {
+    const firefox = await pool.getBrowser({ browserType: 'firefox' });
+    await pool.getBrowser();
+
+    const playwright = require('playwright');
+    const launch = playwright.firefox.launch;
+    playwright.firefox.launch = async () => {
+      throw new Error('Executable not found');
+    };
+    await expect(pool.getBrowser({ browserType: 'firefox' })).rejects.toThrow('Failed to launch firefox: Executable not found');
+    playwright.firefox.launch = launch;
+
+    pool.releaseBrowser(firefox);
+    const { types } = pool.getStats();
+
+    expect(types.chromium).toMatchObject({ poolSize: 1, browsers: 1, available: 0, busy: 1, requests: 1, launches: 1 });
+    expect(types.firefox).toMatchObject({ poolSize: 2, browsers: 1, available: 1, busy: 0, requests: 1, launches: 1, launchFailures: 1 });
+    expect(types.webkit).toMatchObject({ poolSize: 0, browsers: 0, requests: 0, launches: 0 });
+  });
+});
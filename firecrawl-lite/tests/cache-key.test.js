@@ -0,0 +1,117 @@
+const CacheService = require('../src/services/cache.service');
+
+const page = (markdown) => ({ success: true, data: { markdown, metadata: {} } });
+
+describe('CacheService.buildKey', () => {
+  const cache = new CacheService({ driver: 'memory' });
+
+  afterAll(() => cache.shutdown());
+
+  test('ignores option order', () => {
+    expect(cache.buildKey('local', 'https://example.com', { format: 'markdown', includeImages: false }))
+      .toBe(cache.buildKey('local', 'https://example.com', { includeImages: false, format: 'markdown' }));
+  });
+
+  test('treats trivially different spellings of a URL as the same page', () => {
+    const key = cache.buildKey('local', 'https://example.com/docs');
+
+    expect(cache.buildKey('local', 'https://EXAMPLE.com:443/docs/')).toBe(key);
+    expect(cache.buildKey('local', 'https://example.com/docs#intro')).toBe(key);
+    expect(cache.buildKey('local', 'https://example.com/docs?utm_source=feed')).toBe(key);
+  });
+
+  test('leaves options that do not change the content out of the key', () => {
+    const key = cache.buildKey('local', 'https://example.com', { format: 'markdown' });
+
+    expect(cache.buildKey('local', 'https://example.com', {
+      format: 'markdown',
+      timeout: 5000,
+      maxAge: 1000,
+      bypassCache: true,
+      saveToFile: true,
+      webhook: { url: 'https://hooks.example.com' }
+    })).toBe(key);
+  });
+
+  test('separates providers, URLs and output options', () => {
+    const key = cache.buildKey('local', 'https://example.com', { format: 'markdown' });
+
+    expect(cache.buildKey('firecrawl', 'https://example.com', { format: 'markdown' })).not.toBe(key);
+    expect(cache.buildKey('local', 'https://example.org', { format: 'markdown' })).not.toBe(key);
+    expect(cache.buildKey('local', 'https://example.com', { format: 'html' })).not.toBe(key);
+    expect(cache.buildKey('local', 'https://example.com', { format: 'markdown', browser: { locale: 'de-DE' } })).not.toBe(key);
+  });
+
+  test('keeps the provider and URL hash as separate segments for purging', () => {
+    const html = cache.buildKey('markitdown', 'https://example.com', { format: 'html' }).split(':');
+    const markdown = cache.buildKey('markitdown', 'https://example.com', { format: 'markdown' }).split(':');
+
+    expect(html.slice(0, 3)).toEqual(['firecrawl-lite', 'cache', 'markitdown']);
+    expect(html[3]).toBe(markdown[3]);
+    expect(html[4]).not.toBe(markdown[4]);
+  });
+});
+
+describe('CacheService.wrap', () => {
+  let cache;
+
+  beforeEach(() => {
+    cache = new CacheService({ driver: 'memory' });
+  });
+
+  afterEach(() => cache.shutdown());
+
+  test('serves the second request from the cache', async () => {
+    const fetch = jest.fn(async () => page('# Hello'));
+
+    const first = await cache.wrap('local', 'https://example.com', {}, fetch);
+    const second = await cache.wrap('local', 'https://example.com', {}, fetch);
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(first.data.metadata.cache.hit).toBe(false);
+    expect(second.data.metadata.cache.hit).toBe(true);
+    expect(second.data.markdown).toBe('# Hello');
+  });
+
+  test('bypassCache fetches again and refreshes the entry', async () => {
+    await cache.wrap('local', 'https://example.com', {}, async () => page('old'));
+    const bypassed = await cache.wrap('local', 'https://example.com', { bypassCache: true }, async () => page('new'));
+    const cached = await cache.wrap('local', 'https://example.com', {}, async () => page('unused'));
+
+    expect(bypassed.data.markdown).toBe('new');
+    expect(cached.data.markdown).toBe('new');
+  });
+
+  test('maxAge refuses entries older than it', async () => {
+    const now = jest.spyOn(Date, 'now');
+    now.mockReturnValue(1000000);
+    await cache.wrap('local', 'https://example.com', {}, async () => page('old'));
+
+    now.mockReturnValue(1000000 + 5000);
+    const fresh = await cache.wrap('local', 'https://example.com', { maxAge: 10000 }, async () => page('unused'));
+    const refetched = await cache.wrap('local', 'https://example.com', { maxAge: 1000 }, async () => page('new'));
+    now.mockRestore();
+
+    expect(fresh.data.markdown).toBe('old');
+    expect(refetched.data.markdown).toBe('new');
+  });
+
+  test('does not cache failures', async () => {
+    const fetch = jest.fn(async () => ({ success: false, error: { message: 'timeout' } }));
+
+    await cache.wrap('local', 'https://example.com', {}, fetch);
+    await cache.wrap('local', 'https://example.com', {}, fetch);
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('purges by provider', async () => {
+    await cache.wrap('local', 'https://example.com', {}, async () => page('local'));
+    await cache.wrap('firecrawl', 'https://example.com', {}, async () => page('firecrawl'));
+
+    expect(await cache.purge({ provider: 'local' })).toBe(1);
+    const fetch = jest.fn(async () => page('again'));
+    await cache.wrap('firecrawl', 'https://example.com', {}, fetch);
+    expect(fetch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,47 @@
+const CrawlerService = require('../src/services/crawler.service');
+
+// A page stand-in that records the options page.pdf() was called with
+const fakePage = () => {
+  const page = {
+    pdfOptions: null,
+    pdf: async (options) => {
+      page.pdfOptions = options;
+      return Buffer.from('%PDF-1.4');
+    }
+  };
+  return page;
+};
+
+describe('CrawlerService.capturePdf', () => {
+  const crawler = Object.create(CrawlerService.prototype);
+
+  test('passes only the print settings to page.pdf()', async () => {
+    const page = fakePage();
+
+    const pdf = await crawler.capturePdf(page, {
+      path: '/tmp/written-by-request.pdf',
+      format: 'Letter',
+      scale: 0.5,
+      margin: { top: '1cm' },
+      headerTemplate: '<script></script>'
+    });
+
+    expect(page.pdfOptions).toEqual({
+      format: 'Letter',
+      landscape: false,
+      printBackground: true,
+      scale: 0.5,
+      margin: { top: '1cm' }
+    });
+    expect(pdf.mimeType).toBe('application/pdf');
+    expect(Buffer.from(pdf.data, 'base64').toString()).toBe('%PDF-1.4');
+  });
+
+  test('uses A4 portrait with backgrounds for pdf: true', async () => {
+    const page = fakePage();
+
+    await crawler.capturePdf(page, true);
+
+    expect(page.pdfOptions).toEqual({ format: 'A4', landscape: false, printBackground: true });
+  });
+});
@@ -0,0 +1,116 @@
+process.env.CACHE_ENABLED = 'false';
+
+const express = require('express');
+const request = require('supertest');
+const { stubLaunchers } = require('./helpers/fake-browser');
+const { article, crawlerConfig } = require('./helpers/local-site');
+const convertRouter = require('../src/routes/convert');
+const { shutdownCrawlerService, shutdownCacheService } = require('../src/services/registry');
+
+const MAX_UPLOAD_SIZE = 50 * 1024 * 1024;
+const CSV = 'fruit,quantity\nApple,3\nPear,5\n';
+
+describe('POST /api/convert', () => {
+  let app;
+
+  beforeAll(() => {
+    stubLaunchers();
+
+    // Like the app, without a JSON parser in front of the route
+    app = express();
+    app.locals.config = crawlerConfig;
+    app.use('/api/convert', convertRouter);
+  });
+
+  afterAll(async () => {
+    await shutdownCrawlerService();
+    await shutdownCacheService();
+  });
+
+  test('converts a multipart upload with JSON encoded options', async () => {
+    const response = await request(app)
+      .post('/api/convert')
+      .field('options', JSON.stringify({ formats: ['markdown'] }))
+      .attach('file', Buffer.from(CSV), { filename: 'fruit.csv', contentType: 'text/csv' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.markdown).toMatch(/\| fruit \| quantity \|/);
+    expect(response.body.data.markdown).toMatch(/\| Apple \| 3 \|/);
+    expect(response.body.data.filename).toBe('fruit.csv');
+    expect(response.body.data.metadata.documentType).toBe('csv');
+
+    const invalid = await request(app)
+      .post('/api/convert')
+      .field('options', JSON.stringify({ formats: ['pdf'] }))
+      .attach('file', Buffer.from(CSV), 'fruit.csv');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.error.details[0].field).toBe('options.formats.0');
+  });
+
+  test('converts a base64 file in a JSON body', async () => {
+    const response = await request(app)
+      .post('/api/convert')
+      .send({ file: { data: Buffer.from(CSV).toString('base64'), filename: 'fruit.csv' } });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.markdown).toMatch(/\| Pear \| 5 \|/);
+  });
+
+  test('converts raw HTML, resolving links against the url in the query string', async () => {
+    const response = await request(app)
+      .post('/api/convert')
+      .query({ url: 'https://example.com/docs/guide', options: JSON.stringify({ formats: ['markdown', 'links'] }) })
+      .set('Content-Type', 'text/html')
+      .send(article('Guide', ['next']));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.title).toBe('Guide');
+    expect(response.body.data.markdown).toContain('installing the crawler');
+    expect(response.body.data.links).toContain('https://example.com/docs/next');
+  });
+
+  test('returns the markdown itself for Accept: text/markdown', async () => {
+    const response = await request(app)
+      .post('/api/convert')
+      .set('Accept', 'text/markdown')
+      .send({ html: article('Guide') });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/markdown; charset=utf-8');
+    expect(response.headers['x-title']).toBe('Guide');
+    expect(response.text).toContain('installing the crawler');
+  });
+
+  test('rejects a body with both html and a file', async () => {
+    const response = await request(app)
+      .post('/api/convert')
+      .send({ html: '<p>Hi</p>', file: { data: 'aGk=' } });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('answers 413 for a multipart upload over 50MB', async () => {
+    const response = await request(app)
+      .post('/api/convert')
+      .attach('file', Buffer.alloc(MAX_UPLOAD_SIZE + 1), 'large.csv');
+
+    expect(response.status).toBe(413);
+    expect(response.body.error.message).toBe('File too large');
+  });
+
+  test('answers 413 for a base64 file that decodes to more than 50MB', async () => {
+    // Fits the JSON body limit, which leaves room for the rest of the body
+    const data = Buffer.alloc(MAX_UPLOAD_SIZE + 1).toString('base64');
+
+    const response = await request(app)
+      .post('/api/convert')
+      .set('Content-Type', 'application/json')
+      .send(`{"file":{"data":"${data}","filename":"large.csv"}}`);
+
+    expect(response.status).toBe(413);
+    expect(response.body.error).toEqual({
+      message: 'File too large',
+      details: `The base64 file decodes to more than ${MAX_UPLOAD_SIZE} bytes`
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const http = require('http');
+const { stubLaunchers } = require('./helpers/fake-browser');
+const CrawlerService = require('../src/services/crawler.service');
+const NetworkPolicy = require('../src/core/network-policy');
+
+const ARTICLE = `<html><head><title>Guide</title></head><body><main><article>
+<h1>Getting started</h1>
+<p>This guide walks through installing the crawler and running a first scrape against a local page.</p>
+<p>It covers the options for formats, wait conditions and link discovery in a few short steps.</p>
+<a href="/next">Next</a>
+</article></main></body></html>`;
+
+describe('CrawlerService rendering', () => {
+  let server;
+  let baseUrl;
+  let browsers;
+  let crawler;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(ARTICLE);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    browsers = stubLaunchers();
+    crawler = new CrawlerService({
+      browser: { poolSize: 1 },
+      extraction: { waitTime: 0, scrollToBottom: false, waitForContentSelectors: false },
+      politeness: { respectRobots: false },
+      networkPolicy: new NetworkPolicy({ allowCidrs: ['127.0.0.1'] })
+    });
+    await crawler.initialize();
+  });
+
+  afterAll(async () => {
+    await crawler.shutdown();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('renders a page with no options', async () => {
+    const result = await crawler.crawlUrl(`${baseUrl}/guide`);
+
+    expect(result.success).toBe(true);
+    expect(result.data.title).toBe('Guide');
+    expect(result.data.markdown).toContain('installing the crawler');
+    expect(browsers[0].navigations.pop()).toEqual({ url: `${baseUrl}/guide`, waitUntil: 'networkidle' });
+  });
+
+  test.each([
+    ['networkidle0', 'networkidle'],
+    ['networkidle2', 'networkidle'],
+    ['domcontentloaded', 'domcontentloaded'],
+    [['networkidle0', 'domcontentloaded'], 'networkidle'],
+    [['load', 'domcontentloaded'], 'load']
+  ])('navigates with waitUntil %j as %s', async (waitUntil, expected) => {
+    const result = await crawler.crawlUrl(`${baseUrl}/guide`, { waitUntil });
+
+    expect(result.success).toBe(true);
+    expect(browsers[0].navigations.pop().waitUntil).toBe(expected);
+  });
+
+  test('crawls a site with the default options', async () => {
+    const result = await crawler.crawlWebsite(`${baseUrl}/guide`, { limit: 2, maxDepth: 1 });
+
+    expect(result.success).toBe(true);
+    expect(result.data.pages.map(page => page.url)).toEqual([`${baseUrl}/guide`, `${baseUrl}/next`]);
+  });
+});
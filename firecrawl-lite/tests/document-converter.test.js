@@ -0,0 +1,88 @@
+const JSZip = require('jszip');
+const DocumentConverter = require('../src/core/document-converter');
+
+// A workbook with one sheet whose sheetData is given as XML
+const buildXlsx = (sheetData, sharedStrings = []) => {
+  const zip = new JSZip();
+  zip.file('xl/workbook.xml', '<workbook xmlns:r="r"><sheets><sheet name="Prices" r:id="rId1"/></sheets></workbook>');
+  zip.file('xl/_rels/workbook.xml.rels', '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>');
+  zip.file('xl/sharedStrings.xml', `<sst>${sharedStrings.map(text => `<si><t>${text}</t></si>`).join('')}</sst>`);
+  zip.file('xl/worksheets/sheet1.xml', `<worksheet><sheetData>${sheetData}</sheetData></worksheet>`);
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+// Overwrite the uncompressed size of one central directory entry, as a zip bomb would
+const forgeSize = (buffer, name, size) => {
+  const forged = Buffer.from(buffer);
+  for (let offset = forged.indexOf('PK\x01\x02'); offset > -1; offset = forged.indexOf('PK\x01\x02', offset + 4)) {
+    const nameLength = forged.readUInt16LE(offset + 28);
+    if (forged.toString('utf8', offset + 46, offset + 46 + nameLength) === name) {
+      forged.writeUInt32LE(size, offset + 24);
+    }
+  }
+  return forged;
+};
+
+describe('DocumentConverter', () => {
+  const converter = new DocumentConverter();
+
+  test('converts CSV with quoted fields', async () => {
+    const result = await converter.convert(Buffer.from('name,price\n"Widget, large",12\nGadget,3\n'), 'csv');
+
+    expect(result.markdown).toBe('| name | price |\n| --- | --- |\n| Widget, large | 12 |\n| Gadget | 3 |');
+    expect(result.metadata.rows).toBe(3);
+  });
+
+  test('converts an XLSX sheet with shared strings into a table', async () => {
+    const buffer = await buildXlsx(
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c></row>' +
+      '<row r="2"><c r="A2" t="s"><v>2</v></c><c r="B2"><v>12.5</v></c></row>',
+      ['Item', 'Price', 'Widget']
+    );
+
+    const result = await converter.convert(buffer, 'xlsx');
+
+    expect(result.markdown).toBe('## Prices\n\n| Item | Price |\n| --- | --- |\n| Widget | 12.5 |');
+    expect(result.metadata.sheets).toEqual(['Prices']);
+  });
+
+  test('keeps a far-away cell sparse instead of filling the columns up to it', async () => {
+    const buffer = await buildXlsx(
+      '<row r="1"><c r="A1" t="inlineStr"><is><t>first</t></is></c></row>' +
+      '<row r="1048576"><c r="XFD1048576" t="inlineStr"><is><t>last</t></is></c></row>'
+    );
+
+    const result = await converter.convert(buffer, 'xlsx');
+
+    expect(result.markdown).toBe('## Prices\n\n| first |  |\n| --- | --- |\n|  | last |');
+  });
+
+  test('caps the number of columns', async () => {
+    const limited = new DocumentConverter({ maxColumns: 2 });
+    const buffer = await buildXlsx('<row r="1"><c r="A1"><v>1</v></c><c r="C1"><v>2</v></c><c r="E1"><v>3</v></c></row>');
+
+    const result = await limited.convert(buffer, 'xlsx');
+
+    expect(result.markdown).toBe('## Prices\n\n| 1 | 2 |\n| --- | --- |');
+  });
+
+  test('refuses a zip that inflates beyond the limit', async () => {
+    const limited = new DocumentConverter({ maxUncompressedSize: 64 * 1024 });
+    const buffer = await buildXlsx(`<row r="1"><c r="A1"><v>${'0'.repeat(200 * 1024)}</v></c></row>`);
+
+    await expect(limited.convert(buffer, 'xlsx')).rejects.toThrow('Document is too large when uncompressed');
+  });
+
+  test('stops inflating a zip whose directory understates the sizes', async () => {
+    const limited = new DocumentConverter({ maxUncompressedSize: 64 * 1024 });
+    const buffer = forgeSize(await buildXlsx(`<row r="1"><c r="A1"><v>${'0'.repeat(200 * 1024)}</v></c></row>`), 'xl/worksheets/sheet1.xml', 100);
+
+    await expect(limited.convert(buffer, 'xlsx')).rejects.toThrow('Document is too large when uncompressed');
+  });
+
+  test('detects the type from the content type or the extension', () => {
+    expect(converter.detectType('application/pdf; charset=binary', 'https://example.com/file')).toBe('pdf');
+    expect(converter.detectType('application/octet-stream', 'https://example.com/report.xlsx?download=1')).toBe('xlsx');
+    expect(converter.detectType('text/html', 'https://example.com/report.pdf')).toBeNull();
+  });
+});
@@ -0,0 +1,146 @@
+// Local test pages are served from 127.0.0.1, which the network policy refuses by default
+process.env.NETWORK_ALLOW_CIDRS = '127.0.0.1';
+process.env.CACHE_ENABLED = 'false';
+
+const EventEmitter = require('events');
+const http = require('http');
+const express = require('express');
+const { stubLaunchers } = require('./helpers/fake-browser');
+const { startSite, article, crawlerConfig } = require('./helpers/local-site');
+const { BatchEventStream } = require('../src/utils/event-stream');
+const { router } = require('../src/routes/extract');
+const { shutdownCrawlerService, shutdownCacheService } = require('../src/services/registry');
+
+// Stands in for an Express response, keeping what was written
+const fakeResponse = () => {
+  const res = new EventEmitter();
+  res.chunks = [];
+  res.ended = false;
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.set = (headers) => { res.headers = headers; return res; };
+  res.flushHeaders = () => {};
+  res.write = (chunk) => { res.chunks.push(chunk); };
+  res.end = () => { res.ended = true; };
+  return res;
+};
+
+describe('BatchEventStream', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('frames each event with an id, its name and JSON data', () => {
+    const res = fakeResponse();
+    const stream = new BatchEventStream(res, 2);
+
+    stream.start({ urls: ['https://a.example', 'https://b.example'] });
+    stream.page(0, 'https://a.example', { success: true, data: { title: 'A' } });
+    stream.page(1, 'https://b.example', { success: false, error: { message: 'Timeout' } });
+    stream.complete({ summary: { total: 2 } });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('text/event-stream; charset=utf-8');
+    expect(res.chunks).toEqual([
+      'id: 1\nevent: started\ndata: {"total":2,"urls":["https://a.example","https://b.example"]}\n\n',
+      'id: 2\nevent: page\ndata: {"index":0,"url":"https://a.example","result":{"success":true,"data":{"title":"A"}}}\n\n',
+      'id: 3\nevent: progress\ndata: {"completed":1,"successful":1,"failed":0,"total":2}\n\n',
+      'id: 4\nevent: page\ndata: {"index":1,"url":"https://b.example","result":{"success":false,"error":{"message":"Timeout"}}}\n\n',
+      'id: 5\nevent: progress\ndata: {"completed":2,"successful":1,"failed":1,"total":2}\n\n',
+      'id: 6\nevent: completed\ndata: {"summary":{"total":2}}\n\n'
+    ]);
+    expect(res.ended).toBe(true);
+  });
+
+  test('sends a heartbeat comment every 15 seconds until the stream ends', () => {
+    jest.useFakeTimers();
+    const res = fakeResponse();
+    const stream = new BatchEventStream(res, 1);
+
+    jest.advanceTimersByTime(30000);
+    expect(res.chunks).toEqual([': heartbeat\n\n', ': heartbeat\n\n']);
+
+    stream.fail(new Error('Browser crashed'));
+    jest.advanceTimersByTime(30000);
+    expect(res.chunks.slice(2)).toEqual(['id: 1\nevent: failed\ndata: {"error":"Browser crashed"}\n\n']);
+  });
+
+  test('aborts its signal and drops later events when the client disconnects', () => {
+    jest.useFakeTimers();
+    const res = fakeResponse();
+    const stream = new BatchEventStream(res, 2);
+
+    res.emit('close');
+    stream.page(0, 'https://a.example', { success: true, data: {} });
+    jest.advanceTimersByTime(30000);
+
+    expect(stream.signal.aborted).toBe(true);
+    expect(res.chunks).toEqual([]);
+  });
+
+  test('does not abort when the connection closes after the stream ended', () => {
+    const res = fakeResponse();
+    const stream = new BatchEventStream(res, 0);
+
+    stream.complete({});
+    res.emit('close');
+
+    expect(stream.signal.aborted).toBe(false);
+  });
+});
+
+describe('POST /api/batch/stream', () => {
+  let site;
+  let server;
+
+  beforeAll(async () => {
+    stubLaunchers();
+    const slow = (title) => ({ body: article(title), delay: 150 });
+    site = await startSite({ '/1': slow('One'), '/2': slow('Two'), '/3': slow('Three'), '/4': slow('Four') });
+
+    const app = express();
+    app.use(express.json());
+    app.locals.config = crawlerConfig;
+    app.use('/api', router);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+  });
+
+  afterAll(async () => {
+    await shutdownCrawlerService();
+    await shutdownCacheService();
+    await site.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('stops starting URLs once the client disconnects', async () => {
+    const body = JSON.stringify({
+      urls: ['/1', '/2', '/3', '/4'].map(path => `${site.baseUrl}${path}`),
+      options: { concurrent: 1 }
+    });
+
+    // Hang up as soon as the first page event arrives
+    await new Promise((resolve, reject) => {
+      const req = http.request({
+        host: '127.0.0.1',
+        port: server.address().port,
+        path: '/api/batch/stream',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' }
+      }, (res) => {
+        res.on('data', (chunk) => {
+          if (chunk.toString().includes('event: page')) {
+            req.destroy();
+            resolve();
+          }
+        });
+      });
+      req.on('error', (error) => error.code !== 'ECONNRESET' && reject(error));
+      req.end(body);
+    });
+
+    // Long enough for all four pages, had the batch kept going
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    expect(site.requests.length).toBeLessThanOrEqual(2);
+  });
+});
@@ -0,0 +1,221 @@
+// Local test pages are served from 127.0.0.1, which the network policy refuses by default
+process.env.NETWORK_ALLOW_CIDRS = '127.0.0.1';
+process.env.CACHE_ENABLED = 'false';
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { stubLaunchers } = require('./helpers/fake-browser');
+const { startSite, article, crawlerConfig } = require('./helpers/local-site');
+const { router, createSafeFilename } = require('../src/routes/extract');
+const { shutdownCrawlerService, shutdownCacheService } = require('../src/services/registry');
+
+const PRODUCT = `<html><head><title>Widget</title></head><body><main><article>
+<h1>Widget</h1>
+<p class="price">Price: $12.50</p>
+<p>The widget is a small tool for fastening things together in a workshop or at home.</p>
+<p>It comes in three sizes and ships with a two year warranty from the manufacturer.</p>
+<ul class="tags"><li>tools</li><li>hardware</li></ul>
+</article></main></body></html>`;
+
+// Stub of an OpenAI-compatible server answering every completion with the same JSON
+const startLLM = async (content) => {
+  const llm = { requests: [] };
+
+  llm.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      llm.requests.push(JSON.parse(body));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        model: 'stub-model',
+        choices: [{ message: { role: 'assistant', content } }],
+        usage: { prompt_tokens: 10, completion_tokens: 5 }
+      }));
+    });
+  });
+
+  await new Promise(resolve => llm.server.listen(0, '127.0.0.1', resolve));
+  llm.baseUrl = `http://127.0.0.1:${llm.server.address().port}/v1`;
+  return llm;
+};
+
+describe('createSafeFilename', () => {
+  test('gives pages that differ only in the query string their own names', () => {
+    const first = createSafeFilename('https://example.com/products?page=1', 'Products');
+    const second = createSafeFilename('https://example.com/products?page=2', 'Products');
+
+    expect(first).toMatch(/^Products_example_com_products_[0-9a-f]{8}$/);
+    expect(second).not.toBe(first);
+    expect(createSafeFilename('https://example.com/products?page=1', 'Products')).toBe(first);
+  });
+
+  test('names untitled pages after the host and path', () => {
+    expect(createSafeFilename('https://docs.example.com/guide/')).toMatch(/^docs_example_com_guide_[0-9a-f]{8}$/);
+  });
+});
+
+describe('extract routes with a rendered page', () => {
+  let site;
+  let llm;
+  let app;
+
+  beforeAll(async () => {
+    stubLaunchers();
+    site = await startSite({
+      '/widget': PRODUCT,
+      '/feed': article('Feed').replace('</article>', '<input id="q"><button id="load">More</button><p id="more"></p></article>'),
+      '/guide': article('Guide', ['/next']).replace('<main>', '<nav><a href="/menu">Menu</a></nav><script>var tracking = 1;</script><main>'),
+      '/': article('Home', ['/docs', '/blog?page=2', 'https://elsewhere.example/']),
+      '/sitemap.xml': {
+        type: 'application/xml',
+        body: '<?xml version="1.0"?><urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"></urlset>'
+      }
+    });
+    llm = await startLLM('{"name": "Widget", "price": 12.5}');
+
+    app = express();
+    app.use(express.json());
+    app.locals.config = { ...crawlerConfig, llm: { baseUrl: llm.baseUrl, model: 'llama3.1' } };
+    app.use('/api', router);
+  });
+
+  afterAll(async () => {
+    await shutdownCrawlerService();
+    await shutdownCacheService();
+    await site.close();
+    await new Promise(resolve => llm.server.close(resolve));
+  });
+
+  test('POST /api/extract/structured reads the schema fields from the page', async () => {
+    const response = await request(app).post('/api/extract/structured').send({
+      url: `${site.baseUrl}/widget`,
+      schema: {
+        fields: {
+          name: { selector: 'h1' },
+          price: { selector: '.price', regex: '\\$([\\d.]+)', type: 'number', required: true },
+          tags: { selector: '.tags li', list: true }
+        }
+      }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.data).toEqual({ name: 'Widget', price: 12.5, tags: ['tools', 'hardware'] });
+    expect(response.body.data.validation).toEqual({ valid: true, errors: [] });
+  });
+
+  test('POST /api/extract runs the LLM extraction on the page markdown', async () => {
+    const response = await request(app).post('/api/extract').send({
+      url: `${site.baseUrl}/widget`,
+      options: {
+        formats: ['extract'],
+        extract: { prompt: 'Extract the product name and price' }
+      }
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.extract).toEqual({ name: 'Widget', price: 12.5 });
+    expect(response.body.data.markdown).toBeUndefined();
+    expect(llm.requests[0].messages[1].content).toContain('two year warranty');
+  });
+
+  test('POST /api/extract returns every requested format, and the legacy format option one of them', async () => {
+    const response = await request(app).post('/api/extract').send({
+      url: `${site.baseUrl}/guide`,
+      options: { formats: ['markdown', 'html', 'rawHtml', 'text', 'links'] }
+    });
+
+    expect(response.status).toBe(200);
+    const { data } = response.body;
+    expect(data.metadata.formats).toEqual(['markdown', 'html', 'rawHtml', 'text', 'links']);
+    expect(data.markdown).toContain(`[/next](${site.baseUrl}/next)`);
+    // html is the cleaned main content, rawHtml the page as loaded
+    expect(data.html).toContain('installing the crawler');
+    expect(data.html).not.toContain('tracking');
+    expect(data.rawHtml).toContain('<script>var tracking = 1;</script>');
+    expect(data.text).toContain('Guide walks through installing the crawler');
+    expect(data.text).not.toContain('<');
+    expect(data.links).toEqual(expect.arrayContaining([`${site.baseUrl}/next`]));
+
+    const legacy = await request(app).post('/api/extract').send({ url: `${site.baseUrl}/guide`, options: { format: 'html' } });
+    expect(legacy.body.data.html).toContain('installing the crawler');
+    expect(legacy.body.data.markdown).toBeUndefined();
+    expect(legacy.body.data.metadata.formats).toEqual(['html']);
+  });
+
+  test('POST /api/extract runs the page actions in order before extracting', async () => {
+    // The fake browser runs no page scripts, so the first action adds the button's handler
+    const response = await request(app).post('/api/extract').send({
+      url: `${site.baseUrl}/feed`,
+      options: {
+        actions: [
+          {
+            type: 'executeJavascript',
+            script: `document.querySelector('#load').addEventListener('click', () => {
+              document.querySelector('#more').textContent = 'Extra details loaded for ' + document.querySelector('#q').value;
+            });
+            return document.title;`
+          },
+          { type: 'type', selector: '#q', text: 'crawlers' },
+          { type: 'press', selector: '#q', key: 'Enter' },
+          { type: 'click', selector: '#load' },
+          { type: 'click', selector: '.cookie-banner', optional: true, timeout: 100 },
+          { type: 'waitForSelector', selector: '#more' },
+          { type: 'wait', milliseconds: 10 },
+          { type: 'screenshot' },
+          { type: 'executeJavascript', script: "return document.querySelector('#q').value" }
+        ]
+      }
+    });
+
+    expect(response.status).toBe(200);
+    const { actions, markdown } = response.body.data;
+    expect(actions.map(action => [action.type, action.success])).toEqual([
+      ['executeJavascript', true],
+      ['type', true],
+      ['press', true],
+      ['click', true],
+      ['click', false],
+      ['waitForSelector', true],
+      ['wait', true],
+      ['screenshot', true],
+      ['executeJavascript', true]
+    ]);
+    expect(actions[0].result).toEqual({ value: 'Feed' });
+    expect(actions[3].result).toEqual({ clicked: 1 });
+    expect(actions[4].error).toContain('.cookie-banner');
+    expect(actions[7].result).toMatchObject({ mimeType: 'image/png', fullPage: false, data: expect.any(String) });
+    expect(actions[8].result).toEqual({ value: 'crawlers' });
+    expect(markdown).toContain('Extra details loaded for crawlers');
+  });
+
+  test('POST /api/extract stops at a failing action and reports the steps so far', async () => {
+    const response = await request(app).post('/api/extract').send({
+      url: `${site.baseUrl}/feed`,
+      options: {
+        actions: [
+          { type: 'click', selector: '#load' },
+          { type: 'click', selector: '#missing', timeout: 100 },
+          { type: 'wait', milliseconds: 10 }
+        ]
+      }
+    });
+
+    expect(response.status).toBe(500);
+    expect(response.body.error.details).toMatch(/^Action 2 \(click\) failed: /);
+    expect(response.body.error.actions.map(action => action.success)).toEqual([true, false]);
+  });
+
+  test('POST /api/map discovers the links on the page itself', async () => {
+    const response = await request(app).post('/api/map').send({ url: `${site.baseUrl}/` });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.links).toEqual([
+      { url: `${site.baseUrl}/`, source: 'page' },
+      { url: `${site.baseUrl}/docs`, source: 'page' },
+      { url: `${site.baseUrl}/blog?page=2`, source: 'page' }
+    ]);
+    expect(response.body.data.summary.sources).toEqual({ sitemap: 0, page: 3 });
+  });
+});
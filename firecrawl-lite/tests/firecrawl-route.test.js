@@ -0,0 +1,132 @@
+// A stub Firecrawl API on 127.0.0.1 stands in for api.firecrawl.dev
+process.env.FIRECRAWL_API_KEY = 'fc-test-key';
+process.env.CACHE_ENABLED = 'false';
+
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const firecrawlRouter = require('../src/routes/firecrawl');
+const { shutdownCacheService } = require('../src/services/registry');
+
+// Answers the crawl endpoints of the Firecrawl v1 API and records what it was sent
+const startFirecrawl = async () => {
+  const api = { requests: [] };
+
+  api.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      api.requests.push({ method: req.method, url: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+
+      if (req.method === 'POST' && req.url === '/v1/crawl') {
+        return res.end(JSON.stringify({ success: true, id: 'crawl-1', url: `${api.url}/v1/crawl/crawl-1` }));
+      }
+
+      // One page per status request, with a next link until the second page
+      const skip = Number(new URL(req.url, api.url).searchParams.get('skip') || 0);
+      return res.end(JSON.stringify({
+        success: true,
+        status: 'completed',
+        total: 2,
+        completed: 2,
+        creditsUsed: 2,
+        expiresAt: '2030-01-01T00:00:00.000Z',
+        data: [{
+          markdown: `# Page ${skip + 1}\n\nInstalling the crawler`,
+          metadata: { sourceURL: `https://93.184.215.14/docs/${skip + 1}`, title: `Page ${skip + 1}`, statusCode: 200 }
+        }],
+        ...(skip === 0 && { next: `${api.url}/v1/crawl/crawl-1?skip=1` })
+      }));
+    });
+  });
+
+  await new Promise(resolve => api.server.listen(0, '127.0.0.1', resolve));
+  api.url = `http://127.0.0.1:${api.server.address().port}`;
+  api.close = () => new Promise(resolve => api.server.close(resolve));
+  return api;
+};
+
+describe('/api/firecrawl/crawl', () => {
+  let api;
+  let app;
+
+  beforeAll(async () => {
+    api = await startFirecrawl();
+    // Read when the Firecrawl service is created on the first request
+    process.env.FIRECRAWL_BASE_URL = api.url;
+
+    app = express();
+    app.use(express.json());
+    app.use('/api/firecrawl', firecrawlRouter);
+  });
+
+  afterAll(async () => {
+    await shutdownCacheService();
+    await api.close();
+  });
+
+  beforeEach(() => {
+    api.requests.length = 0;
+  });
+
+  test('starts a crawl with the mapped options and returns its status URL', async () => {
+    const response = await request(app).post('/api/firecrawl/crawl').send({
+      url: 'https://93.184.215.14/docs',
+      options: { limit: 5, includePaths: ['/docs/*'], maxDepth: 2 }
+    });
+
+    expect(response.status).toBe(202);
+    expect(response.body.data).toMatchObject({
+      id: 'crawl-1',
+      url: 'https://93.184.215.14/docs',
+      status: 'scraping',
+      statusUrl: '/api/firecrawl/crawl/crawl-1',
+      saveToFile: false
+    });
+
+    const [{ method, url, headers, body }] = api.requests;
+    expect([method, url]).toEqual(['POST', '/v1/crawl']);
+    expect(headers.authorization).toBe('Bearer fc-test-key');
+    expect(body).toMatchObject({
+      url: 'https://93.184.215.14/docs',
+      limit: 5,
+      includePaths: ['/docs/*'],
+      maxDepth: 2,
+      scrapeOptions: { formats: ['markdown'], onlyMainContent: true }
+    });
+  });
+
+  test('returns one page of results with the offset of the next', async () => {
+    const first = await request(app).get('/api/firecrawl/crawl/crawl-1').query({ skip: 0, limit: 1 });
+
+    expect(first.status).toBe(200);
+    expect(first.body.data).toMatchObject({ id: 'crawl-1', status: 'completed', total: 2, completed: 2, next: 1 });
+    expect(first.body.data.pages).toEqual([expect.objectContaining({
+      url: 'https://93.184.215.14/docs/1',
+      title: 'Page 1',
+      markdown: '# Page 1\n\nInstalling the crawler',
+      metadata: expect.objectContaining({ provider: 'firecrawl', statusCode: 200, wordCount: expect.any(Number) })
+    })]);
+    expect(api.requests[0].url).toBe('/v1/crawl/crawl-1?skip=0&limit=1');
+
+    const second = await request(app).get('/api/firecrawl/crawl/crawl-1').query({ skip: first.body.data.next, limit: 1 });
+    expect(second.body.data.pages[0].title).toBe('Page 2');
+    expect(second.body.data.next).toBeNull();
+  });
+
+  test('refuses URLs the network policy blocks without calling Firecrawl', async () => {
+    const response = await request(app).post('/api/firecrawl/crawl').send({ url: 'http://169.254.169.254/latest/' });
+
+    expect(response.status).toBe(403);
+    expect(response.body.error.code).toBe('url_blocked');
+    expect(api.requests).toHaveLength(0);
+  });
+
+  test('rejects invalid options', async () => {
+    const response = await request(app).post('/api/firecrawl/crawl').send({ url: 'https://93.184.215.14/', options: { limit: 0 } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('options.limit');
+  });
+});
@@ -0,0 +1,296 @@
+const axios = require('axios');
+const playwright = require('playwright');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+// The load states page.goto() accepts, with Playwright's error for anything else
+const LOAD_STATES = ['load', 'domcontentloaded', 'networkidle', 'commit'];
+
+// Stands in for a Playwright response
+class FakeResponse {
+  constructor(response) {
+    this.response = response;
+  }
+
+  status() {
+    return this.response.status;
+  }
+
+  ok() {
+    return this.response.status >= 200 && this.response.status < 300;
+  }
+
+  headers() {
+    return { ...this.response.headers.toJSON() };
+  }
+
+  async body() {
+    return Buffer.from(this.response.data);
+  }
+}
+
+// A PNG signature, which is all the fake screenshots contain
+const SCREENSHOT = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Stands in for a Playwright locator: the elements matching a selector in the
+// page's document, or the one at index. Actions fail like Playwright's when
+// nothing matches.
+class FakeLocator {
+  constructor(page, selector, index = null) {
+    this.page = page;
+    this.selector = selector;
+    this.index = index;
+  }
+
+  elements() {
+    const elements = [...this.page.dom.window.document.querySelectorAll(this.selector)];
+    return this.index === null ? elements : elements.slice(this.index, this.index + 1);
+  }
+
+  element({ timeout } = {}) {
+    const [element] = this.elements();
+    if (!element) {
+      throw new Error(`locator: Timeout ${timeout}ms exceeded waiting for locator('${this.selector}')`);
+    }
+    return element;
+  }
+
+  first() {
+    return new FakeLocator(this.page, this.selector, 0);
+  }
+
+  async all() {
+    return this.elements().map((element, index) => new FakeLocator(this.page, this.selector, index));
+  }
+
+  async count() {
+    return this.elements().length;
+  }
+
+  async click(options) {
+    this.element(options).click();
+  }
+
+  async fill(value, options) {
+    const element = this.element(options);
+    element.value = value;
+    element.dispatchEvent(new this.page.dom.window.Event('input', { bubbles: true }));
+  }
+
+  async pressSequentially(text, options) {
+    const element = this.element(options);
+    element.value += text;
+    element.dispatchEvent(new this.page.dom.window.Event('input', { bubbles: true }));
+  }
+
+  async press(key, options) {
+    const element = this.element(options);
+    element.focus();
+    await this.page.keyboard.press(key);
+  }
+
+  async screenshot() {
+    return SCREENSHOT;
+  }
+}
+
+// Stands in for a Playwright page: goto() fetches the URL over HTTP (through the
+// context's proxy, if any) and loads it into jsdom, without running the page's scripts
+class FakePage {
+  constructor(context) {
+    this.owner = context;
+    this.handlers = {};
+    this.load('<html><head></head><body></body></html>', 'about:blank');
+
+    // Key presses go to the focused element, or the body
+    this.keyboard = {
+      press: async (key) => {
+        const { document, KeyboardEvent } = this.dom.window;
+        (document.activeElement || document.body).dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+      }
+    };
+  }
+
+  load(html, url) {
+    this.dom = new JSDOM(html, { url, runScripts: 'outside-only', virtualConsole: new VirtualConsole() });
+  }
+
+  async goto(url, { waitUntil } = {}) {
+    if (waitUntil !== undefined && !LOAD_STATES.includes(waitUntil)) {
+      throw new Error(`page.goto: waitUntil: expected one of (${LOAD_STATES.join('|')})`);
+    }
+    this.owner.browser.navigations.push({ url, waitUntil });
+
+    const proxy = this.owner.options.proxy;
+    let response;
+    try {
+      response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        validateStatus: () => true,
+        headers: this.headers,
+        ...(proxy && { proxy: toAxiosProxy(proxy) })
+      });
+    } catch (error) {
+      throw new Error(`page.goto: ${proxy ? 'net::ERR_PROXY_CONNECTION_FAILED' : 'net::ERR_CONNECTION_REFUSED'} at ${url}`);
+    }
+
+    this.load(Buffer.from(response.data).toString('utf8'), response.request.res.responseUrl || url);
+    return new FakeResponse(response);
+  }
+
+  async evaluate(fn, arg) {
+    return this.dom.window.eval(`(${fn.toString()})(${arg === undefined ? '' : JSON.stringify(arg)})`);
+  }
+
+  async waitForFunction(fn, arg) {
+    if (!await this.evaluate(fn, arg)) {
+      throw new Error('page.waitForFunction: Timeout exceeded');
+    }
+  }
+
+  async waitForSelector(selector) {
+    if (!this.dom.window.document.querySelector(selector)) {
+      throw new Error(`page.waitForSelector: Timeout exceeded waiting for ${selector}`);
+    }
+  }
+
+  locator(selector) {
+    return new FakeLocator(this, selector);
+  }
+
+  async $(selector) {
+    return this.dom.window.document.querySelector(selector) ? new FakeLocator(this, selector, 0) : null;
+  }
+
+  async screenshot() {
+    return SCREENSHOT;
+  }
+
+  async setContent(html) {
+    this.load(html, 'about:blank');
+  }
+
+  async textContent(selector) {
+    const element = this.dom.window.document.querySelector(selector);
+    return element ? element.textContent : null;
+  }
+
+  async content() {
+    return this.dom.serialize();
+  }
+
+  async title() {
+    return this.dom.window.document.title;
+  }
+
+  url() {
+    return this.dom.window.location.href;
+  }
+
+  context() {
+    return this.owner;
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+  }
+
+  async setExtraHTTPHeaders(headers) {
+    this.headers = { ...this.headers, ...headers };
+  }
+
+  async waitForLoadState() {}
+
+  async waitForTimeout() {}
+
+  setDefaultTimeout() {}
+
+  async route() {}
+
+  async close() {
+    this.dom.window.close();
+  }
+}
+
+// Playwright's proxy settings ({ server, username, password }) for axios
+const toAxiosProxy = ({ server, username, password }) => {
+  const { protocol, hostname, port } = new URL(server);
+  return {
+    protocol: protocol.replace(':', ''),
+    host: hostname,
+    port: Number(port),
+    ...(username && { auth: { username, password } })
+  };
+};
+
+class FakeContext {
+  constructor(browser, options = {}) {
+    this.browser = browser;
+    this.options = options;
+  }
+
+  async newPage() {
+    return new FakePage(this);
+  }
+
+  async route() {}
+
+  async addCookies() {}
+
+  async storageState() {
+    return { cookies: [], origins: [] };
+  }
+
+  async close() {}
+}
+
+class FakeBrowser {
+  constructor(type, launchOptions) {
+    this.type = type;
+    this.launchOptions = launchOptions;
+    this.contexts = [];
+    this.navigations = [];
+    this.connected = true;
+  }
+
+  async newContext(options) {
+    const context = new FakeContext(this, options);
+    this.contexts.push(context);
+    return context;
+  }
+
+  browserType() {
+    return { name: () => this.type };
+  }
+
+  isConnected() {
+    return this.connected;
+  }
+
+  on() {}
+
+  async close() {
+    this.connected = false;
+  }
+}
+
+// Replaces the launch() of every Playwright browser type in this test file's
+// module registry; returns the launched fake browsers
+const stubLaunchers = () => {
+  const browsers = [];
+
+  ['chromium', 'firefox', 'webkit'].forEach(type => {
+    playwright[type].launch = async (launchOptions) => {
+      const browser = new FakeBrowser(type, launchOptions);
+      browsers.push(browser);
+      return browser;
+    };
+  });
+
+  return browsers;
+};
+
+module.exports = {
+  stubLaunchers,
+  FakeBrowser,
+  FakePage
+};
@@ -0,0 +1,50 @@
+const http = require('http');
+
+// Serves a small site on 127.0.0.1: pages maps a path (query string included,
+// if it matters) to its HTML or to { status, type, body, delay }; other paths are 404s
+const startSite = async (pages) => {
+  const site = { requests: [] };
+
+  site.server = http.createServer((req, res) => {
+    site.requests.push(req.url);
+    const page = pages[req.url] !== undefined ? pages[req.url] : pages[req.url.split('?')[0]];
+
+    if (page === undefined) {
+      res.writeHead(404, { 'Content-Type': 'text/html' });
+      res.end('<html><body>Not found</body></html>');
+      return;
+    }
+
+    const { status = 200, type = 'text/html', body, delay = 0 } = typeof page === 'string' ? { body: page } : page;
+    setTimeout(() => {
+      res.writeHead(status, { 'Content-Type': type });
+      res.end(body);
+    }, delay);
+  });
+
+  await new Promise(resolve => site.server.listen(0, '127.0.0.1', resolve));
+  site.baseUrl = `http://127.0.0.1:${site.server.address().port}`;
+  site.close = () => new Promise(resolve => site.server.close(resolve));
+  return site;
+};
+
+// An article Readability accepts, linking to the given paths
+const article = (title, links = []) => `<html><head><title>${title}</title></head><body><main><article>
+<h1>${title}</h1>
+<p>${title} walks through installing the crawler and running a first scrape against a local page.</p>
+<p>It covers the options for formats, wait conditions and link discovery in a few short steps.</p>
+${links.map(link => `<a href="${link}">${link}</a>`).join('\n')}
+</article></main></body></html>`;
+
+// Crawler settings for rendering local pages with the fake browser quickly
+const crawlerConfig = {
+  browser: { poolSize: 1 },
+  extraction: { waitTime: 1, scrollToBottom: false, waitForContentSelectors: false },
+  politeness: { respectRobots: false, defaultDelay: 0 }
+};
+
+module.exports = {
+  startSite,
+  article,
+  crawlerConfig
+};
@@ -0,0 +1,161 @@
+const { MemoryJobQueue, BullJobQueue } = require('../src/core/job-queue');
+
+// Resolves once the job has reached one of the given states
+const waitForState = async (queue, id, states) => {
+  for (let i = 0; i < 200; i++) {
+    const job = await queue.getJob(id);
+    if (states.includes(job.state)) return job;
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  throw new Error(`Job ${id} never reached ${states.join(' or ')}`);
+};
+
+describe('MemoryJobQueue', () => {
+  test('runs a job and keeps its per-item results and progress', async () => {
+    const queue = new MemoryJobQueue();
+    queue.process(async (job, context) => {
+      for (const [index, url] of job.data.urls.entries()) {
+        await context.saveResult(index, { success: true, url });
+        await context.updateProgress({ completed: index + 1 });
+      }
+      return { done: true };
+    });
+
+    const added = await queue.add({ urls: ['https://a.example', 'https://b.example'] });
+    expect(added.state).toBe('waiting');
+
+    const job = await waitForState(queue, added.id, ['completed']);
+    expect(job.result).toEqual({ done: true });
+    expect(job.results.map(result => result.url)).toEqual(['https://a.example', 'https://b.example']);
+    expect(job.progress).toEqual({ completed: 2 });
+    expect(job.startedAt).not.toBeNull();
+    expect(job.finishedAt).not.toBeNull();
+    await queue.close();
+  });
+
+  test('never runs more jobs at once than its concurrency', async () => {
+    const queue = new MemoryJobQueue({ concurrency: 2 });
+    let running = 0;
+    let maxRunning = 0;
+    queue.process(async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      running--;
+    });
+
+    const jobs = await Promise.all([1, 2, 3, 4, 5].map(n => queue.add({ n })));
+    await Promise.all(jobs.map(job => waitForState(queue, job.id, ['completed'])));
+    expect(maxRunning).toBe(2);
+    await queue.close();
+  });
+
+  test('records the error message of a failed job', async () => {
+    const queue = new MemoryJobQueue();
+    queue.process(async () => {
+      throw new Error('boom');
+    });
+
+    const { id } = await queue.add({});
+    const job = await waitForState(queue, id, ['failed']);
+    expect(job.error).toBe('boom');
+    await queue.close();
+  });
+
+  test('cancels a waiting job before it starts', async () => {
+    const queue = new MemoryJobQueue();
+    const started = [];
+    let release;
+    queue.process(async (job) => {
+      started.push(job.data.name);
+      if (job.data.name === 'first') {
+        await new Promise(resolve => { release = resolve; });
+      }
+    });
+
+    const first = await queue.add({ name: 'first' });
+    const second = await queue.add({ name: 'second' });
+    await waitForState(queue, first.id, ['active']);
+
+    const cancelled = await queue.cancel(second.id);
+    expect(cancelled.state).toBe('cancelled');
+
+    release();
+    await waitForState(queue, first.id, ['completed']);
+    expect(started).toEqual(['first']);
+    await queue.close();
+  });
+
+  test('asks an active job to stop and marks it cancelled when it returns', async () => {
+    const queue = new MemoryJobQueue();
+    queue.process(async (job, context) => {
+      while (!(await context.isCancelled())) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      return { cancelled: true };
+    });
+
+    const { id } = await queue.add({});
+    await waitForState(queue, id, ['active']);
+    await queue.cancel(id);
+
+    const job = await waitForState(queue, id, ['cancelled']);
+    expect(job.result).toEqual({ cancelled: true });
+    await queue.close();
+  });
+
+  test('forgets the oldest finished jobs beyond maxFinishedJobs', async () => {
+    const queue = new MemoryJobQueue({ maxFinishedJobs: 2 });
+    queue.process(async () => {});
+
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      const { id } = await queue.add({ i });
+      await waitForState(queue, id, ['completed']);
+      ids.push(id);
+    }
+
+    expect(await queue.getJob(ids[0])).toBeNull();
+    expect(await queue.getJob(ids[2])).not.toBeNull();
+    expect(await queue.cancel('missing')).toBeNull();
+    await queue.close();
+  });
+});
+
+// A BullJobQueue over a stand-in for Bull's queue and its Redis client, which
+// records keys with their TTL
+const fakeBullQueue = () => {
+  const keys = new Map();
+  const queue = Object.create(BullJobQueue.prototype);
+  queue.retention = 3600;
+  queue.queue = {
+    toKey: (key) => `bull:jobs:${key}`,
+    getJob: async (id) => ({
+      id,
+      data: {},
+      timestamp: Date.now(),
+      getState: async () => 'waiting',
+      progress: () => null
+    }),
+    client: {
+      set: async (key, value, mode, ttl) => { keys.set(key, { value, ttl }); },
+      exists: async (key) => (keys.has(key) ? 1 : 0),
+      hgetall: async () => ({})
+    }
+  };
+  return { queue, keys };
+};
+
+describe('BullJobQueue cancellation', () => {
+  test('flags the job under its own key, expiring with the job', async () => {
+    const { queue, keys } = fakeBullQueue();
+
+    expect(await queue.isCancelled('7')).toBe(false);
+
+    const job = await queue.cancel('7');
+    expect(job.state).toBe('cancelled');
+    expect(await queue.isCancelled('7')).toBe(true);
+    expect(await queue.isCancelled('8')).toBe(false);
+    expect(keys.get('bull:jobs:cancelled:7')).toEqual({ value: '1', ttl: 3600 });
+  });
+});
@@ -0,0 +1,76 @@
+// Local test pages are served from 127.0.0.1, which the network policy refuses by default
+process.env.NETWORK_ALLOW_CIDRS = '127.0.0.1';
+process.env.CACHE_ENABLED = 'false';
+
+const express = require('express');
+const request = require('supertest');
+const { stubLaunchers } = require('./helpers/fake-browser');
+const { startSite, article, crawlerConfig } = require('./helpers/local-site');
+const { router, shutdownJobService } = require('../src/routes/jobs');
+const { shutdownCrawlerService, shutdownCacheService } = require('../src/services/registry');
+
+const app = express();
+app.use(express.json());
+app.locals.config = { ...crawlerConfig, queue: { driver: 'memory' } };
+app.use('/api/jobs', router);
+
+const submit = (body) => request(app).post('/api/jobs').send(body);
+
+describe('POST /api/jobs validation', () => {
+  test('rejects local options the extract endpoints do not accept', async () => {
+    const response = await submit({ urls: ['https://example.com'], options: { pdf: { path: '/tmp/out.pdf' } } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('options.pdf.path');
+  });
+
+  test('rejects a sessionId for providers that cannot use one', async () => {
+    const response = await submit({
+      provider: 'firecrawl',
+      urls: ['https://example.com'],
+      options: { sessionId: '9b2d6f1e-1c9a-4c59-9b6f-3e1c9a4c59aa' }
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('options.sessionId');
+  });
+
+  test('checks Markitdown options against the Markitdown schema', async () => {
+    const response = await submit({ provider: 'markitdown', urls: ['https://example.com'], options: { condaEnv: 'base; id' } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('options.condaEnv');
+  });
+});
+
+describe('local jobs', () => {
+  let site;
+
+  beforeAll(async () => {
+    stubLaunchers();
+    site = await startSite({ '/a': article('First page'), '/b': article('Second page') });
+  });
+
+  afterAll(async () => {
+    await shutdownJobService();
+    await shutdownCrawlerService();
+    await shutdownCacheService();
+    await site.close();
+  });
+
+  test('renders every URL of the job with the default options', async () => {
+    const submitted = await submit({ urls: [`${site.baseUrl}/a`, `${site.baseUrl}/b`] });
+    expect(submitted.status).toBe(202);
+
+    let job;
+    for (let i = 0; i < 100; i++) {
+      job = (await request(app).get(`/api/jobs/${submitted.body.data.id}`)).body.data;
+      if (job.state === 'completed' || job.state === 'failed') break;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    expect(job.state).toBe('completed');
+    expect(job.progress).toMatchObject({ total: 2, successful: 2, failed: 0 });
+    expect(job.results.map(result => result.data.title)).toEqual(['First page', 'Second page']);
+  });
+});
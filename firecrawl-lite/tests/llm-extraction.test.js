@@ -0,0 +1,134 @@
+const http = require('http');
+const LLMService = require('../src/services/llm.service');
+const { localOptionsSchema } = require('../src/utils/options');
+
+// Stub of an OpenAI-compatible server: each POST /v1/chat/completions is
+// recorded and answered by the next reply in the queue
+const startStub = async () => {
+  const stub = { requests: [], replies: [] };
+
+  stub.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push({ path: req.url, headers: req.headers, body: JSON.parse(body) });
+      const reply = stub.replies.shift() || { content: '{}' };
+
+      res.writeHead(reply.status || 200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(reply.status ? { error: { message: reply.error } } : {
+        model: 'stub-model',
+        choices: [{ message: { role: 'assistant', content: reply.content } }],
+        usage: { prompt_tokens: 10, completion_tokens: 5 }
+      }));
+    });
+  });
+
+  await new Promise(resolve => stub.server.listen(0, '127.0.0.1', resolve));
+  stub.baseUrl = `http://127.0.0.1:${stub.server.address().port}/v1`;
+  return stub;
+};
+
+const productSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    price: { type: 'number' },
+    tags: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['name', 'price']
+};
+
+describe('LLMService against a stub OpenAI-compatible server', () => {
+  let stub;
+
+  beforeAll(async () => {
+    stub = await startStub();
+  });
+
+  afterAll(() => new Promise(resolve => stub.server.close(resolve)));
+
+  beforeEach(() => {
+    stub.requests = [];
+    stub.replies = [];
+  });
+
+  test('sends the markdown, prompt and schema and validates the reply', async () => {
+    const llm = new LLMService({ baseUrl: stub.baseUrl, apiKey: 'test-key', model: 'llama3.1' });
+    stub.replies.push({ content: '{"name": "Widget", "price": 12.5, "tags": ["tools"]}' });
+
+    const result = await llm.extract('# Widget\n\nPrice: 12.50', {
+      prompt: 'Extract the product',
+      schema: productSchema,
+      url: 'https://shop.example.com/widget'
+    });
+
+    expect(result.data).toEqual({ name: 'Widget', price: 12.5, tags: ['tools'] });
+    expect(result.metadata.validation).toEqual({ valid: true, errors: [] });
+    expect(result.metadata.model).toBe('stub-model');
+    expect(result.metadata.usage).toEqual({ promptTokens: 10, completionTokens: 5 });
+
+    const [request] = stub.requests;
+    expect(request.path).toBe('/v1/chat/completions');
+    expect(request.headers.authorization).toBe('Bearer test-key');
+    expect(request.body.model).toBe('llama3.1');
+    expect(request.body.response_format).toEqual({ type: 'json_object' });
+    expect(request.body.messages[0].content).toContain(JSON.stringify(productSchema));
+    expect(request.body.messages[1].content).toContain('Extract the product');
+    expect(request.body.messages[1].content).toContain('Price: 12.50');
+  });
+
+  test('chunks long documents and merges the partial results', async () => {
+    const llm = new LLMService({ baseUrl: stub.baseUrl, chunkSize: 40 });
+    stub.replies.push(
+      { content: '```json\n{"name": "Widget", "price": null, "tags": ["a", "b"]}\n```' },
+      { content: 'Here you go: {"name": "Other", "price": 3, "tags": ["b", "c"]}' }
+    );
+
+    const markdown = 'First part of the page, with the name.\n\nSecond part of the page, with the price.';
+    const result = await llm.extract(markdown, { schema: productSchema });
+
+    expect(stub.requests).toHaveLength(2);
+    expect(stub.requests[0].body.messages[1].content).toContain('part 1 of 2');
+    expect(result.metadata.chunks).toBe(2);
+    expect(result.data).toEqual({ name: 'Widget', price: 3, tags: ['a', 'b', 'c'] });
+  });
+
+  test('reports values that do not match the schema', async () => {
+    const llm = new LLMService({ baseUrl: stub.baseUrl });
+    stub.replies.push({ content: '{"name": "Widget", "price": "cheap"}' });
+
+    const result = await llm.extract('# Widget', { schema: productSchema });
+
+    expect(result.metadata.validation.valid).toBe(false);
+    expect(result.metadata.validation.errors[0].field).toBe('price');
+  });
+
+  test('retries a reply that is not JSON', async () => {
+    const llm = new LLMService({ baseUrl: stub.baseUrl, maxRetries: 1 });
+    stub.replies.push({ content: 'I cannot help with that' }, { content: '{"name": "Widget", "price": 1}' });
+
+    const result = await llm.extract('# Widget', { prompt: 'Extract the product' });
+
+    expect(stub.requests).toHaveLength(2);
+    expect(result.data).toEqual({ name: 'Widget', price: 1 });
+  });
+
+  test('surfaces the error message of a failing server', async () => {
+    const llm = new LLMService({ baseUrl: stub.baseUrl });
+    stub.replies.push({ status: 503, error: 'model is loading' });
+
+    await expect(llm.extract('# Widget', { prompt: 'Extract' }))
+      .rejects.toThrow('LLM extraction failed: LLM request failed with status 503: model is loading');
+  });
+});
+
+describe('options.extract validation', () => {
+  test('is optional unless formats includes extract', () => {
+    expect(localOptionsSchema.validate({}).error).toBeUndefined();
+    expect(localOptionsSchema.validate({ formats: ['markdown'] }).error).toBeUndefined();
+    expect(localOptionsSchema.validate({ formats: ['markdown', 'extract'] }).error.message)
+      .toBe('"extract" is required');
+    expect(localOptionsSchema.validate({ formats: ['extract'], extract: { prompt: 'Extract the product' } }).error)
+      .toBeUndefined();
+  });
+});
@@ -0,0 +1,129 @@
+const http = require('http');
+const MarkitdownService = require('../src/services/markitdown.service');
+const NetworkPolicy = require('../src/core/network-policy');
+
+const PDF = Buffer.from('%PDF-1.4 test document');
+
+// Local document server; its address is opened up by allowCidrs, any other private address is not
+const startServer = async () => {
+  const server = { requests: [] };
+
+  server.http = http.createServer((req, res) => {
+    server.requests.push(req.url);
+    const redirect = (location) => {
+      res.writeHead(302, { Location: location });
+      res.end();
+    };
+
+    if (req.url === '/report.pdf') {
+      res.writeHead(200, { 'Content-Type': 'application/pdf' });
+      return res.end(PDF);
+    }
+    if (req.url === '/page') {
+      res.writeHead(200, { 'Content-Type': 'text/html; charset="ISO-8859-1"' });
+      return res.end('<h1>Page</h1>');
+    }
+    if (req.url === '/moved') return redirect('/report.pdf');
+    if (req.url === '/metadata') return redirect('http://169.254.169.254/latest/meta-data/');
+    if (req.url === '/local') return redirect(`http://localhost:${server.port}/report.pdf`);
+    if (req.url === '/loop') return redirect('/loop');
+
+    res.writeHead(404);
+    res.end();
+  });
+
+  await new Promise(resolve => server.http.listen(0, '127.0.0.1', resolve));
+  server.port = server.http.address().port;
+  server.origin = `http://127.0.0.1:${server.port}`;
+  return server;
+};
+
+describe('MarkitdownService document download', () => {
+  let server;
+  let service;
+  let runs;
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+
+  afterAll(() => new Promise(resolve => server.http.close(resolve)));
+
+  beforeEach(() => {
+    server.requests = [];
+    runs = [];
+    service = new MarkitdownService({
+      pythonPath: 'python3',
+      maxRedirects: 3,
+      networkPolicy: new NetworkPolicy({ allowCidrs: ['127.0.0.1'] })
+    });
+
+    // Record what markitdown would be run with instead of starting Python
+    service.runner.run = async (args, options) => {
+      runs.push({ args, options });
+      return { stdout: '# Report\n\nQuarterly numbers', stderr: '' };
+    };
+  });
+
+  test('hands the downloaded bytes to markitdown with type hints instead of the URL', async () => {
+    const result = await service.convertUrl(`${server.origin}/report.pdf`);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({ title: 'Report', metadata: { contentType: 'application/pdf' } });
+
+    const [{ args, options }] = runs;
+    expect(args).toEqual(['--mime-type=application/pdf', '--extension=pdf']);
+    expect(options.input.equals(PDF)).toBe(true);
+  });
+
+  test('passes the charset and leaves option-looking values in one argument', async () => {
+    await service.convertUrl(`${server.origin}/page`, { extractImages: false });
+
+    expect(runs[0].args).toEqual(['--mime-type=text/html', '--charset=ISO-8859-1', '--ignore-images']);
+  });
+
+  test('follows redirects the policy allows', async () => {
+    const result = await service.convertUrl(`${server.origin}/moved`);
+
+    expect(result.success).toBe(true);
+    expect(result.data.url).toBe(`${server.origin}/moved`);
+    expect(server.requests).toEqual(['/moved', '/report.pdf']);
+    expect(runs[0].args).toContain('--extension=pdf');
+  });
+
+  test('checks every redirect hop before requesting it', async () => {
+    const metadata = await service.convertUrl(`${server.origin}/metadata`);
+    expect(metadata.success).toBe(false);
+    expect(metadata.error.code).toBe('url_blocked');
+    expect(metadata.error.reason).toMatch(/169\.254\.169\.254/);
+
+    const local = await service.convertUrl(`${server.origin}/local`);
+    expect(local.error).toMatchObject({ code: 'url_blocked', reason: 'Host localhost is a local name' });
+
+    expect(server.requests).toEqual(['/metadata', '/local']);
+    expect(runs).toHaveLength(0);
+  });
+
+  test('refuses a blocked URL without connecting to it', async () => {
+    service.networkPolicy = new NetworkPolicy();
+
+    const result = await service.convertUrl(`${server.origin}/report.pdf`);
+
+    expect(result.error.code).toBe('url_blocked');
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test('stops after maxRedirects hops', async () => {
+    const result = await service.convertUrl(`${server.origin}/loop`);
+
+    expect(result.error.message).toBe('Too many redirects (more than 3)');
+    expect(server.requests).toHaveLength(4);
+  });
+
+  test('reports failed downloads', async () => {
+    const result = await service.convertUrl(`${server.origin}/missing`);
+
+    expect(result.error.message).toBe('Download failed with status: 404');
+    expect(runs).toHaveLength(0);
+  });
+});
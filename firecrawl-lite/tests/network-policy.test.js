@@ -0,0 +1,244 @@
+const dns = require('dns');
+const http = require('http');
+const axios = require('axios');
+const NetworkPolicy = require('../src/core/network-policy');
+
+describe('NetworkPolicy.check', () => {
+  const policy = new NetworkPolicy();
+
+  test('refuses loopback, private, link-local and reserved addresses', async () => {
+    for (const url of [
+      'http://127.0.0.1/',
+      'http://10.1.2.3/',
+      'http://172.20.0.1/',
+      'http://192.168.1.1/',
+      'http://169.254.169.254/latest/meta-data/',
+      'http://100.64.0.1/',
+      'http://0.0.0.0/',
+      'http://[::1]/',
+      'http://[fd00::1]/',
+      'http://[::ffff:127.0.0.1]/',
+      'http://[::ffff:a9fe:a9fe]/',
+      'http://[64:ff9b::7f00:1]/',
+      'http://[64:ff9b::a9fe:a9fe]/',
+      'http://[2002:7f00:1::1]/',
+      'http://[2002:c0a8:101::1]/'
+    ]) {
+      expect(await policy.check(url)).toMatchObject({ allowed: false });
+    }
+  });
+
+  test('refuses local names and schemes other than http and https', async () => {
+    expect(await policy.check('http://localhost:3000/')).toMatchObject({ allowed: false, reason: 'Host localhost is a local name' });
+    expect(await policy.check('http://metadata.google.internal/')).toMatchObject({ allowed: false });
+    expect(await policy.check('file:///etc/passwd')).toMatchObject({ allowed: false, reason: 'Protocol file: is not allowed' });
+    expect(await policy.check('not a url')).toMatchObject({ allowed: false, reason: 'Invalid URL' });
+  });
+
+  test('refuses names that do not resolve', async () => {
+    expect(await policy.check('http://does-not-exist.invalid/')).toMatchObject({
+      allowed: false,
+      reason: expect.stringMatching(/^Host does-not-exist\.invalid could not be resolved/),
+      host: 'does-not-exist.invalid'
+    });
+  });
+
+  test('allows public addresses', async () => {
+    expect(await policy.check('https://93.184.215.14/')).toEqual({ allowed: true });
+    expect(await policy.check('https://[2606:2800:21f:cb07:6820:80da:af6b:8b2c]/')).toEqual({ allowed: true });
+  });
+
+  test('lets page sub-requests load data:, blob: and about: URLs', async () => {
+    expect(await policy.check('data:image/png;base64,AAAA', { subrequest: true })).toEqual({ allowed: true });
+    expect(await policy.check('data:image/png;base64,AAAA')).toMatchObject({ allowed: false });
+  });
+
+  test('allowCidrs and allowDomains open up private hosts, and the deny lists always win', async () => {
+    const custom = new NetworkPolicy({
+      allowCidrs: ['10.0.0.0/8'],
+      allowDomains: ['*.intranet.example'],
+      denyCidrs: ['10.9.0.0/16', '203.0.113.7'],
+      denyDomains: ['blocked.example']
+    });
+
+    expect(await custom.check('http://10.1.2.3/')).toEqual({ allowed: true });
+    expect(await custom.check('http://10.9.1.1/')).toMatchObject({ allowed: false, reason: 'Address 10.9.1.1 is on the deny list' });
+    expect(await custom.check('http://203.0.113.7/')).toMatchObject({ allowed: false });
+    expect(await custom.check('http://www.blocked.example/')).toMatchObject({ allowed: false, reason: 'Host www.blocked.example is on the deny list' });
+    expect(custom.checkHostname('wiki.intranet.example')).toEqual({ reason: null, trusted: true });
+    expect(custom.checkAddress('192.168.1.1', true)).toBeNull();
+  });
+
+  test('a disabled policy still refuses other schemes', async () => {
+    const disabled = new NetworkPolicy({ enabled: false });
+
+    expect(await disabled.check('http://127.0.0.1/')).toEqual({ allowed: true });
+    expect(await disabled.check('ftp://example.com/')).toMatchObject({ allowed: false });
+  });
+
+  test('assert throws the url_blocked error the routes answer with 403', async () => {
+    await expect(policy.assert('http://127.0.0.1/')).rejects.toMatchObject({
+      code: 'url_blocked',
+      url: 'http://127.0.0.1/',
+      message: expect.stringMatching(/^URL blocked by network policy: /)
+    });
+  });
+
+  test('assertProxy checks the proxy host like a URL host', async () => {
+    await expect(policy.assertProxy('socks5://127.0.0.1:1080')).rejects.toMatchObject({ code: 'url_blocked' });
+    await expect(policy.assertProxy('10.0.0.5:3128')).rejects.toThrow('Proxy server: ');
+    await expect(policy.assertProxy('http://93.184.215.14:8080')).resolves.toBeUndefined();
+  });
+});
+
+describe('NetworkPolicy agents', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: `http://localhost:${port}/` });
+        return res.end();
+      }
+      res.end('ok');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    ({ port } = server.address());
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  test('resolve names through the policy', async () => {
+    const policy = new NetworkPolicy();
+    const lookup = (hostname) => new Promise((resolve, reject) => policy.lookup(hostname, {}, (error, address) => (error ? reject(error) : resolve(address))));
+
+    await expect(lookup('localhost')).rejects.toMatchObject({ code: 'url_blocked' });
+    await expect(lookup('169.254.169.254')).rejects.toMatchObject({ code: 'url_blocked' });
+    await expect(lookup('93.184.215.14')).resolves.toBe('93.184.215.14');
+  });
+
+  test('check every redirect hop', async () => {
+    const policy = new NetworkPolicy({ allowCidrs: ['127.0.0.1'] });
+    const client = axios.create({ ...policy.httpOptions(), validateStatus: () => true });
+
+    expect((await client.get(`http://127.0.0.1:${port}/`)).data).toBe('ok');
+    await expect(client.get(`http://127.0.0.1:${port}/redirect`))
+      .rejects.toThrow('URL blocked by network policy: Host localhost is a local name');
+  });
+});
+
+describe('NetworkPolicy.protect', () => {
+  let server;
+  let port;
+  let requests;
+
+  // Stands in for a Playwright route of a GET request
+  const fakeRoute = (url, { navigation = true } = {}) => {
+    const route = {
+      request: () => ({
+        url: () => url,
+        method: () => 'GET',
+        isNavigationRequest: () => navigation,
+        allHeaders: async () => ({ accept: 'text/html', host: 'ignored' }),
+        postDataBuffer: () => null
+      }),
+      fetch: jest.fn(),
+      fulfill: jest.fn(async () => {}),
+      abort: jest.fn(async () => {})
+    };
+    return route;
+  };
+
+  // The handler protect() registers for every request of the context
+  const routeHandler = async (policy, options) => {
+    let handler;
+    await policy.protect({ route: async (pattern, callback) => { handler = callback; } }, options);
+    return handler;
+  };
+
+  beforeAll(async () => {
+    requests = [];
+    server = http.createServer((req, res) => {
+      requests.push(req.url);
+      if (req.url === '/redirect') {
+        res.writeHead(302, { Location: `http://localhost:${port}/` });
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'text/html', 'Set-Cookie': ['a=1', 'b=2'] });
+      res.end('<p>ok</p>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    ({ port } = server.address());
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  afterEach(() => {
+    requests.length = 0;
+    jest.restoreAllMocks();
+  });
+
+  test('fetches allowed requests itself and fulfills the route with the response', async () => {
+    const handle = await routeHandler(new NetworkPolicy({ allowCidrs: ['127.0.0.1'] }));
+    const route = fakeRoute(`http://127.0.0.1:${port}/`);
+
+    await handle(route);
+
+    expect(route.fetch).not.toHaveBeenCalled();
+    const [{ status, headers, body }] = route.fulfill.mock.calls[0];
+    expect(status).toBe(200);
+    expect(headers['content-type']).toBe('text/html');
+    expect(headers['set-cookie']).toBe('a=1\nb=2');
+    expect(body.toString()).toBe('<p>ok</p>');
+  });
+
+  test('refuses a name that resolves to a private address only when the connection is made', async () => {
+    // check() sees a public address, the connection would go to loopback
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.215.14', family: 4 }]);
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => (
+      options.all ? callback(null, [{ address: '127.0.0.1', family: 4 }]) : callback(null, '127.0.0.1', 4)
+    ));
+    const onBlocked = jest.fn();
+    const handle = await routeHandler(new NetworkPolicy(), { onBlocked });
+    const route = fakeRoute(`http://rebind.example:${port}/`);
+
+    await handle(route);
+
+    expect(route.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(route.fulfill).not.toHaveBeenCalled();
+    expect(onBlocked).toHaveBeenCalledWith({
+      url: `http://rebind.example:${port}/`,
+      reason: 'Address 127.0.0.1 is in a private, loopback, link-local or reserved range',
+      navigation: true
+    });
+    expect(requests).toEqual([]);
+  });
+
+  test('checks the redirect target before the browser follows it', async () => {
+    const onBlocked = jest.fn();
+    const handle = await routeHandler(new NetworkPolicy({ allowCidrs: ['127.0.0.1'] }), { onBlocked });
+    const route = fakeRoute(`http://127.0.0.1:${port}/redirect`, { navigation: false });
+
+    await handle(route);
+
+    expect(route.abort).toHaveBeenCalledWith('blockedbyclient');
+    expect(onBlocked.mock.calls[0][0]).toMatchObject({
+      url: `http://localhost:${port}/`,
+      reason: `Redirect from http://127.0.0.1:${port}/redirect: Host localhost is a local name`,
+      navigation: false
+    });
+  });
+
+  test('lets the browser fetch through a proxy, which resolves names itself', async () => {
+    const handle = await routeHandler(new NetworkPolicy(), { proxied: true });
+    const route = fakeRoute('https://93.184.215.14/');
+    const response = { status: () => 200, headers: () => ({}) };
+    route.fetch.mockResolvedValue(response);
+
+    await handle(route);
+
+    expect(route.fetch).toHaveBeenCalledWith({ maxRedirects: 0 });
+    expect(route.fulfill).toHaveBeenCalledWith({ response });
+  });
+});
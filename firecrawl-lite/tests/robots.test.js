@@ -0,0 +1,102 @@
+const http = require('http');
+const RobotsCache = require('../src/core/robots');
+
+const ROBOTS = `
+# Comments and unknown fields are ignored
+User-agent: FirecrawlLite
+User-agent: OtherBot
+Disallow: /private
+Allow: /private/press
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+User-agent: *
+Disallow: /
+Allow: /public
+
+User-agent: firecrawllite
+Disallow: /drafts/
+
+Sitemap: https://example.com/sitemap.xml
+`;
+
+// Local server answering /robots.txt with the status and body set per test
+const startServer = async () => {
+  const server = { status: 200, body: ROBOTS, requests: 0 };
+
+  server.http = http.createServer((req, res) => {
+    server.requests++;
+    res.writeHead(server.status, { 'Content-Type': 'text/plain' });
+    res.end(server.body);
+  });
+
+  await new Promise(resolve => server.http.listen(0, '127.0.0.1', resolve));
+  server.origin = `http://127.0.0.1:${server.http.address().port}`;
+  return server;
+};
+
+describe('RobotsCache', () => {
+  let server;
+  let robots;
+
+  beforeAll(async () => {
+    server = await startServer();
+  });
+
+  afterAll(() => new Promise(resolve => server.http.close(resolve)));
+
+  beforeEach(() => {
+    server.status = 200;
+    server.body = ROBOTS;
+    server.requests = 0;
+    robots = new RobotsCache();
+  });
+
+  const check = (path, userAgent) => robots.check(`${server.origin}${path}`, userAgent);
+
+  test('the longest matching rule wins', async () => {
+    expect((await check('/private/notes')).allowed).toBe(false);
+    expect(await check('/private/press/release')).toMatchObject({ allowed: true, rule: 'Allow: /private/press' });
+    expect((await check('/blog')).allowed).toBe(true);
+  });
+
+  test('supports * wildcards and the $ end anchor', async () => {
+    expect(await check('/files/report.pdf')).toMatchObject({ allowed: false, rule: 'Disallow: /*.pdf$' });
+    expect((await check('/files/report.pdf?download=1')).allowed).toBe(true);
+  });
+
+  test('merges every group naming the agent, case-insensitively, and reports its crawl-delay', async () => {
+    expect(await check('/drafts/post')).toMatchObject({ allowed: false, crawlDelay: 2 });
+    expect((await check('/drafts/post', 'OtherBot')).allowed).toBe(true);
+  });
+
+  test('falls back to the * group for other agents', async () => {
+    expect(await check('/blog', 'SomeBot')).toMatchObject({ allowed: false, rule: 'Disallow: /', crawlDelay: null });
+    expect((await check('/public/page', 'SomeBot')).allowed).toBe(true);
+  });
+
+  test('lists the sitemaps', async () => {
+    expect(await robots.getSitemaps(server.origin)).toEqual(['https://example.com/sitemap.xml']);
+  });
+
+  test('a missing robots.txt allows everything', async () => {
+    server.status = 404;
+
+    expect(await check('/private')).toMatchObject({ allowed: true, rule: null });
+  });
+
+  test('a robots.txt that fails with a server error disallows the site', async () => {
+    server.status = 503;
+
+    const result = await check('/blog');
+    expect(result.allowed).toBe(false);
+    expect(result.rule).toMatch(/^robots.txt unreachable/);
+  });
+
+  test('fetches robots.txt once per origin, also for concurrent lookups', async () => {
+    await Promise.all([check('/a'), check('/b'), check('/c')]);
+    await check('/d');
+
+    expect(server.requests).toBe(1);
+  });
+});
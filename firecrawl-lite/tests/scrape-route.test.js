@@ -0,0 +1,98 @@
+// Local test pages are served from 127.0.0.1, which the network policy refuses by default
+process.env.NETWORK_ALLOW_CIDRS = '127.0.0.1';
+process.env.CACHE_ENABLED = 'false';
+process.env.FIRECRAWL_API_KEY = '';
+
+const express = require('express');
+const request = require('supertest');
+const { stubLaunchers } = require('./helpers/fake-browser');
+const { startSite, article, crawlerConfig } = require('./helpers/local-site');
+const scrapeRouter = require('../src/routes/scrape');
+const { shutdownCrawlerService, shutdownCacheService } = require('../src/services/registry');
+
+const app = express();
+app.use(express.json());
+app.locals.config = crawlerConfig;
+app.use('/api/scrape', scrapeRouter);
+
+const scrape = (body) => request(app).post('/api/scrape').send({ url: 'https://example.com', ...body });
+
+describe('POST /api/scrape engineOptions', () => {
+  test('rejects local options outside the extract option schema', async () => {
+    const response = await scrape({ engineOptions: { local: { pdf: { path: '/tmp/out.pdf' } } } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.details[0].field).toBe('engineOptions.local.pdf.path');
+  });
+
+  test('rejects unknown Firecrawl and Markitdown options', async () => {
+    const firecrawl = await scrape({ engineOptions: { firecrawl: { actions: [] } } });
+    const markitdown = await scrape({ engineOptions: { markitdown: { condaEnv: '../env' } } });
+
+    expect(firecrawl.status).toBe(400);
+    expect(markitdown.status).toBe(400);
+    expect(markitdown.body.error.details[0].field).toBe('engineOptions.markitdown.condaEnv');
+  });
+
+  test('reports a session the caller cannot use as not found', async () => {
+    const response = await scrape({
+      engines: ['local'],
+      engineOptions: { local: { sessionId: '9b2d6f1e-1c9a-4c59-9b6f-3e1c9a4c59aa' } }
+    });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error).toMatchObject({
+      code: 'session_not_found',
+      field: 'engineOptions.local.sessionId'
+    });
+  });
+});
+
+describe('POST /api/scrape with the local engine', () => {
+  let site;
+
+  beforeAll(async () => {
+    stubLaunchers();
+    site = await startSite({ '/guide': article('Getting started') });
+  });
+
+  afterAll(async () => {
+    await shutdownCrawlerService();
+    await shutdownCacheService();
+    await site.close();
+  });
+
+  test('serves a valid page from the local engine without falling back', async () => {
+    const response = await request(app).post('/api/scrape').send({
+      url: `${site.baseUrl}/guide`,
+      engines: ['local', 'firecrawl'],
+      minContentLength: 50
+    });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.engine).toBe('local');
+    expect(response.body.data.markdown).toContain('installing the crawler');
+    expect(response.body.data.attempts.map(attempt => attempt.status)).toEqual(['success', 'skipped']);
+  });
+
+  test('records why the local engine failed before falling back', async () => {
+    const response = await request(app).post('/api/scrape').send({
+      url: `${site.baseUrl}/missing`,
+      engines: ['local', 'firecrawl']
+    });
+
+    expect(response.status).toBe(500);
+    expect(response.body.error.attempts[0]).toMatchObject({
+      engine: 'local',
+      status: 'failed',
+      reason: 'Navigation failed with status: 404'
+    });
+
+    const stats = await request(app).get('/api/scrape/stats');
+    expect(stats.body.data.engines.local.lastFailure).toMatchObject({
+      url: `${site.baseUrl}/missing`,
+      status: 'failed',
+      reason: 'Navigation failed with status: 404'
+    });
+  });
+});
@@ -0,0 +1,228 @@
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { stubLaunchers } = require('./helpers/fake-browser');
+const { article } = require('./helpers/local-site');
+const SessionService = require('../src/services/session.service');
+const CrawlerService = require('../src/services/crawler.service');
+const NetworkPolicy = require('../src/core/network-policy');
+
+const LOGIN = { url: 'https://app.example/login', fields: [{ selector: '#password', value: 'hunter2' }], submit: 'button' };
+
+const stateWith = (value, expires = -1) => ({
+  cookies: [{ name: 'sid', value, domain: '.app.example', path: '/', expires }],
+  origins: []
+});
+
+const tempDirectory = () => fs.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+
+describe('SessionService storage', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await tempDirectory();
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('encrypts the login and state on disk and decrypts them on load', async () => {
+    const sessions = new SessionService({ directory, secret: 'session-secret' });
+
+    const created = await sessions.create({ name: 'App', login: LOGIN, storageState: stateWith('secret-cookie') });
+    const file = await fs.readFile(path.join(directory, `${created.id}.json`), 'utf8');
+
+    expect(file).not.toContain('secret-cookie');
+    expect(file).not.toContain('hunter2');
+    expect(JSON.parse(file).secrets).toEqual({ iv: expect.any(String), tag: expect.any(String), data: expect.any(String) });
+    expect(created).toMatchObject({ name: 'App', loginUrl: LOGIN.url, cookies: 1, domains: ['app.example'] });
+    expect(created.secrets).toBeUndefined();
+
+    // Another instance with the same secret reads it back
+    const loaded = await new SessionService({ directory, secret: 'session-secret' }).load(created.id);
+    expect(loaded.login).toEqual(LOGIN);
+    expect(loaded.storageState).toEqual(stateWith('secret-cookie'));
+  });
+
+  test('keeps a generated key in the directory when no secret is set', async () => {
+    const created = await new SessionService({ directory }).create({ name: 'App', login: LOGIN, storageState: stateWith('a') });
+
+    expect((await fs.readFile(path.join(directory, 'session.key'), 'utf8')).trim()).toMatch(/^[0-9a-f]{64}$/);
+    expect((await new SessionService({ directory }).load(created.id)).storageState).toEqual(stateWith('a'));
+  });
+
+  test('refuses a session whose ciphertext, tag or key changed', async () => {
+    const sessions = new SessionService({ directory, secret: 'session-secret' });
+    const { id } = await sessions.create({ name: 'App', login: LOGIN, storageState: stateWith('a') });
+    const file = path.join(directory, `${id}.json`);
+    const original = JSON.parse(await fs.readFile(file, 'utf8'));
+
+    // Flip one bit of the first byte
+    const flip = (base64) => {
+      const bytes = Buffer.from(base64, 'base64');
+      bytes[0] ^= 1;
+      return bytes.toString('base64');
+    };
+
+    for (const secrets of [
+      { ...original.secrets, data: flip(original.secrets.data) },
+      { ...original.secrets, tag: flip(original.secrets.tag) }
+    ]) {
+      await fs.writeFile(file, JSON.stringify({ ...original, secrets }));
+      await expect(sessions.load(id)).rejects.toMatchObject({ code: 'session_unreadable' });
+    }
+
+    await fs.writeFile(file, JSON.stringify(original));
+    await expect(new SessionService({ directory, secret: 'another-secret' }).load(id))
+      .rejects.toMatchObject({ code: 'session_unreadable' });
+    expect((await sessions.load(id)).storageState).toEqual(stateWith('a'));
+  });
+
+  test('writes of one session at the same time each use their own temporary file', async () => {
+    const sessions = new SessionService({ directory, secret: 'session-secret' });
+    const { id } = await sessions.create({ name: 'App', login: LOGIN, storageState: stateWith('a') });
+    const record = await sessions.readRecord(id);
+
+    await Promise.all(['One', 'Two', 'Three', 'Four'].map(name => sessions.writeRecord({ ...record, name })));
+
+    expect(await fs.readdir(directory)).toEqual([`${id}.json`]);
+  });
+});
+
+describe('SessionService.refresh', () => {
+  let directory;
+  let sessions;
+
+  beforeEach(async () => {
+    directory = await tempDirectory();
+    sessions = new SessionService({ directory, secret: 'session-secret' });
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  test('shares one login between concurrent refreshes and saves the new state', async () => {
+    const { id, lastLoginAt } = await sessions.create({ name: 'App', login: LOGIN, storageState: stateWith('old') });
+    const runLogin = jest.fn(async () => stateWith('new'));
+
+    const [first, second] = await Promise.all([
+      sessions.refresh(id, runLogin, { lastLoginAt }),
+      sessions.refresh(id, runLogin, { lastLoginAt })
+    ]);
+
+    expect(runLogin).toHaveBeenCalledTimes(1);
+    expect(runLogin).toHaveBeenCalledWith(LOGIN, {});
+    expect(first).toEqual(second);
+    expect(first).toMatchObject({ logins: 2, storageState: stateWith('new') });
+    expect(sessions.getStats()).toMatchObject({ logins: 2, relogins: 1 });
+
+    // A caller that saw the old login gets the refreshed session without another login
+    await sessions.refresh(id, runLogin, { lastLoginAt });
+    expect(runLogin).toHaveBeenCalledTimes(1);
+  });
+
+  test('treats sessions whose expiring cookies have all expired, or older than maxAge, as stale', async () => {
+    const now = Date.now() / 1000;
+
+    expect(sessions.isStale({ lastLoginAt: new Date().toISOString(), storageState: stateWith('a', now - 60) })).toBe(true);
+    expect(sessions.isStale({ lastLoginAt: new Date().toISOString(), storageState: stateWith('a', now + 60) })).toBe(false);
+    expect(sessions.isStale({ lastLoginAt: new Date().toISOString(), storageState: stateWith('a') })).toBe(false);
+
+    const aged = new SessionService({ directory, maxAge: 1000 });
+    expect(aged.isStale({ lastLoginAt: new Date(Date.now() - 2000).toISOString(), storageState: stateWith('a') })).toBe(true);
+  });
+});
+
+describe('CrawlerService with a session', () => {
+  let server;
+  let baseUrl;
+  let loggedIn;
+  let directory;
+  let browsers;
+  let crawler;
+
+  beforeAll(async () => {
+    // The account page shows the login form until a login has run
+    server = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      res.end(loggedIn
+        ? article('Account').replace('<main>', '<main><div class="account">Signed in</div>')
+        : '<html><head><title>Sign in</title></head><body><form class="login-form"><input id="password"></form></body></html>');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    directory = await tempDirectory();
+    browsers = stubLaunchers();
+    crawler = new CrawlerService({
+      browser: { poolSize: 1 },
+      extraction: { waitTime: 0, scrollToBottom: false, waitForContentSelectors: false },
+      politeness: { respectRobots: false, defaultDelay: 0 },
+      networkPolicy: new NetworkPolicy({ allowCidrs: ['127.0.0.1'] }),
+      sessions: new SessionService({ directory, secret: 'session-secret' })
+    });
+    await crawler.initialize();
+  });
+
+  afterAll(async () => {
+    await crawler.shutdown();
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    loggedIn = false;
+  });
+
+  const createSession = () => crawler.sessions.create({
+    name: 'App',
+    login: { ...LOGIN, url: `${baseUrl}/login` },
+    check: { loggedInSelector: '.account', loggedOutSelector: '.login-form' },
+    storageState: stateWith('old')
+  });
+
+  test('logs in again when the page turns out to be logged out, and renders it once more', async () => {
+    const { id } = await createSession();
+    crawler.runLogin = jest.fn(async () => {
+      loggedIn = true;
+      return stateWith('new');
+    });
+
+    const result = await crawler.renderWithSession(`${baseUrl}/account`, { sessionId: id });
+
+    expect(result.success).toBe(true);
+    expect(result.data.title).toBe('Account');
+    expect(crawler.runLogin).toHaveBeenCalledTimes(1);
+    expect(crawler.runLogin.mock.calls[0][1]).toEqual({ loggedInSelector: '.account', loggedOutSelector: '.login-form' });
+
+    // The second render used the state the login saved
+    const contexts = browsers.flatMap(browser => browser.contexts).slice(-2);
+    expect(contexts.map(context => context.options.storageState)).toEqual([stateWith('old'), stateWith('new')]);
+    expect(await crawler.sessions.get(id)).toMatchObject({ logins: 2 });
+    expect(crawler.sessions.getStats()).toMatchObject({ expired: 1, relogins: 1 });
+  });
+
+  test('reports session_login_failed when logging in again fails', async () => {
+    const { id } = await createSession();
+    crawler.runLogin = jest.fn(async () => {
+      const error = new Error(`Login at ${baseUrl}/login failed: Page does not look logged in (found .login-form)`);
+      error.code = 'session_login_failed';
+      throw error;
+    });
+
+    const result = await crawler.renderWithSession(`${baseUrl}/account`, { sessionId: id });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatchObject({ code: 'session_login_failed', sessionId: id, url: `${baseUrl}/account` });
+    expect(await crawler.sessions.get(id)).toMatchObject({ logins: 1 });
+  });
+
+  test('reports an unknown session', async () => {
+    const result = await crawler.renderWithSession(`${baseUrl}/account`, { sessionId: '00000000-0000-4000-8000-000000000000' });
+
+    expect(result.error).toMatchObject({ code: 'session_not_found' });
+  });
+});
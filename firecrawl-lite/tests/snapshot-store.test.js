@@ -0,0 +1,30 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { FileSnapshotStore } = require('../src/core/snapshot-store');
+
+describe('FileSnapshotStore', () => {
+  let directory;
+  let store;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'snapshots-'));
+    store = new FileSnapshotStore({ directory });
+  });
+
+  afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+  test('concurrent writes of one key each land whole and leave no temporary files', async () => {
+    const snapshots = Array.from({ length: 20 }, (_, i) => ({ hash: `hash-${i}`, markdown: 'x'.repeat(10000 + i) }));
+
+    await Promise.all(snapshots.map(snapshot => store.set('page', snapshot)));
+
+    const stored = await store.get('page');
+    expect(snapshots).toContainEqual(stored);
+    expect(await fs.readdir(path.join(directory, 'snapshots'))).toEqual(['page.json']);
+  });
+
+  test('returns null for a key without a snapshot', async () => {
+    expect(await store.get('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,56 @@
+const StructuredExtractor = require('../src/core/structured-extractor');
+
+const html = `
+  <h1>Widget</h1>
+  <span class="price">Price: $1,299.99</span>
+  <ul><li>red</li><li>blue</li></ul>
+  <p class="code">${'a'.repeat(40)}b</p>
+`;
+
+describe('StructuredExtractor', () => {
+  const extractor = new StructuredExtractor();
+
+  test('applies a regex and coerces the captured group', () => {
+    const { data, errors } = extractor.extract(html, 'https://shop.example.com/', {
+      fields: {
+        title: { selector: 'h1' },
+        price: { selector: '.price', regex: '\\$([\\d.,]+)', type: 'number' },
+        colors: { selector: 'li', list: true, regex: '^(r|b)', group: 0 }
+      }
+    });
+
+    expect(errors).toEqual([]);
+    expect(data).toEqual({ title: 'Widget', price: 1299.99, colors: ['r', 'b'] });
+  });
+
+  test('fails a catastrophically backtracking regex instead of blocking', () => {
+    const started = Date.now();
+    const { data, errors } = extractor.extract(html, 'https://shop.example.com/', {
+      fields: {
+        code: { selector: '.code', regex: '^(a+)+$' },
+        title: { selector: 'h1' }
+      }
+    });
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(data).toEqual({ code: null, title: 'Widget' });
+    expect(errors).toEqual([{ field: 'code', message: 'Regex timed out after 100ms' }]);
+  });
+
+  test('stops running regexes once the page budget is used up', () => {
+    const limited = new StructuredExtractor({ regexTimeout: 50, regexBudget: 120 });
+    const started = Date.now();
+    const { errors } = limited.extract(html, 'https://shop.example.com/', {
+      fields: {
+        first: { selector: '.code', regex: '^(a+)+$' },
+        second: { selector: '.code', regex: '^(a+)+$' },
+        third: { selector: '.code', regex: '^(a+)+$' },
+        fourth: { selector: '.code', regex: '^(a+)+$' }
+      }
+    });
+
+    expect(Date.now() - started).toBeLessThan(500);
+    expect(errors).toHaveLength(4);
+    expect(errors[3].message).toMatch(/regex budget/);
+  });
+});
@@ -0,0 +1,41 @@
+const { globToRegExp, isPathAllowed, normalizeUrl } = require('../src/utils/url');
+
+describe('globToRegExp', () => {
+  test('a trailing /** matches the bare prefix and everything below it', () => {
+    const regex = globToRegExp('/docs/**');
+
+    expect(regex.test('/docs')).toBe(true);
+    expect(regex.test('/docs/')).toBe(true);
+    expect(regex.test('/docs/guide/install')).toBe(true);
+    expect(regex.test('/docsearch')).toBe(false);
+    expect(regex.test('/blog/docs')).toBe(false);
+  });
+
+  test('* stays within one path segment', () => {
+    const regex = globToRegExp('/blog/*');
+
+    expect(regex.test('/blog/post')).toBe(true);
+    expect(regex.test('/blog/2024/post')).toBe(false);
+  });
+
+  test('patterns without a leading slash match anywhere in the path', () => {
+    expect(globToRegExp('*.pdf').test('/files/report.pdf')).toBe(true);
+    expect(globToRegExp('*.pdf').test('/files/report.html')).toBe(false);
+  });
+});
+
+describe('isPathAllowed', () => {
+  test('includePaths keeps the index page of a section', () => {
+    const url = normalizeUrl('https://example.com/docs/');
+
+    expect(isPathAllowed(url, { includePaths: ['/docs/**'] })).toBe(true);
+    expect(isPathAllowed('https://example.com/about', { includePaths: ['/docs/**'] })).toBe(false);
+  });
+
+  test('excludePaths wins over includePaths', () => {
+    const filters = { includePaths: ['/docs/**'], excludePaths: ['/docs/internal/**'] };
+
+    expect(isPathAllowed('https://example.com/docs/internal', filters)).toBe(false);
+    expect(isPathAllowed('https://example.com/docs/public', filters)).toBe(true);
+  });
+});
@@ -0,0 +1,162 @@
+// Local test pages and receivers are served from 127.0.0.1, which the network policy refuses by default
+process.env.NETWORK_ALLOW_CIDRS = '127.0.0.1';
+process.env.CACHE_ENABLED = 'false';
+
+const crypto = require('crypto');
+const http = require('http');
+const express = require('express');
+const request = require('supertest');
+const { stubLaunchers } = require('./helpers/fake-browser');
+const { startSite, article, crawlerConfig } = require('./helpers/local-site');
+const WebhookService = require('../src/services/webhook.service');
+const NetworkPolicy = require('../src/core/network-policy');
+const { router } = require('../src/routes/extract');
+const {
+  shutdownCrawlerService,
+  shutdownCacheService,
+  shutdownWebhookService
+} = require('../src/services/registry');
+
+// Records every POST with its headers and raw body; answers with the queued
+// statuses first, then 200
+const startReceiver = async () => {
+  const receiver = { requests: [], statuses: [] };
+
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body, at: Date.now() });
+      res.writeHead(receiver.statuses.shift() || 200);
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => receiver.server.listen(0, '127.0.0.1', resolve));
+  receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hook`;
+  receiver.events = () => receiver.requests.map(entry => JSON.parse(entry.body));
+  receiver.close = () => new Promise(resolve => receiver.server.close(resolve));
+  return receiver;
+};
+
+describe('WebhookService deliveries', () => {
+  let receiver;
+  let service;
+
+  beforeEach(async () => {
+    receiver = await startReceiver();
+    service = new WebhookService({
+      initialDelay: 20,
+      maxAttempts: 3,
+      networkPolicy: new NetworkPolicy({ allowCidrs: ['127.0.0.1'] })
+    });
+  });
+
+  afterEach(async () => {
+    service.shutdown();
+    await receiver.close();
+  });
+
+  test('signs the raw body with the secret', async () => {
+    const channel = service.open({ url: receiver.url, secret: 'hook-secret' }, { source: 'batch' });
+    await channel.emit('page', { url: 'https://example.com/' });
+
+    const [{ headers, body }] = receiver.requests;
+    const expected = `sha256=${crypto.createHmac('sha256', 'hook-secret').update(body).digest('hex')}`;
+    expect(headers['x-webhook-signature']).toBe(expected);
+    expect(headers['x-webhook-event']).toBe('batch.page');
+    expect(JSON.parse(body)).toMatchObject({ type: 'batch.page', requestId: channel.requestId, data: { url: 'https://example.com/' } });
+  });
+
+  test('sends no signature without a secret', async () => {
+    await service.open(receiver.url, { source: 'batch' }).emit('page');
+
+    expect(receiver.requests[0].headers['x-webhook-signature']).toBeUndefined();
+  });
+
+  test('retries server errors with a doubling delay until the receiver accepts', async () => {
+    receiver.statuses.push(503, 500);
+
+    const delivery = await service.open(receiver.url, { source: 'crawl' }).emit('completed');
+
+    expect(delivery.status).toBe('delivered');
+    expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([503, 500, 200]);
+    expect(service.getStats()).toMatchObject({ delivered: 1, retries: 2, failed: 0 });
+
+    const [first, second, third] = receiver.requests.map(entry => entry.at);
+    expect(second - first).toBeGreaterThanOrEqual(15);
+    expect(third - second).toBeGreaterThanOrEqual(35);
+  });
+
+  test('gives up after maxAttempts', async () => {
+    receiver.statuses.push(500, 500, 500, 500);
+
+    const delivery = await service.open(receiver.url, { source: 'crawl' }).emit('completed');
+
+    expect(delivery.status).toBe('failed');
+    expect(receiver.requests).toHaveLength(3);
+    expect(service.getStats()).toMatchObject({ failed: 1, retries: 2 });
+  });
+
+  test('does not retry an event the receiver rejected', async () => {
+    receiver.statuses.push(400);
+
+    const delivery = await service.open(receiver.url, { source: 'crawl' }).emit('completed');
+
+    expect(delivery.status).toBe('failed');
+    expect(receiver.requests).toHaveLength(1);
+  });
+
+  test('logs deliveries under the API key that opened the channel', async () => {
+    await service.open(receiver.url, { source: 'batch', owner: 'alice' }).emit('page');
+    await service.open(receiver.url, { source: 'batch', owner: 'bob' }).emit('page');
+
+    expect(service.getDeliveries({ owner: 'alice' }).map(delivery => delivery.owner)).toEqual(['alice']);
+    expect(service.getDeliveries().map(delivery => delivery.owner)).toEqual(['bob', 'alice']);
+  });
+});
+
+describe('POST /api/batch with a webhook', () => {
+  let site;
+  let receiver;
+  let app;
+
+  beforeAll(async () => {
+    stubLaunchers();
+    site = await startSite({ '/a': article('First page'), '/b': article('Second page') });
+    receiver = await startReceiver();
+
+    app = express();
+    app.use(express.json());
+    app.locals.config = crawlerConfig;
+    app.use('/api', router);
+  });
+
+  afterAll(async () => {
+    shutdownWebhookService();
+    await shutdownCrawlerService();
+    await shutdownCacheService();
+    await site.close();
+    await receiver.close();
+  });
+
+  test('delivers each rendered page, then the summary', async () => {
+    const response = await request(app).post('/api/batch').send({
+      urls: [`${site.baseUrl}/a`, `${site.baseUrl}/b`],
+      options: { webhook: { url: receiver.url, secret: 'hook-secret' } }
+    });
+    expect(response.status).toBe(202);
+
+    for (let i = 0; i < 100 && !receiver.events().some(event => event.event === 'completed'); i++) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+
+    const events = receiver.events();
+    expect(events.map(event => event.type)).toEqual(['batch.started', 'batch.page', 'batch.page', 'batch.completed']);
+
+    const pages = events.filter(event => event.event === 'page');
+    expect(pages.every(event => event.data.result.success)).toBe(true);
+    expect(pages.map(event => event.data.result.data.title).sort()).toEqual(['First page', 'Second page']);
+    expect(events[3].data.summary).toMatchObject({ total: 2, successful: 2, failed: 0 });
+  });
+});